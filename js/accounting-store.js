@@ -0,0 +1,104 @@
+// Accounting export records and settings
+//
+// Each export is a document in `accountingExports` listing the invoices that
+// went into the file, and each of those invoices is stamped with
+// `accountingExport: { id, format, exportedAt }` so it isn't exported twice.
+// Account codes and contact names are in accountingSettings/{businessId}.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  deleteField,
+  doc,
+  onSnapshot,
+  query,
+  runTransaction,
+  setDoc,
+  Timestamp,
+  where,
+  writeBatch
+} from 'firebase/firestore';
+import { getAccountingSettings } from './accounting.js';
+import { toDate } from './schedule.js';
+
+// Firestore allows 500 writes per transaction, one of which is the record
+export const MAX_INVOICES_PER_EXPORT = 499;
+
+export function subscribeToAccountingSettings(businessId, callback) {
+  return onSnapshot(doc(db, 'accountingSettings', businessId), (snapshot) => {
+    callback(getAccountingSettings(snapshot.exists() ? snapshot.data() : {}));
+  }, (error) => {
+    console.error('Error loading accounting settings:', error);
+  });
+}
+
+export async function saveAccountingSettings(businessId, settings) {
+  await setDoc(doc(db, 'accountingSettings', businessId), {
+    ...getAccountingSettings(settings),
+    businessId,
+    updatedAt: Timestamp.now()
+  });
+}
+
+// Past exports, newest first
+export function subscribeToAccountingExports(businessId, callback) {
+  const exportsQuery = query(collection(db, 'accountingExports'), where('businessId', '==', businessId));
+  return onSnapshot(exportsQuery, (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (toDate(b.exportedAt)?.getTime() || 0) - (toDate(a.exportedAt)?.getTime() || 0)));
+  }, (error) => {
+    console.error('Error loading accounting exports:', error);
+  });
+}
+
+// Record an export and stamp its invoices, in one transaction so two people
+// exporting at once can't both take the same invoice. Throws if any of the
+// invoices has been exported since the preview was built.
+export async function recordAccountingExport(businessId, { format, invoices, fileName, totalCents, userId }) {
+  if (invoices.length > MAX_INVOICES_PER_EXPORT) {
+    throw new Error(`Export at most ${MAX_INVOICES_PER_EXPORT} invoices at a time`);
+  }
+
+  const recordRef = doc(collection(db, 'accountingExports'));
+  const exportedAt = Timestamp.now();
+
+  await runTransaction(db, async (transaction) => {
+    const refs = invoices.map(invoice => doc(db, 'invoices', invoice.id));
+    const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+
+    const taken = snapshots.filter(snapshot => snapshot.data()?.accountingExport?.id);
+    if (taken.length) {
+      throw new Error(`${taken.map(snapshot => snapshot.data().number).join(', ')} ${taken.length === 1 ? 'has' : 'have'} already been exported`);
+    }
+
+    transaction.set(recordRef, {
+      businessId,
+      format,
+      fileName,
+      invoiceIds: invoices.map(invoice => invoice.id),
+      invoiceNumbers: invoices.map(invoice => invoice.number),
+      jobIds: [...new Set(invoices.map(invoice => invoice.jobId))],
+      invoiceCount: invoices.length,
+      totalCents,
+      exportedBy: userId,
+      exportedAt
+    });
+    refs.forEach(ref => transaction.update(ref, {
+      accountingExport: { id: recordRef.id, format, exportedAt },
+      updatedAt: exportedAt
+    }));
+  });
+
+  return recordRef.id;
+}
+
+// Put an export's invoices back in the queue, e.g. when the import failed
+export async function undoAccountingExport(record) {
+  const batch = writeBatch(db);
+  record.invoiceIds.forEach(invoiceId => batch.update(doc(db, 'invoices', invoiceId), {
+    accountingExport: deleteField(),
+    updatedAt: Timestamp.now()
+  }));
+  batch.delete(doc(db, 'accountingExports', record.id));
+  await batch.commit();
+}
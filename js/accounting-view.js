@@ -0,0 +1,421 @@
+// Accounting export page - invoices for completed jobs as Xero or MYOB import
+// files, with a preview before anything is recorded and a history of exports
+import { downloadFile, escapeHtml, formatDate, showNotification } from './utils.js';
+import { formatMoney } from './job-model.js';
+import { subscribeToBusinessDocuments } from './billing.js';
+import { canSeePricing, getSession } from './session.js';
+import {
+  ACCOUNTING_FORMATS,
+  buildAccountingExport,
+  getContactName,
+  getExportFileName,
+  selectInvoicesForExport
+} from './accounting.js';
+import {
+  MAX_INVOICES_PER_EXPORT,
+  recordAccountingExport,
+  saveAccountingSettings,
+  subscribeToAccountingExports,
+  subscribeToAccountingSettings,
+  undoAccountingExport
+} from './accounting-store.js';
+
+// Rows of the file shown in the preview; the download has everything
+const PREVIEW_ROWS = 20;
+
+let viewJobs = [];
+let viewClients = [];
+let viewMembers = [];
+let data = { businessId: null, invoices: [], settings: null, records: [], loaded: false };
+let unsubscribers = [];
+let showPreview = false;
+let exporting = false;
+
+export function renderAccountingView({ jobs, clients, members }) {
+  const view = document.getElementById('accountingView');
+  if (!view) return;
+  viewJobs = jobs;
+  viewClients = clients;
+  viewMembers = members;
+
+  // Invoices and account codes are office work
+  if (!canSeePricing()) {
+    view.innerHTML = `
+      <div class="max-w-3xl mx-auto p-6">
+        <div class="bg-white rounded-lg shadow p-8 text-center text-sm text-gray-600">
+            Accounting exports are available to owners and office staff.
+        </div>
+      </div>
+    `;
+    return;
+  }
+
+  ensureSubscriptions();
+
+  // Don't wipe a code or contact name that's being typed in when a snapshot arrives
+  const active = document.activeElement;
+  if (active && view.contains(active) && active.tagName === 'INPUT') return;
+
+  if (!data.loaded || !data.settings) {
+    view.innerHTML = '<p class="p-6 text-sm text-gray-500"><i class="fas fa-spinner fa-spin mr-1"></i>Loading invoices...</p>';
+    return;
+  }
+
+  const { settings } = data;
+  const selection = selectInvoicesForExport(viewJobs, data.invoices);
+  const batch = selection.ready.slice(0, MAX_INVOICES_PER_EXPORT);
+  const file = buildAccountingExport(settings.format, batch, settings, viewClients);
+
+  view.innerHTML = `
+    <div class="max-w-5xl mx-auto p-6">
+      <a href="#/reports" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Reports
+      </a>
+
+      <div class="flex flex-wrap items-end justify-between gap-3 mb-4">
+          <div>
+              <h2 class="text-xl font-semibold text-gray-900">Accounting export</h2>
+              <p class="text-sm text-gray-600">Invoices for completed jobs, ready to import into your accounts. Each invoice is only exported once.</p>
+          </div>
+          <label class="text-sm text-gray-700">Export to
+              <select onchange="setAccountingFormat(this.value)" class="ml-1 border rounded-lg px-2 py-1">
+                  ${Object.entries(ACCOUNTING_FORMATS).map(([format, { label }]) => `
+                      <option value="${format}" ${format === settings.format ? 'selected' : ''}>${escapeHtml(label)}</option>
+                  `).join('')}
+              </select>
+          </label>
+      </div>
+
+      ${renderSummary(selection)}
+      ${renderExportPanel(selection, batch, file)}
+      ${renderContacts(batch)}
+      ${renderCodes(settings)}
+      ${renderHistory()}
+    </div>
+  `;
+}
+
+// Stop listening when the page closes or the user signs out
+export function resetAccountingView() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+  data = { businessId: null, invoices: [], settings: null, records: [], loaded: false };
+  showPreview = false;
+  viewJobs = [];
+  viewClients = [];
+  viewMembers = [];
+}
+
+function ensureSubscriptions() {
+  const { businessId } = getSession();
+  if (!businessId || data.businessId === businessId) return;
+
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  data = { businessId, invoices: [], settings: null, records: [], loaded: false };
+  unsubscribers = [
+    subscribeToBusinessDocuments(businessId, ({ invoices }) => {
+      data.invoices = invoices;
+      data.loaded = true;
+      rerender();
+    }),
+    subscribeToAccountingSettings(businessId, (settings) => {
+      data.settings = settings;
+      rerender();
+    }),
+    subscribeToAccountingExports(businessId, (records) => {
+      data.records = records;
+      rerender();
+    })
+  ];
+}
+
+function rerender() {
+  const view = document.getElementById('accountingView');
+  if (view && !view.classList.contains('hidden')) {
+    renderAccountingView({ jobs: viewJobs, clients: viewClients, members: viewMembers });
+  }
+}
+
+function renderSummary(selection) {
+  const card = (label, value, detail) => `
+    <div class="bg-white rounded-lg shadow p-4">
+        <div class="text-xs text-gray-500 uppercase">${label}</div>
+        <div class="text-2xl font-semibold text-gray-900">${value}</div>
+        <div class="text-xs text-gray-500">${detail}</div>
+    </div>
+  `;
+  const readyCents = selection.ready.reduce((sum, { invoice }) => sum + (invoice.totalCents || 0), 0);
+
+  return `
+    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        ${card('Ready', selection.ready.length, `${formatMoney(readyCents)} inc GST`)}
+        ${card('Already exported', selection.exported.length, 'Won\'t be exported again')}
+        ${card('Job not completed', selection.notCompleted.length, 'Exported once the job is completed')}
+        ${card('Not invoiced', selection.notInvoiced.length, 'Completed jobs with no invoice')}
+    </div>
+    ${selection.notInvoiced.length ? `
+        <div class="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6 text-sm text-orange-800">
+            These completed jobs haven't been invoiced, so they won't be in the export:
+            ${selection.notInvoiced.slice(0, 10).map(job => `
+                <a href="#/jobs/${job.id}/billing" class="underline">${escapeHtml(job.client || 'Job')}</a>
+            `).join(', ')}${selection.notInvoiced.length > 10 ? ` and ${selection.notInvoiced.length - 10} more` : ''}
+        </div>
+    ` : ''}
+  `;
+}
+
+function renderExportPanel(selection, batch, file) {
+  const format = ACCOUNTING_FORMATS[file.format];
+  if (batch.length === 0) {
+    return `
+      <div class="bg-white rounded-lg shadow p-6 mb-6 text-sm text-gray-600">
+          Nothing to export. Invoices appear here once their job is completed.
+      </div>
+    `;
+  }
+
+  return `
+    <div class="bg-white rounded-lg shadow p-6 mb-6">
+        <div class="flex flex-wrap items-center justify-between gap-3">
+            <div class="text-sm text-gray-700">
+                ${batch.length} invoice${batch.length === 1 ? '' : 's'} (${file.rows.length} lines, ${formatMoney(file.totalCents)} inc GST) for ${escapeHtml(format.label)}
+                ${selection.ready.length > batch.length ? `<div class="text-xs text-gray-500">The other ${selection.ready.length - batch.length} will be in the next export.</div>` : ''}
+            </div>
+            <div class="flex gap-2">
+                <button onclick="toggleAccountingPreview()" class="px-4 py-2 rounded-lg border text-sm hover:bg-gray-50">
+                    ${showPreview ? 'Hide preview' : 'Preview'}
+                </button>
+                <button onclick="exportToAccounting()" ${exporting ? 'disabled' : ''}
+                    class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+                    <i class="fas ${exporting ? 'fa-spinner fa-spin' : 'fa-file-export'} mr-1"></i>Export and mark as exported
+                </button>
+            </div>
+        </div>
+        ${file.format === 'xero' ? '<p class="text-xs text-gray-500 mt-2">In Xero, import under Sales &gt; Invoices &gt; Import and choose "Tax exclusive".</p>' : ''}
+        ${file.format === 'myob' ? '<p class="text-xs text-gray-500 mt-2">In MYOB, import under File &gt; Import Data &gt; Sales &gt; Service Sales, comma separated with a header record.</p>' : ''}
+        ${showPreview ? renderPreview(file) : ''}
+    </div>
+  `;
+}
+
+// A dry run - the file as it will be downloaded, without recording anything
+function renderPreview(file) {
+  return `
+    <div class="mt-4 overflow-x-auto border rounded-lg">
+        <p class="text-xs text-gray-500 px-3 py-2 bg-gray-50 border-b">Preview only - nothing is marked as exported until you export.</p>
+        <table class="text-xs whitespace-nowrap">
+            <thead class="text-left text-gray-500 border-b">
+                <tr>${file.columns.map(column => `<th class="px-3 py-2 font-normal">${escapeHtml(column.label)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${file.rows.slice(0, PREVIEW_ROWS).map(row => `
+                    <tr class="border-b last:border-b-0">
+                        ${file.columns.map(column => `<td class="px-3 py-1">${escapeHtml(String(column.value(row)))}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${file.rows.length > PREVIEW_ROWS ? `<p class="text-xs text-gray-500 px-3 py-2">and ${file.rows.length - PREVIEW_ROWS} more lines</p>` : ''}
+    </div>
+  `;
+}
+
+// Contacts in the export, with the name each one has in the accounting file
+function renderContacts(batch) {
+  const clientIds = [...new Set(batch.map(({ job }) => job.clientId).filter(Boolean))];
+  if (clientIds.length === 0) return '';
+  const format = ACCOUNTING_FORMATS[data.settings.format];
+
+  return `
+    <div class="bg-white rounded-lg shadow p-6 mb-6">
+        <h3 class="font-medium text-gray-900">Contacts</h3>
+        <p class="text-sm text-gray-600 mb-3">Invoices go against the contact with this name in ${escapeHtml(format.label)}. Leave it blank to use the client's name.</p>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+            ${clientIds.map(clientId => {
+              const client = viewClients.find(c => c.id === clientId);
+              const name = client?.name || batch.find(({ job }) => job.clientId === clientId).job.client || '';
+              return `
+                <label class="text-sm text-gray-700">${escapeHtml(name)}
+                    <input type="text" value="${escapeHtml(data.settings.contactNames[clientId] || '')}" placeholder="${escapeHtml(name)}"
+                        onchange="setAccountingContact('${clientId}', this.value)" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                </label>
+              `;
+            }).join('')}
+        </div>
+    </div>
+  `;
+}
+
+function renderCodes(settings) {
+  const codes = settings.codes[settings.format];
+  const input = (name, label) => `
+    <label class="text-sm text-gray-700">${label}
+        <input type="text" name="${name}" required value="${escapeHtml(codes[name])}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+    </label>
+  `;
+
+  return `
+    <div class="bg-white rounded-lg shadow p-6 mb-6">
+        <h3 class="font-medium text-gray-900">Account and tax codes</h3>
+        <p class="text-sm text-gray-600 mb-3">As they appear in your ${escapeHtml(ACCOUNTING_FORMATS[settings.format].label)} chart of accounts.</p>
+        <form onsubmit="event.preventDefault(); saveAccountingCodes(this);" class="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+            ${input('labourAccount', 'Labour income account')}
+            ${input('materialsAccount', 'Materials income account')}
+            ${input('gstTaxCode', 'Tax code with GST')}
+            ${input('noGstTaxCode', 'Tax code without GST')}
+            <button type="submit" class="md:col-span-4 bg-gray-800 text-white px-4 py-2 rounded-lg hover:bg-gray-900">Save codes</button>
+        </form>
+    </div>
+  `;
+}
+
+function renderHistory() {
+  if (data.records.length === 0) return '';
+  const memberName = (userId) => {
+    const member = viewMembers.find(m => m.userId === userId);
+    return member?.displayName || member?.email || '';
+  };
+
+  return `
+    <div class="bg-white rounded-lg shadow">
+        <h3 class="font-medium text-gray-900 p-6 pb-3">Past exports</h3>
+        ${data.records.map(record => `
+            <div class="flex flex-wrap items-center justify-between gap-2 px-6 py-3 border-t text-sm">
+                <div>
+                    <div class="text-gray-900">
+                        ${formatDate(record.exportedAt)} · ${escapeHtml(ACCOUNTING_FORMATS[record.format]?.label || record.format)} ·
+                        ${record.invoiceCount} invoice${record.invoiceCount === 1 ? '' : 's'} · ${formatMoney(record.totalCents)}
+                    </div>
+                    <div class="text-xs text-gray-500">
+                        ${escapeHtml(record.invoiceNumbers.slice(0, 8).join(', '))}${record.invoiceNumbers.length > 8 ? '...' : ''}
+                        ${memberName(record.exportedBy) ? ` · by ${escapeHtml(memberName(record.exportedBy))}` : ''}
+                    </div>
+                </div>
+                <div class="flex gap-3">
+                    <button onclick="downloadAccountingExport('${record.id}')" class="text-blue-600 hover:underline">Download again</button>
+                    <button onclick="undoExport('${record.id}')" class="text-gray-500 hover:text-red-600">Undo</button>
+                </div>
+            </div>
+        `).join('')}
+    </div>
+  `;
+}
+
+// Handlers
+
+async function saveSettings(changes, message) {
+  if (!data.businessId || !data.settings) return;
+  try {
+    await saveAccountingSettings(data.businessId, { ...data.settings, ...changes });
+    if (message) showNotification('Saved', message);
+  } catch (error) {
+    console.error('Error saving accounting settings:', error);
+    showNotification('Error', 'Failed to save accounting settings. Please try again.');
+  }
+}
+
+function setAccountingFormat(format) {
+  if (!ACCOUNTING_FORMATS[format]) return;
+  saveSettings({ format });
+}
+
+function setAccountingContact(clientId, name) {
+  const contactNames = { ...data.settings.contactNames };
+  if (name.trim()) contactNames[clientId] = name.trim();
+  else delete contactNames[clientId];
+  document.activeElement?.blur();
+  saveSettings({ contactNames });
+}
+
+function saveAccountingCodes(form) {
+  const { format } = data.settings;
+  const codes = {
+    ...data.settings.codes,
+    [format]: {
+      labourAccount: form.labourAccount.value.trim(),
+      materialsAccount: form.materialsAccount.value.trim(),
+      gstTaxCode: form.gstTaxCode.value.trim(),
+      noGstTaxCode: form.noGstTaxCode.value.trim()
+    }
+  };
+  document.activeElement?.blur();
+  saveSettings({ codes }, 'Account and tax codes updated');
+}
+
+function toggleAccountingPreview() {
+  showPreview = !showPreview;
+  rerender();
+}
+
+// The invoices are marked first, so a file is only downloaded for invoices
+// nobody else has exported
+async function exportToAccounting() {
+  if (exporting || !data.settings) return;
+  const { settings } = data;
+  const batch = selectInvoicesForExport(viewJobs, data.invoices).ready.slice(0, MAX_INVOICES_PER_EXPORT);
+  if (batch.length === 0) return;
+
+  const file = buildAccountingExport(settings.format, batch, settings, viewClients);
+  const fileName = getExportFileName(settings.format);
+
+  exporting = true;
+  rerender();
+  try {
+    await recordAccountingExport(data.businessId, {
+      format: settings.format,
+      invoices: batch.map(({ invoice }) => invoice),
+      fileName,
+      totalCents: file.totalCents,
+      userId: getSession().userId
+    });
+    downloadFile(file.csv, fileName, 'text/csv');
+    showPreview = false;
+    showNotification('Exported', `${batch.length} invoice${batch.length === 1 ? '' : 's'} exported for ${ACCOUNTING_FORMATS[settings.format].label}`);
+  } catch (error) {
+    console.error('Error exporting invoices:', error);
+    showNotification('Error', error.message || 'Failed to export. Please try again.');
+  } finally {
+    exporting = false;
+    rerender();
+  }
+}
+
+// Rebuilt from the invoices, which don't change once issued, with today's codes and contact names
+function downloadAccountingExport(recordId) {
+  const record = data.records.find(r => r.id === recordId);
+  if (!record) return;
+
+  const jobsById = new Map(viewJobs.map(job => [job.id, job]));
+  const entries = record.invoiceIds
+    .map(invoiceId => data.invoices.find(invoice => invoice.id === invoiceId))
+    .filter(Boolean)
+    .map(invoice => ({ invoice, job: jobsById.get(invoice.jobId) || { id: invoice.jobId, client: invoice.client } }));
+  const file = buildAccountingExport(record.format, entries, data.settings, viewClients);
+  downloadFile(file.csv, record.fileName || getExportFileName(record.format), 'text/csv');
+}
+
+async function undoExport(recordId) {
+  const record = data.records.find(r => r.id === recordId);
+  if (!record) return;
+  const contacts = [...new Set(record.invoiceIds
+    .map(invoiceId => data.invoices.find(invoice => invoice.id === invoiceId))
+    .filter(Boolean)
+    .map(invoice => getContactName(invoice, viewJobs.find(job => job.id === invoice.jobId), data.settings)))];
+  if (!confirm(`Put ${record.invoiceCount} invoice${record.invoiceCount === 1 ? '' : 's'} (${contacts.slice(0, 3).join(', ')}${contacts.length > 3 ? '...' : ''}) back in the export queue? Only do this if they didn't make it into your accounts.`)) return;
+
+  try {
+    await undoAccountingExport(record);
+  } catch (error) {
+    console.error('Error undoing export:', error);
+    showNotification('Error', 'Failed to undo the export. Please try again.');
+  }
+}
+
+// Export functions for inline handlers
+window.setAccountingFormat = setAccountingFormat;
+window.setAccountingContact = setAccountingContact;
+window.saveAccountingCodes = saveAccountingCodes;
+window.toggleAccountingPreview = toggleAccountingPreview;
+window.exportToAccounting = exportToAccounting;
+window.downloadAccountingExport = downloadAccountingExport;
+window.undoExport = undoExport;
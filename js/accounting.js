@@ -0,0 +1,176 @@
+// Accounting export - invoices for completed jobs as Xero and MYOB import files
+//
+// Kept free of Firebase imports like the job model. Exports work from the
+// issued invoice documents, so the file matches what the client was sent.
+// Amounts are ex GST with the GST worked out per line; any rounding cent is
+// put on the last line so each invoice's GST matches the invoice.
+import { GST_RATE, jobsWithStatus } from './job-model.js';
+import { centsToCsvAmount, toCsv } from './csv.js';
+import { toDate } from './schedule.js';
+
+export const ACCOUNTING_FORMATS = {
+  xero: { label: 'Xero', fileLabel: 'xero-sales-invoices' },
+  myob: { label: 'MYOB AccountRight', fileLabel: 'myob-service-sales' }
+};
+
+// Account and tax codes for each format, as set up in a new Australian file
+export const DEFAULT_ACCOUNTING_SETTINGS = {
+  format: 'xero',
+  codes: {
+    xero: { labourAccount: '200', materialsAccount: '200', gstTaxCode: 'GST on Income', noGstTaxCode: 'BAS Excluded' },
+    myob: { labourAccount: '4-1000', materialsAccount: '4-1000', gstTaxCode: 'GST', noGstTaxCode: 'N-T' }
+  },
+  // Client id -> the contact's name in the accounting file, where it differs
+  contactNames: {}
+};
+
+export function getAccountingSettings(settings) {
+  const codes = {};
+  for (const format of Object.keys(ACCOUNTING_FORMATS)) {
+    codes[format] = { ...DEFAULT_ACCOUNTING_SETTINGS.codes[format], ...settings?.codes?.[format] };
+  }
+  return {
+    ...DEFAULT_ACCOUNTING_SETTINGS,
+    ...settings,
+    format: ACCOUNTING_FORMATS[settings?.format] ? settings.format : DEFAULT_ACCOUNTING_SETTINGS.format,
+    codes,
+    contactNames: { ...settings?.contactNames }
+  };
+}
+
+export function isExported(invoice) {
+  return !!invoice.accountingExport?.id;
+}
+
+// Sort invoices for completed jobs into what can go in the next export.
+// Returns { ready, exported, notCompleted, notInvoiced } where the first three
+// are [{ invoice, job }] and notInvoiced lists completed jobs with no invoice.
+export function selectInvoicesForExport(jobs, invoices) {
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+  const completedIds = new Set(jobsWithStatus(jobs, 'completed').map(job => job.id));
+  const invoicedIds = new Set(invoices.map(invoice => invoice.jobId));
+
+  const result = { ready: [], exported: [], notCompleted: [], notInvoiced: [] };
+  for (const invoice of [...invoices].sort((a, b) => (a.sequence || 0) - (b.sequence || 0))) {
+    const job = jobsById.get(invoice.jobId);
+    if (!job) continue;
+    const entry = { invoice, job };
+    if (isExported(invoice)) result.exported.push(entry);
+    else if (completedIds.has(job.id)) result.ready.push(entry);
+    else result.notCompleted.push(entry);
+  }
+  result.notInvoiced = jobsWithStatus(jobs, 'completed').filter(job => !invoicedIds.has(job.id));
+  return result;
+}
+
+// The contact an invoice goes against: the mapped name if there is one,
+// otherwise the client's name as it was on the invoice
+export function getContactName(invoice, job, settings) {
+  const mapped = job?.clientId ? settings.contactNames[job.clientId] : '';
+  return (mapped || invoice.client || job?.client || 'Cash sale').trim();
+}
+
+// Each line's GST, with the invoice's rounding difference on the last line
+function allocateGst(invoice) {
+  const lines = invoice.lines || [];
+  if (!invoice.gstRegistered) return lines.map(() => 0);
+
+  const gst = lines.map(line => Math.round(line.totalCents * GST_RATE));
+  const difference = (invoice.gstCents || 0) - gst.reduce((sum, cents) => sum + cents, 0);
+  if (gst.length) gst[gst.length - 1] += difference;
+  return gst;
+}
+
+function formatAccountingDate(value) {
+  const date = toDate(value);
+  if (!date) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+}
+
+// One row per invoice line with everything the formats need
+function buildLineRows(entries, settings, format, clientsById) {
+  const codes = settings.codes[format];
+  return entries.map(({ invoice, job }) => {
+    const gst = allocateGst(invoice);
+    const client = job?.clientId ? clientsById.get(job.clientId) : null;
+    return (invoice.lines || []).map((line, index) => ({
+      contactName: getContactName(invoice, job, settings),
+      email: client?.email || '',
+      number: invoice.number,
+      reference: invoice.address || '',
+      issuedAt: formatAccountingDate(invoice.issuedAt),
+      dueDate: formatAccountingDate(invoice.dueDate),
+      termsDays: invoice.termsDays || 0,
+      description: line.description,
+      qty: line.qty,
+      unitPriceCents: line.unitPriceCents,
+      totalCents: line.totalCents,
+      gstCents: gst[index],
+      account: line.kind === 'labour' ? codes.labourAccount : codes.materialsAccount,
+      taxCode: invoice.gstRegistered ? codes.gstTaxCode : codes.noGstTaxCode
+    }));
+  });
+}
+
+// Xero's sales invoice import template. Import with amounts "Tax exclusive".
+const XERO_COLUMNS = [
+  { label: '*ContactName', value: row => row.contactName },
+  { label: 'EmailAddress', value: row => row.email },
+  { label: '*InvoiceNumber', value: row => row.number },
+  { label: 'Reference', value: row => row.reference },
+  { label: '*InvoiceDate', value: row => row.issuedAt },
+  { label: '*DueDate', value: row => row.dueDate },
+  { label: '*Description', value: row => row.description },
+  { label: '*Quantity', value: row => row.qty },
+  { label: '*UnitAmount', value: row => centsToCsvAmount(row.unitPriceCents) },
+  { label: '*AccountCode', value: row => row.account },
+  { label: '*TaxType', value: row => row.taxCode },
+  { label: 'TaxAmount', value: row => centsToCsvAmount(row.gstCents) },
+  { label: 'Currency', value: () => 'AUD' }
+];
+
+// MYOB AccountRight's service sales import. Each invoice is a block of lines
+// with a blank line between invoices. Terms code 2 is "in a given number of days".
+const MYOB_COLUMNS = [
+  { label: 'Co./Last Name', value: row => row.contactName },
+  { label: 'Invoice #', value: row => row.number },
+  { label: 'Date', value: row => row.issuedAt },
+  { label: 'Customer PO', value: row => row.reference },
+  { label: 'Description', value: row => row.qty === 1 ? row.description : `${row.description} (${row.qty} @ ${centsToCsvAmount(row.unitPriceCents)})` },
+  { label: 'Account #', value: row => row.account },
+  { label: 'Amount', value: row => centsToCsvAmount(row.totalCents) },
+  { label: 'Inc-Tax Amount', value: row => centsToCsvAmount(row.totalCents + row.gstCents) },
+  { label: 'Tax Code', value: row => row.taxCode },
+  { label: 'GST Amount', value: row => centsToCsvAmount(row.gstCents) },
+  { label: 'Terms - Payment is Due', value: () => 2 },
+  { label: '- Balance Due Days', value: row => row.termsDays },
+  { label: 'Journal Memo', value: row => `Sale; ${row.contactName}` }
+];
+
+// The import file for a set of { invoice, job } entries. Returns
+// { format, csv, rows, columns, invoiceCount, totalCents } - rows and columns
+// are for previewing the file before it's downloaded.
+export function buildAccountingExport(format, entries, settings, clients = []) {
+  const clientsById = new Map(clients.map(client => [client.id, client]));
+  const blocks = buildLineRows(entries, settings, format, clientsById);
+  const columns = format === 'myob' ? MYOB_COLUMNS : XERO_COLUMNS;
+
+  const csv = format === 'myob'
+    ? toCsv([], columns) + blocks.map(rows => toCsv(rows, columns, { header: false })).join('\r\n')
+    : toCsv(blocks.flat(), columns);
+
+  return {
+    format,
+    csv,
+    rows: blocks.flat(),
+    columns,
+    invoiceCount: entries.length,
+    totalCents: entries.reduce((sum, { invoice }) => sum + (invoice.totalCents || 0), 0)
+  };
+}
+
+export function getExportFileName(format, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${ACCOUNTING_FORMATS[format].fileLabel}-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.csv`;
+}
@@ -0,0 +1,55 @@
+// Job activity in Firestore - jobs/{jobId}/activity/{entryId}
+//
+// Entries are only ever added. Most are written in the same batch as the change
+// they record, so the change and its entry land together or not at all.
+// `at` is when the change was made (earlier than createdAt for edits made
+// offline); createdAt is the server's time and can't be faked.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  query,
+  where,
+  onSnapshot,
+  writeBatch,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { getSession } from './session.js';
+import { toDate } from './schedule.js';
+
+// Queue an entry in a batch. Jobs from before businesses have nowhere to log to.
+export function addActivity(batch, job, entry, { at = Timestamp.now() } = {}) {
+  if (!job.businessId) return;
+  batch.set(doc(collection(db, 'jobs', job.id, 'activity')), {
+    ...entry,
+    pricing: !!entry.pricing,
+    businessId: job.businessId,
+    jobId: job.id,
+    userId: getSession().userId,
+    at,
+    createdAt: serverTimestamp()
+  });
+}
+
+// Write an entry on its own, e.g. a note
+export async function recordActivity(job, entry) {
+  const batch = writeBatch(db);
+  addActivity(batch, job, entry);
+  await batch.commit();
+}
+
+// A job's timeline, newest first. Without `pricing` only entries that don't
+// mention prices are asked for, which is all field staff can read.
+export function subscribeToJobActivity(job, { pricing }, callback) {
+  const constraints = [where('businessId', '==', job.businessId)];
+  if (!pricing) constraints.push(where('pricing', '==', false));
+
+  return onSnapshot(query(collection(db, 'jobs', job.id, 'activity'), ...constraints), (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (toDate(b.at)?.getTime() || 0) - (toDate(a.at)?.getTime() || 0)));
+  }, (error) => {
+    console.error('Error loading job activity:', error);
+  });
+}
@@ -0,0 +1,279 @@
+// Job activity - the timeline of who changed what on a job, and when
+//
+// Kept free of Firebase imports like the job model. Entries are built here and
+// written by activity-store.js to jobs/{jobId}/activity, which nobody can edit
+// or delete. Changes to prices are kept in separate entries marked `pricing`,
+// so field staff see the timeline without seeing what the job is worth.
+import { PRICING_FIELDS, formatMoney, getStatusLabel, getTradeLabel, normaliseStatus } from './job-model.js';
+import { toDate } from './schedule.js';
+
+export const ACTIVITY_TYPES = {
+  created: { label: 'Created', icon: 'fa-plus' },
+  status: { label: 'Status', icon: 'fa-arrow-right' },
+  fields: { label: 'Changes', icon: 'fa-pen' },
+  note: { label: 'Notes', icon: 'fa-comment' },
+  attachment: { label: 'Photos & files', icon: 'fa-paperclip' },
+  message: { label: 'Messages', icon: 'fa-paper-plane' },
+  form: { label: 'Safety forms', icon: 'fa-clipboard-check' },
+  quote: { label: 'Quotes', icon: 'fa-file-signature' }
+};
+
+// Fields that change as a side effect of other changes, or aren't shown to anyone
+const IGNORED_FIELDS = ['status', 'statusHistory', 'updatedAt', 'createdAt', 'pendingSync', 'userId', 'businessId', 'clientId', 'assignedUserId', 'location', 'seriesId', 'occurrence'];
+
+const FIELD_LABELS = {
+  client: 'Client',
+  address: 'Address',
+  trade: 'Trade',
+  summary: 'Summary',
+  transcript: 'Notes from site',
+  recordings: 'Voice memos',
+  tasks: 'Tasks',
+  materials: 'Materials',
+  labour: 'Labour',
+  valueCents: 'Job value',
+  assignedWorker: 'Assigned to',
+  scheduledStart: 'Start',
+  scheduledEnd: 'Finish',
+  dueDate: 'Service due'
+};
+
+const MAX_TEXT = 80;
+
+function getFieldLabel(field) {
+  return FIELD_LABELS[field] || field.replace(/([A-Z])/g, ' $1').replace(/^./, letter => letter.toUpperCase());
+}
+
+function shorten(text) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  return flat.length > MAX_TEXT ? `${flat.slice(0, MAX_TEXT - 1)}…` : flat;
+}
+
+// A field's value as short readable text
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === '') return 'blank';
+  if (field === 'trade') return getTradeLabel(value);
+  if (field.endsWith('Cents')) return formatMoney(value);
+  const date = typeof value === 'object' ? toDate(value) : null;
+  if (date && field === 'dueDate') return date.toLocaleDateString('en-AU', { dateStyle: 'medium' });
+  if (date) return date.toLocaleString('en-AU', { dateStyle: 'medium', timeStyle: 'short' });
+  if (typeof value === 'object') return JSON.stringify(value);
+  return shorten(value);
+}
+
+function isSame(a, b) {
+  const dateA = a && typeof a === 'object' ? toDate(a) : null;
+  const dateB = b && typeof b === 'object' ? toDate(b) : null;
+  if (dateA || dateB) return dateA?.getTime() === dateB?.getTime();
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function describeQty(item) {
+  return `${Number(item.qty) || 0} ${item.unit || 'ea'}`;
+}
+
+// Item-level changes to a list stored by id (tasks, materials, labour)
+function diffItems(field, before = [], after = []) {
+  const label = getFieldLabel(field);
+  const oldById = new Map(before.map(item => [item.id, item]));
+  const newIds = new Set(after.map(item => item.id));
+  const changes = [];
+  const change = (text, pricing = false) => changes.push({ field, label, text, pricing });
+
+  after.forEach(item => {
+    const old = oldById.get(item.id);
+    if (field === 'tasks') {
+      if (!old) change(`Added "${shorten(item.text)}"`);
+      else {
+        if (old.text !== item.text) change(`"${shorten(old.text)}" renamed to "${shorten(item.text)}"`);
+        if (!!old.completed !== !!item.completed) change(`${item.completed ? 'Ticked off' : 'Unticked'} "${shorten(item.text)}"`);
+      }
+    } else if (field === 'materials') {
+      if (!old) {
+        change(`Added ${describeQty(item)} ${shorten(item.name)}`);
+        if (item.costCents || Number.isInteger(item.sellCents)) {
+          change(`${shorten(item.name)} costs ${formatMoney(item.costCents || 0)}${Number.isInteger(item.sellCents) ? `, sells at ${formatMoney(item.sellCents)}` : ''}`, true);
+        }
+      } else {
+        if (old.name !== item.name) change(`"${shorten(old.name)}" renamed to "${shorten(item.name)}"`);
+        if (describeQty(old) !== describeQty(item)) change(`${shorten(item.name)}: ${describeQty(old)} to ${describeQty(item)}`);
+        if ((old.costCents || 0) !== (item.costCents || 0)) {
+          change(`${shorten(item.name)} cost: ${formatMoney(old.costCents || 0)} to ${formatMoney(item.costCents || 0)}`, true);
+        }
+        if (old.sellCents !== item.sellCents) {
+          const sell = (cents) => Number.isInteger(cents) ? formatMoney(cents) : 'cost price';
+          change(`${shorten(item.name)} sell price: ${sell(old.sellCents)} to ${sell(item.sellCents)}`, true);
+        }
+      }
+    } else if (field === 'labour') {
+      const describe = (line) => `${shorten(line.description || 'Labour')} ${Number(line.hours) || 0} hr at ${formatMoney(line.rateCents || 0)}/hr`;
+      if (!old) change(`Added ${describe(item)}`, true);
+      else if (describe(old) !== describe(item)) change(`${describe(old)} changed to ${describe(item)}`, true);
+    }
+  });
+
+  before.filter(item => !newIds.has(item.id)).forEach(item => {
+    if (field === 'tasks') change(`Removed "${shorten(item.text)}"`);
+    else if (field === 'materials') change(`Removed ${describeQty(item)} ${shorten(item.name)}`);
+    else change(`Removed ${shorten(item.description || 'Labour')}`, true);
+  });
+  return changes;
+}
+
+// Field-level changes between a job and the fields written to it. Each change
+// is { field, label, from, to } or { field, label, text }, with `pricing` set
+// for prices and costs.
+export function diffJobFields(before, fields) {
+  const changes = [];
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const old = before?.[field];
+    if (isSame(old, value)) return;
+
+    if (['tasks', 'materials', 'labour'].includes(field)) {
+      changes.push(...diffItems(field, old || [], value || []));
+    } else if (field === 'recordings') {
+      const added = (value || []).length - (old || []).length;
+      changes.push({ field, label: getFieldLabel(field), text: added > 0 ? `Added ${added === 1 ? 'a voice memo' : `${added} voice memos`}` : 'Removed a voice memo', pricing: false });
+    } else {
+      changes.push({
+        field,
+        label: getFieldLabel(field),
+        from: formatValue(field, old),
+        to: formatValue(field, value),
+        pricing: PRICING_FIELDS.includes(field)
+      });
+    }
+  });
+  return changes;
+}
+
+// Timeline entries for an update to a job: a status entry when the status
+// moves, and entries for everything else that changed. Leave out `pricing`
+// for roles that can't see prices.
+export function buildJobActivity(before, fields, { pricing = true } = {}) {
+  const entries = [];
+
+  if ('status' in fields && normaliseStatus(fields.status) !== normaliseStatus(before?.status)) {
+    const from = normaliseStatus(before?.status);
+    const to = normaliseStatus(fields.status);
+    const note = (fields.statusHistory || []).slice(-1)[0]?.note || '';
+    entries.push({
+      type: 'status',
+      summary: `Moved from ${getStatusLabel(from).toLowerCase()} to ${getStatusLabel(to).toLowerCase()}${note ? ` - ${note}` : ''}`,
+      from,
+      to,
+      pricing: false
+    });
+  }
+
+  // The flag moves from each change to the entry it ends up in
+  const changes = diffJobFields(before, fields);
+  const general = changes.filter(change => !change.pricing).map(({ pricing, ...change }) => change);
+  const priced = changes.filter(change => change.pricing).map(({ pricing, ...change }) => change);
+
+  if (general.length) {
+    entries.push({ type: 'fields', summary: `Changed ${listLabels(general)}`, changes: general, pricing: false });
+  }
+  if (pricing && priced.length) {
+    entries.push({ type: 'fields', summary: `Changed pricing: ${listLabels(priced)}`, changes: priced, pricing: true });
+  }
+  return entries;
+}
+
+function listLabels(changes) {
+  const labels = [...new Set(changes.map(change => change.label.toLowerCase()))];
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+}
+
+export function createdActivity(job) {
+  return { type: 'created', summary: `Created the job${job.client ? ` for ${job.client}` : ''}`, pricing: false };
+}
+
+// Jobs brought in from a spreadsheet
+export function importedActivity(job, fileName) {
+  return { type: 'created', summary: `Imported the job${job.client ? ` for ${job.client}` : ''} from ${shorten(fileName)}`, pricing: false };
+}
+
+// Jobs put back from a backup. `exportedAt` is when the backup was taken.
+export function restoredActivity(exportedAt) {
+  const date = toDate(exportedAt);
+  return {
+    type: 'created',
+    summary: `Restored the job from a backup${date ? ` taken on ${date.toLocaleDateString('en-AU', { dateStyle: 'medium' })}` : ''}`,
+    pricing: false
+  };
+}
+
+export function noteActivity(text) {
+  const note = (text || '').trim();
+  if (!note) throw new Error('Write a note first');
+  return { type: 'note', summary: note, pricing: false };
+}
+
+// `action` is 'added' or 'removed'
+export function attachmentActivity(attachment, action) {
+  const what = attachment.kind === 'photo' ? 'photo' : 'file';
+  const name = attachment.caption || attachment.fileName || '';
+  return {
+    type: 'attachment',
+    summary: `${action === 'removed' ? 'Removed' : 'Added'} ${what}${name ? ` "${shorten(name)}"` : ''}`,
+    attachmentId: attachment.id || null,
+    pricing: false
+  };
+}
+
+// `eventLabel` is the message event's label, e.g. 'Booking confirmation'
+export function messageActivity(message, eventLabel, { sent = true, error = '' } = {}) {
+  const channel = message.channel === 'sms' ? 'Text' : 'Email';
+  return {
+    type: 'message',
+    summary: sent
+      ? `${channel} sent to ${message.to}: ${eventLabel}`
+      : `${channel} to ${message.to} failed: ${eventLabel}${error ? ` (${shorten(error)})` : ''}`,
+    messageId: message.id || null,
+    pricing: false
+  };
+}
+
+// `action` is 'started', 'completed', 'reopened' or 'deleted'
+export function formActivity(form, action) {
+  const verbs = { started: 'Started', completed: 'Completed', reopened: 'Reopened', deleted: 'Deleted' };
+  return {
+    type: 'form',
+    summary: `${verbs[action] || action} ${form.name}`,
+    formId: form.id || null,
+    pricing: false
+  };
+}
+
+// The client's answer to a quote through its share link
+export function quoteResponseActivity(share) {
+  const response = share.response || {};
+  return {
+    type: 'quote',
+    summary: `Quote ${share.number} ${response.decision === 'accepted' ? 'accepted' : 'declined'} online by ${shorten(response.signerName || 'the client')}${response.ip ? ` (reported IP ${response.ip})` : ''}`,
+    quoteId: share.quoteId || null,
+    pricing: false
+  };
+}
+
+// A change as one line of text
+export function describeChange(change) {
+  return change.text || `${change.label}: ${change.from} to ${change.to}`;
+}
+
+// Entries newest first, grouped by day: [{ day: Date, entries }]
+export function groupActivityByDay(entries) {
+  const sorted = [...entries].sort((a, b) => (toDate(b.at)?.getTime() || 0) - (toDate(a.at)?.getTime() || 0));
+  const groups = [];
+  sorted.forEach(entry => {
+    const at = toDate(entry.at) || new Date(0);
+    const day = new Date(at.getFullYear(), at.getMonth(), at.getDate());
+    const last = groups[groups.length - 1];
+    if (last && last.day.getTime() === day.getTime()) last.entries.push(entry);
+    else groups.push({ day, entries: [entry] });
+  });
+  return groups;
+}
@@ -0,0 +1,1670 @@
+// TradieIQ - Real database integration app
+import { auth, db } from './firebase-config.js';
+import { 
+  collection, 
+  doc, 
+  getDocs, 
+  updateDoc, 
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  Timestamp
+} from 'firebase/firestore';
+import { 
+  signInWithEmail, 
+  signUpWithEmail, 
+  signInWithGoogle,
+  signOutUser,
+  onAuthStateChange,
+  getCurrentUser,
+  getAuthErrorMessage,
+  needsEmailVerification,
+  refreshCurrentUser,
+  sendPasswordReset,
+  sendVerification
+} from './auth.js';
+import { AUTH_ROUTES, navigate, startRouter } from './router.js';
+import { renderJobDetail, resetJobDetail } from './job-detail.js';
+import {
+  formatMoney,
+  getJobValueCents,
+  getStatusLabel,
+  initialStatus,
+  jobsWithStatus,
+  mergeJobPricing,
+  normaliseStatus,
+  parseMoneyToCents,
+  sumJobValues,
+  transitionStatus
+} from './job-model.js';
+import { linkJobsToClients, migrateToBusiness, migrateUserJobs } from './job-migration.js';
+import { addClientSite, createClient, subscribeToClients } from './clients.js';
+import { renderClientView } from './client-view.js';
+import { promptNewJobDetails } from './new-job-form.js';
+import { renderCalendarView } from './calendar-view.js';
+import { renderReportsView, resetReportsView } from './reports-view.js';
+import { renderAccountingView, resetAccountingView } from './accounting-view.js';
+import { subscribeToLabourSettings, subscribeToTimeEntries } from './time-tracking.js';
+import { subscribeToJobTemplates, subscribeToPriceBook } from './price-book-store.js';
+import { applyTemplate } from './price-book.js';
+import { renderPriceBookView, resetPriceBookView } from './price-book-view.js';
+import { renderTemplatesView, resetTemplatesView } from './templates-view.js';
+import { renderMessageTemplatesView, resetMessageTemplatesView } from './message-templates-view.js';
+import { sendDueReminders, subscribeToMessageTemplates } from './messaging.js';
+import { findDueReminders, getMessageTemplates } from './notifications.js';
+import { subscribeToFormTemplates, updateRequiredForms } from './safety-forms-store.js';
+import { buildRequiredForms, isSameRequiredForms } from './safety-forms.js';
+import { renderFormsView, resetFormsView } from './forms-view.js';
+import { renderImportExportView, resetImportExportView } from './import-export-view.js';
+import { setMessagingData } from './client-messages.js';
+import { getJobProfit, setTimeTrackingData } from './job-time.js';
+import { costTimeEntries } from './timesheets.js';
+import { jobsOnDay, formatTime, toDate } from './schedule.js';
+import {
+  acceptInvite,
+  listInvitesForEmail,
+  resolveUserBusiness,
+  subscribeToBusiness,
+  subscribeToInvites,
+  subscribeToMembers
+} from './business.js';
+import { canManageTeam, canSeeAllJobs, canSeePricing, clearSession, getSession, isStaffRole, setSession } from './session.js';
+import { renderJoinBusiness, renderTeamView } from './team-view.js';
+import { renderSettingsView } from './settings-view.js';
+import { registerServiceWorker, watchInstallPrompt, onInstallAvailabilityChange } from './pwa.js';
+import { renderJobsView, resetJobsView } from './jobs-view.js';
+import { renderMapView, resetMapView } from './map-view.js';
+import { subscribeToTravelEntries } from './travel-log.js';
+import { setTravelData } from './job-travel.js';
+import { createSeriesOccurrence, endJobSeries, subscribeToJobSeries } from './job-series-store.js';
+import { buildOccurrenceJob, daysBetween, findSeriesToAdvance, getServicesDue } from './recurrence.js';
+import { setSeriesData } from './job-series.js';
+import { applyQuoteResponse, subscribeToQuoteShares } from './quote-share-store.js';
+import { findResponsesToApply } from './quote-share.js';
+import { createNominatimGeocoder, setGeocoder } from './geocoder.js';
+import { createHttpMessageTransport, isMessagingAvailable, mockMessageTransport, setMessageTransport } from './message-transport.js';
+import { applyOutbox, createJobDoc, getOutbox, initOutbox, stopOutbox, updateJobDoc } from './outbox.js';
+import {
+  escapeHtml,
+  formatDate,
+  getStatusColor,
+  showNotification,
+  updateElement
+} from './utils.js';
+
+// Application State
+let currentView = 'loading';
+let currentRoute = null;
+let stopRouter = null;
+let jobs = [];
+let snapshotJobs = [];
+let currentJobId = null;
+let clients = [];
+let currentClientId = null;
+let currentUser = null;
+let currentBusiness = null;
+let members = [];
+let businessInvites = [];
+let myInvites = [];
+let pricingById = new Map();
+let timeEntries = [];
+let travelEntries = [];
+let labourSettings = null;
+let priceItems = [];
+let jobTemplates = [];
+let messageTemplates = getMessageTemplates();
+let formTemplates = [];
+let jobSeries = [];
+let quoteShares = [];
+let businessUnsubscribe = null;
+let jobsUnsubscribe = null;
+let clientsUnsubscribe = null;
+let pricingUnsubscribe = null;
+let membersUnsubscribe = null;
+let invitesUnsubscribe = null;
+let timeEntriesUnsubscribe = null;
+let travelEntriesUnsubscribe = null;
+let labourUnsubscribe = null;
+let priceBookUnsubscribe = null;
+let templatesUnsubscribe = null;
+let messageTemplatesUnsubscribe = null;
+let formTemplatesUnsubscribe = null;
+let jobSeriesUnsubscribe = null;
+let quoteSharesUnsubscribe = null;
+
+// Day-before reminders already tried this session (see checkReminders)
+let remindersTried = new Set();
+
+// Recurring job occurrences already tried this session (see advanceJobSeries)
+let seriesTried = new Set();
+
+// Clients' answers to quotes already tried this session (see applyQuoteResponses)
+let responsesTried = new Set();
+
+// Lists of required forms already tried this session (see syncRequiredForms)
+let requiredFormsTried = new Set();
+
+// Deep links wait for the first snapshot before deciding a job or client doesn't exist
+let jobsLoaded = false;
+let clientsLoaded = false;
+let messageTemplatesLoaded = false;
+let jobSeriesLoaded = false;
+let quoteSharesLoaded = false;
+let formTemplatesLoaded = false;
+
+// Whether the jobs have come from the server rather than the offline cache,
+// which can be missing services another device just created
+let jobsFromServer = false;
+
+// Business and display name entered at sign-up, used when the new account's business is created
+let pendingBusinessName = '';
+let pendingDisplayName = '';
+
+// Initialize app when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  console.log('TradieIQ app initializing...');
+  initializeApp();
+});
+
+// Initialize the application
+function initializeApp() {
+  setupEventListeners();
+  
+  // Addresses stay in the app (and off the map) until a geocoder is configured
+  if (import.meta.env.VITE_GEOCODER_URL) {
+    setGeocoder(createNominatimGeocoder({ endpoint: import.meta.env.VITE_GEOCODER_URL, email: import.meta.env.VITE_GEOCODER_EMAIL || '' }));
+  }
+  
+  // Client emails and texts go through a relay holding the provider keys; it's
+  // told who is sending. Against the emulators they're kept in a test outbox.
+  if (import.meta.env.VITE_MESSAGE_RELAY_URL) {
+    setMessageTransport(createHttpMessageTransport({
+      endpoint: import.meta.env.VITE_MESSAGE_RELAY_URL,
+      name: 'relay',
+      getHeaders: async () => ({ Authorization: `Bearer ${await auth.currentUser.getIdToken()}` })
+    }));
+  } else if (import.meta.env.VITE_FIREBASE_EMULATORS === 'true') {
+    setMessageTransport(mockMessageTransport);
+  }
+  
+  // Installable app with the shell cached for no reception
+  registerServiceWorker();
+  watchInstallPrompt();
+  onInstallAvailabilityChange(refreshSettingsView);
+  
+  // Keep the offline indicator current
+  window.addEventListener('online', renderOutboxStatus);
+  window.addEventListener('offline', renderOutboxStatus);
+  
+  // Check authentication state
+  onAuthStateChange((user) => {
+    console.log('Auth state changed:', user ? user.email : 'No user');
+    currentUser = user;
+    
+    if (user) {
+      // User is authenticated
+      updateUserDisplay(user);
+      loadUserData(user);
+    } else {
+      // User is not authenticated. The URL is left alone so a deep link
+      // opens once they've signed in.
+      clearUserData();
+      showView('signIn');
+    }
+    hideLoading();
+    
+    if (!stopRouter) stopRouter = startRouter(handleRoute);
+  });
+}
+
+// Setup event listeners
+function setupEventListeners() {
+  // Sign in form
+  const signInForm = document.getElementById('signInForm');
+  if (signInForm) {
+    signInForm.addEventListener('submit', handleSignIn);
+  }
+  
+  // Sign up form
+  const signUpForm = document.getElementById('signUpForm');
+  if (signUpForm) {
+    signUpForm.addEventListener('submit', handleSignUp);
+  }
+  
+  // Password reset form
+  const resetPasswordForm = document.getElementById('resetPasswordForm');
+  if (resetPasswordForm) {
+    resetPasswordForm.addEventListener('submit', handlePasswordReset);
+  }
+}
+
+// Authentication handlers
+async function handleSignIn(event) {
+  event.preventDefault();
+  console.log('Attempting sign in...');
+  
+  const email = document.getElementById('emailInput').value;
+  const password = document.getElementById('passwordInput').value;
+  const signInBtn = document.getElementById('signInBtn');
+  
+  // Validate inputs
+  if (!email || !password) {
+    showNotification('Error', 'Please enter both email and password');
+    return;
+  }
+
+  // Show loading state
+  signInBtn.textContent = 'Signing in...';
+  signInBtn.disabled = true;
+  
+  try {
+    const result = await signInWithEmail(email, password);
+    console.log('Sign in result:', result.success);
+    
+    if (result.success) {
+      showNotification('Welcome back!', `Signed in as ${email}`);
+      // onAuthStateChange will handle the redirect
+    } else {
+      showNotification('Sign In Failed', getAuthErrorMessage(result.code, `Error: ${result.error}`));
+      console.error('Authentication failed:', result.error);
+    }
+  } catch (error) {
+    console.error('Sign in error:', error);
+    showNotification('Error', 'An unexpected error occurred. Please try again.');
+  } finally {
+    // Reset button state
+    signInBtn.textContent = 'Sign In';
+    signInBtn.disabled = false;
+  }
+}
+
+// Handle sign up
+async function handleSignUp(event) {
+  event.preventDefault();
+  
+  const form = event.target;
+  const signUpBtn = document.getElementById('signUpBtn');
+  const email = form.email.value.trim();
+  const password = form.password.value;
+  
+  if (password !== form.confirmPassword.value) {
+    showNotification('Error', 'Passwords do not match');
+    return;
+  }
+  
+  // Picked up by loadUserData when the new account signs in
+  pendingBusinessName = form.businessName.value.trim();
+  pendingDisplayName = form.displayName.value.trim();
+  
+  signUpBtn.textContent = 'Creating account...';
+  signUpBtn.disabled = true;
+  
+  try {
+    console.log('Creating new account for:', email);
+    const result = await signUpWithEmail(email, password, pendingDisplayName);
+    
+    if (result.success) {
+      form.reset();
+      showNotification('Account Created!', `Welcome to TradieIQ! We've sent a verification link to ${email}.`);
+      // onAuthStateChange will handle the redirect
+    } else {
+      pendingBusinessName = '';
+      pendingDisplayName = '';
+      showNotification('Sign Up Failed', getAuthErrorMessage(result.code, `Error: ${result.error}`));
+      console.error('Sign up failed:', result.error);
+    }
+  } catch (error) {
+    console.error('Sign up error:', error);
+    showNotification('Error', 'An unexpected error occurred during sign up.');
+  } finally {
+    signUpBtn.textContent = 'Create Account';
+    signUpBtn.disabled = false;
+  }
+}
+
+// Google accounts go through the same business setup as any new sign-in
+async function handleGoogleSignIn() {
+  const result = await signInWithGoogle();
+  if (result.success) {
+    showNotification('Welcome!', `Signed in as ${result.user.email}`);
+    return;
+  }
+  
+  // Closing the popup isn't an error
+  if (['auth/popup-closed-by-user', 'auth/cancelled-popup-request'].includes(result.code)) return;
+  showNotification('Sign In Failed', getAuthErrorMessage(result.code, `Error: ${result.error}`));
+}
+
+async function handlePasswordReset(event) {
+  event.preventDefault();
+  
+  const form = event.target;
+  const email = form.email.value.trim();
+  const resetBtn = document.getElementById('resetPasswordBtn');
+  resetBtn.disabled = true;
+  
+  try {
+    const result = await sendPasswordReset(email);
+    // Unknown addresses get the same message, so this can't be used to find accounts
+    if (result.success || result.code === 'auth/user-not-found') {
+      showNotification('Check Your Email', `If ${email} has an account, a reset link is on its way`);
+      form.reset();
+      navigate('signIn', {}, { replace: true });
+    } else {
+      showNotification('Reset Failed', getAuthErrorMessage(result.code, `Error: ${result.error}`));
+    }
+  } finally {
+    resetBtn.disabled = false;
+  }
+}
+
+// Show the sign in, sign up or reset panel for an auth route
+function showAuthPanel(name) {
+  document.querySelectorAll('[data-auth-panel]').forEach(panel => {
+    panel.classList.toggle('hidden', panel.dataset.authPanel !== name);
+  });
+}
+
+// Update user display - the name saved on the profile page wins over the auth profile
+function updateUserDisplay(user) {
+  // Update user name display
+  const userDisplayName = document.getElementById('userDisplayName');
+  const userEmail = document.getElementById('userEmail');
+  const welcomeUserName = document.getElementById('welcomeUserName');
+  
+  const me = members.find(member => member.userId === user.uid);
+  const displayName = me?.displayName || user.displayName || user.email.split('@')[0];
+  const initials = displayName.split(' ').filter(Boolean).map(n => n[0]).join('').slice(0, 2).toUpperCase();
+  
+  if (userDisplayName) userDisplayName.textContent = displayName;
+  if (userEmail) userEmail.textContent = user.email;
+  if (welcomeUserName) welcomeUserName.textContent = displayName.split(' ')[0];
+  // Shown in both the phone header and the desktop side rail
+  document.querySelectorAll('[data-user-initials]').forEach(el => { el.textContent = initials; });
+  document.querySelectorAll('[data-business-name]').forEach(el => { el.textContent = currentBusiness?.name || ''; });
+  
+  renderVerifyBanner(user);
+}
+
+// Nudge password accounts to verify their email; invites can't be accepted until they do
+function renderVerifyBanner(user) {
+  const banner = document.getElementById('verifyEmailBanner');
+  if (!banner) return;
+  
+  if (!needsEmailVerification(user)) {
+    banner.classList.add('hidden');
+    banner.innerHTML = '';
+    return;
+  }
+  
+  banner.classList.remove('hidden');
+  banner.innerHTML = `
+    <div class="flex flex-wrap items-center gap-2 px-6 py-3 bg-orange-50 border-b border-orange-200 text-sm text-orange-800">
+        <i class="fas fa-envelope"></i>
+        <span class="flex-1">Please verify your email address - we sent a link to ${escapeHtml(user.email)}.</span>
+        <button onclick="sendVerificationEmail()" class="underline">Resend</button>
+        <button onclick="checkEmailVerified()" class="underline">I've verified it</button>
+    </div>
+  `;
+}
+
+async function checkEmailVerified() {
+  try {
+    const user = await refreshCurrentUser();
+    if (!user) return;
+    
+    if (user.emailVerified) {
+      showNotification('Email Verified', 'Thanks for confirming your email address');
+    } else {
+      showNotification('Not Verified Yet', 'Open the link in the email we sent, then try again');
+    }
+    updateUserDisplay(user);
+    refreshTeamView();
+    refreshSettingsView();
+  } catch (error) {
+    console.error('Error checking verification:', error);
+    showNotification('Error', 'Failed to check your verification. Please try again.');
+  }
+}
+
+// Clear user data
+function clearUserData() {
+  jobs = [];
+  snapshotJobs = [];
+  jobsLoaded = false;
+  jobsFromServer = false;
+  clientsLoaded = false;
+  messageTemplatesLoaded = false;
+  jobSeriesLoaded = false;
+  quoteSharesLoaded = false;
+  formTemplatesLoaded = false;
+  pricingById = new Map();
+  stopOutbox();
+  currentJobId = null;
+  clients = [];
+  currentClientId = null;
+  currentBusiness = null;
+  members = [];
+  businessInvites = [];
+  myInvites = [];
+  timeEntries = [];
+  travelEntries = [];
+  labourSettings = null;
+  priceItems = [];
+  jobTemplates = [];
+  messageTemplates = getMessageTemplates();
+  formTemplates = [];
+  jobSeries = [];
+  quoteShares = [];
+  remindersTried = new Set();
+  seriesTried = new Set();
+  responsesTried = new Set();
+  requiredFormsTried = new Set();
+  setTimeTrackingData({ entries: [], settings: null, gst: true });
+  setTravelData({ entries: [] });
+  setSeriesData({ series: [], jobs: [], clients: [], templates: [], members: [] });
+  setMessagingData({ clients: [], business: null, templates: messageTemplates });
+  clearSession();
+  resetJobDetail();
+  resetJobsView();
+  resetReportsView();
+  resetAccountingView();
+  resetPriceBookView();
+  resetTemplatesView();
+  resetMessageTemplatesView();
+  resetFormsView();
+  resetImportExportView();
+  resetMapView();
+  [businessUnsubscribe, jobsUnsubscribe, clientsUnsubscribe, pricingUnsubscribe, membersUnsubscribe, invitesUnsubscribe,
+    timeEntriesUnsubscribe, travelEntriesUnsubscribe, labourUnsubscribe, priceBookUnsubscribe, templatesUnsubscribe,
+    messageTemplatesUnsubscribe, formTemplatesUnsubscribe, jobSeriesUnsubscribe, quoteSharesUnsubscribe]
+    .forEach(unsubscribe => unsubscribe && unsubscribe());
+  businessUnsubscribe = null;
+  jobsUnsubscribe = null;
+  clientsUnsubscribe = null;
+  pricingUnsubscribe = null;
+  membersUnsubscribe = null;
+  invitesUnsubscribe = null;
+  timeEntriesUnsubscribe = null;
+  travelEntriesUnsubscribe = null;
+  labourUnsubscribe = null;
+  priceBookUnsubscribe = null;
+  templatesUnsubscribe = null;
+  messageTemplatesUnsubscribe = null;
+  formTemplatesUnsubscribe = null;
+  jobSeriesUnsubscribe = null;
+  quoteSharesUnsubscribe = null;
+  updateDashboardStats();
+}
+
+// Work out the user's business and role, then load its data
+async function loadUserData(user) {
+  let context;
+  try {
+    console.log('Loading data for user:', user.uid);
+    context = await resolveUserBusiness(user, { businessName: pendingBusinessName, displayName: pendingDisplayName });
+    pendingBusinessName = '';
+    pendingDisplayName = '';
+  } catch (error) {
+    console.error('Error loading business:', error);
+    showNotification('Error', 'Failed to load your business. Please try again.');
+    return;
+  }
+  
+  // Invited but not in a business yet - let them choose
+  if (!context.business) {
+    myInvites = context.invites;
+    showView('team');
+    renderJoinBusiness(myInvites, { emailVerified: user.emailVerified });
+    return;
+  }
+  
+  listInvitesForEmail(user.email)
+    .then(invites => {
+      myInvites = invites.filter(invite => invite.businessId !== context.business.id);
+      refreshTeamView();
+    })
+    .catch(error => console.error('Error loading invites:', error));
+  
+  startBusinessSession(user, context.business, context.role);
+}
+
+function startBusinessSession(user, business, role) {
+  const userId = user.uid;
+  const businessId = business.id;
+  currentBusiness = business;
+  setSession({ userId, businessId, businessName: business.name, role });
+  setMessagingData({ business });
+  setTimeTrackingData({ gst: isGstRegistered() });
+  updateUserDisplay(user);
+  renderRoute();
+  
+  try {
+    // Bring any old-format documents up to date and into the business. Not
+    // awaited - offline the batch only commits once we're back in range, and
+    // the listener shouldn't wait.
+    if (role === 'owner') {
+      migrateUserJobs(userId)
+        .then(() => migrateToBusiness(userId, businessId))
+        .then(() => linkJobsToClients({ userId, businessId }))
+        .catch(error => {
+          console.error('Error migrating jobs:', error);
+        });
+    }
+    
+    // Name and profile edits show up straight away
+    businessUnsubscribe = subscribeToBusiness(businessId, (latest) => {
+      currentBusiness = latest;
+      setMessagingData({ business: latest });
+      setTimeTrackingData({ gst: isGstRegistered() });
+      setSession({ ...getSession(), businessName: latest.name });
+      refreshTimeTracking();
+      updateUserDisplay(user);
+      refreshTeamView();
+      refreshSettingsView();
+      refreshMapView();
+      syncRequiredForms();
+    });
+    
+    // Writes queued while offline sync from here and show as pending
+    initOutbox(userId, {
+      onChange: refreshJobs,
+      onSynced: handleOutboxSynced,
+      onWriteFailed: handleJobWriteFailed
+    });
+    
+    clientsUnsubscribe = subscribeToClients(businessId, (clientList) => {
+      clients = clientList;
+      clientsLoaded = true;
+      setMessagingData({ clients });
+      setSeriesData({ clients });
+      checkReminders();
+      renderClients();
+      refreshClientView();
+      refreshJobDetail();
+      refreshAccountingView();
+      refreshImportExportView();
+    });
+    
+    membersUnsubscribe = subscribeToMembers(businessId, (memberList) => {
+      members = memberList;
+      
+      // Role changes take effect straight away
+      const me = members.find(member => member.userId === userId);
+      if (me && me.role !== getSession().role) {
+        clearUserData();
+        loadUserData(user);
+        return;
+      }
+      setSeriesData({ members });
+      updateUserDisplay(user);
+      refreshJobDetail();
+      refreshTeamView();
+      refreshSettingsView();
+    });
+    
+    // Wording of the emails and texts sent to clients
+    messageTemplatesUnsubscribe = subscribeToMessageTemplates(businessId, (templates) => {
+      messageTemplates = templates;
+      messageTemplatesLoaded = true;
+      setMessagingData({ templates });
+      checkReminders();
+      refreshJobDetail();
+      refreshMessageTemplatesView();
+    });
+    
+    // Safety forms - everyone fills them in, and required ones hold up completing a job
+    formTemplatesUnsubscribe = subscribeToFormTemplates(businessId, (templates) => {
+      formTemplates = templates;
+      formTemplatesLoaded = true;
+      syncRequiredForms();
+      refreshJobDetail();
+      refreshFormsView();
+      refreshImportExportView();
+    });
+    
+    if (canManageTeam(role)) {
+      invitesUnsubscribe = subscribeToInvites(businessId, (inviteList) => {
+        businessInvites = inviteList;
+        refreshTeamView();
+      });
+    }
+    
+    // Hours worked - field staff only see their own
+    timeEntriesUnsubscribe = subscribeToTimeEntries(businessId, { userId: canSeeAllJobs(role) ? null : userId }, (entries) => {
+      timeEntries = entries;
+      setTimeTrackingData({ entries });
+      refreshTimeTracking();
+    });
+    
+    // Kilometres driven to jobs - field staff only see their own
+    travelEntriesUnsubscribe = subscribeToTravelEntries(businessId, { userId: canSeeAllJobs(role) ? null : userId }, (entries) => {
+      travelEntries = entries;
+      setTravelData({ entries });
+      refreshJobDetail();
+      refreshMapView();
+    });
+    
+    // Pricing and pay rates live in collections only owners and office staff can read
+    if (canSeePricing(role)) {
+      labourUnsubscribe = subscribeToLabourSettings(businessId, (settings) => {
+        labourSettings = settings;
+        setTimeTrackingData({ settings });
+        refreshTimeTracking();
+        refreshTeamView();
+      });
+      
+      priceBookUnsubscribe = subscribeToPriceBook(businessId, (items) => {
+        priceItems = items;
+        refreshPriceBook();
+      });
+      
+      templatesUnsubscribe = subscribeToJobTemplates(businessId, (templates) => {
+        jobTemplates = templates;
+        setSeriesData({ templates });
+        refreshPriceBook();
+      });
+      
+      // Maintenance contracts - the next service is created when the last one is done
+      jobSeriesUnsubscribe = subscribeToJobSeries(businessId, (seriesList) => {
+        jobSeries = seriesList;
+        jobSeriesLoaded = true;
+        setSeriesData({ series: seriesList });
+        advanceJobSeries();
+        refreshClientView();
+        refreshJobDetail();
+      });
+      
+      // Quote links - clients accepting or declining online
+      quoteSharesUnsubscribe = subscribeToQuoteShares(businessId, (shares) => {
+        quoteShares = shares;
+        quoteSharesLoaded = true;
+        applyQuoteResponses();
+        refreshJobDetail();
+      });
+      
+      pricingUnsubscribe = onSnapshot(
+        query(collection(db, 'jobPricing'), where('businessId', '==', businessId)),
+        (snapshot) => {
+          pricingById = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+          refreshJobs();
+        },
+        (error) => {
+          console.error('Error loading job pricing:', error);
+        }
+      );
+    }
+    
+    // Field staff only get the jobs assigned to them
+    const jobsQuery = canSeeAllJobs(role)
+      ? query(
+        collection(db, 'jobs'),
+        where('businessId', '==', businessId),
+        orderBy('updatedAt', 'desc')
+      )
+      : query(
+        collection(db, 'jobs'),
+        where('businessId', '==', businessId),
+        where('assignedUserId', '==', userId),
+        orderBy('updatedAt', 'desc')
+      );
+    
+    // Metadata changes tell us when Firestore's own pending writes land
+    jobsUnsubscribe = onSnapshot(jobsQuery, { includeMetadataChanges: true }, (snapshot) => {
+      console.log('Jobs updated, count:', snapshot.docs.length);
+      snapshotJobs = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        pendingSync: doc.metadata.hasPendingWrites
+      }));
+      jobsLoaded = true;
+      if (!snapshot.metadata.fromCache) jobsFromServer = true;
+      
+      refreshJobs();
+    }, (error) => {
+      console.error('Error loading jobs:', error);
+      showNotification('Database Error', 'Failed to load your jobs');
+    });
+    
+  } catch (error) {
+    console.error('Error setting up data listener:', error);
+    showNotification('Error', 'Failed to connect to database');
+  }
+}
+
+// Merge the latest snapshot with pricing and queued offline writes, and re-render
+function refreshJobs() {
+  jobs = applyOutbox(snapshotJobs.map(job => mergeJobPricing(job, pricingById.get(job.id))));
+  setSeriesData({ jobs });
+  
+  updateDashboardStats();
+  renderOutboxStatus();
+  refreshJobDetail();
+  refreshClientView();
+  refreshCalendar();
+  refreshMapView();
+  refreshReportsView();
+  refreshAccountingView();
+  refreshJobsView();
+  refreshImportExportView();
+  checkReminders();
+  advanceJobSeries();
+  applyQuoteResponses();
+}
+
+// Send tomorrow's client reminders. Office staff's apps do this whenever jobs,
+// clients or templates change; each booking is only tried once per session,
+// and the message log stops a second device sending it again.
+function checkReminders() {
+  if (!isMessagingAvailable() || !canSeeAllJobs() || !jobsLoaded || !clientsLoaded || !messageTemplatesLoaded || !navigator.onLine) return;
+  
+  const due = findDueReminders(jobs).filter(reminder => !remindersTried.has(reminder.key));
+  if (due.length === 0) return;
+  due.forEach(reminder => remindersTried.add(reminder.key));
+  
+  sendDueReminders({
+    jobs: due.map(reminder => reminder.job),
+    clients,
+    business: currentBusiness,
+    templates: messageTemplates,
+    userId: getSession().userId
+  })
+    .then(results => {
+      const sent = results.filter(result => result.sent.length > 0).length;
+      const failed = results.filter(result => result.failed.length > 0).length;
+      if (sent > 0) showNotification('Reminders Sent', `Reminded ${sent} ${sent === 1 ? 'client' : 'clients'} about tomorrow's booking`);
+      if (failed > 0) showNotification('Reminders Failed', `${failed} ${failed === 1 ? 'reminder' : 'reminders'} could not be sent - see the job's Messages tab`);
+    })
+    .catch(error => console.error('Error sending reminders:', error));
+}
+
+// Create the next service for recurring jobs whose last one is done. Office
+// staff's apps do this whenever jobs or series change; the transaction in
+// createSeriesOccurrence stops two devices creating the same service, or one
+// creating it while the last service is still open.
+function advanceJobSeries() {
+  if (!canSeePricing() || !jobsFromServer || !jobSeriesLoaded || !navigator.onLine) return;
+  
+  const due = findSeriesToAdvance(jobSeries, jobs)
+    .map(result => ({ ...result, key: `${result.series.id}-${result.finished ? 'finished' : result.occurrence}` }))
+    .filter(result => !seriesTried.has(result.key));
+  due.forEach(result => seriesTried.add(result.key));
+  
+  const { userId, businessId } = getSession();
+  due.forEach(({ series, occurrence, dueDate, finished, key }) => {
+    if (finished) {
+      endJobSeries(series, { reason: 'finished' }).catch(error => console.error('Error ending recurring job:', error));
+      return;
+    }
+    
+    // Template work at today's price book prices, with the series' own tasks and price on top
+    const template = series.templateId ? jobTemplates.find(t => t.id === series.templateId) : null;
+    const applied = template ? applyTemplate(template, priceItems, { gstRegistered: isGstRegistered() }) : null;
+    const occurrenceJob = buildOccurrenceJob(series, { occurrence, dueDate: Timestamp.fromDate(dueDate) });
+    const jobData = {
+      ...occurrenceJob,
+      ...(applied ? applied.fields : {}),
+      summary: series.name,
+      tasks: occurrenceJob.tasks.length || !applied ? occurrenceJob.tasks : applied.fields.tasks,
+      valueCents: series.valueCents || applied?.totals.totalCents || 0,
+      ...initialStatus({ userId }),
+      userId,
+      businessId,
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    };
+    
+    createSeriesOccurrence(series, occurrence, jobData)
+      .then(jobId => {
+        // Not due after all (the last service is still open) - look again when things change
+        if (!jobId) {
+          seriesTried.delete(key);
+          return;
+        }
+        showNotification('Service Created', `${series.name} for ${series.client} is due ${dueDate.toLocaleDateString('en-AU', { day: 'numeric', month: 'short' })}`);
+      })
+      .catch(error => {
+        console.error('Error creating recurring job:', error);
+        showNotification('Error', `Failed to create the next ${series.name} for ${series.client}. It will be tried again next time the app opens.`);
+      });
+  });
+}
+
+// Act on clients' answers to quotes. The client's page can only write to the
+// quote link, so office staff's apps move an accepted job on to in progress
+// and note the answer on the job and the quote.
+function applyQuoteResponses() {
+  if (!canSeePricing() || !jobsLoaded || !quoteSharesLoaded || !navigator.onLine) return;
+  
+  const due = findResponsesToApply(quoteShares, jobs).filter(({ share }) => !responsesTried.has(share.id));
+  if (due.length === 0) return;
+  due.forEach(({ share }) => responsesTried.add(share.id));
+  
+  const { userId } = getSession();
+  due.forEach(async ({ share, job }) => {
+    const accepted = share.status === 'accepted';
+    const starts = accepted && job && normaliseStatus(job.status) === 'quoted';
+    try {
+      if (starts) {
+        await updateJobDoc(job, transitionStatus(job, 'in_progress', { userId, note: `Quote ${share.number} accepted online by ${share.response.signerName}` }));
+      }
+      await applyQuoteResponse(share, job, userId);
+      showNotification(accepted ? 'Quote Accepted' : 'Quote Declined',
+        `${share.client || 'The client'} ${accepted ? 'accepted' : 'declined'} quote ${share.number}${starts ? ' - the job is now in progress' : ''}`);
+    } catch (error) {
+      console.error('Error applying quote response:', error);
+    }
+  });
+}
+
+// Keep the business's list of required forms in step with the form templates,
+// for the rules that stop jobs being completed without them. Office staff's
+// apps do this whenever the templates or the business change.
+function syncRequiredForms() {
+  if (!isStaffRole() || !formTemplatesLoaded || !currentBusiness || !navigator.onLine) return;
+  
+  const required = buildRequiredForms(formTemplates);
+  const key = JSON.stringify(required);
+  if (isSameRequiredForms(required, currentBusiness.requiredForms) || requiredFormsTried.has(key)) return;
+  requiredFormsTried.add(key);
+  
+  updateRequiredForms(currentBusiness.id, required)
+    .catch(error => console.error('Error updating required forms:', error));
+}
+
+// Time and pay rates feed the job's Time tab and the profit figures
+function refreshTimeTracking() {
+  refreshJobDetail();
+  renderProfitability();
+}
+
+// Price book items and templates feed their own pages and the job's Materials tab
+function refreshPriceBook() {
+  refreshPriceBookView();
+  refreshTemplatesView();
+  refreshJobDetail();
+}
+
+function handleOutboxSynced({ synced, conflicts }) {
+  if (conflicts.length === 0) {
+    showNotification('Synced', `${synced} offline ${synced === 1 ? 'change has' : 'changes have'} been saved`);
+    return;
+  }
+  
+  const describe = (list) => [...new Set(list.map(conflict => {
+    const job = jobs.find(j => j.id === conflict.jobId);
+    return job?.client || 'a job';
+  }))].join(', ');
+  
+  // Writes that failed outright - the rules turn down completing a job with required forms outstanding
+  const refused = conflicts.filter(conflict => conflict.error);
+  const overwritten = conflicts.filter(conflict => !conflict.error);
+  if (refused.length > 0) {
+    const denied = refused.some(conflict => conflict.code === 'permission-denied');
+    showNotification('Not Saved', 
+      `Offline changes to ${describe(refused)} couldn't be saved${denied ? ' - they weren\'t allowed, e.g. completing a job before its required safety forms' : ''}. Please check ${refused.length === 1 ? 'it' : 'them'}.`
+    );
+  }
+  if (overwritten.length > 0) {
+    showNotification('Sync Conflicts', 
+      `Newer changes made elsewhere were kept for ${describe(overwritten)}. Please check ${overwritten.length === 1 ? 'it' : 'them'}.`
+    );
+  }
+}
+
+// A save we stopped waiting on was turned down once it reached the server
+function handleJobWriteFailed({ jobId }) {
+  const job = jobs.find(j => j.id === jobId);
+  showNotification('Error', `Failed to save changes to ${job?.client || 'a job'}. Please try again.`);
+}
+
+// Show queued offline writes so the tradie knows what hasn't reached the office yet
+function renderOutboxStatus() {
+  const outboxStatus = document.getElementById('outboxStatus');
+  if (!outboxStatus) return;
+  
+  const pending = getOutbox();
+  const offline = !navigator.onLine;
+  
+  if (pending.length === 0 && !offline) {
+    outboxStatus.classList.add('hidden');
+    outboxStatus.innerHTML = '';
+    return;
+  }
+  
+  outboxStatus.classList.remove('hidden');
+  outboxStatus.innerHTML = `
+    <div class="p-3 rounded-lg bg-orange-50 border border-orange-200 text-sm">
+        <div class="font-medium text-orange-700">
+            <i class="fas ${offline ? 'fa-plane' : 'fa-cloud-arrow-up'} mr-1"></i>
+            ${offline ? 'Offline' : 'Syncing'} · ${pending.length} ${pending.length === 1 ? 'change' : 'changes'} waiting
+        </div>
+        <ul class="mt-1 text-xs text-orange-700">
+            ${pending.map(op => {
+              const job = jobs.find(j => j.id === op.jobId);
+              return `<li>${op.type === 'create' ? 'New job' : 'Edit'} · ${escapeHtml(job?.client || op.fields.client || 'Job')}</li>`;
+            }).join('')}
+        </ul>
+    </div>
+  `;
+}
+
+// Update dashboard statistics
+function updateDashboardStats() {
+  const activeJobs = jobsWithStatus(jobs, 'in_progress', 'new');
+  const quotedJobs = jobsWithStatus(jobs, 'quoted');
+  const completedJobs = jobsWithStatus(jobs, 'completed');
+  
+  // Calculate total value
+  const totalValueCents = sumJobValues(jobs);
+  
+  // Jobs booked in for today
+  const todayJobs = jobsOnDay(jobs, new Date());
+  
+  // Update main dashboard cards
+  updateElement('totalValue', canSeePricing() ? formatMoney(totalValueCents, { showCents: false }) : '-');
+  updateElement('activeJobsCount', activeJobs.length);
+  updateElement('quotedJobsCount', quotedJobs.length);
+  updateElement('completedJobsCount', completedJobs.length);
+  
+  // Update descriptions
+  updateElement('activeJobsDetail', activeJobs.length === 1 ? '1 active job' : `${activeJobs.length} active jobs`);
+  updateElement('quotedJobsDetail', quotedJobs.length === 1 && canSeePricing() ? 'Worth ' + getQuotedJobsValue() : `${quotedJobs.length} quotes pending`);
+  
+  // Update welcome message
+  updateElement('welcomeStats', 
+    `${todayJobs.length} ${todayJobs.length === 1 ? 'job' : 'jobs'} today, ${activeJobs.length} active and ${quotedJobs.length} pending ${quotedJobs.length === 1 ? 'quote' : 'quotes'}`
+  );
+  renderTodayJobs(todayJobs);
+  renderServicesDue();
+  
+  // Show/hide empty state
+  const emptyState = document.getElementById('emptyState');
+  const recentJobs = document.getElementById('recentJobs');
+  
+  if (jobs.length === 0) {
+    if (emptyState) emptyState.classList.remove('hidden');
+    if (recentJobs) recentJobs.classList.add('hidden');
+  } else {
+    if (emptyState) emptyState.classList.add('hidden');
+    if (recentJobs) recentJobs.classList.remove('hidden');
+    renderRecentJobs();
+  }
+  renderProfitability();
+}
+
+// Dashboard profit for jobs with time or materials against them - office staff only
+const PROFIT_JOB_COUNT = 6;
+
+function renderProfitability() {
+  const panel = document.getElementById('profitability');
+  if (!panel) return;
+  
+  if (!canSeePricing() || !labourSettings) {
+    panel.classList.add('hidden');
+    return;
+  }
+  
+  const costs = costTimeEntries(timeEntries, labourSettings);
+  const rows = jobsWithStatus(jobs, 'in_progress', 'completed')
+    .map(job => ({ job, ...getJobProfit(job, costs) }))
+    .filter(row => row.labourCents > 0 || row.materialsCents > 0);
+  
+  if (rows.length === 0) {
+    panel.classList.add('hidden');
+    return;
+  }
+  
+  const completed = rows.filter(row => normaliseStatus(row.job.status) === 'completed');
+  const completedValue = completed.reduce((sum, row) => sum + row.valueCents, 0);
+  const completedProfit = completed.reduce((sum, row) => sum + row.profitCents, 0);
+  const percent = (margin) => margin === null ? '-' : `${Math.round(margin * 100)}%`;
+  
+  panel.classList.remove('hidden');
+  panel.innerHTML = `
+    <div class="flex items-center justify-between p-4 border-b">
+        <h3 class="text-lg font-medium text-gray-900">Profitability</h3>
+        ${completed.length ? `
+            <span class="text-sm text-gray-600">
+                Completed jobs: <span class="font-medium ${completedProfit < 0 ? 'text-red-600' : 'text-green-600'}">${formatMoney(completedProfit, { showCents: false })}</span>
+                profit on ${formatMoney(completedValue, { showCents: false })} (${percent(completedValue > 0 ? completedProfit / completedValue : null)})
+            </span>
+        ` : ''}
+    </div>
+    <table class="w-full text-sm">
+        <thead>
+            <tr class="text-left text-xs text-gray-500 border-b">
+                <th class="px-4 py-2">Job</th>
+                <th class="px-4 py-2 text-right">Value${isGstRegistered() ? ' (ex GST)' : ''}</th>
+                <th class="px-4 py-2 text-right">Labour</th>
+                <th class="px-4 py-2 text-right">Materials</th>
+                <th class="px-4 py-2 text-right">Profit</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${rows.slice(0, PROFIT_JOB_COUNT).map(row => `
+                <tr onclick="selectJob('${row.job.id}')" class="border-b last:border-b-0 hover:bg-gray-50 cursor-pointer">
+                    <td class="px-4 py-2">
+                        <div class="font-medium text-gray-900">${escapeHtml(row.job.client || 'Unnamed Client')}</div>
+                        <div class="text-xs text-gray-500">${escapeHtml(getStatusLabel(row.job.status))}${row.labour.missingRate ? ' · <span class="text-orange-600">missing pay rates</span>' : ''}</div>
+                    </td>
+                    <td class="px-4 py-2 text-right">${formatMoney(row.valueCents, { showCents: false })}</td>
+                    <td class="px-4 py-2 text-right">${formatMoney(row.labourCents, { showCents: false })}</td>
+                    <td class="px-4 py-2 text-right">${formatMoney(row.materialsCents, { showCents: false })}</td>
+                    <td class="px-4 py-2 text-right font-medium ${row.profitCents < 0 ? 'text-red-600' : 'text-green-600'}">
+                        ${formatMoney(row.profitCents, { showCents: false })} <span class="text-xs text-gray-500 font-normal">${percent(row.margin)}</span>
+                    </td>
+                </tr>
+            `).join('')}
+        </tbody>
+    </table>
+  `;
+}
+
+function getQuotedJobsValue() {
+  return formatMoney(sumJobValues(jobsWithStatus(jobs, 'quoted')), { showCents: false });
+}
+
+// Recurring services that are overdue or due within the month - office staff only
+function renderServicesDue() {
+  const panel = document.getElementById('servicesDue');
+  if (!panel) return;
+  
+  const { overdue, upcoming } = getServicesDue(jobs);
+  if (!canSeePricing() || overdue.length + upcoming.length === 0) {
+    panel.classList.add('hidden');
+    return;
+  }
+  
+  const today = new Date();
+  const renderRow = ({ job, dueDate }) => {
+    const days = daysBetween(today, dueDate);
+    const when = days < 0 ? `${-days} ${days === -1 ? 'day' : 'days'} overdue` : days === 0 ? 'Due today' : `Due in ${days} ${days === 1 ? 'day' : 'days'}`;
+    return `
+      <div onclick="selectJob('${job.id}')" class="flex items-center gap-4 p-4 border-b last:border-b-0 hover:bg-gray-50 cursor-pointer">
+          <div class="flex-1 min-w-0">
+              <div class="font-medium text-gray-900 truncate">${escapeHtml(job.client || 'Unnamed Client')} · ${escapeHtml(job.summary || 'Service')}</div>
+              <div class="text-sm text-gray-500 truncate">${escapeHtml(job.address || 'No address')}${toDate(job.scheduledStart) ? ' · booked' : ''}</div>
+          </div>
+          <div class="text-sm text-right whitespace-nowrap ${days < 0 ? 'text-red-600 font-medium' : 'text-gray-600'}">
+              ${when}
+              <div class="text-xs text-gray-500 font-normal">${dueDate.toLocaleDateString('en-AU', { day: 'numeric', month: 'short' })}</div>
+          </div>
+      </div>
+    `;
+  };
+  
+  panel.classList.remove('hidden');
+  panel.innerHTML = `
+    <div class="flex items-center justify-between p-4 border-b">
+        <h3 class="text-lg font-medium text-gray-900">Services due</h3>
+        <span class="text-sm text-gray-600">
+            ${overdue.length ? `<span class="text-red-600 font-medium">${overdue.length} overdue</span> · ` : ''}${upcoming.length} in the next month
+        </span>
+    </div>
+    ${overdue.map(renderRow).join('')}
+    ${upcoming.map(renderRow).join('')}
+  `;
+}
+
+// Today's bookings, in time order, as big rows that are easy to tap on site
+function renderTodayJobs(todayJobs) {
+  const list = document.getElementById('todayJobsList');
+  if (!list) return;
+  
+  if (todayJobs.length === 0) {
+    list.innerHTML = '<div class="p-4 text-sm text-gray-500">Nothing booked in for today.</div>';
+    return;
+  }
+  
+  list.innerHTML = todayJobs.map(({ job, schedule }) => `
+    <div onclick="selectJob('${job.id}')" class="flex items-center gap-4 p-4 min-h-[4rem] border-b last:border-b-0 hover:bg-gray-50 active:bg-gray-100 cursor-pointer">
+        <div class="w-16 shrink-0 text-sm font-semibold text-blue-700">${escapeHtml(formatTime(schedule.start))}</div>
+        <div class="flex-1 min-w-0">
+            <div class="font-medium text-gray-900 truncate">${escapeHtml(job.client || 'Unnamed Client')}</div>
+            <div class="text-sm text-gray-500 truncate">${escapeHtml(job.address || 'No address')}</div>
+        </div>
+        <span class="px-2 py-1 text-xs rounded ${getStatusColor(normaliseStatus(job.status))}">${escapeHtml(getStatusLabel(job.status))}</span>
+        <i class="fas fa-chevron-right text-gray-300"></i>
+    </div>
+  `).join('');
+}
+
+// Render recent jobs in main dashboard
+function renderRecentJobs() {
+  const recentJobsList = document.getElementById('recentJobsList');
+  if (!recentJobsList) return;
+  
+  const recentJobs = jobs.slice(0, 5);
+  
+  recentJobsList.innerHTML = recentJobs.map(job => `
+    <div onclick="selectJob('${job.id}')" class="p-4 border-b last:border-b-0 hover:bg-gray-50 cursor-pointer transition">
+      <div class="flex justify-between items-start">
+        <div>
+          <h3 class="font-medium text-gray-900">${escapeHtml(job.client || 'Unnamed Client')}</h3>
+          <p class="text-sm text-gray-600">${escapeHtml(job.address || 'No address')}</p>
+          <div class="flex items-center gap-2 mt-2">
+            <span class="px-2 py-1 text-xs rounded ${getStatusColor(normaliseStatus(job.status))}">
+              ${escapeHtml(getStatusLabel(job.status))}
+            </span>
+            <span class="text-xs text-gray-500">${formatDate(job.updatedAt)}</span>
+            ${job.pendingSync ? '<span class="text-xs text-orange-600"><i class="fas fa-cloud-arrow-up mr-1"></i>Pending sync</span>' : ''}
+          </div>
+        </div>
+        <div class="text-right">
+          ${canSeePricing() ? `<div class="font-semibold text-green-600">${formatMoney(getJobValueCents(job))}</div>` : ''}
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Create new job
+async function createNewJob() {
+  if (!getCurrentUser()) {
+    showNotification('Access Denied', 'Please sign in to create jobs');
+    return;
+  }
+  
+  const details = await promptNewJobDetails(clients, {
+    clientId: currentView === 'client' ? currentClientId : null,
+    askValue: canSeePricing(),
+    templates: canSeePricing() ? jobTemplates : [],
+    estimateTemplate: (template) => applyTemplate(template, priceItems, { gstRegistered: isGstRegistered() }).totals.totalCents
+  });
+  if (!details) return;
+  
+  try {
+    const { userId, businessId } = getSession();
+    let clientId = details.clientId;
+    let clientName;
+    
+    if (details.newClient) {
+      clientName = details.newClient.name;
+      clientId = await createClient({ userId, businessId }, {
+        ...details.newClient,
+        sites: [{ address: details.address }]
+      });
+    } else {
+      const client = clients.find(c => c.id === clientId);
+      clientName = client.name;
+      if (details.isNewSite) await addClientSite(client, details.address);
+    }
+    
+    // Tasks, materials and labour from the template, at today's price book prices
+    const template = jobTemplates.find(t => t.id === details.templateId);
+    const templateFields = template ? applyTemplate(template, priceItems).fields : {};
+    
+    const jobData = {
+      clientId,
+      client: clientName,
+      address: details.address,
+      trade: details.trade,
+      valueCents: parseMoneyToCents(details.value),
+      ...initialStatus({ userId }),
+      transcript: '',
+      recordings: [],
+      summary: '',
+      tasks: [],
+      materials: [],
+      labour: [],
+      ...templateFields,
+      userId,
+      businessId,
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    };
+    
+    // Field staff can only see jobs assigned to them, so they get the jobs they create
+    if (!canSeeAllJobs()) {
+      const me = members.find(member => member.userId === userId);
+      jobData.assignedUserId = userId;
+      jobData.assignedWorker = me?.displayName || getCurrentUser().displayName || '';
+    }
+    
+    console.log('Creating job:', jobData);
+    const jobId = await createJobDoc(jobData);
+    
+    if (navigator.onLine) {
+      showNotification('Job Created', `New job for ${clientName} has been created successfully`);
+    } else {
+      showNotification('Saved Offline', `Job for ${clientName} will sync when you're back in range`);
+    }
+    selectJob(jobId);
+    
+  } catch (error) {
+    console.error('Error creating job:', error);
+    showNotification('Error', 'Failed to create job. Please try again.');
+  }
+}
+
+// Routing
+//
+// Links and inline handlers change the URL; handleRoute turns the URL into
+// a view. Data listeners call the refresh functions to re-render in place.
+function handleRoute(route) {
+  currentRoute = route;
+  
+  if (!getCurrentUser()) {
+    showView('signIn');
+    showAuthPanel(AUTH_ROUTES.includes(route.name) ? route.name : 'signIn');
+    return;
+  }
+  if (AUTH_ROUTES.includes(route.name)) {
+    navigate('dashboard', {}, { replace: true });
+    return;
+  }
+  
+  // Still working out the business, or choosing one to join
+  if (!getSession().businessId) return;
+  renderRoute();
+}
+
+function renderRoute() {
+  if (!currentRoute) return;
+  const { name, params } = currentRoute;
+  
+  if (name !== 'job' && currentJobId) {
+    currentJobId = null;
+    resetJobDetail();
+  }
+  if (name !== 'client') currentClientId = null;
+  if (name !== 'reports') resetReportsView();
+  if (name !== 'accounting') resetAccountingView();
+  if (name !== 'templates') resetTemplatesView();
+  if (name !== 'messageTemplates') resetMessageTemplatesView();
+  if (name !== 'forms') resetFormsView();
+  if (name !== 'importExport') resetImportExportView();
+  if (name !== 'map') resetMapView();
+  
+  switch (name) {
+    case 'newJob':
+      // Land on the jobs list underneath the form
+      navigate('jobs', {}, { replace: true });
+      createNewJob();
+      break;
+    case 'job':
+      currentJobId = params.jobId;
+      showView('jobDetail');
+      refreshJobDetail();
+      break;
+    case 'client':
+      currentClientId = params.clientId;
+      showView('client');
+      refreshClientView();
+      break;
+    case 'jobs':
+      showView('jobs');
+      refreshJobsView();
+      break;
+    case 'calendar':
+      showView('calendar');
+      refreshCalendar();
+      break;
+    case 'map':
+      showView('map');
+      refreshMapView();
+      break;
+    case 'reports':
+      showView('reports');
+      refreshReportsView();
+      break;
+    case 'accounting':
+      showView('accounting');
+      refreshAccountingView();
+      break;
+    case 'team':
+      showView('team');
+      refreshTeamView();
+      break;
+    case 'settings':
+      showView('settings');
+      refreshSettingsView();
+      break;
+    case 'priceBook':
+      showView('priceBook');
+      refreshPriceBookView();
+      break;
+    case 'templates':
+      showView('templates');
+      refreshTemplatesView();
+      break;
+    case 'messageTemplates':
+      showView('messageTemplates');
+      refreshMessageTemplatesView();
+      break;
+    case 'forms':
+      showView('forms');
+      refreshFormsView();
+      break;
+    case 'importExport':
+      showView('importExport');
+      refreshImportExportView();
+      break;
+    default:
+      showView('dashboard');
+  }
+  
+  renderClients();
+  renderNavigation();
+}
+
+// Highlight the sidebar link for the current page. Reports are staff only.
+function renderNavigation() {
+  document.querySelectorAll('[data-nav]').forEach(link => {
+    const active = link.dataset.nav === currentView;
+    link.classList.toggle('bg-blue-50', active);
+    link.classList.toggle('text-blue-700', active);
+    if (link.dataset.nav === 'reports') link.classList.toggle('hidden', !canSeePricing());
+  });
+}
+
+// Open a job's detail view
+function selectJob(jobId) {
+  navigate('job', { jobId });
+}
+
+// Tabs replace the history entry so the back button leaves the job
+function switchJobTab(tab) {
+  if (currentJobId) navigate('job', { jobId: currentJobId, tab }, { replace: true });
+}
+
+function closeJobDetail() {
+  navigate('dashboard');
+}
+
+// Render the job in the URL, keeping it in sync with snapshot updates
+function refreshJobDetail() {
+  if (currentView !== 'jobDetail' || !currentJobId) return;
+  
+  const job = jobs.find(j => j.id === currentJobId);
+  if (job) {
+    renderJobDetail(job, currentRoute?.params.tab || 'transcript', { jobs, members, priceItems, formTemplates, quoteShares });
+  } else if (jobsLoaded) {
+    showNotification('Job Not Found', 'This job has been removed or you no longer have access to it');
+    navigate('dashboard', {}, { replace: true });
+  }
+}
+
+// Client page
+function selectClient(clientId) {
+  navigate('client', { clientId });
+}
+
+function refreshClientView() {
+  if (currentView !== 'client' || !currentClientId) return;
+  
+  const client = clients.find(c => c.id === currentClientId);
+  if (client) {
+    renderClientView(client, jobs);
+  } else if (clientsLoaded) {
+    showNotification('Client Not Found', 'This client has been removed or you no longer have access to it');
+    navigate('dashboard', {}, { replace: true });
+  }
+}
+
+// Jobs page
+function refreshJobsView() {
+  if (currentView === 'jobs') renderJobsView(jobs);
+}
+
+// Calendar
+function showCalendar() {
+  navigate('calendar');
+}
+
+function refreshCalendar() {
+  if (currentView === 'calendar') renderCalendarView(jobs);
+}
+
+// Map and route planner
+function refreshMapView() {
+  if (currentView !== 'map') return;
+  renderMapView({ jobs, business: currentBusiness, members, travelEntries });
+}
+
+function refreshReportsView() {
+  if (currentView === 'reports') renderReportsView(jobs);
+}
+
+function refreshAccountingView() {
+  if (currentView === 'accounting') renderAccountingView({ jobs, clients, members });
+}
+
+// Price book and job templates - staff only, like the collections behind them
+function isGstRegistered() {
+  return currentBusiness?.profile?.gstRegistered !== false;
+}
+
+function refreshPriceBookView() {
+  if (currentView !== 'priceBook') return;
+  if (!canSeePricing()) {
+    navigate('settings', {}, { replace: true });
+    return;
+  }
+  renderPriceBookView(getSession().businessId, priceItems);
+}
+
+function refreshTemplatesView() {
+  if (currentView !== 'templates') return;
+  if (!canSeePricing()) {
+    navigate('settings', {}, { replace: true });
+    return;
+  }
+  renderTemplatesView({
+    businessId: getSession().businessId,
+    templates: jobTemplates,
+    priceItems,
+    templateId: currentRoute?.params.templateId || null,
+    gstRegistered: isGstRegistered()
+  });
+}
+
+// Client message templates - staff only, like editing them
+function refreshMessageTemplatesView() {
+  if (currentView !== 'messageTemplates') return;
+  if (!canSeePricing()) {
+    navigate('settings', {}, { replace: true });
+    return;
+  }
+  renderMessageTemplatesView(getSession().businessId, messageTemplates);
+}
+
+// Safety form templates - built by office staff, filled in by everyone on the job
+function refreshFormsView() {
+  if (currentView !== 'forms') return;
+  if (!isStaffRole()) {
+    navigate('settings', {}, { replace: true });
+    return;
+  }
+  renderFormsView({
+    businessId: getSession().businessId,
+    templates: formTemplates,
+    formTemplateId: currentRoute?.params.formTemplateId || null
+  });
+}
+
+// Import, export and backups - staff only, as jobs go out with their prices
+function refreshImportExportView() {
+  if (currentView !== 'importExport') return;
+  if (!canSeePricing()) {
+    navigate('settings', {}, { replace: true });
+    return;
+  }
+  renderImportExportView(getSession().businessId, { business: currentBusiness, clients, jobs, formTemplates });
+}
+
+// Team
+function showTeam() {
+  navigate('team');
+}
+
+function refreshTeamView() {
+  if (currentView !== 'team' || !currentBusiness) return;
+  renderTeamView({
+    business: currentBusiness,
+    members,
+    invites: businessInvites,
+    myInvites,
+    emailVerified: getCurrentUser()?.emailVerified,
+    labour: labourSettings
+  });
+}
+
+// Settings
+function refreshSettingsView() {
+  if (currentView !== 'settings' || !currentBusiness) return;
+  const user = getCurrentUser();
+  renderSettingsView({
+    user,
+    business: currentBusiness,
+    member: members.find(member => member.userId === user?.uid)
+  });
+}
+
+// Join the business on an invite and switch over to it
+async function acceptTeamInvite(inviteId) {
+  const user = getCurrentUser();
+  const invite = myInvites.find(i => i.id === inviteId);
+  if (!user || !invite) return;
+  
+  try {
+    // Pick up a verification done in another tab
+    if (!user.emailVerified) await refreshCurrentUser();
+    if (!getCurrentUser().emailVerified) {
+      showNotification('Email Not Verified', 'Please verify your email address first');
+      return;
+    }
+    
+    await acceptInvite(user, invite);
+    showNotification('Joined', `You're now part of ${invite.businessName}`);
+    clearUserData();
+    loadUserData(user);
+  } catch (error) {
+    console.error('Error accepting invite:', error);
+    showNotification('Error', 'Failed to join the team. Please try again.');
+  }
+}
+
+function startOwnBusiness(name) {
+  const user = getCurrentUser();
+  if (!user || !name.trim()) return;
+  
+  pendingBusinessName = name.trim();
+  clearUserData();
+  loadUserData(user);
+}
+
+async function sendVerificationEmail() {
+  const result = await sendVerification();
+  if (result.success) {
+    showNotification('Check Your Email', `We've sent a verification link to ${getCurrentUser()?.email}`);
+  } else {
+    showNotification('Error', 'Failed to send the verification email. Please try again.');
+  }
+}
+
+// Render clients list on the dashboard
+function renderClients() {
+  const clientsList = document.getElementById('clientsList');
+  if (!clientsList) return;
+  
+  if (clients.length === 0) {
+    clientsList.innerHTML = '<div class="p-4 text-center text-sm text-gray-500">No clients yet.</div>';
+    return;
+  }
+  
+  clientsList.innerHTML = clients.map(client => `
+    <div onclick="selectClient('${client.id}')" 
+        class="p-3 rounded-lg hover:bg-gray-50 cursor-pointer transition ${client.id === currentClientId ? 'bg-blue-50 border border-blue-200' : ''}">
+        <div class="font-medium text-sm text-gray-900">${escapeHtml(client.name)}</div>
+        <div class="text-xs text-gray-500">${escapeHtml(client.phone || client.email || `${(client.sites || []).length} sites`)}</div>
+    </div>
+  `).join('');
+}
+
+// Show one view and hide the rest. Called by the router - link to a route
+// rather than calling this directly.
+function showView(view) {
+  // Hide all views
+  document.getElementById('signInView')?.classList.add('hidden');
+  document.getElementById('appShell')?.classList.toggle('hidden', view === 'signIn');
+  document.getElementById('dashboardView')?.classList.add('hidden');
+  document.getElementById('jobsView')?.classList.add('hidden');
+  document.getElementById('jobDetailView')?.classList.add('hidden');
+  document.getElementById('clientView')?.classList.add('hidden');
+  document.getElementById('calendarView')?.classList.add('hidden');
+  document.getElementById('mapView')?.classList.add('hidden');
+  document.getElementById('reportsView')?.classList.add('hidden');
+  document.getElementById('accountingView')?.classList.add('hidden');
+  document.getElementById('teamView')?.classList.add('hidden');
+  document.getElementById('settingsView')?.classList.add('hidden');
+  document.getElementById('priceBookView')?.classList.add('hidden');
+  document.getElementById('templatesView')?.classList.add('hidden');
+  document.getElementById('messageTemplatesView')?.classList.add('hidden');
+  document.getElementById('formsView')?.classList.add('hidden');
+  document.getElementById('importExportView')?.classList.add('hidden');
+  
+  // Protect dashboard views
+  if (['dashboard', 'jobs', 'jobDetail', 'client', 'calendar', 'map', 'reports', 'accounting', 'team', 'settings', 'priceBook', 'templates', 'messageTemplates', 'forms', 'importExport'].includes(view) && !getCurrentUser()) {
+    console.log('Access denied to protected view:', view);
+    showView('signIn');
+    showNotification('Access Denied', 'Please sign in to access TradieIQ');
+    return;
+  }
+  
+  const targetView = document.getElementById(view + 'View');
+  if (targetView) {
+    targetView.classList.remove('hidden');
+    targetView.classList.add('fade-in');
+  }
+  
+  currentView = view;
+}
+
+function hideLoading() {
+  const loadingScreen = document.getElementById('loadingScreen');
+  if (loadingScreen) {
+    loadingScreen.style.display = 'none';
+  }
+}
+
+// Sign out
+async function handleSignOut() {
+  if (!getCurrentUser()) return;
+  
+  try {
+    const result = await signOutUser();
+    if (result.success) {
+      console.log('User signed out successfully');
+      clearUserData();
+      navigate('signIn', {}, { replace: true });
+      showNotification('Signed Out', 'You have been signed out successfully');
+    } else {
+      showNotification('Error', 'Failed to sign out');
+    }
+  } catch (error) {
+    console.error('Sign out error:', error);
+    showNotification('Error', 'An unexpected error occurred while signing out');
+  }
+}
+
+// Export functions for global access
+window.selectJob = selectJob;
+window.selectClient = selectClient;
+window.showCalendar = showCalendar;
+window.showTeam = showTeam;
+window.acceptTeamInvite = acceptTeamInvite;
+window.startOwnBusiness = startOwnBusiness;
+window.sendVerificationEmail = sendVerificationEmail;
+window.checkEmailVerified = checkEmailVerified;
+window.handleGoogleSignIn = handleGoogleSignIn;
+window.switchJobTab = switchJobTab;
+window.closeJobDetail = closeJobDetail;
+window.createNewJob = createNewJob;
+window.handleSignOut = handleSignOut;
+window.showNotification = showNotification;
+
+console.log('TradieIQ app loaded successfully');
\ No newline at end of file
@@ -0,0 +1,261 @@
+// Job attachments - photos, plans and certificates in Firebase Storage
+//
+// Files live at attachments/{businessId}/{jobId}/{id}.{ext}; each has a document
+// in the `attachments` collection linking it to its job, business and uploader. Photos are shrunk in
+// the browser before upload and get a small thumbnail alongside.
+import { db, storage } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  updateDoc,
+  query,
+  where,
+  onSnapshot,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { attachmentActivity } from './activity.js';
+import { addActivity } from './activity-store.js';
+
+export const ATTACHMENT_CATEGORIES = {
+  before: 'Before',
+  after: 'After',
+  plan: 'Plans',
+  certificate: 'Certificates',
+  other: 'Other'
+};
+
+export const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+const PHOTO_MAX_DIMENSION = 1920;
+const PHOTO_QUALITY = 0.8;
+const THUMBNAIL_DIMENSION = 320;
+const THUMBNAIL_QUALITY = 0.7;
+
+// Image types the browser can decode and redraw; anything else uploads as a document
+const COMPRESSIBLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+export function isCompressibleImage(file) {
+  return COMPRESSIBLE_TYPES.includes(file.type);
+}
+
+function getExtension(fileName, fallback) {
+  const match = /\.([a-z0-9]{1,5})$/i.exec(fileName || '');
+  return match ? match[1].toLowerCase() : fallback;
+}
+
+// EXIF DateTimeOriginal (or DateTime) from a JPEG, or null. Only the tags we
+// need are read - this isn't a general EXIF parser.
+export function readExifDate(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+      return readTiffDate(view, offset + 10);
+    }
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function readTiffDate(view, tiffStart) {
+  if (tiffStart + 8 > view.byteLength) return null;
+  const little = view.getUint16(tiffStart) === 0x4949;
+  const u16 = (at) => view.getUint16(at, little);
+  const u32 = (at) => view.getUint32(at, little);
+
+  const readIfd = (ifdOffset) => {
+    const entries = {};
+    const start = tiffStart + ifdOffset;
+    if (start + 2 > view.byteLength) return entries;
+    const count = u16(start);
+    for (let i = 0; i < count; i++) {
+      const entry = start + 2 + i * 12;
+      if (entry + 12 > view.byteLength) break;
+      entries[u16(entry)] = { type: u16(entry + 2), count: u32(entry + 4), valueOffset: u32(entry + 8) };
+    }
+    return entries;
+  };
+
+  const readAscii = (entry) => {
+    if (!entry || entry.type !== 2) return null;
+    const start = tiffStart + entry.valueOffset;
+    if (start + entry.count > view.byteLength) return null;
+    let text = '';
+    for (let i = 0; i < entry.count - 1; i++) text += String.fromCharCode(view.getUint8(start + i));
+    return text;
+  };
+
+  const ifd0 = readIfd(u32(tiffStart + 4));
+  const exifIfd = ifd0[0x8769] ? readIfd(ifd0[0x8769].valueOffset) : {};
+  const text = readAscii(exifIfd[0x9003]) || readAscii(ifd0[0x0132]);
+
+  // "YYYY:MM:DD HH:MM:SS" in the camera's local time
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const date = new Date(year, month - 1, day, hour, minute, second);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// When the photo was taken: EXIF if present, otherwise the file's modified time
+export async function getTakenAt(file) {
+  if (file.type === 'image/jpeg') {
+    try {
+      const date = readExifDate(await file.slice(0, 128 * 1024).arrayBuffer());
+      if (date) return date;
+    } catch (error) {
+      console.warn('Could not read photo date:', error);
+    }
+  }
+  return new Date(file.lastModified || Date.now());
+}
+
+// Redraw an image no larger than maxDimension on either side as a JPEG
+export async function resizeImage(file, { maxDimension, quality }) {
+  // imageOrientation applies the EXIF rotation, which is lost when redrawn
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(result => result ? resolve(result) : reject(new Error('Could not compress image')), 'image/jpeg', quality);
+  });
+  return { blob, width, height };
+}
+
+// The storage rules only let the uploader (or the office) delete a file
+async function uploadFile(path, blob, contentType, userId) {
+  const fileRef = ref(storage, path);
+  await uploadBytes(fileRef, blob, { contentType, customMetadata: { uploadedBy: userId } });
+  return getDownloadURL(fileRef);
+}
+
+// Upload a file for a job and record its metadata. Returns the attachment record.
+export async function uploadAttachment(file, { userId, businessId, jobId, category = 'other', caption = '' }) {
+  if (file.size > MAX_UPLOAD_BYTES) {
+    throw new Error(`${file.name} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+  }
+
+  const attachmentRef = doc(collection(db, 'attachments'));
+  const basePath = `attachments/${businessId}/${jobId}/${attachmentRef.id}`;
+  const takenAt = await getTakenAt(file);
+
+  const record = {
+    userId,
+    businessId,
+    jobId,
+    category: ATTACHMENT_CATEGORIES[category] ? category : 'other',
+    caption: caption.trim(),
+    fileName: file.name,
+    takenAt: Timestamp.fromDate(takenAt),
+    createdAt: Timestamp.now()
+  };
+
+  // Formats this browser can't decode (HEIC outside Safari) upload untouched
+  let photo = null;
+  let thumbnail = null;
+  if (isCompressibleImage(file)) {
+    try {
+      photo = await resizeImage(file, { maxDimension: PHOTO_MAX_DIMENSION, quality: PHOTO_QUALITY });
+      thumbnail = await resizeImage(file, { maxDimension: THUMBNAIL_DIMENSION, quality: THUMBNAIL_QUALITY });
+    } catch (error) {
+      console.warn('Could not compress image, uploading original:', error);
+      photo = null;
+    }
+  }
+
+  if (photo) {
+    Object.assign(record, {
+      kind: 'photo',
+      contentType: 'image/jpeg',
+      size: photo.blob.size,
+      originalSize: file.size,
+      width: photo.width,
+      height: photo.height,
+      path: `${basePath}.jpg`,
+      thumbnailPath: `${basePath}_thumb.jpg`
+    });
+    [record.url, record.thumbnailUrl] = await Promise.all([
+      uploadFile(record.path, photo.blob, 'image/jpeg', userId),
+      uploadFile(record.thumbnailPath, thumbnail.blob, 'image/jpeg', userId)
+    ]);
+  } else {
+    const contentType = file.type || 'application/octet-stream';
+    Object.assign(record, {
+      kind: 'document',
+      contentType,
+      size: file.size,
+      path: `${basePath}.${getExtension(file.name, 'bin')}`,
+      thumbnailPath: null,
+      thumbnailUrl: null
+    });
+    record.url = await uploadFile(record.path, file, contentType, userId);
+  }
+
+  const batch = writeBatch(db);
+  batch.set(attachmentRef, record);
+  addActivity(batch, { id: jobId, businessId }, attachmentActivity({ id: attachmentRef.id, ...record }, 'added'));
+  await batch.commit();
+  return { id: attachmentRef.id, ...record };
+}
+
+export function subscribeToJobAttachments(job, callback) {
+  const attachmentsQuery = query(
+    collection(db, 'attachments'),
+    where('businessId', '==', job.businessId),
+    where('jobId', '==', job.id)
+  );
+
+  return onSnapshot(attachmentsQuery, (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (b.takenAt?.toMillis?.() || 0) - (a.takenAt?.toMillis?.() || 0)));
+  }, (error) => {
+    console.error('Error loading attachments:', error);
+  });
+}
+
+export async function updateAttachment(attachmentId, fields) {
+  await updateDoc(doc(db, 'attachments', attachmentId), fields);
+}
+
+// Remove the stored files, then the record. Files already gone aren't an error.
+export async function deleteAttachment(attachment) {
+  const paths = [attachment.path, attachment.thumbnailPath].filter(Boolean);
+  await Promise.all(paths.map(path =>
+    deleteObject(ref(storage, path)).catch(error => {
+      if (error.code !== 'storage/object-not-found') throw error;
+    })
+  ));
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'attachments', attachment.id));
+  addActivity(batch, { id: attachment.jobId, businessId: attachment.businessId }, attachmentActivity(attachment, 'removed'));
+  await batch.commit();
+}
+
+export function groupAttachmentsByCategory(attachments) {
+  return Object.keys(ATTACHMENT_CATEGORIES)
+    .map(category => ({
+      category,
+      label: ATTACHMENT_CATEGORIES[category],
+      items: attachments.filter(item => (item.category || 'other') === category)
+    }))
+    .filter(group => group.items.length > 0);
+}
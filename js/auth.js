@@ -0,0 +1,138 @@
+// Authentication functions
+import { auth } from './firebase-config.js';
+import { 
+  signInWithEmailAndPassword, 
+  createUserWithEmailAndPassword,
+  signInWithPopup,
+  GoogleAuthProvider,
+  signOut,
+  onAuthStateChanged,
+  sendEmailVerification,
+  sendPasswordResetEmail,
+  updateProfile
+} from 'firebase/auth';
+
+// Google provider
+const googleProvider = new GoogleAuthProvider();
+
+// Sign in with email and password
+export async function signInWithEmail(email, password) {
+  try {
+    const userCredential = await signInWithEmailAndPassword(auth, email, password);
+    return { success: true, user: userCredential.user };
+  } catch (error) {
+    console.error('Sign in error:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+// Sign up with email and password, then send a verification link
+export async function signUpWithEmail(email, password, displayName = '') {
+  try {
+    const userCredential = await createUserWithEmailAndPassword(auth, email, password);
+    const user = userCredential.user;
+    if (displayName) await updateProfile(user, { displayName });
+    // The account is usable without verifying; a failed send can be retried from the app
+    await sendEmailVerification(user).catch(error => console.error('Email verification error:', error));
+    return { success: true, user };
+  } catch (error) {
+    console.error('Sign up error:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+// Sign in with Google
+export async function signInWithGoogle() {
+  try {
+    const result = await signInWithPopup(auth, googleProvider);
+    return { success: true, user: result.user };
+  } catch (error) {
+    console.error('Google sign in error:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+// Sign out
+export async function signOutUser() {
+  try {
+    await signOut(auth);
+    return { success: true };
+  } catch (error) {
+    console.error('Sign out error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Email a password reset link
+export async function sendPasswordReset(email) {
+  try {
+    await sendPasswordResetEmail(auth, email);
+    return { success: true };
+  } catch (error) {
+    console.error('Password reset error:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+// Change the signed-in user's display name
+export async function updateDisplayName(displayName) {
+  try {
+    await updateProfile(auth.currentUser, { displayName });
+    return { success: true };
+  } catch (error) {
+    console.error('Profile update error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Re-read the signed-in user, picking up a verification done in another tab
+export async function refreshCurrentUser() {
+  const user = auth.currentUser;
+  if (!user) return null;
+  await user.reload();
+  if (user.emailVerified) await user.getIdToken(true);
+  return auth.currentUser;
+}
+
+// Accounts created with a password need their email verified; Google has already done it
+export function needsEmailVerification(user) {
+  return !!user && !user.emailVerified && user.providerData.some(provider => provider.providerId === 'password');
+}
+
+// Friendly message for a failed sign in, sign up or reset
+export function getAuthErrorMessage(code, fallback = 'Something went wrong. Please try again.') {
+  const messages = {
+    'auth/user-not-found': 'No account found with this email address. Try signing up instead.',
+    'auth/wrong-password': 'Incorrect password. Please try again.',
+    'auth/invalid-credential': 'Invalid email or password. Please check your credentials.',
+    'auth/invalid-email': 'Invalid email address format.',
+    'auth/too-many-requests': 'Too many failed attempts. Please wait before trying again.',
+    'auth/email-already-in-use': 'An account with this email already exists. Try signing in instead.',
+    'auth/weak-password': 'Password is too weak. Please use at least 6 characters.',
+    'auth/account-exists-with-different-credential': 'This email is already registered with a password. Sign in with your password instead.',
+    'auth/popup-blocked': 'The sign-in window was blocked. Please allow pop-ups and try again.',
+    'auth/network-request-failed': 'No connection. Please check your reception and try again.'
+  };
+  return messages[code] || fallback;
+}
+
+// Send a verification link to the signed-in user's email address
+export async function sendVerification() {
+  try {
+    await sendEmailVerification(auth.currentUser);
+    return { success: true };
+  } catch (error) {
+    console.error('Email verification error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Auth state observer
+export function onAuthStateChange(callback) {
+  return onAuthStateChanged(auth, callback);
+}
+
+// Get current user
+export function getCurrentUser() {
+  return auth.currentUser;
+}
\ No newline at end of file
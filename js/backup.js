@@ -0,0 +1,146 @@
+// Full account backups - one JSON file with everything needed to put a
+// business's jobs, clients, photo and file records and safety forms back
+//
+// Kept free of Firebase imports like the job model. A backup is
+//   { format, version, businessId, businessName, exportedAt, exportedBy,
+//     collections: { clients, jobs, jobPricing, attachments, formTemplates, jobForms } }
+// where each collection is its documents as stored, with their ids. Timestamps
+// are written as { "__timestamp": "<ISO date>" } and come back as Dates, which
+// Firestore stores as Timestamps again. Attachments are the manifest - where
+// each file is in storage and what it is - not the files themselves.
+import { toDate, toDayValue } from './schedule.js';
+
+export const BACKUP_FORMAT = 'tradieiq-backup';
+export const BACKUP_VERSION = 1;
+
+// Collections in a backup, in the order they're restored
+export const BACKUP_COLLECTIONS = {
+  clients: 'Clients',
+  formTemplates: 'Form templates',
+  jobs: 'Jobs',
+  jobPricing: 'Job prices',
+  attachments: 'Photos & files',
+  jobForms: 'Safety forms & certificates'
+};
+
+function isTimestamp(value) {
+  return value instanceof Date || (value && typeof value.toDate === 'function' && typeof value.toMillis === 'function');
+}
+
+// Document data as plain JSON, with timestamps tagged
+export function encodeBackupValue(value) {
+  if (isTimestamp(value)) {
+    const date = toDate(value);
+    return date ? { __timestamp: date.toISOString() } : null;
+  }
+  if (Array.isArray(value)) return value.map(encodeBackupValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeBackupValue(item)]));
+  }
+  return value;
+}
+
+// JSON text from a backup back to document data, with Dates for timestamps
+function decodeBackupValue(value) {
+  if (Array.isArray(value)) return value.map(decodeBackupValue);
+  if (value && typeof value === 'object') {
+    if (typeof value.__timestamp === 'string' && Object.keys(value).length === 1) {
+      const date = new Date(value.__timestamp);
+      return isNaN(date.getTime()) ? null : date;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeBackupValue(item)]));
+  }
+  return value;
+}
+
+// The archive for a business. `collections` is { name: [{ id, ...data }] }.
+export function buildBackup({ businessId, businessName = '', userId, collections, now = new Date() }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    businessId,
+    businessName,
+    exportedAt: now.toISOString(),
+    exportedBy: userId,
+    collections: Object.fromEntries(Object.keys(BACKUP_COLLECTIONS).map(name => [
+      name,
+      (collections[name] || []).map(encodeBackupValue)
+    ]))
+  };
+}
+
+// "tradieiq-backup-smith-electrical-2026-03-14.json"
+export function getBackupFileName(businessName, now = new Date()) {
+  const slug = String(businessName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${BACKUP_FORMAT}${slug ? `-${slug}` : ''}-${toDayValue(now)}.json`;
+}
+
+// Document counts for each collection, e.g. for the restore preview
+export function countBackup(backup) {
+  return Object.fromEntries(Object.keys(BACKUP_COLLECTIONS).map(name => [name, backup.collections[name]?.length || 0]));
+}
+
+// { backup, error } from a backup file's text. Backups only go back into the
+// business they were taken from - document ids are kept, and another
+// business's ids aren't ours to write.
+export function readBackup(text, { businessId }) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  } catch {
+    return { backup: null, error: 'The file isn\'t valid JSON' };
+  }
+
+  if (data?.format !== BACKUP_FORMAT || !data.collections || typeof data.collections !== 'object') {
+    return { backup: null, error: 'That isn\'t a TradieIQ backup file' };
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    return { backup: null, error: 'That backup is from a newer version of TradieIQ - reload the app and try again' };
+  }
+  if (data.businessId !== businessId) {
+    return { backup: null, error: `That backup is from ${data.businessName || 'another business'}. Backups can only be restored into the business they came from.` };
+  }
+
+  const collections = {};
+  for (const name of Object.keys(BACKUP_COLLECTIONS)) {
+    const docs = data.collections[name] || [];
+    if (!Array.isArray(docs) || docs.some(item => !item || typeof item.id !== 'string' || !item.id || item.businessId !== businessId)) {
+      return { backup: null, error: `The ${BACKUP_COLLECTIONS[name].toLowerCase()} in that backup are damaged` };
+    }
+    collections[name] = docs.map(decodeBackupValue);
+  }
+
+  return {
+    backup: { ...data, exportedAt: toDate(data.exportedAt), collections },
+    error: null
+  };
+}
+
+// What a restore would put back. Only documents that are missing now are
+// restored - nothing already here is overwritten, so restoring twice is
+// harmless. A job's prices come back with it and only with it. `current` is
+// { name: [ids] } of what's in the business now. Returns
+// { restores: { name: [docs] }, existing: { name: count } }.
+export function planRestore(backup, current) {
+  const restores = {};
+  const existing = {};
+  const currentIds = Object.fromEntries(Object.keys(BACKUP_COLLECTIONS).map(name => [name, new Set(current[name] || [])]));
+
+  for (const name of Object.keys(BACKUP_COLLECTIONS)) {
+    const docs = backup.collections[name];
+    restores[name] = docs.filter(item => !currentIds[name].has(item.id));
+    existing[name] = docs.length - restores[name].length;
+  }
+
+  const restoredJobs = new Set(restores.jobs.map(job => job.id));
+  const pricing = restores.jobPricing.filter(item => restoredJobs.has(item.id));
+  existing.jobPricing += restores.jobPricing.length - pricing.length;
+  restores.jobPricing = pricing;
+
+  return { restores, existing };
+}
+
+// Documents a restore would write
+export function countRestore(plan) {
+  return Object.values(plan.restores).reduce((total, docs) => total + docs.length, 0);
+}
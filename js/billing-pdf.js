@@ -0,0 +1,137 @@
+// Printable quote / invoice - opens a print window so the browser can save it as PDF
+import { escapeHtml } from './utils.js';
+import { formatAbn } from './billing.js';
+import { formatMoney } from './job-model.js';
+
+function toDate(value) {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+function formatLongDate(value) {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' }) : '';
+}
+
+export function getDocumentTitle(billingDoc) {
+  if (billingDoc.type === 'quote') return 'Quote';
+  return billingDoc.gstRegistered ? 'Tax Invoice' : 'Invoice';
+}
+
+export function renderDocumentHtml(billingDoc) {
+  const business = billingDoc.business || {};
+  const title = getDocumentTitle(billingDoc);
+  const isQuote = billingDoc.type === 'quote';
+
+  const rows = billingDoc.lines.map(line => `
+    <tr>
+      <td>${escapeHtml(line.description)}</td>
+      <td class="num">${escapeHtml(line.qty)} ${escapeHtml(line.unit)}</td>
+      <td class="num">${formatMoney(line.unitPriceCents)}</td>
+      <td class="num">${formatMoney(line.totalCents)}</td>
+    </tr>
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${title} ${escapeHtml(billingDoc.number)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 40px; font-size: 13px; }
+    header { display: flex; justify-content: space-between; margin-bottom: 32px; }
+    h1 { font-size: 28px; margin: 0 0 4px; }
+    h2 { font-size: 18px; margin: 0 0 4px; }
+    .muted { color: #6b7280; }
+    .logo { max-height: 72px; max-width: 200px; margin-bottom: 8px; display: block; }
+    .meta td { padding: 2px 12px 2px 0; }
+    table.lines { width: 100%; border-collapse: collapse; margin: 24px 0; }
+    table.lines th { text-align: left; border-bottom: 2px solid #111827; padding: 8px 4px; }
+    table.lines td { border-bottom: 1px solid #e5e7eb; padding: 8px 4px; }
+    .num { text-align: right; white-space: nowrap; }
+    .totals { margin-left: auto; width: 280px; }
+    .totals td { padding: 4px; }
+    .totals .grand td { font-size: 16px; font-weight: bold; border-top: 2px solid #111827; }
+    footer { margin-top: 40px; border-top: 1px solid #e5e7eb; padding-top: 16px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      ${business.logoUrl ? `<img src="${escapeHtml(business.logoUrl)}" alt="" class="logo">` : ''}
+      <h2>${escapeHtml(business.name || 'My Business')}</h2>
+      ${business.abn ? `<div>ABN ${escapeHtml(formatAbn(business.abn))}</div>` : ''}
+      ${business.address ? `<div class="muted">${escapeHtml(business.address)}</div>` : ''}
+      ${business.phone ? `<div class="muted">${escapeHtml(business.phone)}</div>` : ''}
+      ${business.email ? `<div class="muted">${escapeHtml(business.email)}</div>` : ''}
+    </div>
+    <div style="text-align: right">
+      <h1>${title}</h1>
+      <table class="meta" style="margin-left: auto">
+        <tr><td class="muted">Number</td><td>${escapeHtml(billingDoc.number)}</td></tr>
+        <tr><td class="muted">Date</td><td>${formatLongDate(billingDoc.issuedAt)}</td></tr>
+        <tr>
+          <td class="muted">${isQuote ? 'Valid until' : 'Due date'}</td>
+          <td>${formatLongDate(isQuote ? billingDoc.validUntil : billingDoc.dueDate)}</td>
+        </tr>
+      </table>
+    </div>
+  </header>
+
+  <div>
+    <div class="muted">${isQuote ? 'Prepared for' : 'Bill to'}</div>
+    <strong>${escapeHtml(billingDoc.client)}</strong>
+    <div>${escapeHtml(billingDoc.address)}</div>
+  </div>
+
+  <table class="lines">
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}</tbody>
+  </table>
+
+  <table class="totals">
+    <tr><td>Subtotal${billingDoc.gstRegistered ? ' (ex GST)' : ''}</td><td class="num">${formatMoney(billingDoc.subtotalCents)}</td></tr>
+    ${billingDoc.gstRegistered ? `<tr><td>GST (10%)</td><td class="num">${formatMoney(billingDoc.gstCents)}</td></tr>` : ''}
+    <tr class="grand"><td>Total${billingDoc.gstRegistered ? ' (inc GST)' : ''}</td><td class="num">${formatMoney(billingDoc.totalCents)}</td></tr>
+  </table>
+
+  <footer>
+    ${isQuote
+      ? `<p>This quote is valid for ${billingDoc.termsDays} days from the date above.</p>`
+      : `<p>Payment terms: ${billingDoc.termsDays} days. Please quote invoice number ${escapeHtml(billingDoc.number)} with your payment.</p>`}
+    ${billingDoc.gstRegistered ? '' : '<p class="muted">No GST has been charged.</p>'}
+  </footer>
+</body>
+</html>`;
+}
+
+// Open the document in a new window and bring up the print dialog (Save as PDF)
+export function printDocument(billingDoc) {
+  return printHtml(renderDocumentHtml(billingDoc));
+}
+
+// Print a standalone HTML page. Returns false if the pop-up was blocked.
+export function printHtml(html) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+
+  // Some browsers have already finished loading document.write content
+  let printed = false;
+  const print = () => {
+    if (printed) return;
+    printed = true;
+    printWindow.print();
+  };
+  printWindow.onload = print;
+  if (printWindow.document.readyState === 'complete') print();
+  return true;
+}
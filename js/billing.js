@@ -0,0 +1,214 @@
+// Quotes and invoices - Australian GST, ABN and sequential numbering
+import { db, storage } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  getDoc,
+  updateDoc,
+  query,
+  where,
+  onSnapshot,
+  runTransaction,
+  Timestamp
+} from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { resizeImage } from './attachments.js';
+import { buildLinesFromJob, calculateTotals, canTransition, normaliseStatus, transitionStatus } from './job-model.js';
+import { updateJobDoc } from './outbox.js';
+import { getSession } from './session.js';
+
+export const DEFAULT_BUSINESS = {
+  name: '',
+  abn: '',
+  phone: '',
+  email: '',
+  address: '',
+  gstRegistered: true,
+  paymentTermsDays: 14,
+  quoteValidityDays: 30,
+  quoteTerms: '',
+  logoUrl: '',
+  logoPath: ''
+};
+
+const LOGO_MAX_DIMENSION = 400;
+
+const DOC_TYPES = {
+  quote: { collection: 'quotes', prefix: 'Q' },
+  invoice: { collection: 'invoices', prefix: 'INV' }
+};
+
+// ABN checksum: subtract 1 from the first digit, weight, sum, divisible by 89
+export function isValidAbn(abn) {
+  const digits = String(abn || '').replace(/\s/g, '');
+  if (!/^\d{11}$/.test(digits)) return false;
+
+  const weights = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+  const sum = digits.split('').reduce((total, digit, index) => {
+    const value = index === 0 ? Number(digit) - 1 : Number(digit);
+    return total + value * weights[index];
+  }, 0);
+  return sum % 89 === 0;
+}
+
+export function formatAbn(abn) {
+  const digits = String(abn || '').replace(/\s/g, '');
+  return digits.length === 11
+    ? `${digits.slice(0, 2)} ${digits.slice(2, 5)} ${digits.slice(5, 8)} ${digits.slice(8)}`
+    : digits;
+}
+
+export function formatDocNumber(type, sequence) {
+  return `${DOC_TYPES[type].prefix}-${String(sequence).padStart(4, '0')}`;
+}
+
+export function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Business profile (businesses/{businessId}.profile)
+export async function getBusinessProfile(businessId) {
+  const snapshot = await getDoc(doc(db, 'businesses', businessId));
+  return { ...DEFAULT_BUSINESS, ...(snapshot.exists() ? snapshot.data().profile : {}) };
+}
+
+// Pass `name` to rename the business itself as well (owners only)
+export async function saveBusinessProfile(businessId, business, { name } = {}) {
+  await updateDoc(doc(db, 'businesses', businessId), {
+    profile: { ...DEFAULT_BUSINESS, ...business },
+    ...(name ? { name } : {}),
+    updatedAt: Timestamp.now()
+  });
+}
+
+// Shrink and store a logo for the quote header. Returns { logoUrl, logoPath };
+// the caller saves them on the profile and removes the old file.
+export async function uploadBusinessLogo(businessId, file) {
+  if (!file.type.startsWith('image/')) {
+    throw new Error('Choose an image for your logo');
+  }
+
+  const { blob } = await resizeImage(file, { maxDimension: LOGO_MAX_DIMENSION, quality: 0.9 });
+  const logoPath = `logos/${businessId}/${Date.now()}.jpg`;
+  const logoRef = ref(storage, logoPath);
+  await uploadBytes(logoRef, blob, { contentType: 'image/jpeg' });
+  return { logoUrl: await getDownloadURL(logoRef), logoPath };
+}
+
+export async function deleteBusinessLogo(logoPath) {
+  if (!logoPath) return;
+  await deleteObject(ref(storage, logoPath)).catch(error => {
+    if (error.code !== 'storage/object-not-found') throw error;
+  });
+}
+
+// Issue a quote or invoice for a job. The sequence number is claimed from
+// counters/{businessId} in the same transaction that writes the document.
+export async function issueDocument(type, job, business) {
+  const config = DOC_TYPES[type];
+  const lines = buildLinesFromJob(job);
+  if (lines.length === 0) {
+    throw new Error('Add labour or materials before issuing a ' + type);
+  }
+
+  const totals = calculateTotals(lines, business);
+  const issuedAt = new Date();
+  const termsDays = type === 'quote' ? business.quoteValidityDays : business.paymentTermsDays;
+  const { userId } = getSession();
+  const counterRef = doc(db, 'counters', job.businessId);
+  const docRef = doc(collection(db, config.collection));
+
+  const issued = await runTransaction(db, async (transaction) => {
+    const counter = await transaction.get(counterRef);
+    const sequence = (counter.exists() ? counter.data()[type] || 0 : 0) + 1;
+    const docNumber = formatDocNumber(type, sequence);
+
+    const record = {
+      type,
+      number: docNumber,
+      sequence,
+      jobId: job.id,
+      businessId: job.businessId,
+      userId,
+      business: { ...business },
+      client: job.client || '',
+      address: job.address || '',
+      lines,
+      ...totals,
+      gstRegistered: !!business.gstRegistered,
+      termsDays,
+      issuedAt: Timestamp.fromDate(issuedAt),
+      [type === 'quote' ? 'validUntil' : 'dueDate']: Timestamp.fromDate(addDays(issuedAt, termsDays)),
+      status: 'issued',
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    };
+    transaction.set(counterRef, { [type]: sequence }, { merge: true });
+    transaction.set(docRef, record);
+    return record;
+  });
+  const { number } = issued;
+
+  // Issuing a quote moves a new job into the quoted stage and sets its value
+  let jobFields = { valueCents: totals.totalCents };
+  if (type === 'quote' && normaliseStatus(job.status) === 'new') {
+    jobFields = { ...jobFields, ...transitionStatus(job, 'quoted', { userId, note: `Quote ${number} issued` }) };
+  }
+  await updateJobDoc(job, jobFields);
+
+  return { id: docRef.id, ...issued };
+}
+
+// Record payment and complete the job (unless it's already completed, or
+// `complete` is false because the job still has forms outstanding)
+export async function markInvoicePaid(invoice, job, { complete = true } = {}) {
+  await updateDoc(doc(db, 'invoices', invoice.id), {
+    status: 'paid',
+    paidAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  });
+
+  if (complete && canTransition(job.status, 'completed')) {
+    await updateJobDoc(job, transitionStatus(job, 'completed', { userId: getSession().userId, note: `Invoice ${invoice.number} paid` }));
+  }
+}
+
+// Live list of a job's quotes and invoices, newest first
+export function subscribeToJobDocuments(job, callback) {
+  const results = { quote: [], invoice: [] };
+  const unsubscribers = Object.entries(DOC_TYPES).map(([type, config]) => {
+    const docsQuery = query(
+      collection(db, config.collection),
+      where('businessId', '==', job.businessId),
+      where('jobId', '==', job.id)
+    );
+    return onSnapshot(docsQuery, (snapshot) => {
+      results[type] = snapshot.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => b.sequence - a.sequence);
+      callback({ quotes: results.quote, invoices: results.invoice });
+    }, (error) => {
+      console.error(`Error loading ${config.collection}:`, error);
+    });
+  });
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+// Every quote and invoice in the business, for reports
+export function subscribeToBusinessDocuments(businessId, callback) {
+  const results = { quote: [], invoice: [] };
+  const unsubscribers = Object.entries(DOC_TYPES).map(([type, config]) => {
+    const docsQuery = query(collection(db, config.collection), where('businessId', '==', businessId));
+    return onSnapshot(docsQuery, (snapshot) => {
+      results[type] = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      callback({ quotes: results.quote, invoices: results.invoice });
+    }, (error) => {
+      console.error(`Error loading ${config.collection}:`, error);
+    });
+  });
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -0,0 +1,235 @@
+// Businesses, members and invites
+//
+// businesses/{businessId}              name, ownerId, profile (quote/invoice details)
+// businesses/{businessId}/members/{uid} userId, role, email, displayName
+// invites/{businessId}_{email}          businessId, businessName, email, role, invitedBy
+// users/{uid}                           businessId (the business they're working in)
+//
+// A user's first business uses their uid as its id, so documents they owned
+// before businesses existed (counters, storage paths) carry straight over.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  onSnapshot,
+  updateDoc,
+  deleteDoc,
+  setDoc,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import { ROLES } from './session.js';
+
+function memberRef(businessId, userId) {
+  return doc(db, 'businesses', businessId, 'members', userId);
+}
+
+export function getInviteId(businessId, email) {
+  return `${businessId}_${email.trim().toLowerCase()}`;
+}
+
+// Name and email stored on member and user documents. A name typed at sign-up
+// can be passed in before it has reached the auth profile.
+function describeUser(user, displayName = '') {
+  return {
+    email: (user.email || '').toLowerCase(),
+    displayName: displayName || user.displayName || (user.email || '').split('@')[0]
+  };
+}
+
+export async function getUserProfile(userId) {
+  const snapshot = await getDoc(doc(db, 'users', userId));
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+export async function getBusiness(businessId) {
+  const snapshot = await getDoc(doc(db, 'businesses', businessId));
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+export async function getMembership(businessId, userId) {
+  const snapshot = await getDoc(memberRef(businessId, userId));
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+// Every business the user belongs to: [{ businessId, role }]
+export async function listMemberships(userId) {
+  const snapshot = await getDocs(query(collectionGroup(db, 'members'), where('userId', '==', userId)));
+  return snapshot.docs.map(memberDoc => ({
+    businessId: memberDoc.ref.parent.parent.id,
+    role: memberDoc.data().role
+  }));
+}
+
+// Create a business with the user as its owner and make it their current one
+export async function createBusiness(user, { name, profile = {}, displayName = '' }) {
+  const existing = await getDoc(doc(db, 'businesses', user.uid));
+  const businessRef = existing.exists() ? doc(collection(db, 'businesses')) : doc(db, 'businesses', user.uid);
+  const person = describeUser(user, displayName);
+  const trimmed = name.trim() || `${person.displayName}'s business`;
+
+  const batch = writeBatch(db);
+  batch.set(businessRef, {
+    name: trimmed,
+    ownerId: user.uid,
+    profile: { ...profile, name: profile.name || trimmed },
+    createdAt: Timestamp.now()
+  });
+  batch.set(memberRef(businessRef.id, user.uid), {
+    userId: user.uid,
+    role: 'owner',
+    ...person,
+    joinedAt: Timestamp.now()
+  });
+  batch.set(doc(db, 'users', user.uid), {
+    businessId: businessRef.id,
+    ...person
+  }, { merge: true });
+  await batch.commit();
+
+  return { id: businessRef.id, name: trimmed, ownerId: user.uid };
+}
+
+// Live business document, including its profile
+export function subscribeToBusiness(businessId, callback) {
+  return onSnapshot(doc(db, 'businesses', businessId), (snapshot) => {
+    if (snapshot.exists()) callback({ id: snapshot.id, ...snapshot.data() });
+  }, (error) => {
+    console.error('Error loading business:', error);
+  });
+}
+
+// Change the name the team sees, on the membership and the user's own document
+export async function updateMemberProfile(businessId, userId, { displayName }) {
+  const batch = writeBatch(db);
+  batch.update(memberRef(businessId, userId), { displayName });
+  batch.set(doc(db, 'users', userId), { displayName }, { merge: true });
+  await batch.commit();
+}
+
+export async function switchBusiness(userId, businessId) {
+  await setDoc(doc(db, 'users', userId), { businessId }, { merge: true });
+}
+
+// Work out which business the user is working in. Returns
+// { business, role } or, when they don't belong to one yet, { invites }.
+// Users from before businesses existed get one created from their old
+// business details, with `created: true` so their data can be migrated.
+export async function resolveUserBusiness(user, { businessName = '', displayName = '' } = {}) {
+  const profile = await getUserProfile(user.uid);
+
+  // Fall back to another business they belong to if they've been removed from this one
+  let businessId = profile?.businessId || null;
+  let membership = businessId ? await getMembership(businessId, user.uid) : null;
+  if (!membership) {
+    const [first] = await listMemberships(user.uid);
+    if (first) {
+      businessId = first.businessId;
+      membership = first;
+    }
+  }
+
+  if (membership) {
+    if (profile?.businessId !== businessId) await switchBusiness(user.uid, businessId);
+    return { business: await getBusiness(businessId), role: membership.role };
+  }
+
+  const invites = await listInvitesForEmail(user.email);
+  if (invites.length > 0 && !businessName) {
+    return { invites };
+  }
+
+  const business = await createBusiness(user, {
+    name: businessName || profile?.business?.name || '',
+    profile: profile?.business || {},
+    displayName
+  });
+  return { business, role: 'owner', created: true };
+}
+
+// Invites
+
+export async function inviteMember(business, { email, role }, invitedBy) {
+  const address = email.trim().toLowerCase();
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(address)) {
+    throw new Error('Enter a valid email address');
+  }
+  if (!ROLES.includes(role) || role === 'owner') {
+    throw new Error('Invites can be for office or field staff');
+  }
+
+  await setDoc(doc(db, 'invites', getInviteId(business.id, address)), {
+    businessId: business.id,
+    businessName: business.name,
+    email: address,
+    role,
+    invitedBy,
+    createdAt: Timestamp.now()
+  });
+}
+
+export async function listInvitesForEmail(email) {
+  if (!email) return [];
+  const snapshot = await getDocs(query(collection(db, 'invites'), where('email', '==', email.toLowerCase())));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+// Join the business on the invite and switch to it. The rules only allow this
+// once the user's email address is verified.
+export async function acceptInvite(user, invite) {
+  const batch = writeBatch(db);
+  batch.set(memberRef(invite.businessId, user.uid), {
+    userId: user.uid,
+    role: invite.role,
+    ...describeUser(user),
+    invitedBy: invite.invitedBy,
+    joinedAt: Timestamp.now()
+  });
+  batch.set(doc(db, 'users', user.uid), {
+    businessId: invite.businessId,
+    ...describeUser(user)
+  }, { merge: true });
+  batch.delete(doc(db, 'invites', invite.id));
+  await batch.commit();
+}
+
+export async function revokeInvite(inviteId) {
+  await deleteDoc(doc(db, 'invites', inviteId));
+}
+
+// Team
+
+export function subscribeToMembers(businessId, callback) {
+  return onSnapshot(collection(db, 'businesses', businessId, 'members'), (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || (a.displayName || '').localeCompare(b.displayName || '')));
+  }, (error) => {
+    console.error('Error loading team:', error);
+  });
+}
+
+export function subscribeToInvites(businessId, callback) {
+  const invitesQuery = query(collection(db, 'invites'), where('businessId', '==', businessId));
+  return onSnapshot(invitesQuery, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error('Error loading invites:', error);
+  });
+}
+
+export async function updateMemberRole(businessId, userId, role) {
+  if (!ROLES.includes(role) || role === 'owner') {
+    throw new Error('Members can be office or field staff');
+  }
+  await updateDoc(memberRef(businessId, userId), { role });
+}
+
+export async function removeMember(businessId, userId) {
+  await deleteDoc(memberRef(businessId, userId));
+}
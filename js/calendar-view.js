@@ -0,0 +1,306 @@
+// Calendar view - day and week schedules with drag-to-reschedule
+import { Timestamp } from 'firebase/firestore';
+import { downloadFile, escapeHtml, getStatusColor, showNotification } from './utils.js';
+import { getStatusLabel, normaliseStatus } from './job-model.js';
+import {
+  DAY_END_HOUR,
+  DAY_START_HOUR,
+  addDaysToDate,
+  buildIcsCalendar,
+  findClashes,
+  findClashesFor,
+  formatScheduleRange,
+  formatTime,
+  getClashingJobIds,
+  getJobSchedule,
+  getWorkerName,
+  isSameDay,
+  isScheduled,
+  jobsOnDay,
+  listWorkers,
+  moveSchedule,
+  startOfDay,
+  startOfWeek
+} from './schedule.js';
+import { updateJobDoc } from './outbox.js';
+import { notifyClient } from './client-messages.js';
+
+const HOUR_HEIGHT = 48;
+const SNAP_MINUTES = 15;
+
+// Calendar state survives re-renders from snapshot updates
+let calendarMode = 'week';
+let calendarDate = startOfDay(new Date());
+let workerFilter = '';
+let calendarJobs = [];
+
+export function renderCalendarView(jobs) {
+  const view = document.getElementById('calendarView');
+  if (!view) return;
+  calendarJobs = jobs;
+
+  const days = calendarMode === 'day'
+    ? [calendarDate]
+    : Array.from({ length: 7 }, (_, i) => addDaysToDate(startOfWeek(calendarDate), i));
+
+  const visibleJobs = filterByWorker(jobs);
+  const clashingIds = getClashingJobIds(jobs);
+  const clashes = findClashes(jobs).filter(clash =>
+    clash.jobs.some(job => days.some(day => jobsOnDay([job], day).length > 0))
+  );
+  const unscheduled = visibleJobs.filter(job =>
+    !isScheduled(job) && ['new', 'quoted', 'in_progress'].includes(normaliseStatus(job.status))
+  );
+  const workers = listWorkers(jobs);
+
+  view.innerHTML = `
+    <div class="max-w-7xl mx-auto p-6">
+      <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div class="flex items-center gap-2">
+              <a href="#/" class="inline-block text-sm text-gray-600 hover:text-gray-900 mr-2">
+                  <i class="fas fa-arrow-left mr-1"></i>Dashboard
+              </a>
+              <button onclick="moveCalendar(-1)" class="px-2 py-1 border rounded hover:bg-gray-50" title="Previous"><i class="fas fa-chevron-left"></i></button>
+              <button onclick="moveCalendar(0)" class="px-3 py-1 border rounded hover:bg-gray-50 text-sm">Today</button>
+              <button onclick="moveCalendar(1)" class="px-2 py-1 border rounded hover:bg-gray-50" title="Next"><i class="fas fa-chevron-right"></i></button>
+              <h2 class="text-lg font-semibold text-gray-900 ml-2">${escapeHtml(formatRangeTitle(days))}</h2>
+          </div>
+          <div class="flex items-center gap-2">
+              <select onchange="setCalendarWorker(this.value)" class="text-sm border rounded px-2 py-1">
+                  <option value="">All workers</option>
+                  ${workers.map(name => `<option value="${escapeHtml(name)}" ${name === workerFilter ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+              </select>
+              <div class="flex border rounded overflow-hidden text-sm">
+                  ${['day', 'week'].map(mode => `
+                      <button onclick="setCalendarMode('${mode}')" class="px-3 py-1 ${mode === calendarMode ? 'bg-blue-600 text-white' : 'hover:bg-gray-50'}">${mode === 'day' ? 'Day' : 'Week'}</button>
+                  `).join('')}
+              </div>
+              <button onclick="exportCalendar()" class="px-3 py-1 border rounded hover:bg-gray-50 text-sm" title="Download for phone calendar apps">
+                  <i class="fas fa-calendar-arrow-down mr-1"></i>Export .ics
+              </button>
+          </div>
+      </div>
+
+      ${clashes.length ? `
+          <div class="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+              <div class="font-medium"><i class="fas fa-triangle-exclamation mr-1"></i>Double bookings</div>
+              <ul class="mt-1">
+                  ${clashes.map(clash => `
+                      <li>${escapeHtml(clash.worker)}: ${clash.jobs.map(job => `${escapeHtml(job.client || 'Job')} (${escapeHtml(formatScheduleRange(job))})`).join(' and ')}</li>
+                  `).join('')}
+              </ul>
+          </div>
+      ` : ''}
+
+      <div class="flex gap-4">
+          <div class="flex-1 bg-white rounded-lg shadow overflow-x-auto">
+              ${renderGrid(days, visibleJobs, clashingIds)}
+          </div>
+          <div class="w-56 shrink-0 bg-white rounded-lg shadow p-3 self-start"
+              ondragover="event.preventDefault()" ondrop="dropCalendarJob(event, null)">
+              <h3 class="font-medium text-gray-900 text-sm mb-2">Unscheduled</h3>
+              <p class="text-xs text-gray-500 mb-2">Drag a job onto the calendar to book it, or back here to unschedule it.</p>
+              ${unscheduled.map(job => `
+                  <div draggable="true" ondragstart="event.dataTransfer.setData('text/plain', '${job.id}')"
+                      onclick="selectJob('${job.id}')"
+                      class="p-2 mb-2 rounded border text-xs cursor-move hover:bg-gray-50">
+                      <div class="font-medium text-gray-900">${escapeHtml(job.client || 'Unnamed Client')}</div>
+                      <div class="text-gray-500 truncate">${escapeHtml(job.address || 'No address')}</div>
+                  </div>
+              `).join('') || '<p class="text-xs text-gray-400">Everything is booked in.</p>'}
+          </div>
+      </div>
+    </div>
+  `;
+}
+
+function filterByWorker(jobs) {
+  if (!workerFilter) return jobs;
+  return jobs.filter(job => getWorkerName(job).toLowerCase() === workerFilter.toLowerCase());
+}
+
+function formatRangeTitle(days) {
+  const options = { day: 'numeric', month: 'short', year: 'numeric' };
+  if (days.length === 1) {
+    return days[0].toLocaleDateString('en-AU', { weekday: 'long', ...options });
+  }
+  return `${days[0].toLocaleDateString('en-AU', { day: 'numeric', month: 'short' })} - ${days[days.length - 1].toLocaleDateString('en-AU', options)}`;
+}
+
+function renderGrid(days, jobs, clashingIds) {
+  const hours = Array.from({ length: DAY_END_HOUR - DAY_START_HOUR }, (_, i) => DAY_START_HOUR + i);
+  const height = hours.length * HOUR_HEIGHT;
+  const today = new Date();
+
+  return `
+    <div class="flex border-b text-xs font-medium text-gray-600" style="min-width: ${days.length > 1 ? 720 : 0}px">
+        <div class="w-14 shrink-0"></div>
+        ${days.map(day => `
+            <div class="flex-1 px-2 py-2 text-center border-l ${isSameDay(day, today) ? 'text-blue-600' : ''}">
+                ${escapeHtml(day.toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short' }))}
+            </div>
+        `).join('')}
+    </div>
+    <div class="flex" style="min-width: ${days.length > 1 ? 720 : 0}px">
+        <div class="w-14 shrink-0 relative" style="height: ${height}px">
+            ${hours.map((hour, i) => `
+                <div class="absolute right-2 text-xs text-gray-400" style="top: ${i * HOUR_HEIGHT - 6}px">${hour > 12 ? hour - 12 : hour}${hour >= 12 ? 'pm' : 'am'}</div>
+            `).join('')}
+        </div>
+        ${days.map(day => `
+            <div class="flex-1 relative border-l" style="height: ${height}px"
+                ondragover="event.preventDefault()" ondrop="dropCalendarJob(event, ${day.getTime()})">
+                ${hours.map((_, i) => `<div class="absolute inset-x-0 border-t border-gray-100" style="top: ${i * HOUR_HEIGHT}px"></div>`).join('')}
+                ${renderDayJobs(day, jobs, clashingIds)}
+            </div>
+        `).join('')}
+    </div>
+  `;
+}
+
+// Side-by-side lanes for jobs that overlap within a day
+function layoutDay(entries) {
+  const placed = [];
+  let cluster = [];
+  let clusterEnd = 0;
+  let lanes = [];
+
+  const closeCluster = () => {
+    cluster.forEach(item => { item.laneCount = lanes.length; });
+    cluster = [];
+    lanes = [];
+  };
+
+  entries.forEach(entry => {
+    if (cluster.length && entry.schedule.start >= clusterEnd) closeCluster();
+
+    let lane = lanes.findIndex(end => end <= entry.schedule.start);
+    if (lane === -1) {
+      lane = lanes.length;
+      lanes.push(entry.schedule.end);
+    } else {
+      lanes[lane] = entry.schedule.end;
+    }
+
+    const item = { ...entry, lane };
+    cluster.push(item);
+    placed.push(item);
+    clusterEnd = Math.max(clusterEnd, entry.schedule.end.getTime());
+  });
+  closeCluster();
+  return placed;
+}
+
+function renderDayJobs(day, jobs, clashingIds) {
+  const visibleStart = new Date(day);
+  visibleStart.setHours(DAY_START_HOUR, 0, 0, 0);
+  const visibleEnd = new Date(day);
+  visibleEnd.setHours(DAY_END_HOUR, 0, 0, 0);
+
+  return layoutDay(jobsOnDay(jobs, day)).map(({ job, schedule, lane, laneCount }) => {
+    const start = Math.max(schedule.start, visibleStart);
+    const end = Math.min(schedule.end, visibleEnd);
+    if (end <= start) return '';
+
+    const top = (start - visibleStart) / 3600000 * HOUR_HEIGHT;
+    const height = Math.max((end - start) / 3600000 * HOUR_HEIGHT, 20);
+    const width = 100 / laneCount;
+    const clash = clashingIds.has(job.id);
+
+    return `
+      <div draggable="true" ondragstart="event.dataTransfer.setData('text/plain', '${job.id}')"
+          onclick="selectJob('${job.id}')"
+          title="${escapeHtml(`${job.client || 'Job'} - ${formatScheduleRange(job)}`)}"
+          class="absolute rounded px-1.5 py-1 text-xs overflow-hidden cursor-move border ${clash ? 'border-red-500 ring-1 ring-red-400' : 'border-white'} ${getStatusColor(normaliseStatus(job.status))}"
+          style="top: ${top}px; height: ${height}px; left: calc(${lane * width}% + 2px); width: calc(${width}% - 4px)">
+          <div class="font-medium truncate">${clash ? '<i class="fas fa-triangle-exclamation text-red-600 mr-1"></i>' : ''}${escapeHtml(job.client || 'Unnamed Client')}</div>
+          <div class="truncate">${escapeHtml(formatTime(schedule.start))} · ${escapeHtml(getWorkerName(job) || 'Unassigned')}</div>
+          <div class="truncate opacity-75">${escapeHtml(job.address || getStatusLabel(job.status))}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Drop handler for day columns (dayMs is midnight of that day) and the
+// unscheduled list (dayMs is null)
+async function dropCalendarJob(event, dayMs) {
+  event.preventDefault();
+  const job = calendarJobs.find(j => j.id === event.dataTransfer.getData('text/plain'));
+  if (!job) return;
+
+  if (dayMs === null) {
+    if (!isScheduled(job)) return;
+    await saveSchedule(job, { scheduledStart: null, scheduledEnd: null });
+    return;
+  }
+
+  const rect = event.currentTarget.getBoundingClientRect();
+  const minutes = Math.round(((event.clientY - rect.top) / HOUR_HEIGHT * 60) / SNAP_MINUTES) * SNAP_MINUTES;
+  const start = new Date(dayMs);
+  start.setHours(DAY_START_HOUR, Math.max(minutes, 0), 0, 0);
+
+  const current = getJobSchedule(job);
+  if (current && current.start.getTime() === start.getTime()) return;
+
+  const { end } = moveSchedule(job, start);
+  const clashes = findClashesFor(calendarJobs, job, { start, end });
+  if (clashes.length > 0) {
+    const names = clashes.map(other => `${other.client || 'a job'} (${formatScheduleRange(other)})`).join(', ');
+    if (!confirm(`${getWorkerName(job)} is already booked for ${names}. Schedule anyway?`)) return;
+  }
+
+  const fields = {
+    scheduledStart: Timestamp.fromDate(start),
+    scheduledEnd: Timestamp.fromDate(end)
+  };
+  if (await saveSchedule(job, fields)) await notifyClient('bookingConfirmed', { ...job, ...fields });
+}
+
+async function saveSchedule(job, fields) {
+  try {
+    await updateJobDoc(job, fields);
+    return true;
+  } catch (error) {
+    console.error('Error rescheduling job:', error);
+    showNotification('Error', 'Failed to reschedule job. Please try again.');
+    return false;
+  }
+}
+
+function moveCalendar(direction) {
+  if (direction === 0) {
+    calendarDate = startOfDay(new Date());
+  } else {
+    calendarDate = addDaysToDate(calendarDate, direction * (calendarMode === 'day' ? 1 : 7));
+  }
+  renderCalendarView(calendarJobs);
+}
+
+function setCalendarMode(mode) {
+  calendarMode = mode;
+  renderCalendarView(calendarJobs);
+}
+
+function setCalendarWorker(name) {
+  workerFilter = name;
+  renderCalendarView(calendarJobs);
+}
+
+function exportCalendar() {
+  const jobs = filterByWorker(calendarJobs).filter(isScheduled);
+  if (jobs.length === 0) {
+    showNotification('Nothing to Export', 'There are no scheduled jobs to export');
+    return;
+  }
+
+  const name = workerFilter ? `TradieIQ - ${workerFilter}` : 'TradieIQ jobs';
+  const filename = `${workerFilter ? workerFilter.toLowerCase().replace(/[^a-z0-9]+/g, '-') : 'tradieiq'}-schedule.ics`;
+  downloadFile(buildIcsCalendar(jobs, { name }), filename, 'text/calendar');
+}
+
+// Export functions for inline handlers
+window.dropCalendarJob = dropCalendarJob;
+window.moveCalendar = moveCalendar;
+window.setCalendarMode = setCalendarMode;
+window.setCalendarWorker = setCalendarWorker;
+window.exportCalendar = exportCalendar;
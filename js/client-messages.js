@@ -0,0 +1,81 @@
+// Sending client messages from the app - job events call notifyClient() and
+// the result is shown as a notification. app.js keeps the clients, business
+// and templates here up to date, like the time tracking data in job-time.js.
+import { showNotification } from './utils.js';
+import { MESSAGE_EVENTS, buildMessages, getMessageTemplates } from './notifications.js';
+import { sendJobEvent } from './messaging.js';
+import { getSession } from './session.js';
+
+let messagingData = { clients: [], business: null, templates: getMessageTemplates() };
+
+export function setMessagingData(data) {
+  messagingData = { ...messagingData, ...data };
+}
+
+export function getMessagingData() {
+  return messagingData;
+}
+
+function getClient(job) {
+  return job.clientId ? messagingData.clients.find(client => client.id === job.clientId) || null : null;
+}
+
+// What buildMergeFields needs for a job, plus any extras (document, worker, etaMinutes)
+export function getMessageContext(job, extra = {}) {
+  return { job, client: getClient(job), business: messagingData.business, ...extra };
+}
+
+// The messages an event would send right now, for previews
+export function previewClientMessages(event, job, extra = {}, { manual = false } = {}) {
+  return buildMessages(event, getMessageContext(job, extra), messagingData.templates, { manual });
+}
+
+function describeChannels(items) {
+  return [...new Set(items.map(item => item.channel === 'sms' ? 'text' : 'email'))].join(' and ');
+}
+
+function reportResult(event, result, { manual }) {
+  const label = MESSAGE_EVENTS[event].label;
+  const reasons = result.skipped.filter(item => !item.disabled && !item.duplicate).map(item => item.reason);
+
+  if (result.failed.length) {
+    showNotification('Message Failed', `${label} ${describeChannels(result.failed)} not sent: ${result.failed[0].error}`);
+  } else if (result.sent.length) {
+    showNotification('Client Notified', `${label} ${describeChannels(result.sent)} sent${reasons.length ? ` (${reasons.join('; ')})` : ''}`);
+  } else if (reasons.length) {
+    showNotification('Client Not Messaged', `${label}: ${reasons.join('; ')}`);
+  } else if (manual && result.skipped.some(item => item.disabled)) {
+    showNotification('Client Not Messaged', `${label} messages are turned off in settings`);
+  }
+}
+
+// Send an event's messages for a job. `extra` is { document, worker, etaMinutes };
+// `manual` sends even if the template is turned off. Resolves with the
+// result from sendJobEvent, or null if nothing could be sent.
+export async function notifyClient(event, job, extra = {}, { manual = false } = {}) {
+  const context = getMessageContext(job, extra);
+  const { messages, skipped } = buildMessages(event, context, messagingData.templates, { manual });
+  if (messages.length === 0) {
+    reportResult(event, { sent: [], failed: [], skipped }, { manual });
+    return null;
+  }
+  if (!navigator.onLine) {
+    showNotification('Offline', `The ${MESSAGE_EVENTS[event].label.toLowerCase()} message can be sent from the job's Messages tab once you're back in range`);
+    return null;
+  }
+
+  try {
+    const result = await sendJobEvent(event, context, {
+      templates: messagingData.templates,
+      userId: getSession().userId,
+      manual,
+      replyTo: messagingData.business?.profile?.email || ''
+    });
+    reportResult(event, result, { manual });
+    return result;
+  } catch (error) {
+    console.error('Error messaging client:', error);
+    showNotification('Error', 'Failed to message the client. Please try again.');
+    return null;
+  }
+}
@@ -0,0 +1,147 @@
+// Client page - contact details, site addresses, job history, maintenance contracts and lifetime value
+import { escapeHtml, formatDate, getStatusColor, hasUnsavedInput, showNotification } from './utils.js';
+import { formatMoney, getJobValueCents, getStatusLabel, normaliseStatus } from './job-model.js';
+import { addClientSite, getClientJobs, getClientStats, updateClient } from './clients.js';
+import { updateJobDoc } from './outbox.js';
+import { canSeePricing } from './session.js';
+import { renderClientSeries } from './job-series.js';
+
+// Client currently shown on the page, and their jobs
+let viewClient = null;
+let viewJobs = [];
+
+export function renderClientView(client, jobs) {
+  const view = document.getElementById('clientView');
+  if (!view) return;
+
+  // Don't clobber an edit in progress when a snapshot update arrives
+  const sameClient = viewClient?.id === client.id;
+  viewClient = client;
+  if (sameClient && hasUnsavedInput(view)) return;
+
+  const clientJobs = getClientJobs(jobs, client.id);
+  viewJobs = clientJobs;
+  const stats = getClientStats(clientJobs);
+  const showPricing = canSeePricing();
+
+  view.innerHTML = `
+    <div class="max-w-5xl mx-auto p-6">
+      <a href="#/" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to dashboard
+      </a>
+
+      <div class="bg-white rounded-lg shadow p-6 mb-6">
+          <div class="flex justify-between items-start">
+              <div>
+                  <h2 class="text-xl font-semibold text-gray-900">${escapeHtml(client.name)}</h2>
+                  <div class="text-sm text-gray-600 mt-1 space-x-4">
+                      ${client.phone ? `<a href="tel:${escapeHtml(client.phone)}" class="hover:underline"><i class="fas fa-phone mr-1"></i>${escapeHtml(client.phone)}</a>` : ''}
+                      ${client.email ? `<a href="mailto:${escapeHtml(client.email)}" class="hover:underline"><i class="fas fa-envelope mr-1"></i>${escapeHtml(client.email)}</a>` : ''}
+                  </div>
+              </div>
+              <div class="text-right">
+                  ${showPricing ? `<div class="text-lg font-semibold text-green-600">${formatMoney(stats.lifetimeValueCents)}</div>` : ''}
+                  <div class="text-xs text-gray-500">${showPricing ? 'lifetime value · ' : ''}${stats.jobCount} ${stats.jobCount === 1 ? 'job' : 'jobs'}</div>
+                  ${showPricing && stats.openValueCents ? `<div class="text-xs text-gray-500">${formatMoney(stats.openValueCents)} in open work</div>` : ''}
+              </div>
+          </div>
+      </div>
+
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div class="bg-white rounded-lg shadow p-6">
+              <h3 class="font-medium text-gray-900 mb-3">Details</h3>
+              <form onsubmit="event.preventDefault(); saveClientDetails(this);" class="space-y-2">
+                  <input type="text" name="clientName" value="${escapeHtml(client.name)}" required placeholder="Name" class="w-full px-3 py-2 border rounded-lg">
+                  <input type="tel" name="phone" value="${escapeHtml(client.phone)}" placeholder="Phone" class="w-full px-3 py-2 border rounded-lg">
+                  <input type="email" name="email" value="${escapeHtml(client.email)}" placeholder="Email" class="w-full px-3 py-2 border rounded-lg">
+                  <textarea name="notes" rows="4" placeholder="Notes - gate codes, dogs, preferred times..." class="w-full px-3 py-2 border rounded-lg">${escapeHtml(client.notes)}</textarea>
+                  <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Save</button>
+              </form>
+
+              <h3 class="font-medium text-gray-900 mt-6 mb-3">Site addresses</h3>
+              <ul class="mb-3">
+                  ${(client.sites || []).map(site => `
+                      <li class="flex items-center gap-2 py-2 border-b last:border-b-0 text-sm">
+                          <i class="fas fa-location-dot text-gray-400"></i>
+                          <span class="flex-1">${site.label ? `<span class="font-medium">${escapeHtml(site.label)}:</span> ` : ''}${escapeHtml(site.address)}</span>
+                          <button onclick="removeClientSite('${site.id}')" class="text-gray-400 hover:text-red-600" title="Remove site">
+                              <i class="fas fa-trash"></i>
+                          </button>
+                      </li>
+                  `).join('') || '<li class="text-sm text-gray-500">No sites yet.</li>'}
+              </ul>
+              <form onsubmit="event.preventDefault(); addSiteToClient(this); this.reset();" class="flex gap-2">
+                  <input type="text" name="label" placeholder="Label (e.g. Rental)" class="w-1/3 px-3 py-2 border rounded-lg">
+                  <input type="text" name="address" placeholder="Address" required class="flex-1 px-3 py-2 border rounded-lg">
+                  <button type="submit" class="bg-gray-800 text-white px-3 py-2 rounded-lg hover:bg-gray-900">Add</button>
+              </form>
+          </div>
+
+          <div class="bg-white rounded-lg shadow">
+              <h3 class="font-medium text-gray-900 p-6 pb-3">Job history</h3>
+              ${clientJobs.length === 0 ? '<p class="px-6 pb-6 text-sm text-gray-500">No jobs for this client yet.</p>' : clientJobs.map(job => `
+                  <div onclick="selectJob('${job.id}')" class="px-6 py-3 border-t hover:bg-gray-50 cursor-pointer">
+                      <div class="flex justify-between">
+                          <span class="text-sm text-gray-900">${escapeHtml(job.address || 'No address')}</span>
+                          ${showPricing ? `<span class="text-sm font-semibold text-green-600">${formatMoney(getJobValueCents(job))}</span>` : ''}
+                      </div>
+                      <div class="flex items-center gap-2 mt-1">
+                          <span class="px-2 py-0.5 text-xs rounded ${getStatusColor(normaliseStatus(job.status))}">${escapeHtml(getStatusLabel(job.status))}</span>
+                          <span class="text-xs text-gray-500">${formatDate(job.updatedAt)}</span>
+                      </div>
+                  </div>
+              `).join('')}
+          </div>
+      </div>
+
+      ${renderClientSeries(client)}
+    </div>
+  `;
+}
+
+async function saveClientDetails(form) {
+  if (!viewClient) return;
+  const name = form.clientName.value.trim();
+  try {
+    await updateClient(viewClient.id, {
+      name,
+      phone: form.phone.value.trim(),
+      email: form.email.value.trim(),
+      notes: form.notes.value.trim()
+    });
+    
+    // Jobs keep a copy of the client name for lists and search
+    const renamed = viewJobs.filter(job => job.client !== name);
+    await Promise.all(renamed.map(job => updateJobDoc(job, { client: name })));
+    
+    showNotification('Client Saved', `${name} has been updated`);
+  } catch (error) {
+    console.error('Error updating client:', error);
+    showNotification('Error', 'Failed to save client. Please try again.');
+  }
+}
+
+async function addSiteToClient(form) {
+  if (!viewClient || !form.address.value.trim()) return;
+  try {
+    await addClientSite(viewClient, form.address.value, form.label.value);
+  } catch (error) {
+    console.error('Error adding site:', error);
+    showNotification('Error', 'Failed to add site. Please try again.');
+  }
+}
+
+async function removeClientSite(siteId) {
+  if (!viewClient) return;
+  try {
+    await updateClient(viewClient.id, { sites: (viewClient.sites || []).filter(site => site.id !== siteId) });
+  } catch (error) {
+    console.error('Error removing site:', error);
+    showNotification('Error', 'Failed to remove site. Please try again.');
+  }
+}
+
+// Export functions for inline handlers
+window.saveClientDetails = saveClientDetails;
+window.addSiteToClient = addSiteToClient;
+window.removeClientSite = removeClientSite;
@@ -0,0 +1,101 @@
+// Client records - contact details and site addresses shared across jobs
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  Timestamp
+} from 'firebase/firestore';
+import { generateId } from './utils.js';
+import { jobsWithStatus, sumJobValues } from './job-model.js';
+
+// Offline, Firestore's cache accepts the write straight away but the promise only
+// resolves once the server has it - don't hold the UI up waiting for that
+async function commitWrite(write) {
+  if (navigator.onLine) await write;
+  else write.catch(error => console.error('Queued client write failed:', error));
+}
+
+export function subscribeToClients(businessId, callback) {
+  const clientsQuery = query(
+    collection(db, 'clients'),
+    where('businessId', '==', businessId),
+    orderBy('name')
+  );
+
+  return onSnapshot(clientsQuery, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error('Error loading clients:', error);
+  });
+}
+
+// `owner` is { userId, businessId } - the user creating the client and their business
+export function buildClientRecord({ userId, businessId }, { name, phone = '', email = '', notes = '', sites = [] }) {
+  return {
+    userId,
+    businessId,
+    name: name.trim(),
+    nameLower: name.trim().toLowerCase(),
+    phone: phone.trim(),
+    email: email.trim(),
+    notes: notes.trim(),
+    sites: sites
+      .filter(site => site.address?.trim())
+      .map(site => ({ id: site.id || generateId(), label: site.label?.trim() || '', address: site.address.trim() })),
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  };
+}
+
+// Returns the new client's id straight away so a job can link to it offline
+export async function createClient(owner, data) {
+  const ref = doc(collection(db, 'clients'));
+  await commitWrite(setDoc(ref, buildClientRecord(owner, data)));
+  return ref.id;
+}
+
+export async function updateClient(clientId, fields) {
+  const update = { ...fields, updatedAt: Timestamp.now() };
+  if (typeof fields.name === 'string') {
+    update.name = fields.name.trim();
+    update.nameLower = update.name.toLowerCase();
+  }
+  await commitWrite(updateDoc(doc(db, 'clients', clientId), update));
+}
+
+// Add a site to a client unless the same address is already on file
+export async function addClientSite(client, address, label = '') {
+  const trimmed = address.trim();
+  const existing = (client.sites || []).find(site => site.address.toLowerCase() === trimmed.toLowerCase());
+  if (existing) return existing;
+
+  const site = { id: generateId(), label: label.trim(), address: trimmed };
+  await updateClient(client.id, { sites: [...(client.sites || []), site] });
+  return site;
+}
+
+export function findClientByName(clients, name) {
+  const lower = name.trim().toLowerCase();
+  return clients.find(client => client.nameLower === lower || client.name?.toLowerCase() === lower);
+}
+
+export function getClientJobs(jobs, clientId) {
+  return jobs.filter(job => job.clientId === clientId);
+}
+
+// Lifetime value counts completed work; open work is reported separately
+export function getClientStats(jobs) {
+  const completed = jobsWithStatus(jobs, 'completed');
+  const open = jobsWithStatus(jobs, 'new', 'quoted', 'in_progress');
+  return {
+    jobCount: jobs.length,
+    lifetimeValueCents: sumJobValues(completed),
+    openValueCents: sumJobValues(open)
+  };
+}
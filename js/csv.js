@@ -0,0 +1,76 @@
+// CSV - reading spreadsheets people export and writing ones they can open
+//
+// Kept free of Firebase imports like the job model.
+
+// Rows of cells from CSV text. Handles quoted cells with commas, quotes and
+// line breaks, CRLF or LF line endings and a leading byte order mark. Blank
+// lines are dropped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Header text reduced to letters and digits, for matching column names
+// ("Unit Price (ex GST)" -> "unitpriceexgst")
+export function normaliseHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// CSV text from rows and [{ label, value: row => ... }] columns. Values that a
+// spreadsheet would run as a formula are prefixed with a quote mark (numbers,
+// including negative ones, are left alone). Leave out the header row for files
+// built from several blocks of rows.
+export function toCsv(rows, columns, { header = true } = {}) {
+  const quote = (text) => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  const cell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+    return quote(text);
+  };
+
+  return [
+    ...(header ? [columns.map(column => quote(column.label)).join(',')] : []),
+    ...rows.map(row => columns.map(column => cell(column.value(row))).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+// Dollars for CSV cells - plain numbers so spreadsheets can add them up
+export function centsToCsvAmount(cents) {
+  return ((Number(cents) || 0) / 100).toFixed(2);
+}
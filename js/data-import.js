@@ -0,0 +1,433 @@
+// Bringing clients and jobs in from spreadsheets, and taking them back out
+//
+// Kept free of Firebase imports like the job model. An import reads a CSV or
+// JSON file into a header row and records, guesses which column holds each
+// field (the user can change it), then checks every row and sorts it into new,
+// duplicate or skipped before anything is written. The CSV exports use column
+// names the import recognises, so a file can go out to a spreadsheet and back.
+import { parseCsv, normaliseHeader, toCsv, centsToCsvAmount } from './csv.js';
+import {
+  JOB_STATUSES,
+  STATUS_LABELS,
+  TRADE_LABELS,
+  TRADE_TYPES,
+  getJobValueCents,
+  getStatusLabel,
+  getTradeLabel,
+  parseMoneyToCents
+} from './job-model.js';
+import { toDate, toDayValue } from './schedule.js';
+import { getRequiredTemplates } from './safety-forms.js';
+
+// Each field's header names, most likely first. A column is only ever used for one field.
+const CLIENT_FIELDS = [
+  { key: 'name', label: 'Name', required: true, columns: ['name', 'client', 'clientname', 'customer', 'customername', 'contact', 'contactname', 'fullname', 'company', 'companyname', 'businessname'] },
+  { key: 'email', label: 'Email', columns: ['email', 'emailaddress', 'clientemail', 'customeremail', 'contactemail', 'email1'] },
+  { key: 'phone', label: 'Phone', columns: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'mobilephone', 'mob', 'telephone', 'tel', 'contactnumber', 'clientphone', 'customerphone', 'phone1'] },
+  { key: 'address', label: 'Site address', columns: ['address', 'siteaddress', 'site', 'streetaddress', 'street', 'propertyaddress', 'jobaddress', 'location'] },
+  { key: 'notes', label: 'Notes', columns: ['notes', 'note', 'comments', 'comment'] }
+];
+
+const JOB_FIELDS = [
+  { key: 'client', label: 'Client', required: true, columns: ['client', 'clientname', 'customer', 'customername', 'contact', 'contactname', 'name'] },
+  { key: 'address', label: 'Site address', required: true, columns: ['address', 'siteaddress', 'jobaddress', 'propertyaddress', 'streetaddress', 'site', 'location'] },
+  { key: 'summary', label: 'Summary', columns: ['summary', 'description', 'jobdescription', 'details', 'workdescription', 'scope', 'work', 'job'] },
+  { key: 'trade', label: 'Trade', columns: ['trade', 'tradetype', 'jobtype', 'type', 'category'] },
+  { key: 'status', label: 'Status', columns: ['status', 'jobstatus', 'stage'] },
+  { key: 'value', label: 'Value', columns: ['value', 'jobvalue', 'valueexgst', 'amount', 'total', 'price', 'quote', 'quoteamount', 'invoicetotal'] },
+  { key: 'date', label: 'Date', columns: ['date', 'created', 'createdat', 'datecreated', 'jobdate', 'startdate'] },
+  { key: 'email', label: 'Client email', columns: ['email', 'clientemail', 'customeremail', 'emailaddress'] },
+  { key: 'phone', label: 'Client phone', columns: ['phone', 'clientphone', 'customerphone', 'phonenumber', 'mobile', 'mobilenumber'] }
+];
+
+export const IMPORT_KINDS = {
+  clients: { label: 'Clients', fields: CLIENT_FIELDS },
+  jobs: { label: 'Jobs', fields: JOB_FIELDS }
+};
+
+// What people write in a status column, beyond the app's own names for them
+const STATUS_WORDS = {
+  open: 'new',
+  pending: 'new',
+  quote: 'quoted',
+  inprogress: 'in_progress',
+  underway: 'in_progress',
+  started: 'in_progress',
+  booked: 'in_progress',
+  complete: 'completed',
+  done: 'completed',
+  finished: 'completed',
+  invoiced: 'completed',
+  paid: 'completed',
+  canceled: 'cancelled'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PHONE_DIGITS = 6;
+
+// Letters and digits only, so "12 Smith St," and "12 smith st" match
+function matchText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function phoneDigits(text) {
+  return String(text || '').replace(/\D/g, '');
+}
+
+// JSON values as cell text; nested objects and arrays aren't importable
+function cellText(value) {
+  if (value === null || value === undefined || typeof value === 'object') return '';
+  return String(value);
+}
+
+// { headers, records, errors } from a file's text. Records are { row, cells }
+// with cells in header order; `row` is the spreadsheet row (the header is row 1)
+// or the JSON record's position. JSON can be an array of objects, or an object
+// holding one under the kind's name ("clients" or "jobs").
+export function readImportFile(text, { kind, fileName = '' } = {}) {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  const isJson = /\.json$/i.test(fileName) || /^[[{]/.test(trimmed);
+
+  if (!isJson) {
+    const rows = parseCsv(trimmed);
+    if (rows.length < 2) return { headers: [], records: [], errors: [{ row: 1, message: 'The file has a header row but nothing under it' }] };
+    return {
+      headers: rows[0].map(header => header.trim()),
+      records: rows.slice(1).map((cells, i) => ({ row: i + 2, cells })),
+      errors: []
+    };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch {
+    return { headers: [], records: [], errors: [{ row: 1, message: 'The file isn\'t valid JSON' }] };
+  }
+  if (data?.format === 'tradieiq-backup') {
+    return { headers: [], records: [], errors: [{ row: 1, message: 'That\'s a full backup - restore it from the backup section instead' }] };
+  }
+
+  const items = Array.isArray(data) ? data : data?.[kind];
+  if (!Array.isArray(items) || items.length === 0) {
+    return { headers: [], records: [], errors: [{ row: 1, message: `Expected a list of ${kind}` }] };
+  }
+
+  const headers = [];
+  items.forEach(item => {
+    if (item && typeof item === 'object') {
+      Object.keys(item).forEach(key => {
+        if (!headers.includes(key)) headers.push(key);
+      });
+    }
+  });
+  return {
+    headers,
+    records: items.map((item, i) => ({
+      row: i + 1,
+      cells: headers.map(header => cellText(item && typeof item === 'object' ? item[header] : ''))
+    })),
+    errors: []
+  };
+}
+
+// Best guess at the column for each field: { fieldKey: columnIndex }, -1 for none
+export function guessMapping(kind, headers) {
+  const normalised = headers.map(normaliseHeader);
+  const used = new Set();
+  const mapping = {};
+
+  for (const field of IMPORT_KINDS[kind].fields) {
+    mapping[field.key] = -1;
+    for (const name of field.columns) {
+      const index = normalised.findIndex((header, i) => header === name && !used.has(i));
+      if (index !== -1) {
+        mapping[field.key] = index;
+        used.add(index);
+        break;
+      }
+    }
+  }
+  return mapping;
+}
+
+// Required fields that haven't been given a column, by label
+export function getMissingFields(kind, mapping) {
+  return IMPORT_KINDS[kind].fields
+    .filter(field => field.required && !(mapping[field.key] >= 0))
+    .map(field => field.label);
+}
+
+// A trade's key from its key or label ("HVAC", "Air conditioning"), or null
+export function parseTrade(text) {
+  const wanted = matchText(text);
+  if (!wanted) return 'other';
+  return TRADE_TYPES.find(trade => matchText(trade) === wanted || matchText(TRADE_LABELS[trade]) === wanted) || null;
+}
+
+// A status from its key, label or a common word for it, or null
+export function parseStatus(text) {
+  const wanted = matchText(text);
+  if (!wanted) return 'new';
+  const status = JOB_STATUSES.find(key => matchText(key) === wanted || matchText(STATUS_LABELS[key]) === wanted);
+  return status || STATUS_WORDS[wanted] || null;
+}
+
+// A date from "2026-03-14" (with or without a time) or Australian day-first
+// "14/3/2026", "14-03-26". Returns null for anything else.
+export function parseImportDate(text) {
+  const value = String(text || '').trim();
+  let match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2}))?/.exec(value);
+  let year, month, day, hours = 0, minutes = 0;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+    if (match[4]) [hours, minutes] = [Number(match[4]), Number(match[5])];
+  } else {
+    match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(value);
+    if (!match) return null;
+    [, day, month, year] = match.map(Number);
+    if (year < 100) year += 2000;
+  }
+
+  const date = new Date(year, month - 1, day, hours, minutes);
+  // new Date() rolls 31/2 over into March - that's a typo, not a date
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+function readRecord(kind, record, mapping) {
+  const values = {};
+  IMPORT_KINDS[kind].fields.forEach(field => {
+    const index = mapping[field.key];
+    values[field.key] = index >= 0 ? (record.cells[index] || '').trim() : '';
+  });
+  return values;
+}
+
+function checkContact(values, errors) {
+  if (values.email && !EMAIL_PATTERN.test(values.email)) errors.push(`"${values.email}" isn't an email address`);
+  if (values.phone && phoneDigits(values.phone).length < MIN_PHONE_DIGITS) errors.push(`"${values.phone}" isn't a phone number`);
+}
+
+// The existing or earlier client a new one matches, and why
+function findClientMatch(values, index) {
+  const email = values.email.toLowerCase();
+  const phone = phoneDigits(values.phone);
+  if (email && index.byEmail.has(email)) return { client: index.byEmail.get(email), reason: 'same email' };
+  if (phone && index.byPhone.has(phone)) return { client: index.byPhone.get(phone), reason: 'same phone' };
+  const name = matchText(values.name);
+  if (index.byName.has(name)) return { client: index.byName.get(name), reason: 'same name' };
+  return null;
+}
+
+function indexClients(clients) {
+  const index = { byEmail: new Map(), byPhone: new Map(), byName: new Map() };
+  clients.forEach(client => addToIndex(index, client));
+  return index;
+}
+
+function addToIndex(index, client) {
+  const email = (client.email || '').trim().toLowerCase();
+  const phone = phoneDigits(client.phone);
+  const name = matchText(client.name);
+  if (email && !index.byEmail.has(email)) index.byEmail.set(email, client);
+  if (phone && !index.byPhone.has(phone)) index.byPhone.set(phone, client);
+  if (name && !index.byName.has(name)) index.byName.set(name, client);
+}
+
+// Clients to create: { creates: [{ row, fields }], duplicates: [{ row, name, match, reason }],
+// errors: [{ row, message }] }. `fields` suit buildClientRecord().
+function planClientImport(records, mapping, { clients }) {
+  const existing = indexClients(clients);
+  const incoming = indexClients([]);
+  const plan = { creates: [], duplicates: [], errors: [] };
+
+  records.forEach(record => {
+    const values = readRecord('clients', record, mapping);
+    const errors = [];
+    if (!values.name) errors.push('No name');
+    checkContact(values, errors);
+    if (errors.length) {
+      plan.errors.push({ row: record.row, message: errors.join('; ') });
+      return;
+    }
+
+    const match = findClientMatch(values, existing);
+    const earlier = match ? null : findClientMatch(values, incoming);
+    if (match || earlier) {
+      plan.duplicates.push({
+        row: record.row,
+        name: values.name,
+        match: match ? match.client.name : `row ${earlier.client.row}`,
+        reason: (match || earlier).reason
+      });
+      return;
+    }
+
+    addToIndex(incoming, { ...values, row: record.row });
+    plan.creates.push({
+      row: record.row,
+      fields: {
+        name: values.name,
+        email: values.email,
+        phone: values.phone,
+        notes: values.notes,
+        sites: values.address ? [{ address: values.address }] : []
+      }
+    });
+  });
+
+  return plan;
+}
+
+// Jobs match on client, site and either the day they were created or, with no
+// date in the file, what the job was
+function jobKeys(client, address, { date = null, summary = '' }) {
+  const base = `${matchText(client)}|${matchText(address)}`;
+  return {
+    byDate: date ? `${base}|${toDayValue(date)}` : null,
+    bySummary: `${base}|${matchText(summary)}`
+  };
+}
+
+// Jobs to create: { creates: [{ row, clientId, clientKey, fields, note }], newClients:
+// [{ key, fields }], siteUpdates: [{ clientId, sites }], duplicates, errors }.
+// Each job links to an existing client (matched on email, then name) or to one
+// of newClients by key. New sites are added to existing clients. Completed jobs
+// that need safety forms come in as in progress - the forms can't have been
+// filled in yet, and the rules won't take a completed job without them.
+function planJobImport(records, mapping, { clients, jobs, formTemplates = [] }) {
+  const byEmail = new Map(clients.filter(c => c.email).map(c => [c.email.trim().toLowerCase(), c]));
+  const byName = new Map(clients.map(c => [matchText(c.name), c]));
+  const dateKeys = new Set();
+  const summaryKeys = new Set();
+  jobs.forEach(job => {
+    const keys = jobKeys(job.client, job.address, { date: toDate(job.createdAt), summary: job.summary });
+    if (keys.byDate) dateKeys.add(keys.byDate);
+    summaryKeys.add(keys.bySummary);
+  });
+
+  const plan = { creates: [], newClients: [], siteUpdates: [], duplicates: [], errors: [] };
+  const newClients = new Map();
+  const siteUpdates = new Map();
+  const seen = new Map();
+
+  records.forEach(record => {
+    const values = readRecord('jobs', record, mapping);
+    const errors = [];
+    if (!values.client) errors.push('No client');
+    if (!values.address) errors.push('No site address');
+
+    const trade = parseTrade(values.trade);
+    if (!trade) errors.push(`Unknown trade "${values.trade}"`);
+    const status = parseStatus(values.status);
+    if (!status) errors.push(`Unknown status "${values.status}"`);
+
+    const valueText = values.value.replace(/[$,\s]/g, '');
+    const valueOk = valueText === '' || (!isNaN(Number(valueText)) && Number(valueText) >= 0);
+    if (!valueOk) errors.push(`"${values.value}" isn't an amount`);
+
+    const date = values.date ? parseImportDate(values.date) : null;
+    if (values.date && !date) errors.push(`"${values.date}" isn't a date (use 14/03/2026 or 2026-03-14)`);
+    checkContact(values, errors);
+
+    if (errors.length) {
+      plan.errors.push({ row: record.row, message: errors.join('; ') });
+      return;
+    }
+
+    const keys = jobKeys(values.client, values.address, { date, summary: values.summary });
+    const key = keys.byDate || keys.bySummary;
+    const existing = keys.byDate ? dateKeys.has(keys.byDate) : summaryKeys.has(keys.bySummary);
+    if (existing || seen.has(key)) {
+      plan.duplicates.push({
+        row: record.row,
+        name: `${values.client}, ${values.address}`,
+        match: existing ? 'a job already here' : `row ${seen.get(key)}`,
+        reason: date ? 'same client, site and date' : 'same client, site and summary'
+      });
+      return;
+    }
+    seen.set(key, record.row);
+
+    const email = values.email.toLowerCase();
+    const client = (email && byEmail.get(email)) || byName.get(matchText(values.client));
+    const required = status === 'completed' ? getRequiredTemplates({ trade }, formTemplates) : [];
+    const note = required.length
+      ? `Completed in the file - comes in as in progress until the ${required.map(template => template.name).join(', ')} ${required.length === 1 ? 'is' : 'are'} done`
+      : '';
+    const fields = {
+      client: client ? client.name : values.client,
+      address: values.address,
+      summary: values.summary,
+      trade,
+      status: required.length ? 'in_progress' : status,
+      valueCents: parseMoneyToCents(valueText),
+      createdAt: date
+    };
+
+    if (client) {
+      const known = [...(client.sites || []), ...(siteUpdates.get(client.id) || [])];
+      if (!known.some(site => matchText(site.address) === matchText(values.address))) {
+        siteUpdates.set(client.id, [...(siteUpdates.get(client.id) || []), { address: values.address }]);
+      }
+      plan.creates.push({ row: record.row, clientId: client.id, clientKey: null, fields, note });
+      return;
+    }
+
+    const clientKey = matchText(values.client);
+    if (!newClients.has(clientKey)) {
+      newClients.set(clientKey, { key: clientKey, fields: { name: values.client, email: values.email, phone: values.phone, sites: [] } });
+    }
+    const newClient = newClients.get(clientKey).fields;
+    if (!newClient.sites.some(site => matchText(site.address) === matchText(values.address))) {
+      newClient.sites.push({ address: values.address });
+    }
+    plan.creates.push({ row: record.row, clientId: null, clientKey, fields, note });
+  });
+
+  plan.newClients = [...newClients.values()];
+  plan.siteUpdates = [...siteUpdates].map(([clientId, sites]) => {
+    const client = clients.find(c => c.id === clientId);
+    return { clientId, sites: [...(client.sites || []), ...sites] };
+  });
+  return plan;
+}
+
+// Check a file's records against what's already in the app. `existing` is
+// { clients, jobs, formTemplates }. See planClientImport and planJobImport for what comes back.
+export function planImport(kind, records, mapping, existing) {
+  return kind === 'jobs' ? planJobImport(records, mapping, existing) : planClientImport(records, mapping, existing);
+}
+
+// Spreadsheet exports
+
+const CLIENT_COLUMNS = [
+  { label: 'Name', value: client => client.name },
+  { label: 'Email', value: client => client.email || '' },
+  { label: 'Phone', value: client => client.phone || '' },
+  { label: 'Address', value: client => client.sites?.[0]?.address || '' },
+  { label: 'Other sites', value: client => (client.sites || []).slice(1).map(site => site.address).join('; ') },
+  { label: 'Notes', value: client => client.notes || '' }
+];
+
+const JOB_COLUMNS = [
+  { label: 'Client', value: job => job.client || '' },
+  { label: 'Address', value: job => job.address || '' },
+  { label: 'Summary', value: job => job.summary || '' },
+  { label: 'Trade', value: job => job.trade ? getTradeLabel(job.trade) : '' },
+  { label: 'Status', value: job => getStatusLabel(job.status) },
+  { label: 'Value', value: job => centsToCsvAmount(getJobValueCents(job)) },
+  { label: 'Date', value: job => toDate(job.createdAt) ? toDayValue(toDate(job.createdAt)) : '' },
+  { label: 'Assigned to', value: job => job.assignedWorker || '' },
+  { label: 'Job ID', value: job => job.id }
+];
+
+export function clientsToCsv(clients) {
+  return toCsv(clients, CLIENT_COLUMNS);
+}
+
+// Jobs with their pricing merged in, oldest first
+export function jobsToCsv(jobs) {
+  const sorted = [...jobs].sort((a, b) => (toDate(a.createdAt)?.getTime() || 0) - (toDate(b.createdAt)?.getTime() || 0));
+  return toCsv(sorted, JOB_COLUMNS);
+}
@@ -0,0 +1,220 @@
+// Pluggable job extractors - turn a transcript into summary, tasks and materials
+//
+// An extractor is an object with:
+//   name                     - short id shown in logs
+//   extract(transcript, ctx) - Promise resolving to
+//                              { summary: string, tasks: string[], materials: [{ name, qty, unit }] }
+//
+// The rule-based extractor below is deterministic and runs offline. An
+// LLM-backed extractor only needs to return the same shape and be passed to
+// setExtractor().
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20,
+  couple: 2, dozen: 12
+};
+
+// Spoken unit -> stored unit (longest spellings first so the regex prefers them)
+const UNITS = [
+  ['square metres', 'm²'], ['square meters', 'm²'], ['cubic metres', 'm³'], ['cubic meters', 'm³'],
+  ['metres', 'm'], ['meters', 'm'], ['metre', 'm'], ['meter', 'm'], ['m2', 'm²'], ['m3', 'm³'],
+  ['litres', 'L'], ['liters', 'L'], ['litre', 'L'], ['liter', 'L'],
+  ['kilograms', 'kg'], ['kilos', 'kg'], ['kilo', 'kg'], ['kg', 'kg'],
+  ['lengths', 'length'], ['length', 'length'], ['sheets', 'sheet'], ['sheet', 'sheet'],
+  ['boxes', 'box'], ['box', 'box'], ['rolls', 'roll'], ['roll', 'roll'],
+  ['bags', 'bag'], ['bag', 'bag'], ['packs', 'pack'], ['pack', 'pack'],
+  ['tubes', 'tube'], ['tube', 'tube'], ['tins', 'tin'], ['tin', 'tin'],
+  ['m', 'm'], ['l', 'L']
+];
+
+// Common trade materials, longest first so "copper pipe" wins over "pipe"
+const TRADE_MATERIALS = [
+  'hot water system', 'hot water unit', 'tempering valve', 'pressure relief valve', 'isolation valve',
+  'toilet suite', 'flexi hose', 'mixer tap', 'copper pipe', 'pvc pipe', 'poly pipe', 'stormwater pipe',
+  'power point', 'double power point', 'light switch', 'smoke alarm', 'safety switch', 'circuit breaker',
+  'junction box', 'exhaust fan', 'ceiling fan', 'meter box', 'switchboard', 'downlight', 'isolator',
+  'tps cable', 'cable', 'conduit', 'gpo', 'rcd',
+  'plasterboard', 'gyprock', 'cornice', 'timber', 'treated pine', 'decking board', 'batten',
+  'roof sheet', 'colorbond', 'flashing', 'gutter', 'downpipe', 'sarking', 'insulation batt', 'insulation',
+  'membrane', 'waterproofing', 'silicone', 'sealant', 'adhesive', 'grout', 'tile', 'cement', 'concrete',
+  'sand', 'gravel', 'paint', 'primer', 'undercoat', 'screw', 'nail', 'bolt', 'bracket', 'fitting',
+  'elbow', 'cistern', 'tap', 'valve', 'pipe'
+];
+
+const ACTION_VERBS = [
+  'install', 'replace', 'repair', 'fix', 'remove', 'check', 'test', 'inspect', 'fit', 'run', 'connect',
+  'disconnect', 'clean', 'seal', 'reseal', 'patch', 'paint', 'sand', 'cut', 'drill', 'mount', 'hang',
+  'lay', 'pour', 'measure', 'order', 'pick up', 'clear', 'unblock', 'rewire', 'upgrade', 'supply',
+  'service', 'flush', 'tile', 'grout', 'prime', 'relocate', 'move', 'add', 'swap', 'tidy', 'make good'
+];
+
+// Lead-ins that come before the verb in spoken notes ("we need to replace...")
+const TASK_LEAD_IN = /^(?:(?:and|then|also|so|just|we|i|you|they|we'll|i'll|we will|i will|need to|needs to|have to|has to|going to|gonna|gotta|should|must|will|to|the client wants us to|client wants us to)\s+)*/i;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const numberPattern = `\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')}`;
+const unitPattern = UNITS.map(([spoken]) => escapeRegex(spoken)).join('|');
+const materialPattern = TRADE_MATERIALS.map(escapeRegex).join('|');
+const sizePattern = '\\d+(?:\\.\\d+)?\\s?(?:mm|a|amp|w|kw|l)';
+
+const MATERIAL_REGEX = new RegExp(
+  `(?:\\b(${numberPattern})\\s*(${unitPattern})?\\s+(?:of\\s+)?(?:the\\s+|new\\s+)?)?` +
+  `\\b((?:${sizePattern}\\s+)?(?:${materialPattern}))(?:e?s)?\\b`,
+  'gi'
+);
+
+const verbPattern = ACTION_VERBS.map(escapeRegex).join('|');
+
+const TASK_REGEX = new RegExp(`^(?:${verbPattern})\\b`, 'i');
+
+// Spoken notes chain jobs together: "replace the tap, then reseal the shower and fit a mixer"
+const CLAUSE_SPLIT_REGEX = new RegExp(
+  `,?\\s+(?:and then|then|and also)\\s+|;\\s*|,?\\s+and\\s+(?=(?:${verbPattern})\\b)`,
+  'i'
+);
+
+function parseQuantity(text) {
+  if (!text) return 1;
+  const lower = text.toLowerCase();
+  return NUMBER_WORDS[lower] ?? parseFloat(lower);
+}
+
+function normaliseUnit(text) {
+  if (!text) return 'ea';
+  const match = UNITS.find(([spoken]) => spoken === text.toLowerCase());
+  return match ? match[1] : 'ea';
+}
+
+function capitalise(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export function splitSentences(transcript) {
+  return transcript
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// Some materials are also jobs - "paint the lounge", "we'll sand it back". A
+// bare mention right after a lead-in or before the thing being worked on is the
+// verb; "the paint", "some grout" and stated quantities are the material.
+const VERB_BEFORE = /(?:^|[.!?,;:]|\b(?:to|then|will|'ll|we|i|you|they|just|also|please|can|could|should|must|gonna|gotta))\s*$/i;
+const VERB_AFTER = /^\s+(?:the|a|an|it|them|this|that|these|those|all|over|back|down|up|out|off|around)\b/i;
+const NOUN_BEFORE = /\b(?:the|a|an|some|of|more|new|this|that|extra|any)\s*$/i;
+
+function isVerbUse(transcript, match) {
+  if (match[1] || !ACTION_VERBS.includes(match[3].toLowerCase())) return false;
+  const before = transcript.slice(0, match.index);
+  const after = transcript.slice(match.index + match[0].length);
+  if (NOUN_BEFORE.test(before)) return false;
+  return VERB_BEFORE.test(before) || VERB_AFTER.test(after);
+}
+
+export function extractMaterials(transcript) {
+  const items = [];
+  const stated = new Map();
+  const mentioned = new Map();
+
+  for (const match of transcript.matchAll(MATERIAL_REGEX)) {
+    if (isVerbUse(transcript, match)) continue;
+
+    const qty = parseQuantity(match[1]);
+    const unit = normaliseUnit(match[2]);
+    const name = capitalise(match[3].toLowerCase().replace(/\s+/g, ' '));
+
+    // A bare mention just confirms the item, whether its quantity comes before or after
+    if (!match[1]) {
+      if (!mentioned.has(name) && ![...stated.values()].some(item => item.name === name)) {
+        const item = { name, qty, unit };
+        mentioned.set(name, item);
+        items.push(item);
+      }
+      continue;
+    }
+
+    // Stated quantities add up; the first one takes over an earlier bare mention
+    const key = `${name}|${unit}`;
+    if (stated.has(key)) {
+      stated.get(key).qty += qty;
+      continue;
+    }
+    const item = mentioned.get(name);
+    if (item) {
+      Object.assign(item, { qty, unit });
+      mentioned.delete(name);
+      stated.set(key, item);
+    } else {
+      stated.set(key, { name, qty, unit });
+      items.push(stated.get(key));
+    }
+  }
+
+  return items.map(({ name, qty, unit }) => ({ name, qty, unit }));
+}
+
+export function extractTasks(transcript) {
+  const tasks = [];
+  const seen = new Set();
+
+  for (const sentence of splitSentences(transcript)) {
+    const clauses = sentence.split(CLAUSE_SPLIT_REGEX);
+
+    for (const clause of clauses) {
+      const text = clause.replace(TASK_LEAD_IN, '').replace(/[.!?,]+$/, '').trim();
+      if (!TASK_REGEX.test(text)) continue;
+
+      const task = capitalise(text);
+      const key = task.toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        tasks.push(task);
+      }
+    }
+  }
+
+  return tasks;
+}
+
+export function buildSummary(transcript, tasks, materials) {
+  // Sentences split on line breaks have no full stop of their own
+  const opening = splitSentences(transcript)
+    .slice(0, 2)
+    .map(sentence => /[.!?]$/.test(sentence) ? sentence : `${sentence}.`)
+    .join(' ');
+  const counts = [];
+  if (tasks.length) counts.push(`${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'}`);
+  if (materials.length) counts.push(`${materials.length} ${materials.length === 1 ? 'material' : 'materials'}`);
+
+  return [opening, counts.length ? `Identified ${counts.join(' and ')}.` : '']
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Deterministic extractor based on keyword and pattern matching
+export const ruleBasedExtractor = {
+  name: 'rule-based',
+
+  async extract(transcript) {
+    const text = transcript || '';
+    const tasks = extractTasks(text);
+    const materials = extractMaterials(text);
+    return {
+      summary: buildSummary(text, tasks, materials),
+      tasks,
+      materials
+    };
+  }
+};
+
+let activeExtractor = ruleBasedExtractor;
+
+export function setExtractor(extractor) {
+  activeExtractor = extractor;
+}
+
+export function getExtractor() {
+  return activeExtractor;
+}
@@ -0,0 +1,51 @@
+// Firebase configuration and initialization
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import {
+  initializeFirestore,
+  connectFirestoreEmulator,
+  persistentLocalCache,
+  persistentMultipleTabManager
+} from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+
+// Your web app's Firebase configuration, from VITE_FIREBASE_* in .env
+// (see .env.example). Vite inlines these at build time.
+const firebaseConfig = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID
+};
+
+const missing = ['apiKey', 'authDomain', 'projectId', 'storageBucket', 'appId']
+  .filter(key => !firebaseConfig[key]);
+if (missing.length > 0) {
+  console.error(`Firebase config missing: ${missing.join(', ')}. Copy .env.example to .env and fill in your project's settings.`);
+}
+
+// Initialize Firebase
+const app = initializeApp(firebaseConfig);
+
+// Initialize Firebase services
+export const auth = getAuth(app);
+// IndexedDB-backed cache so jobs load and edits queue with no reception
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
+export const storage = getStorage(app);
+
+// Local testing against the Firebase emulators (`npm run emulators`, ports as
+// in firebase.json) - set VITE_FIREBASE_EMULATORS=true. Set
+// VITE_FIREBASE_EMULATOR_HOST to this computer's address to try it from a phone.
+if (import.meta.env.VITE_FIREBASE_EMULATORS === 'true') {
+  const host = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || 'localhost';
+  connectAuthEmulator(auth, `http://${host}:9099`, { disableWarnings: true });
+  connectFirestoreEmulator(db, host, 8080);
+  connectStorageEmulator(storage, host, 9199);
+  console.log(`Using the Firebase emulators on ${host}`);
+}
+
+export default app;
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Printable safety forms and certificates - opens a print window so the browser can save it as PDF
+import { escapeHtml } from './utils.js';
+import { formatAbn } from './billing.js';
+import { printHtml } from './billing-pdf.js';
+import { CHECKLIST_ANSWERS, FORM_KINDS, RISK_LEVELS, formatFormDate } from './safety-forms.js';
+import { toDate } from './schedule.js';
+
+function formatSignedAt(value) {
+  const date = toDate(value);
+  return date ? date.toLocaleString('en-AU', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+function renderSignature(signature) {
+  if (!signature?.dataUrl) return '<div class="signature blank">Not signed</div>';
+  return `
+    <div class="signature">
+      <img src="${escapeHtml(signature.dataUrl)}" alt="Signature">
+      <div>${escapeHtml(signature.name || '')} <span class="muted">${escapeHtml(formatSignedAt(signature.signedAt))}</span></div>
+    </div>
+  `;
+}
+
+function renderField(field, value) {
+  switch (field.type) {
+    case 'heading':
+      return `<h3>${escapeHtml(field.label)}</h3>`;
+    case 'checklist':
+      return `
+        <h4>${escapeHtml(field.label)}</h4>
+        <table class="grid">
+          ${(field.items || []).map((item, index) => `
+            <tr><td>${escapeHtml(item)}</td><td class="answer">${escapeHtml(CHECKLIST_ANSWERS[value?.[index]] || '-')}</td></tr>
+          `).join('')}
+        </table>
+      `;
+    case 'hazards':
+      return `
+        <h4>${escapeHtml(field.label)}</h4>
+        <table class="grid">
+          <tr><th>Hazard</th><th>Risk</th><th>Control measures</th></tr>
+          ${(value || []).length ? value.map(row => `
+            <tr><td>${escapeHtml(row.hazard)}</td><td>${escapeHtml(RISK_LEVELS[row.risk] || '')}</td><td>${escapeHtml(row.controls)}</td></tr>
+          `).join('') : '<tr><td colspan="3" class="muted">None recorded</td></tr>'}
+        </table>
+      `;
+    case 'photo':
+      return `
+        <h4>${escapeHtml(field.label)}</h4>
+        <div class="photos">
+          ${(value || []).map(photo => `<img src="${escapeHtml(photo.thumbnailUrl || photo.url)}" alt="">`).join('') || '<span class="muted">No photos</span>'}
+        </div>
+      `;
+    case 'signature':
+      return `<h4>${escapeHtml(field.label)}</h4>${renderSignature(value)}`;
+    case 'workerSignatures':
+      return `
+        <h4>${escapeHtml(field.label)}</h4>
+        <div class="signatures">${(value || []).map(renderSignature).join('') || '<span class="muted">No workers signed on</span>'}</div>
+      `;
+    case 'date':
+      return `<h4>${escapeHtml(field.label)}</h4><p>${escapeHtml(formatFormDate(value)) || '-'}</p>`;
+    default:
+      return `<h4>${escapeHtml(field.label)}</h4><p class="text">${escapeHtml(value) || '-'}</p>`;
+  }
+}
+
+// `business` is the business profile (name, abn, address...) and `job` the job it was filled in on
+export function renderFormHtml(form, { job = {}, business = {} } = {}) {
+  const completed = form.status === 'completed';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(form.name)} - ${escapeHtml(job.address || job.client || '')}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 40px; font-size: 13px; }
+    header { display: flex; justify-content: space-between; margin-bottom: 24px; border-bottom: 2px solid #111827; padding-bottom: 16px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 0 0 4px; }
+    h3 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+    h4 { font-size: 13px; margin: 16px 0 6px; }
+    .muted { color: #6b7280; }
+    .logo { max-height: 60px; max-width: 180px; margin-bottom: 8px; display: block; }
+    .text { white-space: pre-line; margin: 0; }
+    table.grid { width: 100%; border-collapse: collapse; }
+    table.grid th, table.grid td { border: 1px solid #e5e7eb; padding: 6px; text-align: left; vertical-align: top; }
+    table.grid .answer { width: 60px; text-align: center; font-weight: bold; }
+    .photos img { height: 120px; margin: 0 8px 8px 0; border: 1px solid #e5e7eb; }
+    .signatures { display: flex; flex-wrap: wrap; gap: 16px; }
+    .signature { border-bottom: 1px solid #111827; min-width: 220px; padding-bottom: 4px; }
+    .signature img { height: 60px; display: block; }
+    .signature.blank { color: #b91c1c; height: 60px; }
+    .status { font-weight: bold; color: ${completed ? '#047857' : '#b45309'}; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      ${business.logoUrl ? `<img src="${escapeHtml(business.logoUrl)}" alt="" class="logo">` : ''}
+      <h2>${escapeHtml(business.name || 'My Business')}</h2>
+      ${business.abn ? `<div>ABN ${escapeHtml(formatAbn(business.abn))}</div>` : ''}
+      ${business.phone ? `<div class="muted">${escapeHtml(business.phone)}</div>` : ''}
+    </div>
+    <div style="text-align: right">
+      <h1>${escapeHtml(form.name)}</h1>
+      <div class="muted">${escapeHtml(FORM_KINDS[form.kind] || '')}</div>
+      <div>${escapeHtml(job.client || '')}</div>
+      <div>${escapeHtml(job.address || '')}</div>
+      <div class="status">${completed ? `Completed ${escapeHtml(formatSignedAt(form.completedAt))}` : 'Draft - not yet completed'}</div>
+    </div>
+  </header>
+
+  ${(form.fields || []).map(field => renderField(field, form.values?.[field.id])).join('')}
+</body>
+</html>`;
+}
+
+export function printForm(form, options) {
+  return printHtml(renderFormHtml(form, options));
+}
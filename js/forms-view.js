@@ -0,0 +1,309 @@
+// Safety forms pages - the business's form templates and the form builder
+// for one, e.g. a SWMS with its hazards table and worker sign-on
+import { escapeHtml, generateId, showNotification } from './utils.js';
+import { TRADE_LABELS, TRADE_TYPES } from './job-model.js';
+import { FIELD_TYPES, FORM_KINDS, STARTER_FORMS, describeRequirement, emptyFormTemplate } from './safety-forms.js';
+import { addFormTemplates, deleteFormTemplate, saveFormTemplate } from './safety-forms-store.js';
+
+const NEW = 'new';
+
+let viewBusinessId = null;
+let viewTemplates = [];
+// The template being built, kept between renders so snapshots don't lose changes
+let draft = null;
+let draftId = null;
+let saving = false;
+
+export function resetFormsView() {
+  viewBusinessId = null;
+  viewTemplates = [];
+  draft = null;
+  draftId = null;
+  const view = document.getElementById('formsView');
+  if (view) view.innerHTML = '';
+}
+
+// formTemplateId is null for the list, 'new' or a template's id for the builder
+export function renderFormsView({ businessId, templates, formTemplateId = null }) {
+  const view = document.getElementById('formsView');
+  if (!view) return;
+  viewBusinessId = businessId;
+  viewTemplates = templates;
+
+  if (!formTemplateId) {
+    draft = null;
+    draftId = null;
+    view.innerHTML = renderTemplateList();
+    return;
+  }
+
+  if (draftId !== formTemplateId) {
+    const template = formTemplateId === NEW ? emptyFormTemplate() : templates.find(t => t.id === formTemplateId);
+    if (!template) {
+      view.innerHTML = `
+        <div class="max-w-3xl mx-auto p-6 text-center text-gray-500">
+            That form doesn't exist any more. <a href="#/settings/forms" class="text-blue-600 hover:underline">Back to forms</a>
+        </div>
+      `;
+      return;
+    }
+    draftId = formTemplateId;
+    draft = {
+      ...emptyFormTemplate(),
+      ...template,
+      requiredFor: { all: !!template.requiredFor?.all, trades: [...(template.requiredFor?.trades || [])] },
+      fields: (template.fields || []).map(field => ({ ...field, items: [...(field.items || [])] }))
+    };
+  }
+
+  // Don't wipe a field that's being typed in when a snapshot arrives
+  const active = document.activeElement;
+  if (active && view.contains(active) && ['INPUT', 'TEXTAREA'].includes(active.tagName)) return;
+
+  view.innerHTML = renderBuilder();
+}
+
+function renderTemplateList() {
+  const added = new Set(viewTemplates.map(template => template.starterKey).filter(Boolean));
+  const starters = STARTER_FORMS.filter(starter => !added.has(starter.key));
+
+  return `
+    <div class="max-w-4xl mx-auto p-6">
+      <a href="#/settings" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to settings
+      </a>
+
+      <div class="flex items-center justify-between mb-4">
+          <div>
+              <h2 class="text-xl font-semibold text-gray-900">Safety forms</h2>
+              <p class="text-sm text-gray-600">SWMS, JSAs, certificates and checklists filled in on the job. Required forms must be completed before a job can be.</p>
+          </div>
+          <a href="#/settings/forms/new" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 text-sm whitespace-nowrap">
+              <i class="fas fa-plus mr-1"></i>New form
+          </a>
+      </div>
+
+      <div class="bg-white rounded-lg shadow mb-6">
+          ${viewTemplates.length === 0 ? `
+              <p class="p-6 text-sm text-gray-500">No forms yet. Build your own, or start from the common ones below.</p>
+          ` : viewTemplates.map(template => `
+              <div class="flex items-center justify-between px-6 py-4 border-b last:border-b-0">
+                  <a href="#/settings/forms/${template.id}" class="flex-1">
+                      <div class="font-medium text-gray-900">${escapeHtml(template.name)}</div>
+                      <div class="text-xs text-gray-500">
+                          ${escapeHtml(FORM_KINDS[template.kind] || 'Checklist')} · ${template.fields?.length || 0} fields ·
+                          <span class="${template.requiredFor?.all || template.requiredFor?.trades?.length ? 'text-orange-700' : ''}">${escapeHtml(describeRequirement(template))}</span>
+                      </div>
+                  </a>
+                  <button onclick="removeFormTemplate('${template.id}')" class="text-gray-400 hover:text-red-600" title="Delete form">
+                      <i class="fas fa-trash"></i>
+                  </button>
+              </div>
+          `).join('')}
+      </div>
+
+      ${starters.length ? `
+          <div class="bg-white rounded-lg shadow p-6">
+              <h3 class="font-semibold text-gray-900 mb-1">Common forms</h3>
+              <p class="text-sm text-gray-600 mb-3">Add these and adjust them to suit. Check them against your state's requirements.</p>
+              ${starters.map(starter => `
+                  <div class="flex items-center justify-between py-2 border-b last:border-b-0 text-sm">
+                      <div>
+                          <div class="text-gray-900">${escapeHtml(starter.name)}</div>
+                          <div class="text-xs text-gray-500">${escapeHtml(describeRequirement(starter))}</div>
+                      </div>
+                      <button onclick="addStarterForm('${starter.key}')" class="px-3 py-1 rounded-lg border hover:bg-gray-50">Add</button>
+                  </div>
+              `).join('')}
+          </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function renderFieldRow(field, index) {
+  const count = draft.fields.length;
+  return `
+    <div class="p-3 border rounded-lg mb-2 ${field.type === 'heading' ? 'bg-gray-50' : ''}">
+        <div class="flex flex-wrap items-center gap-2">
+            <input type="text" name="label_${index}" value="${escapeHtml(field.label)}" placeholder="${field.type === 'heading' ? 'Section heading' : 'Question or label'}"
+                class="flex-1 min-w-[12rem] px-3 py-2 border rounded-lg text-sm">
+            <select name="type_${index}" onchange="changeFormFieldType(${index}, this.value)" class="px-2 py-2 border rounded-lg text-sm">
+                ${Object.entries(FIELD_TYPES).map(([type, { label }]) => `<option value="${type}" ${type === field.type ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            </select>
+            ${field.type === 'heading' ? '' : `
+                <label class="text-sm text-gray-700 flex items-center gap-1">
+                    <input type="checkbox" name="required_${index}" ${field.required ? 'checked' : ''}> Required
+                </label>
+            `}
+            <button type="button" onclick="moveFormField(${index}, -1)" ${index === 0 ? 'disabled' : ''} class="text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Move up">
+                <i class="fas fa-arrow-up"></i>
+            </button>
+            <button type="button" onclick="moveFormField(${index}, 1)" ${index === count - 1 ? 'disabled' : ''} class="text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Move down">
+                <i class="fas fa-arrow-down"></i>
+            </button>
+            <button type="button" onclick="removeFormField(${index})" class="text-gray-400 hover:text-red-600" title="Remove">
+                <i class="fas fa-xmark"></i>
+            </button>
+        </div>
+        ${FIELD_TYPES[field.type]?.hasItems ? `
+            <textarea name="items_${index}" rows="4" placeholder="One item per line" class="mt-2 w-full px-3 py-2 border rounded-lg text-sm">${escapeHtml((field.items || []).join('\n'))}</textarea>
+        ` : ''}
+    </div>
+  `;
+}
+
+function renderBuilder() {
+  return `
+    <div class="max-w-3xl mx-auto p-6">
+      <a href="#/settings/forms" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to forms
+      </a>
+
+      <form id="formTemplateForm" onsubmit="event.preventDefault(); saveFormTemplateForm(this);" class="bg-white rounded-lg shadow p-6 space-y-4">
+          <h2 class="text-xl font-semibold text-gray-900">${draftId === NEW ? 'New form' : 'Edit form'}</h2>
+
+          <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <label class="text-sm text-gray-700">Name
+                  <input type="text" name="name" required value="${escapeHtml(draft.name)}" placeholder="Working at heights SWMS" class="mt-1 w-full px-3 py-2 border rounded-lg">
+              </label>
+              <label class="text-sm text-gray-700">Type
+                  <select name="kind" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                      ${Object.entries(FORM_KINDS).map(([kind, label]) => `<option value="${kind}" ${kind === draft.kind ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+                  </select>
+              </label>
+          </div>
+
+          <fieldset class="text-sm text-gray-700">
+              <legend class="font-medium text-gray-900 mb-1">Required before a job is completed</legend>
+              <label class="flex items-center gap-1 mb-1">
+                  <input type="checkbox" name="requiredAll" ${draft.requiredFor.all ? 'checked' : ''}> On every job
+              </label>
+              <div class="flex flex-wrap gap-x-4 gap-y-1">
+                  ${TRADE_TYPES.map(trade => `
+                      <label class="flex items-center gap-1">
+                          <input type="checkbox" name="requiredTrade" value="${trade}" ${draft.requiredFor.trades.includes(trade) ? 'checked' : ''}> ${escapeHtml(TRADE_LABELS[trade])}
+                      </label>
+                  `).join('')}
+              </div>
+          </fieldset>
+
+          <div>
+              <h3 class="text-sm font-medium text-gray-900 mb-2">Fields</h3>
+              ${draft.fields.length ? draft.fields.map(renderFieldRow).join('') : '<p class="text-sm text-gray-500 mb-2">No fields yet</p>'}
+              <div class="flex gap-2 text-sm">
+                  <select name="newFieldType" class="px-2 py-2 border rounded-lg">
+                      ${Object.entries(FIELD_TYPES).map(([type, { label }]) => `<option value="${type}">${escapeHtml(label)}</option>`).join('')}
+                  </select>
+                  <button type="button" onclick="addFormField()" class="px-3 py-2 rounded-lg border hover:bg-gray-50">Add field</button>
+              </div>
+          </div>
+
+          <div class="flex justify-end pt-4 border-t">
+              <button type="submit" ${saving ? 'disabled' : ''} class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">Save form</button>
+          </div>
+      </form>
+    </div>
+  `;
+}
+
+// Keep what's been typed before the builder is redrawn
+function readDraftFields(form) {
+  draft.name = form.name.value;
+  draft.kind = form.kind.value;
+  draft.requiredFor = {
+    all: form.requiredAll.checked,
+    trades: [...form.querySelectorAll('[name="requiredTrade"]:checked')].map(input => input.value)
+  };
+  draft.fields.forEach((field, index) => {
+    field.label = form[`label_${index}`].value;
+    field.required = !!form[`required_${index}`]?.checked;
+    if (form[`items_${index}`]) field.items = form[`items_${index}`].value.split('\n').map(item => item.trim()).filter(Boolean);
+  });
+}
+
+function editDraft(change) {
+  const form = document.getElementById('formTemplateForm');
+  if (!form || !draft) return;
+  readDraftFields(form);
+  change(form);
+  document.activeElement?.blur();
+  document.getElementById('formsView').innerHTML = renderBuilder();
+}
+
+function addFormField() {
+  editDraft(form => {
+    draft.fields.push({ id: generateId(), type: form.newFieldType.value, label: '', required: form.newFieldType.value !== 'heading', items: [] });
+  });
+}
+
+function changeFormFieldType(index, type) {
+  editDraft(() => {
+    draft.fields[index].type = type;
+  });
+}
+
+function moveFormField(index, direction) {
+  editDraft(() => {
+    const [field] = draft.fields.splice(index, 1);
+    draft.fields.splice(index + direction, 0, field);
+  });
+}
+
+function removeFormField(index) {
+  editDraft(() => {
+    draft.fields.splice(index, 1);
+  });
+}
+
+async function saveFormTemplateForm(form) {
+  if (!viewBusinessId || !draft || saving) return;
+  readDraftFields(form);
+
+  saving = true;
+  try {
+    await saveFormTemplate(viewBusinessId, draft);
+    showNotification('Saved', `${draft.name.trim()} saved`);
+    draftId = null;
+    window.location.hash = '#/settings/forms';
+  } catch (error) {
+    console.error('Error saving form template:', error);
+    showNotification('Error', error.message || 'Failed to save the form. Please try again.');
+  } finally {
+    saving = false;
+  }
+}
+
+async function addStarterForm(key) {
+  const starter = STARTER_FORMS.find(form => form.key === key);
+  if (!viewBusinessId || !starter) return;
+
+  try {
+    await addFormTemplates(viewBusinessId, [starter]);
+    showNotification('Form Added', `${starter.name} added`);
+  } catch (error) {
+    console.error('Error adding form:', error);
+    showNotification('Error', 'Failed to add the form. Please try again.');
+  }
+}
+
+async function removeFormTemplate(templateId) {
+  const template = viewTemplates.find(t => t.id === templateId);
+  if (!template || !confirm(`Delete the ${template.name} form? Forms already filled in on jobs are kept.`)) return;
+
+  try {
+    await deleteFormTemplate(templateId);
+  } catch (error) {
+    console.error('Error deleting form template:', error);
+    showNotification('Error', 'Failed to delete the form. Please try again.');
+  }
+}
+
+// Export functions for inline handlers
+window.addFormField = addFormField;
+window.changeFormFieldType = changeFormFieldType;
+window.moveFormField = moveFormField;
+window.removeFormField = removeFormField;
+window.saveFormTemplateForm = saveFormTemplateForm;
+window.addStarterForm = addStarterForm;
+window.removeFormTemplate = removeFormTemplate;
@@ -0,0 +1,93 @@
+// Pluggable geocoders - turn a job's address into a point on the map
+//
+// A geocoder is an object with:
+//   name               - short id stored with each location it finds
+//   geocode(address)   - returns a Promise resolving to { lat, lng, label } or
+//                        null when the address can't be found, or rejecting
+//                        with an Error when the lookup itself failed
+//
+// No geocoder is set by default. app.js sets one from VITE_GEOCODER_URL; without
+// it addresses aren't looked up and the map says so. The fixture geocoder is
+// for tests - its postcode centres aren't good enough to plan a route with.
+
+export function normaliseAddress(address) {
+  return String(address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Capital city centres by postcode, so the fixture geocoder can place most
+// addresses in the right city
+const CITY_POSTCODES = {
+  '2000': { lat: -33.8688, lng: 151.2093, label: 'Sydney NSW 2000' },
+  '2600': { lat: -35.2809, lng: 149.1300, label: 'Canberra ACT 2600' },
+  '3000': { lat: -37.8136, lng: 144.9631, label: 'Melbourne VIC 3000' },
+  '4000': { lat: -27.4698, lng: 153.0251, label: 'Brisbane QLD 4000' },
+  '5000': { lat: -34.9285, lng: 138.6007, label: 'Adelaide SA 5000' },
+  '6000': { lat: -31.9523, lng: 115.8613, label: 'Perth WA 6000' },
+  '7000': { lat: -42.8821, lng: 147.3272, label: 'Hobart TAS 7000' },
+  '0800': { lat: -12.4634, lng: 130.8456, label: 'Darwin NT 0800' }
+};
+
+// Looks addresses up in a fixed list instead of a server - for tests. `fixtures` maps addresses (matched ignoring case and
+// punctuation) to { lat, lng }; `postcodes` maps postcodes to { lat, lng, label }
+// for addresses that aren't listed, found less precisely.
+export function createFixtureGeocoder({ fixtures = {}, postcodes = CITY_POSTCODES } = {}) {
+  const byAddress = new Map(Object.entries(fixtures).map(([address, point]) => [normaliseAddress(address), { label: address, ...point }]));
+
+  return {
+    name: 'fixture',
+
+    async geocode(address) {
+      const exact = byAddress.get(normaliseAddress(address));
+      if (exact) return { lat: exact.lat, lng: exact.lng, label: exact.label };
+
+      const postcode = String(address || '').match(/\b(\d{4})\s*(australia)?\s*$/i)?.[1];
+      const area = postcode && postcodes[postcode];
+      return area ? { lat: area.lat, lng: area.lng, label: area.label, approximate: true } : null;
+    }
+  };
+}
+
+// OpenStreetMap's Nominatim search, or a server running the same API. The
+// public server allows one lookup a second, so lookups are queued.
+// https://operations.osmfoundation.org/policies/nominatim/
+export function createNominatimGeocoder({ endpoint = 'https://nominatim.openstreetmap.org', countryCodes = 'au', email = '', minIntervalMs = 1100 } = {}) {
+  let queue = Promise.resolve();
+  let lastLookup = 0;
+
+  const lookup = async (address) => {
+    const wait = lastLookup + minIntervalMs - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    lastLookup = Date.now();
+
+    const params = new URLSearchParams({ q: address, format: 'jsonv2', limit: '1', countrycodes: countryCodes });
+    if (email) params.set('email', email);
+    const response = await fetch(`${endpoint.replace(/\/$/, '')}/search?${params.toString()}`, {
+      headers: { Accept: 'application/json' }
+    });
+    if (!response.ok) throw new Error(`Address lookup failed (${response.status})`);
+
+    const [place] = await response.json();
+    return place ? { lat: Number(place.lat), lng: Number(place.lon), label: place.display_name || address } : null;
+  };
+
+  return {
+    name: 'nominatim',
+
+    geocode(address) {
+      const result = queue.then(() => lookup(address));
+      queue = result.catch(() => {});
+      return result;
+    }
+  };
+}
+
+let activeGeocoder = null;
+
+export function setGeocoder(geocoder) {
+  activeGeocoder = geocoder;
+}
+
+// null when address lookups aren't set up
+export function getGeocoder() {
+  return activeGeocoder;
+}
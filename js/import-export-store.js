@@ -0,0 +1,126 @@
+// Bulk writes for spreadsheet imports, and reading and restoring full backups
+//
+// Imported and restored jobs get a timeline entry saying where they came from.
+// Restored documents keep their original ids and creators and are stamped with
+// restoredBy and restoredAt, which is what lets office staff put back records
+// someone else created (see the rules).
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { splitJobPricing } from './job-model.js';
+import { buildClientRecord } from './clients.js';
+import { importedActivity, restoredActivity } from './activity.js';
+import { addActivity } from './activity-store.js';
+import { BACKUP_COLLECTIONS } from './backup.js';
+import { generateId } from './utils.js';
+
+// Firestore caps a batch at 500 writes, and the rules at 20 document lookups
+// per batch - each job's timeline entry looks up its job, so jobs go in small batches
+const BATCH_LIMIT = 400;
+const JOBS_PER_BATCH = 15;
+
+async function commitInBatches(writes, size = BATCH_LIMIT) {
+  for (let i = 0; i < writes.length; i += size) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + size).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+// `owner` is { userId, businessId }; creates are from planImport('clients', ...)
+export async function importClients(owner, creates) {
+  await commitInBatches(creates.map(({ fields }) =>
+    (batch) => batch.set(doc(collection(db, 'clients')), buildClientRecord(owner, fields))
+  ));
+}
+
+function buildImportedJob({ userId, businessId }, clientId, fields) {
+  const createdAt = fields.createdAt ? Timestamp.fromDate(fields.createdAt) : Timestamp.now();
+  return {
+    clientId,
+    client: fields.client,
+    address: fields.address,
+    trade: fields.trade,
+    valueCents: fields.valueCents,
+    status: fields.status,
+    statusHistory: [{ from: null, to: fields.status, at: createdAt.toDate(), by: userId }],
+    transcript: '',
+    recordings: [],
+    summary: fields.summary,
+    tasks: [],
+    materials: [],
+    labour: [],
+    userId,
+    businessId,
+    createdAt,
+    updatedAt: Timestamp.now()
+  };
+}
+
+// Clients first, so every job has its client by the time it lands. `plan`
+// is from planImport('jobs', ...).
+export async function importJobs(owner, { creates, newClients, siteUpdates }, fileName) {
+  const clientIds = new Map();
+  const clientWrites = newClients.map(({ key, fields }) => {
+    const ref = doc(collection(db, 'clients'));
+    clientIds.set(key, ref.id);
+    return (batch) => batch.set(ref, buildClientRecord(owner, fields));
+  });
+  siteUpdates.forEach(({ clientId, sites }) => clientWrites.push((batch) => batch.update(doc(db, 'clients', clientId), {
+    sites: sites.map(site => ({ id: site.id || generateId(), label: site.label || '', address: site.address.trim() })),
+    updatedAt: Timestamp.now()
+  })));
+  await commitInBatches(clientWrites);
+
+  const jobWrites = creates.map(({ clientId, clientKey, fields }) => (batch) => {
+    const ref = doc(collection(db, 'jobs'));
+    const { job, pricing } = splitJobPricing(buildImportedJob(owner, clientId || clientIds.get(clientKey), fields));
+    batch.set(ref, job);
+    batch.set(doc(db, 'jobPricing', ref.id), { ...pricing, businessId: owner.businessId, jobId: ref.id });
+    addActivity(batch, { id: ref.id, businessId: owner.businessId }, importedActivity(job, fileName));
+  });
+  await commitInBatches(jobWrites, JOBS_PER_BATCH);
+}
+
+// Everything a backup holds for the business: { name: [{ id, ...data }] }
+export async function readAccountData(businessId) {
+  const names = Object.keys(BACKUP_COLLECTIONS);
+  const snapshots = await Promise.all(names.map(name =>
+    getDocs(query(collection(db, name), where('businessId', '==', businessId)))
+  ));
+  return Object.fromEntries(names.map((name, i) => [
+    name,
+    snapshots[i].docs.map(d => ({ id: d.id, ...d.data() }))
+  ]));
+}
+
+// Write back what planRestore() found missing. `backup` is from readBackup().
+export async function restoreBackup(backup, { restores }, userId) {
+  const stamp = ({ id, ...data }) => ({ ...data, restoredBy: userId, restoredAt: serverTimestamp() });
+  const set = (name, item) => (batch) => batch.set(doc(db, name, item.id), stamp(item));
+
+  const pricingByJob = new Map(restores.jobPricing.map(item => [item.id, item]));
+  const jobWrites = restores.jobs.map(job => (batch) => {
+    set('jobs', job)(batch);
+    if (pricingByJob.has(job.id)) set('jobPricing', pricingByJob.get(job.id))(batch);
+    addActivity(batch, job, restoredActivity(backup.exportedAt));
+  });
+
+  await commitInBatches([
+    ...restores.clients.map(item => set('clients', item)),
+    ...restores.formTemplates.map(item => set('formTemplates', item))
+  ]);
+  await commitInBatches(jobWrites, JOBS_PER_BATCH);
+  await commitInBatches([
+    ...restores.attachments.map(item => set('attachments', item)),
+    ...restores.jobForms.map(item => set('jobForms', item))
+  ]);
+}
@@ -0,0 +1,409 @@
+// Import & export page - clients and jobs in from CSV or JSON files, out to
+// spreadsheets, and full backups of the account that can be restored
+import { downloadFile, escapeHtml, showNotification } from './utils.js';
+import { formatMoney, getStatusLabel, getTradeLabel } from './job-model.js';
+import { toDayValue } from './schedule.js';
+import { getSession } from './session.js';
+import { IMPORT_KINDS, clientsToCsv, getMissingFields, guessMapping, jobsToCsv, planImport, readImportFile } from './data-import.js';
+import { BACKUP_COLLECTIONS, buildBackup, countRestore, getBackupFileName, planRestore, readBackup } from './backup.js';
+import { importClients, importJobs, readAccountData, restoreBackup } from './import-export-store.js';
+
+// Rows shown in each list of a preview before "and N more"
+const PREVIEW_ROWS = 15;
+
+let viewBusinessId = null;
+let viewData = { business: null, clients: [], jobs: [], formTemplates: [] };
+let importKind = 'clients';
+// A file waiting to be mapped and confirmed: { kind, fileName, headers, records, errors, mapping, plan }
+let pendingImport = null;
+let importing = false;
+// A backup waiting to be confirmed: { fileName, backup, plan }
+let pendingRestore = null;
+let restoring = false;
+let backingUp = false;
+
+export function resetImportExportView() {
+  viewBusinessId = null;
+  viewData = { business: null, clients: [], jobs: [], formTemplates: [] };
+  pendingImport = null;
+  pendingRestore = null;
+  const view = document.getElementById('importExportView');
+  if (view) view.innerHTML = '';
+}
+
+// `data` is { business, clients, jobs, formTemplates } - jobs with their pricing merged in
+export function renderImportExportView(businessId, data) {
+  const view = document.getElementById('importExportView');
+  if (!view) return;
+  viewData = data;
+
+  // The controls are only built once so a chosen file isn't lost on every snapshot
+  if (viewBusinessId !== businessId || !view.firstElementChild) {
+    viewBusinessId = businessId;
+    view.innerHTML = renderControls();
+  }
+
+  renderImportPreview();
+  renderBackupPanel();
+}
+
+function renderControls() {
+  return `
+    <div class="max-w-5xl mx-auto p-6">
+      <a href="#/settings" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to settings
+      </a>
+
+      <div class="mb-4">
+          <h2 class="text-xl font-semibold text-gray-900">Import &amp; export</h2>
+          <p class="text-sm text-gray-600">Bring clients and jobs in from spreadsheets, take them out again, and keep a backup of everything.</p>
+      </div>
+
+      <div class="bg-white rounded-lg shadow p-6 mb-6">
+          <h3 class="font-medium text-gray-900">Import clients or jobs</h3>
+          <p class="text-sm text-gray-600 mb-3">A CSV with a header row, or a JSON list. You'll match the columns up and see what's new, what's already here and what can't be read before anything is added. Jobs are linked to clients by email or name, and clients that aren't here yet are created.</p>
+          <form onsubmit="event.preventDefault();" class="flex flex-wrap gap-2 text-sm items-end">
+              <label class="text-gray-700">Import
+                  <select onchange="setImportKind(this.value)" class="mt-1 block px-3 py-2 border rounded-lg">
+                      ${Object.entries(IMPORT_KINDS).map(([kind, { label }]) => `<option value="${kind}" ${kind === importKind ? 'selected' : ''}>${label}</option>`).join('')}
+                  </select>
+              </label>
+              <label class="inline-block text-center bg-gray-800 text-white px-3 py-2 rounded-lg hover:bg-gray-900 cursor-pointer">
+                  <i class="fas fa-file-import mr-1"></i>Choose CSV or JSON
+                  <input type="file" accept=".csv,.json,text/csv,application/json" class="hidden" onchange="previewDataImport(this)">
+              </label>
+          </form>
+          <div id="dataImport"></div>
+      </div>
+
+      <div class="bg-white rounded-lg shadow p-6 mb-6">
+          <h3 class="font-medium text-gray-900">Export to a spreadsheet</h3>
+          <p class="text-sm text-gray-600 mb-3">CSV files that open in Excel, Numbers or Google Sheets. They use the same column names as the import, so they can come back in.</p>
+          <div class="flex flex-wrap gap-2 text-sm">
+              <button onclick="exportClientsCsv()" class="px-3 py-2 rounded-lg border hover:bg-gray-50"><i class="fas fa-file-csv mr-1"></i>Clients</button>
+              <button onclick="exportJobsCsv()" class="px-3 py-2 rounded-lg border hover:bg-gray-50"><i class="fas fa-file-csv mr-1"></i>Jobs</button>
+          </div>
+      </div>
+
+      <div class="bg-white rounded-lg shadow p-6">
+          <h3 class="font-medium text-gray-900">Full backup</h3>
+          <p class="text-sm text-gray-600 mb-3">One file with every job and its prices, clients, safety forms and their templates, and a list of every photo and file with where it's stored. Restoring puts back anything that's missing and leaves everything else alone.</p>
+          <div id="dataBackup"></div>
+      </div>
+    </div>
+  `;
+}
+
+const more = (count) => count > PREVIEW_ROWS ? `<li class="text-gray-500">and ${count - PREVIEW_ROWS} more</li>` : '';
+
+function renderList(title, items, renderItem, className = '') {
+  return `
+    <div>
+        <h4 class="font-medium text-gray-700 mb-1">${title}</h4>
+        <ul class="space-y-1 ${className}">
+            ${items.slice(0, PREVIEW_ROWS).map(renderItem).join('') || '<li class="text-gray-500">None</li>'}
+            ${more(items.length)}
+        </ul>
+    </div>
+  `;
+}
+
+function renderMapping({ kind, headers, records, mapping }) {
+  const sample = (index) => records.find(record => (record.cells[index] || '').trim())?.cells[index] || '';
+  return `
+    <div class="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm mb-4">
+        ${IMPORT_KINDS[kind].fields.map(field => `
+            <label class="text-gray-700">${field.label}${field.required ? ' <span class="text-red-600">*</span>' : ''}
+                <select onchange="mapImportColumn('${field.key}', this.value)" class="mt-1 w-full px-2 py-2 border rounded-lg">
+                    <option value="-1">Not in the file</option>
+                    ${headers.map((header, i) => `<option value="${i}" ${mapping[field.key] === i ? 'selected' : ''}>${escapeHtml(header || `Column ${i + 1}`)}</option>`).join('')}
+                </select>
+                <span class="block text-xs text-gray-500 truncate mt-1">${mapping[field.key] >= 0 ? escapeHtml(sample(mapping[field.key])) || '&nbsp;' : '&nbsp;'}</span>
+            </label>
+        `).join('')}
+    </div>
+  `;
+}
+
+function renderNewRow(kind, { fields, note }) {
+  if (kind === 'clients') {
+    return `<li>${escapeHtml(fields.name)} <span class="text-gray-500">${escapeHtml(fields.email || fields.phone || '')}</span></li>`;
+  }
+  return `
+    <li>${escapeHtml(fields.client)}, ${escapeHtml(fields.address)}
+        <span class="text-gray-500">${escapeHtml(getStatusLabel(fields.status))} · ${escapeHtml(getTradeLabel(fields.trade))}${fields.valueCents ? ` · ${formatMoney(fields.valueCents)}` : ''}</span>
+        ${note ? `<span class="block text-orange-700">${escapeHtml(note)}</span>` : ''}
+    </li>
+  `;
+}
+
+function renderImportPreview() {
+  const panel = document.getElementById('dataImport');
+  if (!panel) return;
+  if (!pendingImport) {
+    panel.innerHTML = '';
+    return;
+  }
+
+  const { kind, fileName, records, errors } = pendingImport;
+  const missing = getMissingFields(kind, pendingImport.mapping);
+  const plan = records.length && missing.length === 0
+    ? planImport(kind, records, pendingImport.mapping, viewData)
+    : null;
+  pendingImport.plan = plan;
+
+  const skipped = [...errors, ...(plan?.errors || [])];
+  const count = plan?.creates.length || 0;
+  const label = IMPORT_KINDS[kind].label.toLowerCase();
+
+  panel.innerHTML = `
+    <div class="mt-4 border rounded-lg p-4">
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <div class="text-sm text-gray-900">
+                <span class="font-medium">${escapeHtml(fileName)}</span>: ${records.length} row${records.length === 1 ? '' : 's'}${plan ? `, ${count} new${plan.newClients?.length ? ` (with ${plan.newClients.length} new client${plan.newClients.length === 1 ? '' : 's'})` : ''}, ${plan.duplicates.length} already here` : ''}${skipped.length ? `, <span class="text-red-600">${skipped.length} skipped</span>` : ''}
+            </div>
+            <div class="flex gap-2">
+                <button onclick="cancelDataImport()" class="px-3 py-1 rounded-lg border text-sm hover:bg-gray-50">Cancel</button>
+                <button onclick="confirmDataImport()" ${count === 0 || importing ? 'disabled' : ''}
+                    class="bg-blue-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+                    ${importing ? '<i class="fas fa-spinner fa-spin mr-1"></i>Importing' : `Import ${count} ${count === 1 ? label.replace(/s$/, '') : label}`}
+                </button>
+            </div>
+        </div>
+
+        ${records.length ? renderMapping(pendingImport) : ''}
+        ${missing.length ? `<p class="text-sm text-red-600 mb-3">Choose a column for ${escapeHtml(missing.join(' and '))}.</p>` : ''}
+
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 text-xs">
+            ${renderList('New', plan?.creates || [], item => renderNewRow(kind, item))}
+            ${renderList('Already here', plan?.duplicates || [], item => `
+                <li>Row ${item.row}: ${escapeHtml(item.name)} <span class="text-gray-500">matches ${escapeHtml(item.match)} (${escapeHtml(item.reason)})</span></li>
+            `)}
+            ${renderList('Skipped', skipped, error => `<li>Row ${error.row}: ${escapeHtml(error.message)}</li>`, 'text-red-600')}
+        </div>
+    </div>
+  `;
+}
+
+function renderRestorePreview() {
+  if (!pendingRestore) return '';
+  const { fileName, backup, plan } = pendingRestore;
+  const count = countRestore(plan);
+
+  return `
+    <div class="mt-4 border rounded-lg p-4">
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <div class="text-sm text-gray-900">
+                <span class="font-medium">${escapeHtml(fileName)}</span>: backup of ${escapeHtml(backup.businessName || 'this business')}${backup.exportedAt ? ` taken ${escapeHtml(backup.exportedAt.toLocaleString('en-AU', { dateStyle: 'medium', timeStyle: 'short' }))}` : ''}
+            </div>
+            <div class="flex gap-2">
+                <button onclick="cancelRestore()" class="px-3 py-1 rounded-lg border text-sm hover:bg-gray-50">Cancel</button>
+                <button onclick="confirmRestore()" ${count === 0 || restoring ? 'disabled' : ''}
+                    class="bg-blue-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+                    ${restoring ? '<i class="fas fa-spinner fa-spin mr-1"></i>Restoring' : `Restore ${count} record${count === 1 ? '' : 's'}`}
+                </button>
+            </div>
+        </div>
+        <table class="w-full text-sm">
+            <thead>
+                <tr class="text-left text-gray-500">
+                    <th class="py-1 font-medium"></th>
+                    <th class="py-1 font-medium text-right">Already here</th>
+                    <th class="py-1 font-medium text-right">Missing, will be restored</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(BACKUP_COLLECTIONS).map(([name, label]) => `
+                    <tr class="border-t">
+                        <td class="py-1 text-gray-900">${label}</td>
+                        <td class="py-1 text-right text-gray-600">${plan.existing[name]}</td>
+                        <td class="py-1 text-right ${plan.restores[name].length ? 'text-gray-900 font-medium' : 'text-gray-600'}">${plan.restores[name].length}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="text-xs text-gray-500 mt-3">Photos and files come back as long as they're still in storage - the backup lists them but doesn't hold a copy.</p>
+    </div>
+  `;
+}
+
+function renderBackupPanel() {
+  const panel = document.getElementById('dataBackup');
+  if (!panel) return;
+  panel.innerHTML = `
+    <div class="flex flex-wrap gap-2 text-sm">
+        <button onclick="downloadBackup()" ${backingUp ? 'disabled' : ''} class="bg-gray-800 text-white px-3 py-2 rounded-lg hover:bg-gray-900 disabled:opacity-50">
+            ${backingUp ? '<i class="fas fa-spinner fa-spin mr-1"></i>Preparing backup' : '<i class="fas fa-download mr-1"></i>Download backup'}
+        </button>
+        <label class="inline-block px-3 py-2 rounded-lg border hover:bg-gray-50 cursor-pointer">
+            <i class="fas fa-clock-rotate-left mr-1"></i>Restore from a backup
+            <input type="file" accept=".json,application/json" class="hidden" onchange="previewRestore(this)">
+        </label>
+    </div>
+    ${renderRestorePreview()}
+  `;
+}
+
+function setImportKind(kind) {
+  importKind = IMPORT_KINDS[kind] ? kind : 'clients';
+  if (pendingImport && pendingImport.kind !== importKind) {
+    pendingImport = null;
+    renderImportPreview();
+  }
+}
+
+async function previewDataImport(input) {
+  const file = input.files?.[0];
+  input.value = '';
+  if (!file) return;
+
+  try {
+    const { headers, records, errors } = readImportFile(await file.text(), { kind: importKind, fileName: file.name });
+    pendingImport = {
+      kind: importKind,
+      fileName: file.name,
+      headers,
+      records,
+      errors,
+      mapping: guessMapping(importKind, headers),
+      plan: null
+    };
+    renderImportPreview();
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    showNotification('Error', 'Couldn\'t read that file. Please check it\'s a CSV or JSON file.');
+  }
+}
+
+function mapImportColumn(field, value) {
+  if (!pendingImport) return;
+  const index = parseInt(value, 10);
+  // A column only feeds one field, so taking it from another field leaves that one empty
+  Object.keys(pendingImport.mapping).forEach(key => {
+    if (index >= 0 && pendingImport.mapping[key] === index) pendingImport.mapping[key] = -1;
+  });
+  pendingImport.mapping[field] = Number.isInteger(index) ? index : -1;
+  renderImportPreview();
+}
+
+function cancelDataImport() {
+  pendingImport = null;
+  renderImportPreview();
+}
+
+async function confirmDataImport() {
+  if (!viewBusinessId || !pendingImport?.plan || importing) return;
+  const { kind, fileName, plan } = pendingImport;
+  const { userId, businessId } = getSession();
+
+  importing = true;
+  renderImportPreview();
+  try {
+    if (kind === 'jobs') {
+      await importJobs({ userId, businessId }, plan, fileName);
+      const newClients = plan.newClients.length;
+      showNotification('Jobs Imported', `${plan.creates.length} jobs added${newClients ? ` with ${newClients} new client${newClients === 1 ? '' : 's'}` : ''}`);
+    } else {
+      await importClients({ userId, businessId }, plan.creates);
+      showNotification('Clients Imported', `${plan.creates.length} clients added`);
+    }
+    pendingImport = null;
+  } catch (error) {
+    console.error('Error importing data:', error);
+    showNotification('Error', 'Failed to finish the import. Anything already added is kept - choose the file again to see what\'s left.');
+  } finally {
+    importing = false;
+    renderImportPreview();
+  }
+}
+
+function exportClientsCsv() {
+  downloadFile(clientsToCsv(viewData.clients), `clients-${toDayValue(new Date())}.csv`, 'text/csv');
+}
+
+function exportJobsCsv() {
+  downloadFile(jobsToCsv(viewData.jobs), `jobs-${toDayValue(new Date())}.csv`, 'text/csv');
+}
+
+async function downloadBackup() {
+  if (!viewBusinessId || backingUp) return;
+  const businessName = viewData.business?.name || '';
+
+  backingUp = true;
+  renderBackupPanel();
+  try {
+    const backup = buildBackup({
+      businessId: viewBusinessId,
+      businessName,
+      userId: getSession().userId,
+      collections: await readAccountData(viewBusinessId)
+    });
+    downloadFile(JSON.stringify(backup), getBackupFileName(businessName), 'application/json');
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    showNotification('Error', 'Failed to create the backup. Please check you\'re online and try again.');
+  } finally {
+    backingUp = false;
+    renderBackupPanel();
+  }
+}
+
+async function previewRestore(input) {
+  const file = input.files?.[0];
+  input.value = '';
+  if (!file || !viewBusinessId) return;
+
+  try {
+    const { backup, error } = readBackup(await file.text(), { businessId: viewBusinessId });
+    if (error) {
+      showNotification('Can\'t Restore', error);
+      return;
+    }
+    const current = await readAccountData(viewBusinessId);
+    const currentIds = Object.fromEntries(Object.entries(current).map(([name, docs]) => [name, docs.map(d => d.id)]));
+    pendingRestore = { fileName: file.name, backup, plan: planRestore(backup, currentIds) };
+    renderBackupPanel();
+  } catch (error) {
+    console.error('Error reading backup:', error);
+    showNotification('Error', 'Couldn\'t read that backup. Please check you\'re online and try again.');
+  }
+}
+
+function cancelRestore() {
+  pendingRestore = null;
+  renderBackupPanel();
+}
+
+async function confirmRestore() {
+  if (!pendingRestore || restoring) return;
+  const { backup, plan } = pendingRestore;
+  const count = countRestore(plan);
+  if (!confirm(`Put back ${count} missing record${count === 1 ? '' : 's'} from this backup? Nothing that's here now will be changed.`)) return;
+
+  restoring = true;
+  renderBackupPanel();
+  try {
+    await restoreBackup(backup, plan, getSession().userId);
+    showNotification('Backup Restored', `${count} record${count === 1 ? '' : 's'} put back`);
+    pendingRestore = null;
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    showNotification('Error', 'Failed to finish the restore. Anything already put back is kept - choose the backup again to see what\'s left.');
+  } finally {
+    restoring = false;
+    renderBackupPanel();
+  }
+}
+
+// Export functions for inline handlers
+window.setImportKind = setImportKind;
+window.previewDataImport = previewDataImport;
+window.mapImportColumn = mapImportColumn;
+window.cancelDataImport = cancelDataImport;
+window.confirmDataImport = confirmDataImport;
+window.exportClientsCsv = exportClientsCsv;
+window.exportJobsCsv = exportJobsCsv;
+window.downloadBackup = downloadBackup;
+window.previewRestore = previewRestore;
+window.cancelRestore = cancelRestore;
+window.confirmRestore = confirmRestore;
@@ -0,0 +1,79 @@
+// Job locations - geocodes job addresses and keeps the result on the job
+//
+// A job's `location` is { lat, lng, label, address, geocoder, approximate }.
+// `address` is the address it was found for, so changing the job's address
+// looks it up again, as does changing geocoder. Approximate places (a
+// postcode's centre) aren't saved or used for routes. Locations are written straight to the job without
+// touching updatedAt: they follow from the address rather than being an edit,
+// and mustn't make anyone's queued offline edit look out of date.
+import { db } from './firebase-config.js';
+import { doc, updateDoc } from 'firebase/firestore';
+import { getGeocoder, normaliseAddress } from './geocoder.js';
+import { hasLocation } from './routing.js';
+
+// Lookups made this session, including misses, so the same address isn't
+// asked for again on every render: normalised address -> Promise
+const lookups = new Map();
+
+// Geocode an address through the active geocoder, once per session. Resolves
+// to null when there's no geocoder or it only knows roughly where it is.
+export function geocodeAddress(address) {
+  const geocoder = getGeocoder();
+  if (!geocoder) return Promise.resolve(null);
+
+  const key = `${geocoder.name}:${normaliseAddress(address)}`;
+  if (!lookups.has(key)) {
+    const lookup = geocoder.geocode(address)
+      .then(place => (place && !place.approximate ? place : null))
+      .catch(error => {
+        // Try again next time - it may have been the reception
+        lookups.delete(key);
+        throw error;
+      });
+    lookups.set(key, lookup);
+  }
+  return lookups.get(key);
+}
+
+// Whether the job's saved location was found by the active geocoder for the
+// address the job has now. Anything else is left off routes and looked up again.
+export function hasCurrentLocation(job) {
+  const geocoder = getGeocoder();
+  return !!geocoder && hasLocation(job)
+    && !job.location.approximate
+    && job.location.geocoder === geocoder.name
+    && normaliseAddress(job.location.address) === normaliseAddress(job.address);
+}
+
+export function needsLocation(job) {
+  if (!getGeocoder() || !job.address?.trim()) return false;
+  return !hasCurrentLocation(job);
+}
+
+// Look up jobs whose address hasn't been located yet and save what's found.
+// Jobs still waiting in the offline outbox are left until they reach the server.
+// Resolves to the number of jobs that couldn't be found.
+export async function locateJobs(jobs) {
+  let missing = 0;
+  const geocoder = getGeocoder();
+  if (!geocoder) return missing;
+
+  for (const job of jobs.filter(job => needsLocation(job) && !job.pendingSync)) {
+    const place = await geocodeAddress(job.address);
+    if (!place) {
+      missing++;
+      continue;
+    }
+    await updateDoc(doc(db, 'jobs', job.id), {
+      location: {
+        lat: place.lat,
+        lng: place.lng,
+        label: place.label || '',
+        address: job.address,
+        geocoder: geocoder.name,
+        approximate: false
+      }
+    });
+  }
+  return missing;
+}
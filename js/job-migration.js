@@ -0,0 +1,164 @@
+// One-off migration of a user's job documents to the current job model
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  deleteField
+} from 'firebase/firestore';
+import { normaliseJob, splitJobPricing } from './job-model.js';
+import { buildClientRecord } from './clients.js';
+import { generateId } from './utils.js';
+
+// Firestore caps a batch at 500 writes, and the rules at 20 document lookups
+// per batch - each job's new prices look up the job, so jobs go in small batches
+const BATCH_LIMIT = 400;
+const JOBS_PER_BATCH = 15;
+
+// Rewrite any of the user's jobs that still use the old schema (string values,
+// 'pending' status, clientName/description, dollar costs). Safe to run repeatedly.
+export async function migrateUserJobs(userId) {
+  const snapshot = await getDocs(query(collection(db, 'jobs'), where('userId', '==', userId)));
+
+  const updates = snapshot.docs
+    .map(jobDoc => ({ ref: jobDoc.ref, ...normaliseJob(jobDoc.data()) }))
+    .filter(({ changes, remove }) => Object.keys(changes).length > 0 || remove.length > 0);
+
+  for (let i = 0; i < updates.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    for (const { ref, changes, remove } of updates.slice(i, i + BATCH_LIMIT)) {
+      const fields = { ...changes };
+      remove.forEach(field => {
+        fields[field] = deleteField();
+      });
+      batch.update(ref, fields);
+    }
+    await batch.commit();
+  }
+
+  if (updates.length > 0) {
+    console.log(`Migrated ${updates.length} job(s) to the current schema`);
+  }
+  return updates.length;
+}
+
+// Collections whose documents were scoped to a single user before businesses
+const USER_SCOPED_COLLECTIONS = ['clients', 'quotes', 'invoices', 'attachments'];
+
+// Move the user's pre-business documents into their business: stamp each with
+// businessId and split job pricing out into jobPricing documents.
+export async function migrateToBusiness(userId, businessId) {
+  const jobWrites = [];
+  const writes = [];
+
+  const jobsSnapshot = await getDocs(query(collection(db, 'jobs'), where('userId', '==', userId)));
+  jobsSnapshot.docs
+    .filter(jobDoc => !('businessId' in jobDoc.data()))
+    .forEach(jobDoc => {
+      const data = jobDoc.data();
+      const materials = (data.materials || []).map(item => item.id ? item : { ...item, id: generateId() });
+      const { job, pricing } = splitJobPricing({
+        materials,
+        valueCents: data.valueCents || 0,
+        labour: data.labour || []
+      });
+
+      jobWrites.push(batch => {
+        batch.set(doc(db, 'jobPricing', jobDoc.id), { ...pricing, businessId, jobId: jobDoc.id });
+        batch.update(jobDoc.ref, {
+          ...job,
+          businessId,
+          valueCents: deleteField(),
+          labour: deleteField()
+        });
+      });
+    });
+
+  for (const name of USER_SCOPED_COLLECTIONS) {
+    const snapshot = await getDocs(query(collection(db, name), where('userId', '==', userId)));
+    snapshot.docs
+      .filter(d => !('businessId' in d.data()))
+      .forEach(d => writes.push(batch => batch.update(d.ref, { businessId })));
+  }
+
+  for (let i = 0; i < jobWrites.length; i += JOBS_PER_BATCH) {
+    const batch = writeBatch(db);
+    jobWrites.slice(i, i + JOBS_PER_BATCH).forEach(write => write(batch));
+    await batch.commit();
+  }
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+  }
+
+  const count = jobWrites.length * 2 + writes.length;
+  if (count > 0) {
+    console.log(`Moved ${count} document write(s) into business ${businessId}`);
+  }
+  return count;
+}
+
+// Jobs created before client records carry only a free-text client name. Group
+// them by name, reuse a matching client or create one (with the job addresses
+// as its sites), and link each job to it. `owner` is { userId, businessId }.
+export async function linkJobsToClients(owner) {
+  const [jobsSnapshot, clientsSnapshot] = await Promise.all([
+    getDocs(query(collection(db, 'jobs'), where('userId', '==', owner.userId))),
+    getDocs(query(collection(db, 'clients'), where('businessId', '==', owner.businessId)))
+  ]);
+
+  const clientsByName = new Map(
+    clientsSnapshot.docs.map(clientDoc => [clientDoc.data().nameLower, clientDoc.id])
+  );
+
+  const unlinked = new Map();
+  jobsSnapshot.docs.forEach(jobDoc => {
+    const data = jobDoc.data();
+    const name = (data.client || data.clientName || '').trim();
+    if (data.clientId || !name) return;
+
+    const key = name.toLowerCase();
+    if (!unlinked.has(key)) unlinked.set(key, { name, jobs: [] });
+    unlinked.get(key).jobs.push({ ref: jobDoc.ref, address: data.address });
+  });
+
+  if (unlinked.size === 0) return 0;
+
+  let batch = writeBatch(db);
+  let batchSize = 0;
+  let linked = 0;
+
+  const queue = async (write) => {
+    write(batch);
+    if (++batchSize >= BATCH_LIMIT) {
+      await batch.commit();
+      batch = writeBatch(db);
+      batchSize = 0;
+    }
+  };
+
+  for (const [key, { name, jobs }] of unlinked) {
+    let clientId = clientsByName.get(key);
+    if (!clientId) {
+      const clientRef = doc(collection(db, 'clients'));
+      const addresses = [...new Set(jobs.map(job => job.address?.trim()).filter(Boolean))];
+      await queue(b => b.set(clientRef, buildClientRecord(owner, {
+        name,
+        sites: addresses.map(address => ({ address }))
+      })));
+      clientId = clientRef.id;
+    }
+    for (const job of jobs) {
+      await queue(b => b.update(job.ref, { clientId }));
+      linked++;
+    }
+  }
+
+  if (batchSize > 0) await batch.commit();
+  console.log(`Linked ${linked} job(s) to client records`);
+  return linked;
+}
@@ -0,0 +1,290 @@
+// Shared job model - integer-cents money and the job status state machine
+//
+// Kept free of Firebase imports so every entry point (and tests) can use it.
+
+export const JOB_STATUSES = ['new', 'quoted', 'in_progress', 'completed', 'cancelled'];
+
+export const STATUS_LABELS = {
+  new: 'New',
+  quoted: 'Quoted',
+  in_progress: 'In progress',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+// Allowed moves out of each status. Small jobs are often done and invoiced on
+// the spot, so new and quoted jobs can go straight to completed.
+export const STATUS_TRANSITIONS = {
+  new: ['quoted', 'in_progress', 'completed', 'cancelled'],
+  quoted: ['new', 'in_progress', 'completed', 'cancelled'],
+  in_progress: ['quoted', 'completed', 'cancelled'],
+  completed: ['in_progress'],
+  cancelled: ['new']
+};
+
+// Older documents used 'pending' for jobs that hadn't started
+const LEGACY_STATUSES = {
+  pending: 'new'
+};
+
+export function normaliseStatus(status) {
+  if (JOB_STATUSES.includes(status)) return status;
+  return LEGACY_STATUSES[status] || 'new';
+}
+
+export function getStatusLabel(status) {
+  return STATUS_LABELS[normaliseStatus(status)];
+}
+
+export function getAllowedTransitions(status) {
+  return STATUS_TRANSITIONS[normaliseStatus(status)] || [];
+}
+
+export function canTransition(from, to) {
+  return getAllowedTransitions(from).includes(to);
+}
+
+// Fields to write when moving a job to a new status. Throws if the move isn't allowed.
+export function transitionStatus(job, to, { userId = null, note = '', at = new Date() } = {}) {
+  const from = normaliseStatus(job.status);
+  if (!JOB_STATUSES.includes(to)) {
+    throw new Error(`Unknown job status "${to}"`);
+  }
+  if (!canTransition(from, to)) {
+    throw new Error(`A ${STATUS_LABELS[from].toLowerCase()} job can't be moved to ${STATUS_LABELS[to].toLowerCase()}`);
+  }
+
+  const entry = { from, to, at, by: userId };
+  if (note) entry.note = note;
+
+  return {
+    status: to,
+    statusHistory: [...(job.statusHistory || []), entry]
+  };
+}
+
+// Initial status fields for a freshly created job
+export function initialStatus({ userId = null, at = new Date() } = {}) {
+  return {
+    status: 'new',
+    statusHistory: [{ from: null, to: 'new', at, by: userId }]
+  };
+}
+
+// Trade types, for reporting on what each kind of work is worth
+export const TRADE_TYPES = [
+  'electrical', 'plumbing', 'carpentry', 'building', 'roofing',
+  'painting', 'tiling', 'landscaping', 'hvac', 'other'
+];
+
+export const TRADE_LABELS = {
+  electrical: 'Electrical',
+  plumbing: 'Plumbing',
+  carpentry: 'Carpentry',
+  building: 'Building',
+  roofing: 'Roofing',
+  painting: 'Painting',
+  tiling: 'Tiling',
+  landscaping: 'Landscaping',
+  hvac: 'Air conditioning',
+  other: 'Other'
+};
+
+export function getTradeLabel(trade) {
+  return TRADE_LABELS[trade] || 'Unspecified';
+}
+
+// Money - stored as integer cents, parsed from anything a tradie might type
+export function parseMoneyToCents(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value * 100) : 0;
+  }
+  const cleaned = String(value ?? '').replace(/[^0-9.-]/g, '');
+  const amount = parseFloat(cleaned);
+  return Number.isFinite(amount) ? Math.round(amount * 100) : 0;
+}
+
+export function formatMoney(cents, { showCents = true } = {}) {
+  return ((Number(cents) || 0) / 100).toLocaleString('en-AU', {
+    style: 'currency',
+    currency: 'AUD',
+    minimumFractionDigits: showCents ? 2 : 0,
+    maximumFractionDigits: showCents ? 2 : 0
+  });
+}
+
+// Plain number for <input type="number"> fields
+export function centsToInputValue(cents) {
+  return ((Number(cents) || 0) / 100).toFixed(2);
+}
+
+export function getJobValueCents(job) {
+  if (Number.isInteger(job?.valueCents)) return job.valueCents;
+  return parseMoneyToCents(job?.value);
+}
+
+// Materials carry what they cost us (costCents) and, when priced from the
+// price book, what the client pays (sellCents). Without a sell price the
+// client is charged cost.
+export function getMaterialLineTotal(item) {
+  return Math.round((Number(item.qty) || 0) * (item.costCents || 0));
+}
+
+export function getMaterialUnitPrice(item) {
+  return Number.isInteger(item.sellCents) ? item.sellCents : item.costCents || 0;
+}
+
+export function getMaterialsCostCents(job) {
+  return (job?.materials || []).reduce((sum, item) => sum + getMaterialLineTotal(item), 0);
+}
+
+// Quote and invoice lines
+
+export const GST_RATE = 0.1;
+
+// Build priced line items from a job's materials and labour
+export function buildLinesFromJob(job) {
+  const materialLines = (job.materials || []).map(item => ({
+    kind: 'material',
+    description: item.name,
+    qty: Number(item.qty) || 0,
+    unit: item.unit || 'ea',
+    unitPriceCents: getMaterialUnitPrice(item)
+  }));
+
+  const labourLines = (job.labour || []).map(item => ({
+    kind: 'labour',
+    description: item.description || 'Labour',
+    qty: Number(item.hours) || 0,
+    unit: 'hr',
+    unitPriceCents: item.rateCents || 0
+  }));
+
+  return [...labourLines, ...materialLines]
+    .filter(line => line.qty > 0)
+    .map(line => ({ ...line, totalCents: Math.round(line.qty * line.unitPriceCents) }));
+}
+
+export function calculateTotals(lines, { gstRegistered = true } = {}) {
+  const subtotalCents = lines.reduce((sum, line) => sum + line.totalCents, 0);
+  const gstCents = gstRegistered ? Math.round(subtotalCents * GST_RATE) : 0;
+  return { subtotalCents, gstCents, totalCents: subtotalCents + gstCents };
+}
+
+export function sumJobValues(jobs) {
+  return jobs.reduce((sum, job) => sum + getJobValueCents(job), 0);
+}
+
+export function jobsWithStatus(jobs, ...statuses) {
+  return jobs.filter(job => statuses.includes(normaliseStatus(job.status)));
+}
+
+// Pricing - kept out of the job document in a jobPricing document with the same
+// id, so field staff can read jobs without seeing what they're worth. Material
+// names and quantities stay on the job; their costs and sell prices move to
+// materialCosts and materialPrices.
+export const PRICING_FIELDS = ['valueCents', 'labour', 'materialCosts', 'materialPrices'];
+
+// Split a job write into the job fields and the pricing fields
+export function splitJobPricing(fields) {
+  const job = {};
+  const pricing = {};
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (field === 'materials' && Array.isArray(value)) {
+      job.materials = value.map(({ costCents, cost, sellCents, ...item }) => item);
+      pricing.materialCosts = Object.fromEntries(
+        value.filter(item => item.id).map(item => [item.id, Number.isInteger(item.costCents) ? item.costCents : 0])
+      );
+      pricing.materialPrices = Object.fromEntries(
+        value.filter(item => item.id && Number.isInteger(item.sellCents)).map(item => [item.id, item.sellCents])
+      );
+    } else if (PRICING_FIELDS.includes(field)) {
+      pricing[field] = value;
+    } else {
+      job[field] = value;
+    }
+  });
+
+  return { job, pricing };
+}
+
+// Combine a job document with its pricing document (if the user can see it)
+export function mergeJobPricing(job, pricing) {
+  if (!pricing) return job;
+
+  const merged = { ...job };
+  if ('valueCents' in pricing) merged.valueCents = pricing.valueCents;
+  if ('labour' in pricing) merged.labour = pricing.labour;
+  if (Array.isArray(job.materials)) {
+    const costs = pricing.materialCosts || {};
+    const prices = pricing.materialPrices || {};
+    merged.materials = job.materials.map(item => {
+      const material = { ...item, costCents: Number.isInteger(costs[item.id]) ? costs[item.id] : item.costCents || 0 };
+      if (Number.isInteger(prices[item.id])) material.sellCents = prices[item.id];
+      return material;
+    });
+  }
+  return merged;
+}
+
+// Work out which fields an existing job document needs rewritten to match the
+// current schema. Returns an empty object when the job is already up to date;
+// `remove` lists legacy fields to delete.
+export function normaliseJob(data) {
+  const changes = {};
+  const remove = [];
+
+  if (!data.client && data.clientName) {
+    changes.client = data.clientName;
+  }
+  if ('clientName' in data) remove.push('clientName');
+
+  if (!data.summary && data.description) {
+    changes.summary = data.description;
+  }
+  if ('description' in data) remove.push('description');
+
+  // Jobs that belong to a business have their pricing in jobPricing already
+  const pricingSplit = 'businessId' in data;
+
+  if (!pricingSplit && !Number.isInteger(data.valueCents)) {
+    changes.valueCents = parseMoneyToCents(data.value);
+  }
+  if ('value' in data) remove.push('value');
+
+  const status = normaliseStatus(data.status);
+  if (status !== data.status) {
+    changes.status = status;
+  }
+  if (!Array.isArray(data.statusHistory)) {
+    changes.statusHistory = [{ from: null, to: status, at: data.createdAt || new Date(), by: data.userId || null }];
+  }
+
+  for (const field of ['transcript', 'summary']) {
+    if (typeof data[field] !== 'string' && !(field in changes)) changes[field] = '';
+  }
+  for (const field of pricingSplit ? ['tasks', 'recordings'] : ['tasks', 'recordings', 'labour']) {
+    if (!Array.isArray(data[field])) changes[field] = [];
+  }
+
+  if (Array.isArray(data.materials)) {
+    if (!pricingSplit && data.materials.some(item => !Number.isInteger(item.costCents))) {
+      changes.materials = data.materials.map(({ cost, ...item }) => ({
+        ...item,
+        costCents: Number.isInteger(item.costCents) ? item.costCents : parseMoneyToCents(cost)
+      }));
+    }
+  } else {
+    changes.materials = [];
+  }
+
+  if (Array.isArray(data.labour) && data.labour.some(item => !Number.isInteger(item.rateCents))) {
+    changes.labour = data.labour.map(({ rate, ...item }) => ({
+      ...item,
+      rateCents: Number.isInteger(item.rateCents) ? item.rateCents : parseMoneyToCents(rate)
+    }));
+  }
+
+  return { changes, remove };
+}
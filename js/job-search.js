@@ -0,0 +1,201 @@
+// Job search - an inverted index over the loaded jobs, plus filtering and sorting
+//
+// Kept free of Firebase imports like the job model. Every word in a job's
+// client, address, summary, transcript, tasks and materials is indexed; a
+// query matches jobs containing every query word as a word or word prefix
+// ("elec sw" finds "electrical switchboard").
+import { getJobValueCents, getStatusLabel, normaliseStatus } from './job-model.js';
+import { parseDay, toDate } from './schedule.js';
+
+export const SORT_OPTIONS = {
+  updated: 'Recently updated',
+  created: 'Newest first',
+  oldest: 'Oldest first',
+  valueHigh: 'Value: high to low',
+  valueLow: 'Value: low to high',
+  client: 'Client A-Z'
+};
+
+export const DEFAULT_FILTERS = {
+  statuses: [],
+  from: null,
+  to: null,
+  minCents: null,
+  maxCents: null
+};
+
+// Lower-case words with accents removed ("Café" -> "cafe")
+export function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function getSearchText(job) {
+  return [
+    job.client,
+    job.address,
+    job.summary,
+    job.transcript,
+    job.assignedWorker,
+    getStatusLabel(job.status),
+    ...(job.tasks || []).map(task => task.text),
+    ...(job.materials || []).map(item => item.name)
+  ].filter(Boolean).join('\n');
+}
+
+// Index that updates incrementally as snapshots arrive: only jobs whose
+// searchable text changed are re-tokenised.
+export function createSearchIndex() {
+  const entries = new Map();
+  let postings = new Map();
+  let sortedTokens = [];
+  let dirty = false;
+
+  function rebuildPostings() {
+    postings = new Map();
+    for (const [jobId, entry] of entries) {
+      for (const token of entry.tokens) {
+        if (!postings.has(token)) postings.set(token, new Set());
+        postings.get(token).add(jobId);
+      }
+    }
+    sortedTokens = [...postings.keys()].sort();
+    dirty = false;
+  }
+
+  // Every job id with a word starting with `prefix`
+  function matchPrefix(prefix) {
+    const matches = new Set();
+    let low = 0;
+    let high = sortedTokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sortedTokens[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+    for (let i = low; i < sortedTokens.length && sortedTokens[i].startsWith(prefix); i++) {
+      postings.get(sortedTokens[i]).forEach(jobId => matches.add(jobId));
+    }
+    return matches;
+  }
+
+  return {
+    update(jobs) {
+      const seen = new Set();
+      for (const job of jobs) {
+        seen.add(job.id);
+        const text = getSearchText(job);
+        if (entries.get(job.id)?.text === text) continue;
+        entries.set(job.id, { text, tokens: new Set(tokenize(text)) });
+        dirty = true;
+      }
+      for (const jobId of entries.keys()) {
+        if (!seen.has(jobId)) {
+          entries.delete(jobId);
+          dirty = true;
+        }
+      }
+    },
+
+    // Set of matching job ids, or null for an empty query (everything matches)
+    search(query) {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0) return null;
+      if (dirty) rebuildPostings();
+
+      let result = null;
+      for (const term of terms) {
+        const matches = matchPrefix(term);
+        result = result ? new Set([...result].filter(jobId => matches.has(jobId))) : matches;
+        if (result.size === 0) break;
+      }
+      return result;
+    }
+  };
+}
+
+function getCreatedMillis(job) {
+  return toDate(job.createdAt)?.getTime() || 0;
+}
+
+function getUpdatedMillis(job) {
+  return toDate(job.updatedAt)?.getTime() || getCreatedMillis(job);
+}
+
+// Jobs matching the status, created-date and value filters. `to` includes the whole day.
+export function filterJobs(jobs, { statuses = [], from = null, to = null, minCents = null, maxCents = null } = {}) {
+  const fromMillis = from ? parseDay(from).setHours(0, 0, 0, 0) : null;
+  const toMillis = to ? parseDay(to).setHours(23, 59, 59, 999) : null;
+
+  return jobs.filter(job => {
+    if (statuses.length && !statuses.includes(normaliseStatus(job.status))) return false;
+
+    const created = getCreatedMillis(job);
+    if (fromMillis !== null && created < fromMillis) return false;
+    if (toMillis !== null && created > toMillis) return false;
+
+    const value = getJobValueCents(job);
+    if (minCents !== null && value < minCents) return false;
+    if (maxCents !== null && value > maxCents) return false;
+    return true;
+  });
+}
+
+export function sortJobs(jobs, sort = 'updated') {
+  const compare = {
+    updated: (a, b) => getUpdatedMillis(b) - getUpdatedMillis(a),
+    created: (a, b) => getCreatedMillis(b) - getCreatedMillis(a),
+    oldest: (a, b) => getCreatedMillis(a) - getCreatedMillis(b),
+    valueHigh: (a, b) => getJobValueCents(b) - getJobValueCents(a),
+    valueLow: (a, b) => getJobValueCents(a) - getJobValueCents(b),
+    client: (a, b) => (a.client || '').localeCompare(b.client || '', 'en-AU', { sensitivity: 'base' })
+  }[sort] || (() => 0);
+
+  // Ties keep the most recently updated first
+  return [...jobs].sort((a, b) => compare(a, b) || getUpdatedMillis(b) - getUpdatedMillis(a));
+}
+
+// Search, filter and sort in one go: { results, total }
+export function queryJobs(jobs, index, { query = '', filters = DEFAULT_FILTERS, sort = 'updated' } = {}) {
+  const matches = index.search(query);
+  const searched = matches ? jobs.filter(job => matches.has(job.id)) : jobs;
+  const results = sortJobs(filterJobs(searched, filters), sort);
+  return { results, total: jobs.length };
+}
+
+export function countActiveFilters({ statuses = [], from = null, to = null, minCents = null, maxCents = null } = {}) {
+  const hasDates = from !== null || to !== null;
+  const hasValues = minCents !== null || maxCents !== null;
+  return statuses.length + (hasDates ? 1 : 0) + (hasValues ? 1 : 0);
+}
+
+// A short extract around the first query word found in the job's notes, to show
+// why it matched when the hit isn't in the client or address
+export function getMatchSnippet(job, query, length = 90) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return '';
+
+  const sources = [
+    job.summary,
+    job.transcript,
+    ...(job.tasks || []).map(task => task.text),
+    ...(job.materials || []).map(item => item.name)
+  ].filter(Boolean);
+
+  for (const text of sources) {
+    const lower = text.toLowerCase();
+    for (const term of terms) {
+      const at = lower.search(new RegExp(`(^|[^a-z0-9])${term}`));
+      if (at === -1) continue;
+
+      const start = Math.max(0, at - Math.floor(length / 3));
+      const end = Math.min(text.length, start + length);
+      return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+  }
+  return '';
+}
@@ -0,0 +1,139 @@
+// Recurring job series in Firestore - jobSeries/{seriesId}
+//
+// Series carry the contract price, so like templates they're for office staff
+// only. Each occurrence's job gets the id `{seriesId}-{occurrence}` and is
+// created in a transaction that also moves the series on, so two office
+// devices noticing the same completed job can't both create the next one.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  documentId,
+  getDocsFromServer,
+  query,
+  where,
+  onSnapshot,
+  runTransaction,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import { splitJobPricing } from './job-model.js';
+import { buildJobActivity, createdActivity } from './activity.js';
+import { addActivity } from './activity-store.js';
+import { toDate } from './schedule.js';
+import { isClosed } from './recurrence.js';
+
+export function subscribeToJobSeries(businessId, callback) {
+  return onSnapshot(query(collection(db, 'jobSeries'), where('businessId', '==', businessId)), (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (a.client || '').localeCompare(b.client || '') || (a.name || '').localeCompare(b.name || '')));
+  }, (error) => {
+    console.error('Error loading recurring jobs:', error);
+  });
+}
+
+function toTimestamp(date) {
+  return Timestamp.fromDate(toDate(date));
+}
+
+// Start a series. The first job is created by whichever office device sees
+// the new series - unless `job` is given, which becomes the first occurrence.
+export async function createJobSeries(fields, userId, { job = null } = {}) {
+  const ref = doc(collection(db, 'jobSeries'));
+  const batch = writeBatch(db);
+  const series = {
+    ...fields,
+    startDate: toTimestamp(fields.startDate),
+    active: true,
+    lastOccurrence: job ? 1 : 0,
+    lastJobId: job ? job.id : null,
+    createdBy: userId,
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  };
+  batch.set(ref, series);
+
+  if (job) {
+    const link = { seriesId: ref.id, occurrence: 1, dueDate: series.startDate };
+    const update = { ...link, updatedAt: Timestamp.now() };
+    batch.update(doc(db, 'jobs', job.id), update);
+    buildJobActivity(job, link).forEach(entry => addActivity(batch, job, entry, { at: update.updatedAt }));
+  }
+
+  await batch.commit();
+  return ref.id;
+}
+
+// Changes apply to occurrences created from now on
+export async function updateJobSeries(series, fields) {
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'jobSeries', series.id), {
+    ...fields,
+    ...(fields.startDate ? { startDate: toTimestamp(fields.startDate) } : {}),
+    updatedAt: Timestamp.now()
+  });
+  await batch.commit();
+}
+
+// Stop creating jobs. The open occurrence, if any, is left for the office to
+// finish or cancel.
+export async function endJobSeries(series, { reason = 'ended' } = {}) {
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'jobSeries', series.id), {
+    active: false,
+    endedReason: reason,
+    endedAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  });
+  await batch.commit();
+}
+
+// Whether a job is still there. Asked as a query, since the rules turn down
+// reading a job that doesn't exist.
+async function jobExists(businessId, jobId) {
+  const snapshot = await getDocsFromServer(query(
+    collection(db, 'jobs'),
+    where('businessId', '==', businessId),
+    where(documentId(), '==', jobId)
+  ));
+  return !snapshot.empty;
+}
+
+// Create the job for an occurrence and move the series on. `series` is the
+// copy the occurrence was worked out from. Resolves to the new job's id, or
+// null when the series has moved on or its latest job is still open on the
+// server - the jobs listener can lag behind the series one. A deleted latest
+// job counts as done. Occurrence jobs are only created here, alongside the
+// series' lastOccurrence, so an unchanged lastOccurrence means the new job
+// doesn't exist yet.
+export async function createSeriesOccurrence(series, occurrence, jobData) {
+  const seriesRef = doc(db, 'jobSeries', series.id);
+  const jobId = `${series.id}-${occurrence}`;
+  const jobRef = doc(db, 'jobs', jobId);
+  const last = series.lastOccurrence || 0;
+  const lastJobId = series.lastJobId || `${series.id}-${last}`;
+  const lastJobExists = last > 0 && await jobExists(series.businessId, lastJobId);
+
+  return runTransaction(db, async (transaction) => {
+    const latest = await transaction.get(seriesRef);
+    if (!latest.exists() || latest.data().active === false) return null;
+    if ((latest.data().lastOccurrence || 0) !== last || last >= occurrence) return null;
+    if (lastJobExists) {
+      const lastJob = await transaction.get(doc(db, 'jobs', lastJobId));
+      if (!isClosed(lastJob.data())) return null;
+    }
+
+    const { job, pricing } = splitJobPricing(jobData);
+    transaction.set(jobRef, job);
+    if (Object.keys(pricing).length > 0) {
+      transaction.set(doc(db, 'jobPricing', jobId), { ...pricing, businessId: job.businessId, jobId });
+    }
+    addActivity(transaction, { id: jobId, businessId: job.businessId }, {
+      ...createdActivity(job),
+      summary: `Created ${series.name} (service ${occurrence}) from the recurring series`
+    });
+    transaction.update(seriesRef, { lastOccurrence: occurrence, lastJobId: jobId, updatedAt: Timestamp.now() });
+    return jobId;
+  });
+}
@@ -0,0 +1,203 @@
+// Recurring jobs on the client page and the job's Schedule tab - office staff only
+import { escapeHtml, showNotification } from './utils.js';
+import { formatMoney } from './job-model.js';
+import { getSession, isStaffRole } from './session.js';
+import { toDate } from './schedule.js';
+import { describeRule, getOccurrenceDate, getOpenOccurrence, getSeriesJobs, isClosed } from './recurrence.js';
+import { promptSeriesDetails } from './series-form.js';
+import { createJobSeries, endJobSeries, updateJobSeries } from './job-series-store.js';
+
+// Every series in the business, with what the form needs to fill in its lists
+let seriesList = [];
+let seriesJobs = [];
+let seriesClients = [];
+let seriesTemplates = [];
+let seriesMembers = [];
+
+export function setSeriesData({ series = seriesList, jobs = seriesJobs, clients = seriesClients, templates = seriesTemplates, members = seriesMembers } = {}) {
+  seriesList = series;
+  seriesJobs = jobs;
+  seriesClients = clients;
+  seriesTemplates = templates;
+  seriesMembers = members;
+}
+
+function formatDueDate(date) {
+  const day = toDate(date);
+  return day ? day.toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' }) : '-';
+}
+
+// When the open service is due, or the one the office device is about to create
+function getNextDue(series) {
+  const open = getOpenOccurrence(series, seriesJobs);
+  if (open) return { job: open, dueDate: open.dueDate };
+  if (series.active === false) return null;
+  try {
+    return { job: null, dueDate: getOccurrenceDate(series.rrule, series.startDate, (series.lastOccurrence || 0) + 1) };
+  } catch {
+    return null;
+  }
+}
+
+// Panel on the client page listing their maintenance contracts
+export function renderClientSeries(client) {
+  if (!isStaffRole()) return '';
+  const clientSeries = seriesList.filter(series => series.clientId === client.id);
+
+  return `
+    <div class="bg-white rounded-lg shadow mt-6">
+        <div class="flex items-center justify-between p-6 pb-3">
+            <h3 class="font-medium text-gray-900">Maintenance contracts</h3>
+            <button onclick="addClientSeries('${client.id}')" class="text-sm text-blue-600 hover:text-blue-800">
+                <i class="fas fa-repeat mr-1"></i>New recurring job
+            </button>
+        </div>
+        ${clientSeries.length === 0 ? '<p class="px-6 pb-6 text-sm text-gray-500">No recurring jobs. Set one up for regular servicing, like an annual smoke alarm check.</p>' : clientSeries.map(series => {
+          const next = getNextDue(series);
+          const done = getSeriesJobs(series, seriesJobs).filter(job => isClosed(job)).length;
+          return `
+            <div class="px-6 py-3 border-t flex flex-wrap items-center gap-3">
+                <div class="flex-1 min-w-[12rem]">
+                    <div class="text-sm font-medium text-gray-900">
+                        ${escapeHtml(series.name)}
+                        ${series.active === false ? '<span class="ml-1 px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">ended</span>' : ''}
+                    </div>
+                    <div class="text-xs text-gray-500">
+                        ${escapeHtml(describeRule(series.rrule))} · ${escapeHtml(series.address)}${series.assignedWorker ? ` · ${escapeHtml(series.assignedWorker)}` : ''}${series.contractRef ? ` · Ref ${escapeHtml(series.contractRef)}` : ''}
+                    </div>
+                </div>
+                <div class="text-right text-xs text-gray-500">
+                    ${next ? `Next due <span class="font-medium text-gray-900">${formatDueDate(next.dueDate)}</span>` : ''}
+                    <div>${done} ${done === 1 ? 'service' : 'services'} done${series.valueCents ? ` · ${formatMoney(series.valueCents)} each` : ''}</div>
+                </div>
+                <div class="flex gap-3">
+                    ${next?.job ? `<button onclick="selectJob('${next.job.id}')" class="text-gray-500 hover:text-gray-900" title="Open the next service"><i class="fas fa-arrow-up-right-from-square"></i></button>` : ''}
+                    ${series.active !== false ? `
+                        <button onclick="editJobSeries('${series.id}')" class="text-gray-500 hover:text-gray-900" title="Change"><i class="fas fa-pen"></i></button>
+                        <button onclick="stopJobSeries('${series.id}')" class="text-gray-400 hover:text-red-600" title="Stop repeating"><i class="fas fa-ban"></i></button>
+                    ` : ''}
+                </div>
+            </div>
+          `;
+        }).join('')}
+    </div>
+  `;
+}
+
+// Below the booking form on the job's Schedule tab
+export function renderJobSeriesSummary(job) {
+  if (!isStaffRole()) return '';
+  const series = job.seriesId ? seriesList.find(s => s.id === job.seriesId) : null;
+
+  if (!series) {
+    return `
+      <div class="mt-8 p-4 bg-gray-50 rounded-lg flex flex-wrap items-center gap-3">
+          <div class="flex-1 text-sm text-gray-600">
+              ${job.seriesId ? 'This job came from a recurring job that has since been removed.' : 'Regular servicing? Repeat this job and the next one is created when it\'s completed.'}
+          </div>
+          ${job.seriesId || !job.clientId ? '' : `
+              <button type="button" onclick="repeatJob('${job.id}')" class="px-4 py-2 rounded-lg border bg-white hover:bg-gray-50">
+                  <i class="fas fa-repeat mr-1"></i>Repeat this job
+              </button>
+          `}
+      </div>
+    `;
+  }
+
+  const next = getNextDue(series);
+  return `
+    <div class="mt-8 p-4 bg-gray-50 rounded-lg flex flex-wrap items-center gap-3">
+        <div class="flex-1 text-sm text-gray-700">
+            <div class="font-medium text-gray-900"><i class="fas fa-repeat mr-1 text-gray-400"></i>${escapeHtml(series.name)} · service ${job.occurrence || 1}</div>
+            <div>
+                ${escapeHtml(describeRule(series.rrule))}${job.dueDate ? ` · this one was due ${formatDueDate(job.dueDate)}` : ''}
+                ${series.active === false ? ' · no longer repeating' : next && next.job?.id !== job.id ? ` · next due ${formatDueDate(next.dueDate)}` : ''}
+            </div>
+        </div>
+        ${series.active !== false ? `
+            <button type="button" onclick="editJobSeries('${series.id}')" class="px-4 py-2 rounded-lg border bg-white hover:bg-gray-50">Change</button>
+            <button type="button" onclick="stopJobSeries('${series.id}')" class="px-4 py-2 rounded-lg border bg-white hover:bg-gray-50 text-red-600">Stop repeating</button>
+        ` : ''}
+    </div>
+  `;
+}
+
+function getWorkers() {
+  return seriesMembers.map(member => member.displayName).filter(Boolean);
+}
+
+// The team member the worker name belongs to, so their app shows the jobs
+function withAssignedUser(fields) {
+  const lower = fields.assignedWorker.toLowerCase();
+  const member = lower ? seriesMembers.find(m => (m.displayName || '').toLowerCase() === lower) : null;
+  return { ...fields, assignedWorker: member?.displayName || fields.assignedWorker, assignedUserId: member?.userId || null };
+}
+
+function reportError(action) {
+  return (error) => {
+    console.error(`Error ${action}:`, error);
+    showNotification('Error', `Failed to ${action}. Please try again.`);
+  };
+}
+
+async function addClientSeries(clientId) {
+  const client = seriesClients.find(c => c.id === clientId);
+  if (!client) return;
+
+  const fields = await promptSeriesDetails({ client, templates: seriesTemplates, workers: getWorkers() });
+  if (!fields) return;
+
+  const { userId, businessId } = getSession();
+  try {
+    await createJobSeries({ ...withAssignedUser(fields), businessId, clientId, client: client.name }, userId);
+    showNotification('Recurring Job Started', `${fields.name} for ${client.name} - ${describeRule(fields.rrule).toLowerCase()}`);
+  } catch (error) {
+    reportError('start the recurring job')(error);
+  }
+}
+
+// Make an existing job the first service of a new series
+async function repeatJob(jobId) {
+  const job = seriesJobs.find(j => j.id === jobId);
+  const client = job && seriesClients.find(c => c.id === job.clientId);
+  if (!client) return;
+
+  const fields = await promptSeriesDetails({ client, job, workers: getWorkers() });
+  if (!fields) return;
+
+  const { userId, businessId } = getSession();
+  try {
+    await createJobSeries({ ...withAssignedUser(fields), address: job.address, businessId, clientId: client.id, client: client.name }, userId, { job });
+    showNotification('Recurring Job Started', `The next ${fields.name.toLowerCase()} is created when this job is completed`);
+  } catch (error) {
+    reportError('start the recurring job')(error);
+  }
+}
+
+async function editJobSeries(seriesId) {
+  const series = seriesList.find(s => s.id === seriesId);
+  const client = series && (seriesClients.find(c => c.id === series.clientId) || { id: series.clientId, name: series.client, sites: [] });
+  if (!client) return;
+
+  const fields = await promptSeriesDetails({ client, series, templates: seriesTemplates, workers: getWorkers() });
+  if (!fields) return;
+
+  try {
+    await updateJobSeries(series, withAssignedUser(fields));
+    showNotification('Recurring Job Saved', 'Changes apply to services created from now on');
+  } catch (error) {
+    reportError('save the recurring job')(error);
+  }
+}
+
+async function stopJobSeries(seriesId) {
+  const series = seriesList.find(s => s.id === seriesId);
+  if (!series || !confirm(`Stop repeating ${series.name} for ${series.client}? Any open service stays on the job list.`)) return;
+  endJobSeries(series).catch(reportError('stop the recurring job'));
+}
+
+// Export functions for inline handlers
+window.addClientSeries = addClientSeries;
+window.repeatJob = repeatJob;
+window.editJobSeries = editJobSeries;
+window.stopJobSeries = stopJobSeries;
@@ -0,0 +1,321 @@
+// Time tab in the job view - clock on and off, breaks, timesheet entries and profit
+import { escapeHtml, showNotification } from './utils.js';
+import { formatMoney } from './job-model.js';
+import { canSeePricing, getSession, isStaffRole } from './session.js';
+import { formatTime, toDate, toDayValue } from './schedule.js';
+import {
+  calculateJobProfit,
+  costTimeEntries,
+  findRunningEntry,
+  formatDuration,
+  getBreakMinutes,
+  getWorkedMinutes,
+  isOnBreak,
+  isRunning,
+  parseManualTimes,
+  summariseJobLabour,
+  validateTimeEntry
+} from './timesheets.js';
+import { addTimeEntry, clockOff, clockOn, deleteTimeEntry, endBreak, startBreak } from './time-tracking.js';
+
+// Every time entry the user can see and the business's pay rates (null for field staff)
+let timeEntries = [];
+let labourSettings = null;
+let gstRegistered = true;
+
+// Job and team shown in the tab, for the handlers
+let timeJob = null;
+let timeMembers = [];
+
+const TICK_MS = 30 * 1000;
+
+export function setTimeTrackingData({ entries = timeEntries, settings = labourSettings, gst = gstRegistered } = {}) {
+  timeEntries = entries;
+  labourSettings = settings;
+  gstRegistered = gst;
+}
+
+// Labour totals and profit for a job. Costs need the pay rates, so this is
+// only meaningful for office staff.
+export function getJobProfit(job, costs = costTimeEntries(timeEntries, labourSettings)) {
+  const labour = summariseJobLabour(timeEntries, costs, job.id);
+  return { labour, ...calculateJobProfit(job, labour.costCents, { gstRegistered }) };
+}
+
+export function getJobMinutes(jobId) {
+  return timeEntries
+    .filter(entry => entry.jobId === jobId)
+    .reduce((sum, entry) => sum + getWorkedMinutes(entry), 0);
+}
+
+export function renderTimeTab(job, members = []) {
+  timeJob = job;
+  timeMembers = members;
+  const entries = timeEntries.filter(entry => entry.jobId === job.id);
+  const costs = labourSettings ? costTimeEntries(timeEntries, labourSettings) : null;
+
+  return `
+    ${renderTimer(job)}
+    ${costs && canSeePricing() ? renderProfit(getJobProfit(job, costs)) : ''}
+    ${renderEntries(entries, costs)}
+    ${renderManualEntryForm()}
+  `;
+}
+
+function renderTimer(job) {
+  const { userId } = getSession();
+  const running = findRunningEntry(timeEntries, userId);
+  const othersHere = timeEntries.filter(entry => entry.jobId === job.id && entry.userId !== userId && isRunning(entry));
+
+  let body;
+  if (running && running.jobId === job.id) {
+    const onBreak = isOnBreak(running);
+    body = `
+      <div>
+          <div class="text-sm text-gray-600">${onBreak ? 'On a break' : 'Clocked on'} since ${escapeHtml(formatTime(toDate(running.start)))}</div>
+          <div class="text-2xl font-semibold text-gray-900" data-timer-entry="${running.id}">${formatDuration(getWorkedMinutes(running))}</div>
+      </div>
+      <div class="flex gap-2">
+          <button onclick="toggleJobBreak()" class="px-4 py-2 rounded-lg border hover:bg-white">
+              <i class="fas ${onBreak ? 'fa-play' : 'fa-mug-hot'} mr-1"></i>${onBreak ? 'End break' : 'Start break'}
+          </button>
+          <button onclick="clockOffJob()" class="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700">
+              <i class="fas fa-stop mr-1"></i>Clock off
+          </button>
+      </div>
+    `;
+  } else {
+    body = `
+      <div class="text-sm text-gray-600">
+          ${running ? 'You\'re clocked on at another job. Clocking on here clocks you off there.' : 'Start the timer when you start work on this job.'}
+      </div>
+      <button onclick="clockOnJob()" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700">
+          <i class="fas fa-play mr-1"></i>Clock on
+      </button>
+    `;
+  }
+
+  return `
+    <div class="flex flex-wrap items-center justify-between gap-3 p-4 bg-gray-50 rounded-lg mb-4">
+        ${body}
+    </div>
+    ${othersHere.length ? `
+        <p class="text-sm text-gray-600 mb-4">
+            <i class="fas fa-circle text-green-500 text-xs mr-1"></i>Also on this job now:
+            ${othersHere.map(entry => escapeHtml(entry.workerName || 'Worker')).join(', ')}
+        </p>
+    ` : ''}
+  `;
+}
+
+function renderProfit(profit) {
+  const { labour } = profit;
+  const rows = [
+    { label: gstRegistered ? 'Quoted value (ex GST)' : 'Quoted value', cents: profit.valueCents },
+    { label: `Labour (${formatDuration(labour.minutes)}${labour.overtimeMinutes ? `, ${formatDuration(labour.overtimeMinutes)} overtime` : ''})`, cents: -profit.labourCents },
+    { label: 'Materials', cents: -profit.materialsCents }
+  ];
+
+  return `
+    <div class="mb-6 p-4 border rounded-lg">
+        <h3 class="font-medium text-gray-900 mb-2">Profitability</h3>
+        <table class="w-full text-sm">
+            ${rows.map(row => `
+                <tr>
+                    <td class="py-1 text-gray-600">${escapeHtml(row.label)}</td>
+                    <td class="py-1 text-right">${formatMoney(row.cents)}</td>
+                </tr>
+            `).join('')}
+            <tr class="border-t font-semibold ${profit.profitCents < 0 ? 'text-red-600' : 'text-green-600'}">
+                <td class="py-1">Profit${profit.margin !== null ? ` (${Math.round(profit.margin * 100)}%)` : ''}</td>
+                <td class="py-1 text-right">${formatMoney(profit.profitCents)}</td>
+            </tr>
+        </table>
+        ${labour.missingRate ? `
+            <p class="mt-2 text-xs text-orange-700">
+                <i class="fas fa-triangle-exclamation mr-1"></i>Some workers have no pay rate, so their time isn't costed.
+                <a href="#/settings/team" class="underline">Set pay rates</a>
+            </p>
+        ` : ''}
+        ${labour.running ? '<p class="mt-1 text-xs text-gray-500">Includes time still on the clock.</p>' : ''}
+    </div>
+  `;
+}
+
+function renderEntries(entries, costs) {
+  if (entries.length === 0) {
+    return '<p class="text-sm text-gray-500 mb-6">No time recorded yet.</p>';
+  }
+
+  const { userId } = getSession();
+  const showCost = !!costs && canSeePricing();
+  const total = entries.reduce((sum, entry) => sum + getWorkedMinutes(entry), 0);
+
+  return `
+    <table class="w-full text-sm mb-6">
+        <thead>
+            <tr class="text-left text-xs text-gray-500 border-b">
+                <th class="py-2 pr-2">Worker</th>
+                <th class="py-2 pr-2">Date</th>
+                <th class="py-2 pr-2">Time</th>
+                <th class="py-2 pr-2 text-right">Break</th>
+                <th class="py-2 pr-2 text-right">Hours</th>
+                ${showCost ? '<th class="py-2 pr-2 text-right">Cost</th>' : ''}
+                <th class="py-2"></th>
+            </tr>
+        </thead>
+        <tbody>
+            ${entries.map(entry => {
+              const start = toDate(entry.start);
+              const end = toDate(entry.end);
+              const cost = costs?.get(entry.id);
+              const canDelete = isStaffRole() || entry.userId === userId;
+              return `
+                <tr class="border-b">
+                    <td class="py-2 pr-2">${escapeHtml(entry.workerName || 'Worker')}${entry.note ? `<div class="text-xs text-gray-500">${escapeHtml(entry.note)}</div>` : ''}</td>
+                    <td class="py-2 pr-2 whitespace-nowrap">${start ? start.toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short' }) : ''}</td>
+                    <td class="py-2 pr-2 whitespace-nowrap">${start ? escapeHtml(formatTime(start)) : ''} - ${end ? escapeHtml(formatTime(end)) : '<span class="text-green-600">now</span>'}</td>
+                    <td class="py-2 pr-2 text-right">${getBreakMinutes(entry) ? formatDuration(getBreakMinutes(entry)) : ''}</td>
+                    <td class="py-2 pr-2 text-right" ${isRunning(entry) ? `data-timer-entry="${entry.id}"` : ''}>${formatDuration(getWorkedMinutes(entry))}</td>
+                    ${showCost ? `
+                        <td class="py-2 pr-2 text-right" title="${cost?.overtimeMinutes ? `${formatDuration(cost.overtimeMinutes)} overtime` : ''}${cost?.weekendMinutes ? ' · weekend rates' : ''}">
+                            ${cost?.missingRate ? '<span class="text-orange-600">No rate</span>' : formatMoney(cost?.costCents || 0)}
+                        </td>
+                    ` : ''}
+                    <td class="py-2 text-right">
+                        ${canDelete && !isRunning(entry) ? `
+                            <button onclick="removeTimeEntry('${entry.id}')" class="text-gray-400 hover:text-red-600" title="Delete">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        ` : ''}
+                    </td>
+                </tr>
+              `;
+            }).join('')}
+        </tbody>
+        <tfoot>
+            <tr class="font-medium">
+                <td class="py-2 pr-2" colspan="4">Total</td>
+                <td class="py-2 pr-2 text-right">${formatDuration(total)}</td>
+                ${showCost ? '<td></td>' : ''}
+                <td></td>
+            </tr>
+        </tfoot>
+    </table>
+  `;
+}
+
+function renderManualEntryForm() {
+  const { userId } = getSession();
+
+  return `
+    <form onsubmit="event.preventDefault(); addManualTime(this);" class="grid grid-cols-2 md:grid-cols-6 gap-3 p-4 bg-gray-50 rounded-lg">
+        <h3 class="col-span-2 md:col-span-6 font-medium text-gray-900">Add time</h3>
+        ${isStaffRole() ? `
+            <label class="col-span-2 text-sm text-gray-700">Worker
+                <select name="userId" class="mt-1 w-full px-2 py-2 border rounded-lg bg-white">
+                    ${timeMembers.map(member => `
+                        <option value="${member.userId}" ${member.userId === userId ? 'selected' : ''}>${escapeHtml(member.displayName || member.email)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        ` : ''}
+        <label class="text-sm text-gray-700 ${isStaffRole() ? '' : 'col-span-2'}">Date
+            <input type="date" name="day" required max="${toDayValue(new Date())}" value="${toDayValue(new Date())}" class="mt-1 w-full px-2 py-2 border rounded-lg">
+        </label>
+        <label class="text-sm text-gray-700">Start
+            <input type="time" name="start" required class="mt-1 w-full px-2 py-2 border rounded-lg">
+        </label>
+        <label class="text-sm text-gray-700">Finish
+            <input type="time" name="end" required class="mt-1 w-full px-2 py-2 border rounded-lg">
+        </label>
+        <label class="text-sm text-gray-700">Break (min)
+            <input type="number" name="breakMinutes" min="0" step="5" value="0" class="mt-1 w-full px-2 py-2 border rounded-lg">
+        </label>
+        <label class="col-span-2 md:col-span-5 text-sm text-gray-700">Note
+            <input type="text" name="note" placeholder="Optional" class="mt-1 w-full px-3 py-2 border rounded-lg">
+        </label>
+        <button type="submit" class="self-end bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Add</button>
+    </form>
+  `;
+}
+
+// Keep running timers counting up between snapshots
+function tickTimers() {
+  document.querySelectorAll('[data-timer-entry]').forEach(element => {
+    const entry = timeEntries.find(e => e.id === element.dataset.timerEntry);
+    if (entry) element.textContent = formatDuration(getWorkedMinutes(entry));
+  });
+}
+
+setInterval(tickTimers, TICK_MS);
+
+function getWorker(userId) {
+  const member = timeMembers.find(m => m.userId === userId);
+  return { userId, workerName: member?.displayName || member?.email || '' };
+}
+
+// Handlers - writes show up from the local cache straight away, so errors are
+// only reported once Firestore gives up
+
+function reportError(action) {
+  return (error) => {
+    console.error(`Error ${action}:`, error);
+    showNotification('Error', `Failed to ${action}. Please try again.`);
+  };
+}
+
+function clockOnJob() {
+  if (!timeJob) return;
+  const { userId } = getSession();
+  const running = findRunningEntry(timeEntries, userId);
+  if (running?.jobId === timeJob.id) return;
+
+  if (running) clockOff(running).catch(reportError('clock off'));
+  clockOn(timeJob, getWorker(userId)).catch(reportError('clock on'));
+}
+
+function clockOffJob() {
+  const running = findRunningEntry(timeEntries, getSession().userId);
+  if (!running) return;
+  clockOff(running).catch(reportError('clock off'));
+  showNotification('Clocked Off', `${formatDuration(getWorkedMinutes(running))} recorded`);
+}
+
+function toggleJobBreak() {
+  const running = findRunningEntry(timeEntries, getSession().userId);
+  if (!running) return;
+  const write = isOnBreak(running) ? endBreak(running) : startBreak(running);
+  write.catch(reportError('update your break'));
+}
+
+function addManualTime(form) {
+  if (!timeJob) return;
+  const { userId } = getSession();
+  const workerId = form.userId ? form.userId.value : userId;
+  const breakMinutes = parseInt(form.breakMinutes.value, 10) || 0;
+  const { start, end } = parseManualTimes(form.day.value, form.start.value, form.end.value);
+
+  const errors = validateTimeEntry({ start, end, breakMinutes });
+  if (errors.length) {
+    showNotification('Check the Times', errors[0]);
+    return;
+  }
+
+  addTimeEntry(timeJob, getWorker(workerId), { start, end, breakMinutes, note: form.note.value.trim() }, userId)
+    .catch(reportError('add time'));
+  form.reset();
+}
+
+function removeTimeEntry(entryId) {
+  const entry = timeEntries.find(e => e.id === entryId);
+  if (!entry || !confirm(`Delete ${formatDuration(getWorkedMinutes(entry))} for ${entry.workerName || 'this worker'}?`)) return;
+  deleteTimeEntry(entryId).catch(reportError('delete the entry'));
+}
+
+// Export functions for inline handlers
+window.clockOnJob = clockOnJob;
+window.clockOffJob = clockOffJob;
+window.toggleJobBreak = toggleJobBreak;
+window.addManualTime = addManualTime;
+window.removeTimeEntry = removeTimeEntry;
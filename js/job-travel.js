@@ -0,0 +1,167 @@
+// Travel on the job's Time tab - kilometres and travel time driven to the job
+import { escapeHtml, showNotification } from './utils.js';
+import { getSession, isStaffRole } from './session.js';
+import { parseDay, toDate, toDayValue } from './schedule.js';
+import { formatDuration } from './timesheets.js';
+import { formatKm, summariseTravel, validateTravelEntry } from './routing.js';
+import { addTravelEntry, deleteTravelEntry } from './travel-log.js';
+
+// Every trip the user can see
+let travelEntries = [];
+
+// Job and team shown in the tab, for the handlers
+let travelJob = null;
+let travelMembers = [];
+
+export function setTravelData({ entries = travelEntries } = {}) {
+  travelEntries = entries;
+}
+
+export function getTravelEntries() {
+  return travelEntries;
+}
+
+export function renderTravelSection(job, members = []) {
+  travelJob = job;
+  travelMembers = members;
+  const entries = travelEntries.filter(entry => entry.jobId === job.id);
+
+  return `
+    <h3 class="font-medium text-gray-900 mt-8 mb-2">Travel</h3>
+    ${renderTrips(entries)}
+    ${renderTripForm()}
+  `;
+}
+
+function renderTrips(entries) {
+  if (entries.length === 0) {
+    return '<p class="text-sm text-gray-500 mb-4">No travel logged. Trips from the <a href="#/map" class="text-blue-600 hover:underline">route planner</a> show up here too.</p>';
+  }
+
+  const { userId } = getSession();
+  const total = summariseTravel(entries);
+
+  return `
+    <table class="w-full text-sm mb-4">
+        <thead>
+            <tr class="text-left text-xs text-gray-500 border-b">
+                <th class="py-2 pr-2">Worker</th>
+                <th class="py-2 pr-2">Date</th>
+                <th class="py-2 pr-2">From</th>
+                <th class="py-2 pr-2 text-right">Distance</th>
+                <th class="py-2 pr-2 text-right">Time</th>
+                <th class="py-2"></th>
+            </tr>
+        </thead>
+        <tbody>
+            ${entries.map(entry => {
+              const day = toDate(entry.day);
+              const canDelete = isStaffRole() || entry.userId === userId;
+              return `
+                <tr class="border-b">
+                    <td class="py-2 pr-2">${escapeHtml(entry.workerName || 'Worker')}${entry.note ? `<div class="text-xs text-gray-500">${escapeHtml(entry.note)}</div>` : ''}</td>
+                    <td class="py-2 pr-2 whitespace-nowrap">${day ? day.toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short' }) : ''}</td>
+                    <td class="py-2 pr-2">${escapeHtml(entry.from || '')}</td>
+                    <td class="py-2 pr-2 text-right whitespace-nowrap">${formatKm(entry.km)}</td>
+                    <td class="py-2 pr-2 text-right">${formatDuration(entry.minutes || 0)}</td>
+                    <td class="py-2 text-right">
+                        ${canDelete ? `
+                            <button onclick="removeTravelEntry('${entry.id}')" class="text-gray-400 hover:text-red-600" title="Delete">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        ` : ''}
+                    </td>
+                </tr>
+              `;
+            }).join('')}
+        </tbody>
+        <tfoot>
+            <tr class="font-medium">
+                <td class="py-2 pr-2" colspan="3">Total</td>
+                <td class="py-2 pr-2 text-right whitespace-nowrap">${formatKm(total.km)}</td>
+                <td class="py-2 pr-2 text-right">${formatDuration(total.minutes)}</td>
+                <td></td>
+            </tr>
+        </tfoot>
+    </table>
+  `;
+}
+
+function renderTripForm() {
+  const { userId } = getSession();
+
+  return `
+    <form onsubmit="event.preventDefault(); addJobTravel(this);" class="grid grid-cols-2 md:grid-cols-6 gap-3 p-4 bg-gray-50 rounded-lg">
+        <h3 class="col-span-2 md:col-span-6 font-medium text-gray-900">Log travel</h3>
+        ${isStaffRole() ? `
+            <label class="col-span-2 text-sm text-gray-700">Worker
+                <select name="userId" class="mt-1 w-full px-2 py-2 border rounded-lg bg-white">
+                    ${travelMembers.map(member => `
+                        <option value="${member.userId}" ${member.userId === userId ? 'selected' : ''}>${escapeHtml(member.displayName || member.email)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        ` : ''}
+        <label class="text-sm text-gray-700 ${isStaffRole() ? '' : 'col-span-2'}">Date
+            <input type="date" name="day" required max="${toDayValue(new Date())}" value="${toDayValue(new Date())}" class="mt-1 w-full px-2 py-2 border rounded-lg">
+        </label>
+        <label class="text-sm text-gray-700">Kilometres
+            <input type="number" name="km" required min="0.1" step="0.1" inputmode="decimal" class="mt-1 w-full px-2 py-2 border rounded-lg">
+        </label>
+        <label class="text-sm text-gray-700">Minutes
+            <input type="number" name="minutes" required min="0" step="1" inputmode="numeric" class="mt-1 w-full px-2 py-2 border rounded-lg">
+        </label>
+        <label class="col-span-2 md:col-span-3 text-sm text-gray-700">From
+            <input type="text" name="from" placeholder="e.g. Home, the yard or the last job" class="mt-1 w-full px-3 py-2 border rounded-lg">
+        </label>
+        <label class="col-span-2 md:col-span-2 text-sm text-gray-700">Note
+            <input type="text" name="note" placeholder="Optional" class="mt-1 w-full px-3 py-2 border rounded-lg">
+        </label>
+        <button type="submit" class="self-end bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Log</button>
+    </form>
+  `;
+}
+
+function getWorker(userId) {
+  const member = travelMembers.find(m => m.userId === userId);
+  return { userId, workerName: member?.displayName || member?.email || '' };
+}
+
+function reportError(action) {
+  return (error) => {
+    console.error(`Error ${action}:`, error);
+    showNotification('Error', `Failed to ${action}. Please try again.`);
+  };
+}
+
+function addJobTravel(form) {
+  if (!travelJob) return;
+  const { userId } = getSession();
+  const trip = {
+    day: parseDay(form.day.value),
+    km: parseFloat(form.km.value),
+    minutes: parseInt(form.minutes.value, 10),
+    from: form.from.value.trim(),
+    note: form.note.value.trim()
+  };
+
+  const errors = validateTravelEntry(trip);
+  if (errors.length) {
+    showNotification('Check the Trip', errors[0]);
+    return;
+  }
+
+  addTravelEntry(travelJob, getWorker(form.userId ? form.userId.value : userId), trip, userId)
+    .catch(reportError('log travel'));
+  form.reset();
+}
+
+function removeTravelEntry(entryId) {
+  const entry = travelEntries.find(e => e.id === entryId);
+  if (!entry || !confirm(`Delete the ${formatKm(entry.km)} trip for ${entry.workerName || 'this worker'}?`)) return;
+  deleteTravelEntry(entryId).catch(reportError('delete the trip'));
+}
+
+// Export functions for inline handlers
+window.addJobTravel = addJobTravel;
+window.removeTravelEntry = removeTravelEntry;
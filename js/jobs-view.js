@@ -0,0 +1,276 @@
+// All jobs page - search, filter chips, sorting and paged results
+import { escapeHtml, formatDate, getStatusColor } from './utils.js';
+import {
+  JOB_STATUSES,
+  STATUS_LABELS,
+  formatMoney,
+  getJobValueCents,
+  getStatusLabel,
+  normaliseStatus,
+  parseMoneyToCents
+} from './job-model.js';
+import {
+  DEFAULT_FILTERS,
+  SORT_OPTIONS,
+  countActiveFilters,
+  createSearchIndex,
+  getMatchSnippet,
+  queryJobs
+} from './job-search.js';
+import { canSeePricing } from './session.js';
+
+const PAGE_SIZE = 20;
+
+const searchIndex = createSearchIndex();
+
+// Search state survives leaving the page and coming back
+let searchQuery = '';
+let filters = { ...DEFAULT_FILTERS };
+let sortBy = 'updated';
+let visibleCount = PAGE_SIZE;
+let viewJobs = [];
+let moreObserver = null;
+
+// Keep the index current; cheap for jobs whose text hasn't changed
+function indexJobs(jobs) {
+  viewJobs = jobs;
+  searchIndex.update(jobs);
+}
+
+export function resetJobsView() {
+  searchQuery = '';
+  filters = { ...DEFAULT_FILTERS };
+  sortBy = 'updated';
+  visibleCount = PAGE_SIZE;
+  viewJobs = [];
+  searchIndex.update([]);
+  const view = document.getElementById('jobsView');
+  if (view) {
+    view.innerHTML = '';
+    delete view.dataset.pricing;
+  }
+}
+
+export function renderJobsView(jobs) {
+  const view = document.getElementById('jobsView');
+  if (!view) return;
+  indexJobs(jobs);
+
+  // The controls are only built once so typing in the search box isn't interrupted
+  const pricing = String(canSeePricing());
+  if (view.dataset.pricing !== pricing) {
+    view.dataset.pricing = pricing;
+    view.innerHTML = renderControls();
+  }
+
+  renderStatusChips();
+  renderResults();
+}
+
+function renderControls() {
+  return `
+    <div class="max-w-5xl mx-auto p-6">
+      <div class="flex items-center justify-between mb-4">
+          <h2 class="text-xl font-semibold text-gray-900">Jobs</h2>
+          <span id="jobResultsCount" class="text-sm text-gray-500"></span>
+      </div>
+
+      <div class="bg-white rounded-lg shadow p-4 mb-4">
+          <div class="relative mb-3">
+              <i class="fas fa-search absolute left-3 top-3 text-gray-400"></i>
+              <input type="search" id="jobSearchInput" value="${escapeHtml(searchQuery)}" oninput="searchJobs(this.value)"
+                  placeholder="Search clients, addresses, notes, tasks and materials"
+                  class="w-full pl-9 pr-3 py-2 border rounded-lg focus:outline-none focus:border-blue-500">
+          </div>
+
+          <div class="flex flex-wrap items-center gap-2">
+              <div id="jobStatusChips" class="flex flex-wrap gap-2 flex-1"></div>
+              <select onchange="sortJobList(this.value)" class="text-sm border rounded-lg px-2 py-1">
+                  ${Object.entries(SORT_OPTIONS)
+                    .filter(([key]) => canSeePricing() || !key.startsWith('value'))
+                    .map(([key, label]) => `<option value="${key}" ${key === sortBy ? 'selected' : ''}>${label}</option>`).join('')}
+              </select>
+          </div>
+
+          <details class="mt-3" ${filters.from || filters.to || filters.minCents !== null || filters.maxCents !== null ? 'open' : ''}>
+              <summary class="text-sm text-gray-600 cursor-pointer">More filters</summary>
+              <form onsubmit="event.preventDefault();" onchange="filterJobRanges(this)" class="grid grid-cols-2 ${canSeePricing() ? 'md:grid-cols-4' : ''} gap-2 mt-2">
+                  <label class="text-xs text-gray-500">Created from
+                      <input type="date" name="from" value="${filters.from || ''}" class="w-full px-2 py-1 border rounded text-sm">
+                  </label>
+                  <label class="text-xs text-gray-500">Created to
+                      <input type="date" name="to" value="${filters.to || ''}" class="w-full px-2 py-1 border rounded text-sm">
+                  </label>
+                  ${canSeePricing() ? `
+                      <label class="text-xs text-gray-500">Value from ($)
+                          <input type="number" name="min" min="0" step="1" value="${filters.minCents !== null ? filters.minCents / 100 : ''}" class="w-full px-2 py-1 border rounded text-sm">
+                      </label>
+                      <label class="text-xs text-gray-500">Value to ($)
+                          <input type="number" name="max" min="0" step="1" value="${filters.maxCents !== null ? filters.maxCents / 100 : ''}" class="w-full px-2 py-1 border rounded text-sm">
+                      </label>
+                  ` : ''}
+              </form>
+          </details>
+      </div>
+
+      <div id="jobResults" class="bg-white rounded-lg shadow"></div>
+    </div>
+  `;
+}
+
+function renderStatusChips() {
+  const chips = document.getElementById('jobStatusChips');
+  if (!chips) return;
+
+  const active = countActiveFilters(filters);
+  chips.innerHTML = `
+    ${JOB_STATUSES.map(status => {
+      const selected = filters.statuses.includes(status);
+      return `
+        <button onclick="toggleJobStatusFilter('${status}')"
+            class="px-3 py-1 rounded-full text-xs border ${selected ? 'bg-blue-600 text-white border-blue-600' : 'text-gray-700 hover:bg-gray-50'}">
+            ${escapeHtml(STATUS_LABELS[status])}
+        </button>
+      `;
+    }).join('')}
+    ${active > 0 ? `
+        <button onclick="clearJobFilters()" class="px-3 py-1 rounded-full text-xs text-gray-500 hover:text-gray-900">
+            <i class="fas fa-xmark mr-1"></i>Clear ${active === 1 ? 'filter' : `${active} filters`}
+        </button>
+    ` : ''}
+  `;
+}
+
+function renderResults() {
+  const container = document.getElementById('jobResults');
+  if (!container) return;
+
+  const { results, total } = queryJobs(viewJobs, searchIndex, {
+    query: searchQuery,
+    filters: canSeePricing() ? filters : { ...filters, minCents: null, maxCents: null },
+    sort: sortBy
+  });
+  const page = results.slice(0, visibleCount);
+  const filtered = searchQuery.trim() || countActiveFilters(filters) > 0;
+
+  const count = document.getElementById('jobResultsCount');
+  if (count) {
+    count.textContent = filtered
+      ? `${results.length} of ${total} ${total === 1 ? 'job' : 'jobs'}`
+      : `${total} ${total === 1 ? 'job' : 'jobs'}`;
+  }
+
+  if (results.length === 0) {
+    container.innerHTML = `
+      <div class="p-8 text-center text-sm text-gray-500">
+          ${total === 0 ? 'No jobs yet.' : 'No jobs match your search.'}
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = `
+    ${page.map(job => renderResultRow(job)).join('')}
+    <div class="p-4 text-center text-sm text-gray-500 border-t">
+        Showing ${page.length} of ${results.length}
+        ${page.length < results.length ? `
+            <button id="showMoreJobs" onclick="showMoreJobs()" class="ml-2 text-blue-600 hover:underline">Show ${Math.min(PAGE_SIZE, results.length - page.length)} more</button>
+        ` : ''}
+    </div>
+  `;
+  observeShowMore();
+}
+
+function renderResultRow(job) {
+  const snippet = searchQuery.trim() ? getMatchSnippet(job, searchQuery) : '';
+
+  return `
+    <div onclick="selectJob('${job.id}')" class="p-4 border-b last:border-b-0 hover:bg-gray-50 cursor-pointer">
+        <div class="flex justify-between items-start gap-4">
+            <div class="min-w-0">
+                <div class="font-medium text-gray-900">${escapeHtml(job.client || 'Unnamed Client')}</div>
+                <div class="text-sm text-gray-600">${escapeHtml(job.address || 'No address')}</div>
+                ${snippet ? `<div class="text-xs text-gray-500 mt-1 truncate">${escapeHtml(snippet)}</div>` : ''}
+                <div class="flex items-center gap-2 mt-2">
+                    <span class="px-2 py-0.5 text-xs rounded ${getStatusColor(normaliseStatus(job.status))}">${escapeHtml(getStatusLabel(job.status))}</span>
+                    <span class="text-xs text-gray-400">${formatDate(job.updatedAt)}</span>
+                    ${job.pendingSync ? '<span class="text-xs text-orange-600" title="Waiting to sync"><i class="fas fa-cloud-arrow-up"></i></span>' : ''}
+                </div>
+            </div>
+            ${canSeePricing() ? `<div class="font-semibold text-green-600 whitespace-nowrap">${formatMoney(getJobValueCents(job))}</div>` : ''}
+        </div>
+    </div>
+  `;
+}
+
+// Load the next page when the "show more" button scrolls into view
+function observeShowMore() {
+  if (moreObserver) moreObserver.disconnect();
+  const button = document.getElementById('showMoreJobs');
+  if (!button || !('IntersectionObserver' in window)) return;
+
+  moreObserver = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) showMoreJobs();
+  });
+  moreObserver.observe(button);
+}
+
+// Handlers - each change goes back to the first page
+
+function searchJobs(query) {
+  searchQuery = query;
+  visibleCount = PAGE_SIZE;
+  renderResults();
+}
+
+function sortJobList(sort) {
+  sortBy = SORT_OPTIONS[sort] ? sort : 'updated';
+  visibleCount = PAGE_SIZE;
+  renderResults();
+}
+
+function toggleJobStatusFilter(status) {
+  const statuses = filters.statuses.includes(status)
+    ? filters.statuses.filter(s => s !== status)
+    : [...filters.statuses, status];
+  filters = { ...filters, statuses };
+  visibleCount = PAGE_SIZE;
+  renderStatusChips();
+  renderResults();
+}
+
+function filterJobRanges(form) {
+  const cents = (input) => input && input.value !== '' ? parseMoneyToCents(input.value) : null;
+  filters = {
+    ...filters,
+    from: form.from.value || null,
+    to: form.to.value || null,
+    minCents: cents(form.min),
+    maxCents: cents(form.max)
+  };
+  visibleCount = PAGE_SIZE;
+  renderStatusChips();
+  renderResults();
+}
+
+function clearJobFilters() {
+  filters = { ...DEFAULT_FILTERS };
+  visibleCount = PAGE_SIZE;
+  const view = document.getElementById('jobsView');
+  if (view) view.innerHTML = renderControls();
+  renderStatusChips();
+  renderResults();
+}
+
+function showMoreJobs() {
+  visibleCount += PAGE_SIZE;
+  renderResults();
+}
+
+// Export functions for inline handlers
+window.searchJobs = searchJobs;
+window.sortJobList = sortJobList;
+window.toggleJobStatusFilter = toggleJobStatusFilter;
+window.filterJobRanges = filterJobRanges;
+window.clearJobFilters = clearJobFilters;
+window.showMoreJobs = showMoreJobs;
@@ -0,0 +1,439 @@
+// Map view - the day's jobs on a map, the shortest order to drive them in,
+// and the travel log for tax
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { downloadFile, escapeHtml, getStatusColor, showNotification } from './utils.js';
+import { getStatusLabel, normaliseStatus } from './job-model.js';
+import { getSession, isStaffRole } from './session.js';
+import { addDaysToDate, formatTime, getWorkerName, isSameDay, listWorkers, startOfDay, toDate, toDayValue } from './schedule.js';
+import { formatDuration } from './timesheets.js';
+import {
+  buildDirectionsUrl,
+  entriesInRange,
+  formatKm,
+  getDayStops,
+  getFinancialYear,
+  getOtherActiveJobs,
+  getRouteLegs,
+  orderStops,
+  sumLegs,
+  summariseTravel
+} from './routing.js';
+import { geocodeAddress, hasCurrentLocation, locateJobs, needsLocation } from './job-locations.js';
+import { getGeocoder } from './geocoder.js';
+import { addTravelEntries } from './travel-log.js';
+import { toCsv } from './csv.js';
+
+const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const DEFAULT_CENTRE = [-28, 134];
+const DEFAULT_ZOOM = 4;
+
+// Map state survives re-renders from snapshot updates
+let mapDay = startOfDay(new Date());
+let mapWorker = '';
+let mapOrder = 'shortest';
+let mapContext = null;
+let map = null;
+let markerLayer = null;
+// Points the map was last zoomed to, so snapshot updates don't undo panning
+let boundsKey = '';
+
+// Address lookups: the jobs last sent off (so a miss isn't retried on every
+// render), how many couldn't be found, and the business address as the start
+let locateKey = '';
+let locating = false;
+let locateMissing = 0;
+let locateError = '';
+let base = { address: '', location: null };
+
+// What's on screen, for the handlers
+let shownRoute = [];
+let shownStart = null;
+
+// `travelEntries` are the trips the user can see; `members` the team, for names
+export function renderMapView({ jobs, business, members = [], travelEntries = [] }) {
+  const view = document.getElementById('mapView');
+  if (!view) return;
+  mapContext = { jobs, business, members, travelEntries };
+
+  if (!view.querySelector('[data-map-canvas]')) renderShell(view);
+
+  const stops = getDayStops(jobs, mapDay, mapWorker);
+  const others = getOtherActiveJobs(jobs, stops).filter(job => !mapWorker || getWorkerName(job) === mapWorker);
+  locateMissingJobs([...stops.map(({ job }) => job), ...others]);
+  locateBase(business);
+
+  const located = stops.filter(({ job }) => hasCurrentLocation(job)).map(({ job, schedule }) => ({ job, schedule, location: job.location }));
+  const unlocated = stops.filter(({ job }) => !hasCurrentLocation(job)).map(({ job }) => job);
+  shownStart = base.location ? { address: base.address, location: base.location } : null;
+  const shortest = orderStops(shownStart, located);
+  shownRoute = mapOrder === 'shortest' ? shortest : located;
+
+  const bookedTotal = sumLegs(getRouteLegs(shownStart, located));
+  const shortestTotal = sumLegs(getRouteLegs(shownStart, shortest));
+
+  view.querySelector('[data-map-header]').innerHTML = renderHeader(jobs);
+  view.querySelector('[data-map-panel]').innerHTML = `
+    ${renderRoute(shownRoute, { bookedTotal, shortestTotal, unlocated })}
+    ${renderTravelSummary(travelEntries)}
+  `;
+  drawMap(shownRoute, others.filter(hasCurrentLocation));
+}
+
+export function resetMapView() {
+  if (map) map.remove();
+  map = null;
+  markerLayer = null;
+  boundsKey = '';
+  mapContext = null;
+  shownRoute = [];
+  const view = document.getElementById('mapView');
+  if (view) view.innerHTML = '';
+}
+
+function rerender() {
+  if (mapContext) renderMapView(mapContext);
+}
+
+function renderShell(view) {
+  view.innerHTML = `
+    <div class="max-w-7xl mx-auto p-4 lg:p-6">
+      <div data-map-header class="flex flex-wrap items-center justify-between gap-3 mb-4"></div>
+      <div class="flex flex-col lg:flex-row gap-4">
+          <div data-map-canvas class="flex-1 h-[50vh] lg:h-[70vh] bg-gray-100 rounded-lg shadow overflow-hidden z-0"></div>
+          <div data-map-panel class="lg:w-96 shrink-0 space-y-4"></div>
+      </div>
+    </div>
+  `;
+
+  map = L.map(view.querySelector('[data-map-canvas]')).setView(DEFAULT_CENTRE, DEFAULT_ZOOM);
+  L.tileLayer(TILE_URL, { attribution: TILE_ATTRIBUTION, maxZoom: 19 }).addTo(map);
+  markerLayer = L.layerGroup().addTo(map);
+}
+
+function renderHeader(jobs) {
+  const workers = listWorkers(jobs);
+
+  return `
+    <div class="flex items-center gap-2">
+        <a href="#/" class="hidden lg:inline-block text-sm text-gray-600 hover:text-gray-900 mr-2">
+            <i class="fas fa-arrow-left mr-1"></i>Dashboard
+        </a>
+        <button onclick="moveMapDay(-1)" class="px-2 py-1 border rounded hover:bg-gray-50" title="Previous day"><i class="fas fa-chevron-left"></i></button>
+        <button onclick="moveMapDay(0)" class="px-3 py-1 border rounded hover:bg-gray-50 text-sm">Today</button>
+        <button onclick="moveMapDay(1)" class="px-2 py-1 border rounded hover:bg-gray-50" title="Next day"><i class="fas fa-chevron-right"></i></button>
+        <h2 class="text-lg font-semibold text-gray-900 ml-2">${escapeHtml(mapDay.toLocaleDateString('en-AU', { weekday: 'long', day: 'numeric', month: 'short' }))}</h2>
+    </div>
+    ${workers.length > 1 ? `
+        <select onchange="setMapWorker(this.value)" class="text-sm border rounded px-2 py-1">
+            <option value="">All workers</option>
+            ${workers.map(name => `<option value="${escapeHtml(name)}" ${name === mapWorker ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+        </select>
+    ` : ''}
+  `;
+}
+
+function renderRoute(route, { bookedTotal, shortestTotal, unlocated }) {
+  const legs = getRouteLegs(shownStart, route);
+  // Without a start point the first stop has no leg to it
+  const legFor = (index) => shownStart ? legs[index] : legs[index - 1];
+  const saving = Math.round((bookedTotal.km - shortestTotal.km) * 10) / 10;
+  const directions = buildDirectionsUrl(shownStart?.address || '', route.map(stop => stop.job.address));
+
+  return `
+    <div class="bg-white rounded-lg shadow">
+        <div class="p-4 border-b">
+            <div class="flex items-center justify-between gap-2">
+                <h3 class="font-medium text-gray-900">Route</h3>
+                ${route.length > 1 ? `
+                    <div class="flex border rounded overflow-hidden text-sm">
+                        ${[['shortest', 'Shortest'], ['booked', 'As booked']].map(([order, label]) => `
+                            <button onclick="setMapOrder('${order}')" class="px-3 py-1 ${order === mapOrder ? 'bg-blue-600 text-white' : 'hover:bg-gray-50'}">${label}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+            ${route.length ? `
+                <p class="text-sm text-gray-600 mt-1">
+                    About ${formatKm(sumLegs(legs).km)} and ${formatDuration(sumLegs(legs).minutes)} of driving${shownStart ? ' from the business address' : ''}
+                </p>
+                ${saving > 0 ? `
+                    <p class="text-sm text-green-700 mt-1"><i class="fas fa-route mr-1"></i>The shortest order saves about ${formatKm(saving)} on the booked order.</p>
+                ` : ''}
+            ` : ''}
+            ${renderLocateStatus()}
+        </div>
+
+        ${route.length ? `
+            <ol>
+                ${route.map((stop, index) => {
+                  const leg = legFor(index);
+                  return `
+                    <li onclick="selectJob('${stop.job.id}')" class="flex items-start gap-3 p-4 border-b last:border-b-0 hover:bg-gray-50 cursor-pointer">
+                        <span class="w-7 h-7 shrink-0 rounded-full bg-blue-600 text-white text-sm font-semibold flex items-center justify-center">${index + 1}</span>
+                        <div class="flex-1 min-w-0">
+                            <div class="font-medium text-gray-900 truncate">${escapeHtml(stop.job.client || 'Unnamed Client')}</div>
+                            <div class="text-sm text-gray-500 truncate">${escapeHtml(stop.job.address)}</div>
+                            <div class="text-xs text-gray-500 mt-1">
+                                Booked ${escapeHtml(formatTime(stop.schedule.start))}
+                                ${leg ? ` · ${formatKm(leg.km)}, ${formatDuration(leg.minutes)} drive` : ''}
+                            </div>
+                        </div>
+                        <span class="px-2 py-0.5 text-xs rounded ${getStatusColor(normaliseStatus(stop.job.status))}">${escapeHtml(getStatusLabel(stop.job.status))}</span>
+                    </li>
+                  `;
+                }).join('')}
+            </ol>
+            <div class="flex flex-wrap gap-2 p-4 border-t">
+                <a href="${escapeHtml(directions)}" target="_blank" rel="noopener" class="flex-1 text-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
+                    <i class="fas fa-diamond-turn-right mr-1"></i>Directions
+                </a>
+                ${mapDay <= new Date() ? `
+                    <button onclick="logRouteTravel()" class="flex-1 px-4 py-2 rounded-lg border hover:bg-gray-50">
+                        <i class="fas fa-car mr-1"></i>Log my travel
+                    </button>
+                ` : ''}
+            </div>
+        ` : `
+            <p class="p-4 text-sm text-gray-500">${unlocated.length ? 'None of the day\'s jobs could be placed on the map.' : 'Nothing booked in for this day.'}</p>
+        `}
+
+        ${unlocated.length ? `
+            <div class="p-4 border-t text-sm">
+                <div class="text-orange-700 mb-1"><i class="fas fa-location-pin-lock mr-1"></i>Not on the map</div>
+                ${unlocated.map(job => `
+                    <a onclick="selectJob('${job.id}')" class="block text-gray-700 hover:underline cursor-pointer">${escapeHtml(job.client || 'Unnamed Client')} - ${escapeHtml(job.address || 'no address')}</a>
+                `).join('')}
+            </div>
+        ` : ''}
+    </div>
+  `;
+}
+
+function renderLocateStatus() {
+  if (!getGeocoder()) return '<p class="text-xs text-orange-700 mt-2">Address lookups aren\'t set up, so jobs can\'t be placed on the map. Set VITE_GEOCODER_URL (see .env.example).</p>';
+  if (locating) return '<p class="text-xs text-gray-500 mt-2"><i class="fas fa-spinner fa-spin mr-1"></i>Finding addresses on the map...</p>';
+  if (locateError) return `<p class="text-xs text-red-600 mt-2">${escapeHtml(locateError)}</p>`;
+  if (locateMissing) return `<p class="text-xs text-orange-700 mt-2">${locateMissing} ${locateMissing === 1 ? 'address' : 'addresses'} couldn't be found. Check the spelling and add the suburb and postcode.</p>`;
+  return '';
+}
+
+// This financial year's travel - the user's own, or everyone's for the office
+function renderTravelSummary(travelEntries) {
+  const year = getFinancialYear();
+  const { userId } = getSession();
+  const mine = entriesInRange(travelEntries, year).filter(entry => entry.userId === userId);
+  const everyone = entriesInRange(travelEntries, year);
+  const own = summariseTravel(mine);
+  const all = summariseTravel(everyone);
+
+  return `
+    <div class="bg-white rounded-lg shadow p-4">
+        <div class="flex items-center justify-between gap-2">
+            <h3 class="font-medium text-gray-900">Travel log ${escapeHtml(year.label)}</h3>
+            <button onclick="exportTravelLog()" class="text-sm text-blue-600 hover:underline" ${everyone.length ? '' : 'disabled'}>
+                <i class="fas fa-file-csv mr-1"></i>Export
+            </button>
+        </div>
+        <p class="text-sm text-gray-600 mt-1">
+            You: ${formatKm(own.km)} and ${formatDuration(own.minutes)} over ${own.trips} ${own.trips === 1 ? 'trip' : 'trips'}
+        </p>
+        ${isStaffRole() && all.trips !== own.trips ? `
+            <p class="text-sm text-gray-600">Whole team: ${formatKm(all.km)} and ${formatDuration(all.minutes)} over ${all.trips} trips</p>
+        ` : ''}
+        <p class="text-xs text-gray-500 mt-2">Kilometres are logged against each job for work-related car expense claims. Keep the export with your tax records.</p>
+    </div>
+  `;
+}
+
+// Markers are plain HTML so they can be styled like the rest of the app
+function markerIcon(html, className) {
+  return L.divIcon({
+      html: `<div class="${className}">${html}</div>`,
+      className: '',
+      iconSize: [28, 28],
+      iconAnchor: [14, 14],
+      popupAnchor: [0, -14]
+    });
+}
+
+function jobPopup(job) {
+  return `
+    <div class="text-sm">
+        <div class="font-medium">${escapeHtml(job.client || 'Unnamed Client')}</div>
+        <div class="text-gray-600">${escapeHtml(job.address)}</div>
+        <a onclick="selectJob('${job.id}')" class="text-blue-600 cursor-pointer">Open job</a>
+    </div>
+  `;
+}
+
+function drawMap(route, others) {
+  if (!map || !markerLayer) return;
+  markerLayer.clearLayers();
+  const points = [];
+
+  if (shownStart) {
+    L.marker([shownStart.location.lat, shownStart.location.lng], {
+      icon: markerIcon('<i class="fas fa-house"></i>', 'w-7 h-7 rounded-full bg-gray-900 text-white text-xs flex items-center justify-center shadow')
+    }).bindPopup(`<div class="text-sm">Start: ${escapeHtml(shownStart.address)}</div>`).addTo(markerLayer);
+    points.push([shownStart.location.lat, shownStart.location.lng]);
+  }
+
+  others.forEach(job => {
+    L.marker([job.location.lat, job.location.lng], {
+      icon: markerIcon('', 'w-4 h-4 m-1.5 rounded-full bg-gray-400 border-2 border-white shadow'),
+      title: job.client || ''
+    }).bindPopup(jobPopup(job)).addTo(markerLayer);
+  });
+
+  route.forEach((stop, index) => {
+    const point = [stop.location.lat, stop.location.lng];
+    L.marker(point, {
+      icon: markerIcon(String(index + 1), 'w-7 h-7 rounded-full bg-blue-600 text-white text-sm font-semibold flex items-center justify-center border-2 border-white shadow'),
+      title: stop.job.client || '',
+      zIndexOffset: 1000
+    }).bindPopup(jobPopup(stop.job)).addTo(markerLayer);
+    points.push(point);
+  });
+
+  if (points.length > 1) {
+    L.polyline(points, { color: '#2563eb', weight: 3, opacity: 0.7, dashArray: '6 6' }).addTo(markerLayer);
+  }
+
+  const bounds = [...points, ...others.map(job => [job.location.lat, job.location.lng])];
+  const key = bounds.map(point => point.join(',')).join('|');
+  map.invalidateSize();
+  if (bounds.length && key !== boundsKey) map.fitBounds(bounds, { padding: [32, 32], maxZoom: 15 });
+  boundsKey = key;
+}
+
+// Look up addresses that aren't on the map yet. Saved locations come back
+// through the jobs snapshot; misses are counted here.
+function locateMissingJobs(jobs) {
+  const pending = jobs.filter(needsLocation);
+  const key = pending.map(job => `${job.id}:${job.address}`).sort().join('|');
+  if (locating || key === locateKey) return;
+  locateKey = key;
+  locateMissing = 0;
+  locateError = '';
+  if (!pending.length) return;
+
+  locating = true;
+  locateJobs(pending)
+    .then(missing => {
+      locateMissing = missing;
+    })
+    .catch(error => {
+      console.error('Error finding job addresses:', error);
+      locateError = navigator.onLine ? 'Some addresses couldn\'t be looked up. Try again later.' : 'Addresses can\'t be looked up offline.';
+      // Look again on the next render that changes anything
+      locateKey = '';
+    })
+    .finally(() => {
+      locating = false;
+      rerender();
+    });
+}
+
+// The business address is where each day's route starts
+function locateBase(business) {
+  const address = business?.profile?.address?.trim() || '';
+  if (address === base.address) return;
+  base = { address, location: null };
+  if (!address) return;
+
+  geocodeAddress(address)
+    .then(place => {
+      if (base.address !== address || !place) return;
+      base = { address, location: { lat: place.lat, lng: place.lng } };
+      rerender();
+    })
+    .catch(error => {
+      console.error('Error finding the business address:', error);
+      // Try again on the next render
+      if (base.address === address) base = { address: '', location: null };
+    });
+}
+
+// Handlers
+
+function moveMapDay(direction) {
+  mapDay = direction === 0 ? startOfDay(new Date()) : addDaysToDate(mapDay, direction);
+  rerender();
+}
+
+function setMapWorker(name) {
+  mapWorker = name;
+  rerender();
+}
+
+function setMapOrder(order) {
+  mapOrder = order;
+  rerender();
+}
+
+// Log each leg of the route on screen as a trip to the job at its end, for
+// the signed-in user. Legs already logged from the planner that day are skipped.
+function logRouteTravel() {
+  if (!mapContext || !shownRoute.length) return;
+  const { userId } = getSession();
+  const me = mapContext.members.find(member => member.userId === userId);
+  const alreadyLogged = new Set(mapContext.travelEntries
+    .filter(entry => entry.userId === userId && entry.source === 'route' && isSameDay(toDate(entry.day), mapDay))
+    .map(entry => entry.jobId));
+
+  const legs = getRouteLegs(shownStart, shownRoute);
+  const trips = shownRoute
+    .map((stop, index) => {
+      const leg = shownStart ? legs[index] : legs[index - 1];
+      if (!leg || alreadyLogged.has(stop.job.id)) return null;
+      return {
+        job: stop.job,
+        trip: { day: mapDay, km: leg.km, minutes: leg.minutes, from: leg.from.job?.address || leg.from.address || '', source: 'route' }
+      };
+    })
+    .filter(Boolean);
+
+  if (!trips.length) {
+    showNotification('Already Logged', 'Travel for this route is already in the log');
+    return;
+  }
+
+  const total = sumLegs(trips.map(({ trip }) => trip));
+  if (!confirm(`Log ${trips.length} ${trips.length === 1 ? 'trip' : 'trips'} (${formatKm(total.km)}, ${formatDuration(total.minutes)}) for ${toDayValue(mapDay)}? You can fix the kilometres on each job's Time & Travel tab.`)) return;
+
+  addTravelEntries(trips, { userId, workerName: me?.displayName || me?.email || '' }, userId)
+    .then(() => showNotification('Travel Logged', `${formatKm(total.km)} added to the travel log`))
+    .catch(error => {
+      console.error('Error logging travel:', error);
+      showNotification('Error', 'Failed to log travel. Please try again.');
+    });
+}
+
+function exportTravelLog() {
+  if (!mapContext) return;
+  const year = getFinancialYear();
+  const jobsById = new Map(mapContext.jobs.map(job => [job.id, job]));
+  const entries = entriesInRange(mapContext.travelEntries, year)
+    .sort((a, b) => toDate(a.day) - toDate(b.day));
+
+  const csv = toCsv(entries, [
+    { label: 'Date', value: entry => toDayValue(toDate(entry.day)) },
+    { label: 'Worker', value: entry => entry.workerName || '' },
+    { label: 'Client', value: entry => jobsById.get(entry.jobId)?.client || '' },
+    { label: 'From', value: entry => entry.from || '' },
+    { label: 'To', value: entry => entry.to || jobsById.get(entry.jobId)?.address || '' },
+    { label: 'Kilometres', value: entry => entry.km },
+    { label: 'Minutes', value: entry => entry.minutes },
+    { label: 'Purpose', value: entry => `Travel to job${entry.note ? ` - ${entry.note}` : ''}` }
+  ]);
+  downloadFile(csv, `tradieiq-travel-log-${year.label}.csv`, 'text/csv');
+}
+
+// Export functions for inline handlers
+window.moveMapDay = moveMapDay;
+window.setMapWorker = setMapWorker;
+window.setMapOrder = setMapOrder;
+window.logRouteTravel = logRouteTravel;
+window.exportTravelLog = exportTravelLog;
@@ -0,0 +1,214 @@
+// Client message templates page - the wording of each automatic email and
+// text, which events send them, and the test outbox while the mock transport is in use
+import { escapeHtml, formatDate, showNotification } from './utils.js';
+import {
+  DEFAULT_MESSAGE_TEMPLATES,
+  MERGE_FIELDS,
+  MESSAGE_CHANNELS,
+  MESSAGE_EVENTS,
+  SAMPLE_MERGE_FIELDS,
+  renderTemplate
+} from './notifications.js';
+import { SENDING_UNAVAILABLE, getMessageTransport } from './message-transport.js';
+import { saveMessageTemplates } from './messaging.js';
+
+const SMS_LENGTH = 160;
+
+let viewBusinessId = null;
+let viewTemplates = null;
+let savingEvent = null;
+
+export function resetMessageTemplatesView() {
+  viewBusinessId = null;
+  viewTemplates = null;
+  savingEvent = null;
+  const view = document.getElementById('messageTemplatesView');
+  if (view) view.innerHTML = '';
+}
+
+export function renderMessageTemplatesView(businessId, templates) {
+  const view = document.getElementById('messageTemplatesView');
+  if (!view) return;
+  viewBusinessId = businessId;
+  viewTemplates = templates;
+
+  // Don't wipe a template that's being edited when a snapshot arrives
+  const active = document.activeElement;
+  if (active && view.contains(active) && ['INPUT', 'TEXTAREA'].includes(active.tagName)) return;
+
+  view.innerHTML = `
+    <div class="max-w-4xl mx-auto p-6">
+      <a href="#/settings" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to settings
+      </a>
+
+      <h2 class="text-xl font-semibold text-gray-900">Client messages</h2>
+      <p class="text-sm text-gray-600 mb-6">Emails and texts sent to clients as a job moves along. Anything you send is logged on the job's Messages tab.</p>
+
+      ${renderMergeFieldHelp()}
+      ${Object.keys(MESSAGE_EVENTS).map(renderTemplateForm).join('')}
+      ${renderDelivery()}
+    </div>
+  `;
+}
+
+function renderMergeFieldHelp() {
+  return `
+    <details class="bg-white rounded-lg shadow p-4 mb-6 text-sm">
+        <summary class="cursor-pointer font-medium text-gray-900">Merge fields</summary>
+        <p class="text-gray-600 mt-2">Type these into a template to fill in the job's details. A message is held back if a field it uses has no value, like an invoice number before one is issued.</p>
+        <div class="grid grid-cols-2 gap-x-6 gap-y-1 mt-3">
+            ${Object.entries(MERGE_FIELDS).map(([name, label]) => `
+                <div><code class="text-blue-700">{{${name}}}</code> <span class="text-gray-500">${escapeHtml(label)}</span></div>
+            `).join('')}
+        </div>
+    </details>
+  `;
+}
+
+function renderTemplateForm(event) {
+  const template = viewTemplates[event];
+  const { label, description, note } = MESSAGE_EVENTS[event];
+  const sends = (channel) => template.channel === channel || template.channel === 'both';
+
+  return `
+    <form onsubmit="event.preventDefault(); saveMessageTemplateForm('${event}', this)" class="bg-white rounded-lg shadow p-6 mb-6">
+        <div class="flex items-start justify-between mb-4">
+            <div>
+                <h3 class="font-semibold text-gray-900">${escapeHtml(label)}</h3>
+                <p class="text-sm text-gray-600">${escapeHtml(description)}</p>
+                ${note ? `<p class="text-xs text-orange-700 mt-1"><i class="fas fa-circle-info mr-1"></i>${escapeHtml(note)}</p>` : ''}
+            </div>
+            <div class="flex items-center gap-3 text-sm">
+                <select name="channel" class="border rounded px-2 py-1">
+                    ${Object.entries(MESSAGE_CHANNELS).map(([value, channel]) => `<option value="${value}" ${value === template.channel ? 'selected' : ''}>${escapeHtml(channel.label)}</option>`).join('')}
+                </select>
+                <label class="flex items-center gap-1">
+                    <input type="checkbox" name="enabled" ${template.enabled ? 'checked' : ''}> ${event === 'onMyWay' ? 'Allow' : 'Send automatically'}
+                </label>
+            </div>
+        </div>
+
+        <label class="block text-sm text-gray-700">Email subject
+            <input type="text" name="subject" value="${escapeHtml(template.subject)}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+        </label>
+        <label class="block text-sm text-gray-700 mt-3">Email
+            <textarea name="emailBody" rows="6" class="mt-1 w-full px-3 py-2 border rounded-lg font-mono text-xs">${escapeHtml(template.emailBody)}</textarea>
+        </label>
+        <label class="block text-sm text-gray-700 mt-3">Text message
+            <textarea name="smsBody" rows="2" oninput="this.nextElementSibling.textContent = this.value.length + ' characters before merge fields'"
+                class="mt-1 w-full px-3 py-2 border rounded-lg font-mono text-xs">${escapeHtml(template.smsBody)}</textarea>
+            <span class="text-xs text-gray-500">${template.smsBody.length} characters before merge fields</span>
+        </label>
+
+        <details class="mt-3 text-sm">
+            <summary class="cursor-pointer text-gray-600">Preview with example details</summary>
+            ${sends('email') ? `
+                <div class="mt-2 p-3 bg-gray-50 rounded">
+                    <div class="font-medium text-gray-900">${escapeHtml(renderTemplate(template.subject, SAMPLE_MERGE_FIELDS).text)}</div>
+                    <div class="whitespace-pre-line text-gray-700 mt-1">${escapeHtml(renderTemplate(template.emailBody, SAMPLE_MERGE_FIELDS).text)}</div>
+                </div>
+            ` : ''}
+            ${sends('sms') ? renderSmsPreview(template.smsBody) : ''}
+        </details>
+
+        <div class="flex justify-end gap-2 mt-4">
+            <button type="button" onclick="resetMessageTemplate('${event}')" class="px-4 py-2 text-sm text-gray-600 hover:text-gray-900">Reset to default</button>
+            <button type="submit" ${savingEvent === event ? 'disabled' : ''} class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 text-sm">
+                ${savingEvent === event ? 'Saving...' : 'Save'}
+            </button>
+        </div>
+    </form>
+  `;
+}
+
+function renderSmsPreview(body) {
+  const { text, missing } = renderTemplate(body, SAMPLE_MERGE_FIELDS);
+  return `
+    <div class="mt-2 p-3 bg-gray-50 rounded">
+        <div class="text-gray-700">${escapeHtml(text)}</div>
+        <div class="text-xs mt-1 ${text.length > SMS_LENGTH ? 'text-orange-600' : 'text-gray-500'}">
+            ${text.length} characters${text.length > SMS_LENGTH ? ` - sent as ${Math.ceil(text.length / 153)} messages` : ''}
+            ${missing.length ? `<span class="text-red-600"> · Unknown fields: ${missing.map(escapeHtml).join(', ')}</span>` : ''}
+        </div>
+    </div>
+  `;
+}
+
+// Which transport messages go through (if any), and what the mock one has "sent"
+function renderDelivery() {
+  const transport = getMessageTransport();
+  const outbox = transport?.outbox || [];
+
+  return `
+    <div class="bg-white rounded-lg shadow p-6">
+        <h3 class="font-semibold text-gray-900">Delivery</h3>
+        ${!transport ? `
+            <p class="text-sm text-orange-700"><i class="fas fa-triangle-exclamation mr-1"></i>${SENDING_UNAVAILABLE}. Emails and texts need a relay holding your email and SMS provider keys - set VITE_MESSAGE_RELAY_URL to it (see .env.example). Until then nothing is sent to clients.</p>
+        ` : transport.name === 'mock' ? `
+            <p class="text-sm text-gray-600 mb-4">Test mode - messages are logged on each job but not sent to anyone. These are the ones sent since the app was opened.</p>
+            ${outbox.length === 0 ? '<p class="text-sm text-gray-500">Nothing sent yet.</p>' : `
+                <div class="divide-y text-sm">
+                    ${outbox.map(message => `
+                        <details class="py-2">
+                            <summary class="cursor-pointer">
+                                <i class="fas ${MESSAGE_CHANNELS[message.channel].icon} text-gray-400 mr-1"></i>
+                                ${escapeHtml(message.to)} · ${escapeHtml(message.subject || message.body.slice(0, 60))}
+                                <span class="text-xs text-gray-500">${formatDate(message.sentAt)}</span>
+                            </summary>
+                            <div class="whitespace-pre-line text-gray-700 mt-2 p-3 bg-gray-50 rounded">${escapeHtml(message.body)}</div>
+                        </details>
+                    `).join('')}
+                </div>
+            `}
+        ` : `
+            <p class="text-sm text-gray-600">Messages are sent through ${escapeHtml(transport.name)}.</p>
+        `}
+    </div>
+  `;
+}
+
+async function saveMessageTemplateForm(event, form) {
+  if (!viewBusinessId || savingEvent) return;
+
+  const templates = {
+    ...viewTemplates,
+    [event]: {
+      enabled: form.enabled.checked,
+      channel: form.channel.value,
+      subject: form.subject.value.trim(),
+      emailBody: form.emailBody.value.trim(),
+      smsBody: form.smsBody.value.trim()
+    }
+  };
+
+  savingEvent = event;
+  document.activeElement?.blur();
+  renderMessageTemplatesView(viewBusinessId, templates);
+  try {
+    await saveMessageTemplates(viewBusinessId, templates);
+    showNotification('Saved', `${MESSAGE_EVENTS[event].label} message updated`);
+  } catch (error) {
+    console.error('Error saving message template:', error);
+    showNotification('Error', 'Failed to save the message. Please try again.');
+  } finally {
+    savingEvent = null;
+    if (viewBusinessId) renderMessageTemplatesView(viewBusinessId, viewTemplates);
+  }
+}
+
+async function resetMessageTemplate(event) {
+  if (!viewBusinessId || !confirm(`Put the ${MESSAGE_EVENTS[event].label.toLowerCase()} message back to the default wording?`)) return;
+
+  try {
+    await saveMessageTemplates(viewBusinessId, { ...viewTemplates, [event]: DEFAULT_MESSAGE_TEMPLATES[event] });
+    showNotification('Reset', `${MESSAGE_EVENTS[event].label} message is back to the default`);
+  } catch (error) {
+    console.error('Error resetting message template:', error);
+    showNotification('Error', 'Failed to reset the message. Please try again.');
+  }
+}
+
+// Export functions for inline handlers
+window.saveMessageTemplateForm = saveMessageTemplateForm;
+window.resetMessageTemplate = resetMessageTemplate;
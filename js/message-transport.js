@@ -0,0 +1,72 @@
+// Pluggable email and SMS transports for client messages
+//
+// A transport is an object with:
+//   name             - short id stored on each message in the log
+//   send(message)    - message is { channel: 'email'|'sms', to, subject, body, replyTo };
+//                      returns a Promise resolving to { id } (the provider's id)
+//                      or rejecting with an Error saying why it wasn't sent
+//
+// No transport is set by default. app.js sets the relay from
+// VITE_MESSAGE_RELAY_URL (or the mock against the emulators); without one,
+// sending shows as unavailable rather than pretending to have worked.
+
+// Keeps messages in memory instead of sending them - for tests and demos.
+// `fail` rejects every send with that message, to try out failed deliveries.
+export function createMockMessageTransport({ fail = '', delay = 0 } = {}) {
+  const outbox = [];
+  return {
+    name: 'mock',
+    outbox,
+
+    send(message) {
+      return new Promise((resolve, reject) => setTimeout(() => {
+        if (fail) {
+          reject(new Error(fail));
+          return;
+        }
+        const id = `mock-${outbox.length + 1}`;
+        outbox.unshift({ id, ...message, sentAt: new Date() });
+        resolve({ id });
+      }, delay));
+    }
+  };
+}
+
+// Posts each message as JSON to a relay (e.g. a Cloud Function) that holds
+// the email and SMS provider keys, which can't live in the browser. The relay
+// answers with { id } or an error status and { error }.
+export function createHttpMessageTransport({ endpoint, name = 'http', getHeaders = async () => ({}) }) {
+  return {
+    name,
+
+    async send(message) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getHeaders()) },
+        body: JSON.stringify(message)
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(result.error || `Send failed (${response.status})`);
+      return { id: result.id || '' };
+    }
+  };
+}
+
+export const mockMessageTransport = createMockMessageTransport();
+
+export const SENDING_UNAVAILABLE = 'Sending messages is not set up';
+
+let activeTransport = null;
+
+export function setMessageTransport(transport) {
+  activeTransport = transport;
+}
+
+// null when sending isn't set up
+export function getMessageTransport() {
+  return activeTransport;
+}
+
+export function isMessagingAvailable() {
+  return !!activeTransport;
+}
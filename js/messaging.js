@@ -0,0 +1,144 @@
+// Client message log and templates
+//
+// messages/{messageId}            one email or text to a client: businessId, jobId,
+//                                 event, channel, to, subject, body, status, transport
+// messageTemplates/{businessId}   templates: { [event]: { enabled, channel, subject, emailBody, smsBody } }
+//
+// Each message is logged as 'sending' before it goes to the transport and
+// marked 'sent' or 'failed' after, so the log shows every attempt even if the
+// app is closed part way. Reminders use the booking as the document id, so two
+// devices checking at once can't both send one. The outcome also goes on the
+// job's activity timeline.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  onSnapshot,
+  query,
+  runTransaction,
+  setDoc,
+  Timestamp,
+  where,
+  writeBatch
+} from 'firebase/firestore';
+import { MESSAGE_EVENTS, buildMessages, findDueReminders, getMessageTemplates } from './notifications.js';
+import { messageActivity } from './activity.js';
+import { addActivity } from './activity-store.js';
+import { SENDING_UNAVAILABLE, getMessageTransport } from './message-transport.js';
+import { toDate } from './schedule.js';
+
+export function subscribeToMessageTemplates(businessId, callback) {
+  return onSnapshot(doc(db, 'messageTemplates', businessId), (snapshot) => {
+    callback(getMessageTemplates(snapshot.exists() ? snapshot.data().templates : {}));
+  }, (error) => {
+    console.error('Error loading message templates:', error);
+  });
+}
+
+export async function saveMessageTemplates(businessId, templates) {
+  await setDoc(doc(db, 'messageTemplates', businessId), {
+    businessId,
+    templates: getMessageTemplates(templates),
+    updatedAt: Timestamp.now()
+  });
+}
+
+// A job's messages, newest first
+export function subscribeToJobMessages(job, callback) {
+  const messagesQuery = query(
+    collection(db, 'messages'),
+    where('businessId', '==', job.businessId),
+    where('jobId', '==', job.id)
+  );
+  return onSnapshot(messagesQuery, (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (toDate(b.createdAt)?.getTime() || 0) - (toDate(a.createdAt)?.getTime() || 0)));
+  }, (error) => {
+    console.error('Error loading messages:', error);
+  });
+}
+
+// Log a message as sending. With a key, returns null instead if a message
+// with that key has already been logged.
+async function claimMessage(job, message, { userId, transport, key, manual }) {
+  const ref = key ? doc(db, 'messages', `${key}_${message.channel}`) : doc(collection(db, 'messages'));
+  const record = {
+    businessId: job.businessId,
+    jobId: job.id,
+    clientId: job.clientId || null,
+    ...message,
+    status: 'sending',
+    transport: transport.name,
+    manual: !!manual,
+    sentBy: userId,
+    createdAt: Timestamp.now()
+  };
+
+  if (!key) {
+    await setDoc(ref, record);
+    return ref;
+  }
+  return runTransaction(db, async (transaction) => {
+    if ((await transaction.get(ref)).exists()) return null;
+    transaction.set(ref, record);
+    return ref;
+  });
+}
+
+// Send an event's messages for a job and log them. `context` is what
+// buildMergeFields takes. Returns { sent, failed, skipped } - failed are
+// { channel, error } and a send that was already logged under `key` is skipped.
+// With no transport set nothing is sent or logged.
+export async function sendJobEvent(event, context, { templates, userId, key = null, manual = false, replyTo = '' }) {
+  const { messages, skipped } = buildMessages(event, context, templates, { manual });
+  const transport = getMessageTransport();
+  if (!transport) {
+    return { sent: [], failed: [], skipped: [...skipped, { channel: null, reason: SENDING_UNAVAILABLE }] };
+  }
+  const result = { sent: [], failed: [], skipped };
+
+  for (const message of messages) {
+    const ref = await claimMessage(context.job, message, { userId, transport, key, manual });
+    if (!ref) {
+      result.skipped.push({ channel: message.channel, reason: 'Already sent', duplicate: true });
+      continue;
+    }
+
+    const label = MESSAGE_EVENTS[event].label;
+    const batch = writeBatch(db);
+    try {
+      const { id } = await transport.send({ ...message, replyTo });
+      batch.update(ref, { status: 'sent', providerId: id || '', sentAt: Timestamp.now() });
+      addActivity(batch, context.job, messageActivity({ ...message, id: ref.id }, label));
+      result.sent.push(message);
+    } catch (error) {
+      console.error(`Error sending ${message.channel}:`, error);
+      batch.update(ref, { status: 'failed', error: error.message || 'Send failed' });
+      addActivity(batch, context.job, messageActivity({ ...message, id: ref.id }, label, { sent: false, error: error.message }));
+      result.failed.push({ channel: message.channel, error: error.message });
+    }
+    await batch.commit();
+  }
+  return result;
+}
+
+// Send tomorrow's reminders that haven't gone yet. Runs while someone in the
+// office has the app open; the key stops a booking getting two reminders.
+export async function sendDueReminders({ jobs, clients, business, templates, userId, now = new Date() }) {
+  const clientsById = new Map(clients.map(client => [client.id, client]));
+  const results = [];
+
+  for (const { job, key } of findDueReminders(jobs, now)) {
+    const client = job.clientId ? clientsById.get(job.clientId) : null;
+    try {
+      const result = await sendJobEvent('dayBeforeReminder', { job, client, business }, {
+        templates, userId, key, replyTo: business?.profile?.email || ''
+      });
+      results.push({ job, key, ...result });
+    } catch (error) {
+      console.error('Error sending reminder:', error);
+    }
+  }
+  return results;
+}
@@ -0,0 +1,178 @@
+// New job dialog - pick an existing client and site, or create them inline.
+// Only the client and address are up front so a job can be started one-handed on site.
+import { escapeHtml } from './utils.js';
+import { TRADE_LABELS, TRADE_TYPES, centsToInputValue } from './job-model.js';
+
+const NEW = '__new__';
+
+// Most businesses do one trade, so the last one picked is the default
+let lastTrade = '';
+
+function getDialog() {
+  let dialog = document.getElementById('newJobDialog');
+  if (!dialog) {
+    dialog = document.createElement('dialog');
+    dialog.id = 'newJobDialog';
+    dialog.className = 'app-sheet rounded-lg shadow-xl p-0 w-full max-w-lg';
+    document.body.appendChild(dialog);
+  }
+  return dialog;
+}
+
+function renderSiteOptions(client) {
+  const sites = client?.sites || [];
+  return `
+    ${sites.map(site => `
+        <option value="${site.id}">${escapeHtml(site.label ? `${site.label} - ${site.address}` : site.address)}</option>
+    `).join('')}
+    <option value="${NEW}">+ New address</option>
+  `;
+}
+
+// Open the dialog. Resolves to the entered details, or null if cancelled:
+// { clientId, newClient: { name, phone, email } | null, address, isNewSite, trade, value, templateId }
+// Leave out askValue for users who can't see pricing. Picking one of `templates`
+// fills in its trade and, through estimateTemplate(template) -> cents, the value.
+export function promptNewJobDetails(clients, { clientId = null, askValue = true, templates = [], estimateTemplate = null } = {}) {
+  const dialog = getDialog();
+  const initialClientId = clientId || (clients.length ? clients[0].id : NEW);
+
+  dialog.innerHTML = `
+    <form method="dialog" class="p-6 space-y-3">
+        <h2 class="text-lg font-semibold text-gray-900">New job</h2>
+
+        <label class="block text-sm font-medium text-gray-700">Client
+            <select name="clientId" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                ${clients.map(client => `
+                    <option value="${client.id}" ${client.id === initialClientId ? 'selected' : ''}>${escapeHtml(client.name)}</option>
+                `).join('')}
+                <option value="${NEW}" ${initialClientId === NEW ? 'selected' : ''}>+ New client</option>
+            </select>
+        </label>
+
+        <div data-section="newClient" class="space-y-2 p-3 bg-gray-50 rounded-lg">
+            <input type="text" name="clientName" placeholder="Client name" class="w-full px-3 py-2 border rounded-lg">
+            <div class="flex gap-2">
+                <input type="tel" name="phone" placeholder="Phone" class="flex-1 px-3 py-2 border rounded-lg">
+                <input type="email" name="email" placeholder="Email" class="flex-1 px-3 py-2 border rounded-lg">
+            </div>
+        </div>
+
+        <label data-section="siteSelect" class="block text-sm font-medium text-gray-700">Site
+            <select name="siteId" class="mt-1 w-full px-3 py-2 border rounded-lg"></select>
+        </label>
+
+        <input type="text" name="address" data-section="newSite" placeholder="Job address" class="w-full px-3 py-2 border rounded-lg">
+
+        <details>
+            <summary class="cursor-pointer text-sm text-blue-600 py-1">More details</summary>
+            <div class="space-y-3 pt-2">
+                ${templates.length ? `
+                    <label class="block text-sm font-medium text-gray-700">Template
+                        <select name="templateId" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                            <option value="">None</option>
+                            ${templates.map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+
+                <label class="block text-sm font-medium text-gray-700">Trade
+                    <select name="trade" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                        <option value="">Not specified</option>
+                        ${TRADE_TYPES.map(trade => `
+                            <option value="${trade}" ${trade === lastTrade ? 'selected' : ''}>${escapeHtml(TRADE_LABELS[trade])}</option>
+                        `).join('')}
+                    </select>
+                </label>
+
+                ${askValue ? `
+                    <label class="block text-sm font-medium text-gray-700">Estimated value
+                        <input type="text" name="estimatedValue" placeholder="$1,500" inputmode="decimal" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                    </label>
+                ` : ''}
+            </div>
+        </details>
+
+        <p data-section="error" class="hidden text-sm text-red-600"></p>
+
+        <div class="flex justify-end gap-2 pt-2">
+            <button type="button" value="cancel" data-action="cancel" class="px-4 py-2 rounded-lg border hover:bg-gray-50">Cancel</button>
+            <button type="submit" value="create" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Create job</button>
+        </div>
+    </form>
+  `;
+
+  const form = dialog.querySelector('form');
+  const section = (name) => dialog.querySelector(`[data-section="${name}"]`);
+
+  const sync = () => {
+    const isNewClient = form.clientId.value === NEW;
+    const client = clients.find(c => c.id === form.clientId.value);
+
+    section('newClient').classList.toggle('hidden', !isNewClient);
+    section('siteSelect').classList.toggle('hidden', isNewClient || !client?.sites?.length);
+    if (!isNewClient) form.siteId.innerHTML = renderSiteOptions(client);
+
+    const isNewSite = isNewClient || !client?.sites?.length || form.siteId.value === NEW;
+    section('newSite').classList.toggle('hidden', !isNewSite);
+  };
+
+  form.clientId.addEventListener('change', sync);
+  form.siteId.addEventListener('change', sync);
+  sync();
+
+  form.templateId?.addEventListener('change', () => {
+    const template = templates.find(t => t.id === form.templateId.value);
+    if (!template) return;
+    if (template.trade) form.trade.value = template.trade;
+    if (form.estimatedValue && estimateTemplate) form.estimatedValue.value = centsToInputValue(estimateTemplate(template));
+  });
+
+  return new Promise((resolve) => {
+    const showError = (message) => {
+      section('error').textContent = message;
+      section('error').classList.remove('hidden');
+    };
+
+    dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => dialog.close('cancel'));
+
+    form.addEventListener('submit', (event) => {
+      const isNewClient = form.clientId.value === NEW;
+      const client = clients.find(c => c.id === form.clientId.value);
+      const site = client?.sites?.find(s => s.id === form.siteId.value);
+      const address = site ? site.address : form.address.value.trim();
+
+      if (isNewClient && !form.clientName.value.trim()) {
+        event.preventDefault();
+        showError('Enter a client name');
+        return;
+      }
+      if (!address) {
+        event.preventDefault();
+        showError('Enter the job address');
+        return;
+      }
+
+      dialog.returnValue = 'create';
+      lastTrade = form.trade.value;
+      resolve({
+        clientId: isNewClient ? null : client.id,
+        newClient: isNewClient
+          ? { name: form.clientName.value.trim(), phone: form.phone.value.trim(), email: form.email.value.trim() }
+          : null,
+        address,
+        isNewSite: !site,
+        trade: form.trade.value,
+        value: form.estimatedValue ? form.estimatedValue.value : '',
+        templateId: form.templateId ? form.templateId.value : ''
+      });
+    });
+
+    dialog.addEventListener('close', () => {
+      if (dialog.returnValue !== 'create') resolve(null);
+    }, { once: true });
+
+    dialog.returnValue = '';
+    dialog.showModal();
+  });
+}
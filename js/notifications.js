@@ -0,0 +1,235 @@
+// Client messages - templates for the emails and texts sent to clients when a
+// quote goes out, a booking is made, the day before, on the way and when the job is done
+//
+// Kept free of Firebase imports like the job model. Templates use {{field}}
+// merge fields; a message with a field that has no value isn't sent, so
+// clients never get "Hi ," or a blank invoice number.
+import { formatMoney, normaliseStatus } from './job-model.js';
+import { getShareUrl } from './quote-share.js';
+import { addDaysToDate, formatScheduleRange, formatTime, getJobSchedule, getWorkerName, isSameDay, toDate } from './schedule.js';
+
+export const MESSAGE_EVENTS = {
+  quoteSent: { label: 'Quote sent', description: 'When a quote is issued' },
+  bookingConfirmed: { label: 'Booking confirmed', description: 'When the job is scheduled or rescheduled' },
+  // Nothing runs on a server, so reminders go out from office staff's apps (checkReminders in app.js)
+  dayBeforeReminder: {
+    label: 'Reminder',
+    description: 'The day before the booking',
+    note: 'Sent by the app itself, so someone in the office needs to open it the day before - otherwise the reminder isn\'t sent'
+  },
+  onMyWay: { label: 'On my way', description: 'When a worker taps "On my way"' },
+  jobComplete: { label: 'Job complete', description: 'When the job is completed, with the invoice' }
+};
+
+export const MESSAGE_CHANNELS = {
+  email: { label: 'Email', icon: 'fa-envelope' },
+  sms: { label: 'SMS', icon: 'fa-comment-sms' },
+  both: { label: 'Email and SMS', icon: 'fa-paper-plane' }
+};
+
+export const MERGE_FIELDS = {
+  clientName: 'Client name',
+  firstName: 'Client first name',
+  businessName: 'Business name',
+  businessPhone: 'Business phone number',
+  businessEmail: 'Business email address',
+  address: 'Job address',
+  jobSummary: 'Job summary',
+  appointment: 'Booking day and times',
+  appointmentDate: 'Booking day',
+  appointmentTime: 'Booking start time',
+  workerName: 'Assigned worker',
+  eta: 'Minutes until arrival',
+  quoteNumber: 'Quote number',
+  quoteTotal: 'Quote total',
+  quoteValidUntil: 'Quote valid until',
+  quoteLink: 'Link to view and accept the quote',
+  invoiceNumber: 'Invoice number',
+  invoiceTotal: 'Invoice total',
+  invoiceDueDate: 'Invoice due date'
+};
+
+// SMS bodies are kept to a single 160 character message where they can be
+export const DEFAULT_MESSAGE_TEMPLATES = {
+  quoteSent: {
+    enabled: true,
+    channel: 'email',
+    subject: 'Your quote from {{businessName}} - {{quoteNumber}}',
+    emailBody: 'Hi {{firstName}},\n\nThanks for having us out to {{address}}. Your quote {{quoteNumber}} comes to {{quoteTotal}} and is valid until {{quoteValidUntil}}.\n\nYou can see the details and accept it online here:\n{{quoteLink}}\n\nOr just reply to this email or call {{businessPhone}}.\n\n{{businessName}}',
+    smsBody: 'Hi {{firstName}}, your quote {{quoteNumber}} from {{businessName}} is {{quoteTotal}}. View and accept: {{quoteLink}}'
+  },
+  bookingConfirmed: {
+    enabled: true,
+    channel: 'both',
+    subject: 'Booking confirmed - {{appointmentDate}}',
+    emailBody: 'Hi {{firstName}},\n\nYou\'re booked in with {{businessName}} for {{appointment}} at {{address}}.\n\nIf that time no longer suits, call us on {{businessPhone}}.\n\n{{businessName}}',
+    smsBody: 'Hi {{firstName}}, {{businessName}} is booked for {{appointment}}. Call {{businessPhone}} to change it.'
+  },
+  dayBeforeReminder: {
+    enabled: true,
+    channel: 'sms',
+    subject: 'Reminder: we\'re coming tomorrow',
+    emailBody: 'Hi {{firstName}},\n\nJust a reminder that {{businessName}} will be at {{address}} tomorrow, {{appointment}}.\n\n{{businessName}}',
+    smsBody: 'Reminder: {{businessName}} is coming tomorrow at {{appointmentTime}}. Call {{businessPhone}} if you need to reschedule.'
+  },
+  onMyWay: {
+    enabled: true,
+    channel: 'sms',
+    subject: '{{workerName}} is on the way',
+    emailBody: 'Hi {{firstName}},\n\n{{workerName}} from {{businessName}} is on the way and should be with you in about {{eta}} minutes.\n\n{{businessName}}',
+    smsBody: 'Hi {{firstName}}, {{workerName}} from {{businessName}} is on the way - about {{eta}} minutes.'
+  },
+  jobComplete: {
+    enabled: true,
+    channel: 'email',
+    subject: 'Invoice {{invoiceNumber}} from {{businessName}}',
+    emailBody: 'Hi {{firstName}},\n\nThe job at {{address}} is all done - thanks for choosing {{businessName}}.\n\nInvoice {{invoiceNumber}} for {{invoiceTotal}} is due by {{invoiceDueDate}}.\n\n{{businessName}}',
+    smsBody: 'Hi {{firstName}}, the job at {{address}} is done. Invoice {{invoiceNumber}} for {{invoiceTotal}} is due {{invoiceDueDate}}. Thanks - {{businessName}}'
+  }
+};
+
+// ETA choices for the "On my way" button, in minutes
+export const ETA_OPTIONS = [10, 15, 20, 30, 45, 60];
+
+// Saved templates over the defaults, so events added later get their default
+export function getMessageTemplates(saved) {
+  const templates = {};
+  for (const event of Object.keys(MESSAGE_EVENTS)) {
+    const template = { ...DEFAULT_MESSAGE_TEMPLATES[event], ...saved?.[event] };
+    if (!MESSAGE_CHANNELS[template.channel]) template.channel = DEFAULT_MESSAGE_TEMPLATES[event].channel;
+    templates[event] = template;
+  }
+  return templates;
+}
+
+// Fill in {{field}}s. Returns { text, missing } where missing lists fields
+// with no value (including unknown ones), each once.
+export function renderTemplate(text, fields) {
+  const missing = [];
+  const rendered = String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = fields[name];
+    if (value === undefined || value === null || value === '') {
+      if (!missing.includes(name)) missing.push(name);
+      return '';
+    }
+    return String(value);
+  });
+  return { text: rendered, missing };
+}
+
+function formatMessageDate(value) {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString('en-AU', { weekday: 'long', day: 'numeric', month: 'long' }) : '';
+}
+
+// Everything a template can use, from what's known about the job. `document`
+// is the quote or invoice the message is about; `worker` overrides the
+// assigned worker (e.g. whoever tapped "On my way").
+export function buildMergeFields({ job, client = null, business = null, document = null, worker = '', etaMinutes = null }) {
+  const clientName = (client?.name || job.client || '').trim();
+  const schedule = getJobSchedule(job);
+  const isQuote = document?.type === 'quote';
+  const isInvoice = document?.type === 'invoice';
+
+  return {
+    clientName,
+    firstName: clientName.split(/\s+/)[0] || '',
+    businessName: business?.profile?.name || business?.name || '',
+    businessPhone: business?.profile?.phone || '',
+    businessEmail: business?.profile?.email || '',
+    address: job.address || '',
+    jobSummary: job.summary || '',
+    appointment: schedule ? formatScheduleRange(job) : '',
+    appointmentDate: schedule ? formatMessageDate(schedule.start) : '',
+    appointmentTime: schedule ? formatTime(schedule.start) : '',
+    workerName: worker || getWorkerName(job),
+    eta: etaMinutes ? String(etaMinutes) : '',
+    quoteNumber: isQuote ? document.number : '',
+    quoteTotal: isQuote ? formatMoney(document.totalCents) : '',
+    quoteValidUntil: isQuote ? formatMessageDate(document.validUntil) : '',
+    quoteLink: isQuote && document.shareToken ? getShareUrl(document.shareToken) : '',
+    invoiceNumber: isInvoice ? document.number : '',
+    invoiceTotal: isInvoice ? formatMoney(document.totalCents) : '',
+    invoiceDueDate: isInvoice ? formatMessageDate(document.dueDate) : ''
+  };
+}
+
+// Australian mobiles in international format for SMS gateways; anything
+// else is passed through without spaces
+export function normalisePhone(phone) {
+  const compact = String(phone || '').replace(/[\s()-]/g, '');
+  if (/^04\d{8}$/.test(compact)) return `+61${compact.slice(1)}`;
+  return compact;
+}
+
+// The messages an event sends to a client. Returns { messages, skipped }:
+// messages are { event, channel, to, subject, body } ready for a transport and
+// skipped are { channel, reason }. Turned-off templates only send when `manual`.
+export function buildMessages(event, context, templates, { manual = false } = {}) {
+  const template = getMessageTemplates(templates)[event];
+  if (!template) return { messages: [], skipped: [{ channel: null, reason: 'Unknown message type' }] };
+  if (!template.enabled && !manual) return { messages: [], skipped: [{ channel: null, reason: 'Turned off', disabled: true }] };
+
+  const fields = buildMergeFields(context);
+  const client = context.client;
+  const channels = template.channel === 'both' ? ['email', 'sms'] : [template.channel];
+  const result = { messages: [], skipped: [] };
+
+  for (const channel of channels) {
+    const to = channel === 'email' ? (client?.email || '').trim() : normalisePhone(client?.phone);
+    if (!to) {
+      result.skipped.push({ channel, reason: `${fields.clientName || 'The client'} has no ${channel === 'email' ? 'email address' : 'phone number'}` });
+      continue;
+    }
+
+    const subject = channel === 'email' ? renderTemplate(template.subject, fields) : { text: '', missing: [] };
+    const body = renderTemplate(channel === 'email' ? template.emailBody : template.smsBody, fields);
+    const missing = [...new Set([...subject.missing, ...body.missing])];
+    if (missing.length) {
+      result.skipped.push({ channel, reason: `No ${missing.map(name => (MERGE_FIELDS[name] || name).toLowerCase()).join(', ')}` });
+      continue;
+    }
+    if (!body.text.trim()) {
+      result.skipped.push({ channel, reason: 'The message is empty' });
+      continue;
+    }
+
+    result.messages.push({ event, channel, to, subject: subject.text.trim(), body: body.text.trim() });
+  }
+  return result;
+}
+
+// Scheduled jobs starting tomorrow that are still going ahead. Each is
+// { job, start, key } where key identifies this booking, so a rescheduled
+// job gets a fresh reminder and the same booking never gets two.
+export function findDueReminders(jobs, now = new Date()) {
+  const tomorrow = addDaysToDate(now, 1);
+  return jobs
+    .filter(job => !['completed', 'cancelled'].includes(normaliseStatus(job.status)))
+    .map(job => ({ job, schedule: getJobSchedule(job) }))
+    .filter(({ schedule }) => schedule && isSameDay(schedule.start, tomorrow))
+    .map(({ job, schedule }) => ({ job, start: schedule.start, key: `${job.id}_dayBeforeReminder_${schedule.start.getTime()}` }));
+}
+
+// Example values for previewing templates in settings
+export const SAMPLE_MERGE_FIELDS = {
+  clientName: 'Sam Taylor',
+  firstName: 'Sam',
+  businessName: 'Your Business',
+  businessPhone: '0400 000 000',
+  businessEmail: 'office@example.com',
+  address: '12 Example St, Brisbane QLD',
+  jobSummary: 'Replace hot water system',
+  appointment: 'Tue 4 Mar, 8:00 am - 10:00 am',
+  appointmentDate: 'Tuesday 4 March',
+  appointmentTime: '8:00 am',
+  workerName: 'Alex',
+  eta: '20',
+  quoteNumber: 'Q-0042',
+  quoteTotal: '$1,980.00',
+  quoteValidUntil: 'Thursday 3 April',
+  quoteLink: 'https://app.example.com/quote.html#Xk3v9QpL2mW8sT1rY6bN4cHjD0fA7eGu',
+  invoiceNumber: 'INV-0042',
+  invoiceTotal: '$1,980.00',
+  invoiceDueDate: 'Tuesday 18 March'
+};
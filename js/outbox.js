@@ -0,0 +1,351 @@
+// Offline outbox - job creates and updates made with no reception
+//
+// Writes go straight to Firestore when the browser is online. Offline they are
+// queued here (persisted in localStorage per user) and shown as pending sync.
+// When the connection comes back the queue is flushed in order; updates are
+// checked against the server copy's updatedAt so a newer edit made elsewhere
+// isn't silently overwritten.
+//
+// Callers pass whole-job fields; pricing fields are split off into the job's
+// jobPricing document here (and dropped for roles that can't see pricing).
+// Each write also adds what changed to the job's activity timeline - worked out
+// against the server copy when a queued edit is finally sent.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  getDocFromServer,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import { generateId } from './utils.js';
+import { mergeJobPricing, splitJobPricing } from './job-model.js';
+import { canSeePricing } from './session.js';
+import { buildJobActivity, createdActivity } from './activity.js';
+import { addActivity } from './activity-store.js';
+
+const STORAGE_PREFIX = 'tradieiq.outbox.';
+
+// Error codes that mean "try again when the connection is back"
+const RETRYABLE_CODES = ['unavailable', 'deadline-exceeded'];
+
+// With the persistent cache, a commit made with patchy reception doesn't fail -
+// it waits for the server. By then the write is saved locally and Firestore
+// sends it itself (the job shows as pending sync), so don't hold the tradie up
+// longer than this. Queueing it here as well would send it twice.
+const COMMIT_TIMEOUT_MS = 4000;
+
+let outboxUserId = null;
+let operations = [];
+let callbacks = {};
+let flushing = false;
+
+// Timestamps and Dates don't survive JSON, so tag them on the way in and out
+function serialise(value) {
+  return JSON.stringify(value, function(key, current) {
+    const raw = this[key];
+    if (raw instanceof Timestamp) return { __timestamp: raw.toMillis() };
+    if (raw instanceof Date) return { __timestamp: raw.getTime() };
+    return current;
+  });
+}
+
+function deserialise(text) {
+  return JSON.parse(text, (key, value) =>
+    value && typeof value === 'object' && '__timestamp' in value
+      ? Timestamp.fromMillis(value.__timestamp)
+      : value
+  );
+}
+
+function toMillis(value) {
+  if (!value) return 0;
+  if (value.toMillis) return value.toMillis();
+  return new Date(value).getTime() || 0;
+}
+
+function isSameValue(a, b) {
+  return serialise(a ?? null) === serialise(b ?? null);
+}
+
+function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+function isRetryable(error) {
+  return !isOnline() || RETRYABLE_CODES.includes(error?.code);
+}
+
+function persist() {
+  if (!outboxUserId) return;
+  try {
+    localStorage.setItem(STORAGE_PREFIX + outboxUserId, serialise(operations));
+  } catch (error) {
+    console.error('Error saving outbox:', error);
+  }
+  if (callbacks.onChange) callbacks.onChange(getOutbox());
+}
+
+function enqueue(operation) {
+  operations.push({
+    id: generateId(),
+    queuedAt: Date.now(),
+    ...operation
+  });
+  persist();
+}
+
+// Write job fields to the job document and its pricing document together,
+// with timeline entries for the change made at `at`
+function writeJob(jobId, businessId, fields, { create = false, activity = [], at } = {}) {
+  const { job, pricing } = splitJobPricing(fields);
+  const batch = writeBatch(db);
+  const jobRef = doc(db, 'jobs', jobId);
+
+  if (create) batch.set(jobRef, job);
+  else batch.update(jobRef, job);
+
+  if (canSeePricing() && Object.keys(pricing).length > 0) {
+    const data = { ...pricing, businessId, jobId };
+    batch.set(doc(db, 'jobPricing', jobId), data, { mergeFields: Object.keys(data) });
+  }
+  activity.forEach(entry => addActivity(batch, { id: jobId, businessId }, entry, { at }));
+  return batch.commit();
+}
+
+// Wait for a job write to reach the server, but no longer than COMMIT_TIMEOUT_MS.
+// Errors before then are thrown as usual; later ones go to onWriteFailed.
+async function waitForCommit(jobId, commit) {
+  let timedOut = false;
+  let timer;
+  commit.catch((error) => {
+    if (!timedOut) return;
+    console.error('Error saving job:', error);
+    if (callbacks.onWriteFailed) callbacks.onWriteFailed({ jobId, error });
+  });
+
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      resolve();
+    }, COMMIT_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([commit, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function handleOnline() {
+  flushOutbox();
+}
+
+// Load the signed-in user's queue and start syncing it.
+// onChange(operations) fires whenever the queue changes; onSynced({ synced, conflicts })
+// after each flush that sent something; onWriteFailed({ jobId, error }) when a
+// write that was left to Firestore is finally turned down.
+export function initOutbox(userId, { onChange, onSynced, onWriteFailed } = {}) {
+  stopOutbox();
+  outboxUserId = userId;
+  callbacks = { onChange, onSynced, onWriteFailed };
+
+  try {
+    const stored = localStorage.getItem(STORAGE_PREFIX + userId);
+    operations = stored ? deserialise(stored) : [];
+  } catch (error) {
+    console.error('Error loading outbox:', error);
+    operations = [];
+  }
+
+  window.addEventListener('online', handleOnline);
+  if (isOnline()) flushOutbox();
+}
+
+export function stopOutbox() {
+  window.removeEventListener('online', handleOnline);
+  outboxUserId = null;
+  operations = [];
+  callbacks = {};
+}
+
+export function getOutbox() {
+  return operations.map(op => ({ ...op }));
+}
+
+// Create a job, queueing it when offline. Returns the new job's id either way.
+export async function createJobDoc(jobData) {
+  const ref = doc(collection(db, 'jobs'));
+
+  if (isOnline()) {
+    try {
+      await waitForCommit(ref.id, writeJob(ref.id, jobData.businessId, jobData, { create: true, activity: [createdActivity(jobData)] }));
+      return ref.id;
+    } catch (error) {
+      if (!isRetryable(error)) throw error;
+    }
+  }
+
+  enqueue({ type: 'create', jobId: ref.id, businessId: jobData.businessId, fields: jobData });
+  return ref.id;
+}
+
+// Update a job, queueing it when offline. `job` is the copy the edit was made
+// against - its updatedAt and field values are kept for conflict checks.
+export async function updateJobDoc(job, fields) {
+  const update = { ...fields, updatedAt: Timestamp.now() };
+
+  if (isOnline()) {
+    try {
+      await waitForCommit(job.id, writeJob(job.id, job.businessId, update, {
+        activity: buildJobActivity(job, fields, { pricing: canSeePricing() }),
+        at: update.updatedAt
+      }));
+      return;
+    } catch (error) {
+      if (!isRetryable(error)) throw error;
+    }
+  }
+
+  // A job created offline hasn't reached the server yet - fold the edit into its create
+  const pendingCreate = operations.find(op => op.type === 'create' && op.jobId === job.id);
+  if (pendingCreate) {
+    Object.assign(pendingCreate.fields, update);
+    persist();
+    return;
+  }
+
+  const baseValues = {};
+  Object.keys(fields).forEach(field => {
+    baseValues[field] = job[field] ?? null;
+  });
+
+  enqueue({
+    type: 'update',
+    jobId: job.id,
+    businessId: job.businessId,
+    fields: update,
+    baseValues,
+    baseUpdatedAt: toMillis(job.updatedAt)
+  });
+}
+
+// Work out which queued fields still win against the server copy
+export function resolveUpdate(operation, server) {
+  const serverUpdatedAt = toMillis(server.updatedAt);
+  const localUpdatedAt = toMillis(operation.fields.updatedAt);
+  const changedRemotely = serverUpdatedAt > operation.baseUpdatedAt;
+
+  const apply = {};
+  const rejected = [];
+
+  Object.entries(operation.fields).forEach(([field, value]) => {
+    if (field === 'updatedAt') return;
+
+    const untouched = !changedRemotely || isSameValue(server[field], operation.baseValues[field]);
+    if (untouched || localUpdatedAt >= serverUpdatedAt) {
+      apply[field] = value;
+    } else {
+      rejected.push(field);
+    }
+  });
+
+  if (Object.keys(apply).length > 0) {
+    apply.updatedAt = Timestamp.fromMillis(Math.max(localUpdatedAt, serverUpdatedAt));
+  }
+  return { apply, rejected };
+}
+
+// The server's copy of a job, with its pricing when this user can see it
+async function getServerJob(jobId) {
+  const snapshot = await getDocFromServer(doc(db, 'jobs', jobId));
+  if (!snapshot.exists()) return null;
+  if (!canSeePricing()) return snapshot.data();
+
+  const pricing = await getDocFromServer(doc(db, 'jobPricing', jobId));
+  return mergeJobPricing(snapshot.data(), pricing.exists() ? pricing.data() : null);
+}
+
+async function syncOperation(operation) {
+  if (operation.type === 'create') {
+    await writeJob(operation.jobId, operation.businessId, operation.fields, {
+      create: true,
+      activity: [createdActivity(operation.fields)],
+      at: operation.fields.createdAt
+    });
+    return { rejected: [] };
+  }
+
+  const server = await getServerJob(operation.jobId);
+  if (!server) {
+    return { rejected: Object.keys(operation.fields), missing: true };
+  }
+
+  const { apply, rejected } = resolveUpdate(operation, server);
+  if (Object.keys(apply).length > 0) {
+    await writeJob(operation.jobId, operation.businessId || server.businessId, apply, {
+      activity: buildJobActivity(server, apply, { pricing: canSeePricing() }),
+      at: operation.fields.updatedAt
+    });
+  }
+  return { rejected };
+}
+
+// Send queued writes in order. Stops at the first connection error so order is kept.
+export async function flushOutbox() {
+  if (flushing || operations.length === 0 || !isOnline()) return { synced: 0, conflicts: [] };
+  flushing = true;
+
+  let synced = 0;
+  const conflicts = [];
+
+  try {
+    while (operations.length > 0) {
+      const operation = operations[0];
+      try {
+        const { rejected, missing } = await syncOperation(operation);
+        if (rejected.length > 0) {
+          conflicts.push({ jobId: operation.jobId, fields: rejected, missing: !!missing });
+        }
+        synced++;
+      } catch (error) {
+        if (isRetryable(error)) break;
+        console.error('Dropping outbox operation that cannot sync:', error);
+        conflicts.push({ jobId: operation.jobId, fields: Object.keys(operation.fields), error: error.message, code: error.code || null });
+      }
+      operations.shift();
+      persist();
+    }
+  } finally {
+    flushing = false;
+  }
+
+  if ((synced > 0 || conflicts.length > 0) && callbacks.onSynced) {
+    callbacks.onSynced({ synced, conflicts });
+  }
+  return { synced, conflicts };
+}
+
+// Overlay queued writes on the jobs from the last snapshot so offline edits show up
+export function applyOutbox(jobs) {
+  if (operations.length === 0) return jobs;
+
+  const byId = new Map(jobs.map(job => [job.id, { ...job }]));
+  const order = jobs.map(job => job.id);
+
+  operations.forEach(operation => {
+    const existing = byId.get(operation.jobId);
+    if (operation.type === 'create' && !existing) {
+      order.unshift(operation.jobId);
+    }
+    if (operation.type === 'create' || existing) {
+      byId.set(operation.jobId, {
+        ...(existing || { id: operation.jobId }),
+        ...operation.fields,
+        pendingSync: true
+      });
+    }
+  });
+
+  return order.map(id => byId.get(id)).sort((a, b) => toMillis(b.updatedAt) - toMillis(a.updatedAt));
+}
@@ -0,0 +1,102 @@
+// Price book and job template records
+//
+// Items are documents in `priceBook` and templates in `jobTemplates`, both
+// keyed by businessId and readable by office staff only (see price-book.js for
+// the fields and the pricing maths).
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  onSnapshot,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+
+// Firestore caps a batch at 500 writes
+const BATCH_LIMIT = 500;
+
+function subscribeByBusiness(collectionName, businessId, label, callback) {
+  const businessQuery = query(collection(db, collectionName), where('businessId', '==', businessId));
+  return onSnapshot(businessQuery, (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'en-AU', { sensitivity: 'base' })));
+  }, (error) => {
+    console.error(`Error loading ${label}:`, error);
+  });
+}
+
+export function subscribeToPriceBook(businessId, callback) {
+  return subscribeByBusiness('priceBook', businessId, 'price book', callback);
+}
+
+function buildPriceItem(businessId, item) {
+  return {
+    businessId,
+    kind: item.kind || 'material',
+    code: (item.code || '').trim(),
+    name: item.name.trim(),
+    unit: (item.unit || 'ea').trim(),
+    supplier: (item.supplier || '').trim(),
+    costCents: item.costCents,
+    markupPercent: item.markupPercent,
+    sellCents: item.sellCents,
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  };
+}
+
+export async function addPriceItem(businessId, item) {
+  const ref = doc(collection(db, 'priceBook'));
+  await setDoc(ref, buildPriceItem(businessId, item));
+  return ref.id;
+}
+
+export async function updatePriceItem(itemId, fields) {
+  await updateDoc(doc(db, 'priceBook', itemId), { ...fields, updatedAt: Timestamp.now() });
+}
+
+export async function deletePriceItem(itemId) {
+  await deleteDoc(doc(db, 'priceBook', itemId));
+}
+
+// Write a merged supplier price list - { creates, updates } from mergePriceList
+export async function importPriceList(businessId, { creates, updates }) {
+  const writes = [
+    ...creates.map(item => (batch) => batch.set(doc(collection(db, 'priceBook')), buildPriceItem(businessId, item))),
+    ...updates.map(({ id, changes }) => (batch) => batch.update(doc(db, 'priceBook', id), { ...changes, updatedAt: Timestamp.now() }))
+  ];
+
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+export function subscribeToJobTemplates(businessId, callback) {
+  return subscribeByBusiness('jobTemplates', businessId, 'job templates', callback);
+}
+
+// Creates the template when it has no id yet; returns its id
+export async function saveJobTemplate(businessId, template) {
+  const { id, createdAt, ...fields } = template;
+  const ref = id ? doc(db, 'jobTemplates', id) : doc(collection(db, 'jobTemplates'));
+  await setDoc(ref, {
+    ...fields,
+    businessId,
+    name: fields.name.trim(),
+    createdAt: createdAt || Timestamp.now(),
+    updatedAt: Timestamp.now()
+  });
+  return ref.id;
+}
+
+export async function deleteJobTemplate(templateId) {
+  await deleteDoc(doc(db, 'jobTemplates', templateId));
+}
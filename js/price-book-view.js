@@ -0,0 +1,372 @@
+// Price book page - materials and labour with cost, markup and sell prices,
+// and importing a supplier's CSV price list
+import { escapeHtml, showNotification } from './utils.js';
+import { centsToInputValue, formatMoney, parseMoneyToCents } from './job-model.js';
+import {
+  DEFAULT_MARKUP_PERCENT,
+  PRICE_ITEM_KINDS,
+  mergePriceList,
+  parseSupplierPriceList,
+  priceItem,
+  searchPriceBook
+} from './price-book.js';
+import { addPriceItem, deletePriceItem, importPriceList, updatePriceItem } from './price-book-store.js';
+
+// Rows shown in an import preview before "and N more"
+const PREVIEW_ROWS = 15;
+
+let viewBusinessId = null;
+let viewItems = [];
+let searchQuery = '';
+let kindFilter = '';
+// A parsed price list waiting to be confirmed: { fileName, supplier, errors, creates, updates, unchanged }
+let pendingImport = null;
+let importing = false;
+
+export function resetPriceBookView() {
+  viewBusinessId = null;
+  viewItems = [];
+  searchQuery = '';
+  kindFilter = '';
+  pendingImport = null;
+  const view = document.getElementById('priceBookView');
+  if (view) view.innerHTML = '';
+}
+
+export function renderPriceBookView(businessId, items) {
+  const view = document.getElementById('priceBookView');
+  if (!view) return;
+  viewItems = items;
+
+  // The controls are only built once so typing in the search box isn't interrupted
+  if (viewBusinessId !== businessId || !view.firstElementChild) {
+    viewBusinessId = businessId;
+    view.innerHTML = renderControls();
+  }
+
+  renderImportPreview();
+  renderItems();
+}
+
+function renderControls() {
+  return `
+    <div class="max-w-5xl mx-auto p-6">
+      <a href="#/settings" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to settings
+      </a>
+
+      <div class="flex items-center justify-between mb-4">
+          <div>
+              <h2 class="text-xl font-semibold text-gray-900">Price book</h2>
+              <p class="text-sm text-gray-600">Prices are ex GST. Materials and labour added to jobs from here use the sell price.</p>
+          </div>
+          <span id="priceBookCount" class="text-sm text-gray-500"></span>
+      </div>
+
+      <div class="bg-white rounded-lg shadow p-6 mb-6">
+          <h3 class="font-medium text-gray-900 mb-3">Add an item</h3>
+          <form onsubmit="event.preventDefault(); addPriceBookItem(this);" class="grid grid-cols-2 md:grid-cols-6 gap-2 text-sm">
+              <select name="kind" class="px-2 py-2 border rounded-lg">
+                  ${Object.entries(PRICE_ITEM_KINDS).map(([kind, label]) => `<option value="${kind}">${label}</option>`).join('')}
+              </select>
+              <input type="text" name="name" required placeholder="Description" class="col-span-2 px-3 py-2 border rounded-lg">
+              <input type="text" name="code" placeholder="Code" class="px-3 py-2 border rounded-lg">
+              <input type="text" name="unit" placeholder="Unit (ea, m, hr)" class="px-3 py-2 border rounded-lg">
+              <input type="text" name="supplier" placeholder="Supplier" class="px-3 py-2 border rounded-lg">
+              <input type="number" name="cost" required min="0" step="0.01" placeholder="Cost $" class="px-3 py-2 border rounded-lg">
+              <input type="number" name="markup" min="0" step="0.1" placeholder="Markup % (${DEFAULT_MARKUP_PERCENT})" class="px-3 py-2 border rounded-lg">
+              <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Add</button>
+          </form>
+      </div>
+
+      <div class="bg-white rounded-lg shadow p-6 mb-6">
+          <h3 class="font-medium text-gray-900">Import a supplier price list</h3>
+          <p class="text-sm text-gray-600 mb-3">A CSV with a header row. Needs a description and a price column; code, unit and RRP or sell price columns are used when present. Items already in the price book are matched on supplier and code and keep their markup.</p>
+          <form onsubmit="event.preventDefault();" class="grid grid-cols-1 md:grid-cols-4 gap-2 text-sm items-end">
+              <label class="text-gray-700">Supplier
+                  <input type="text" name="supplier" placeholder="e.g. Reece" class="mt-1 w-full px-3 py-2 border rounded-lg">
+              </label>
+              <label class="text-gray-700">Markup on new items (%)
+                  <input type="number" name="markup" min="0" step="0.1" value="${DEFAULT_MARKUP_PERCENT}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+              </label>
+              <label class="flex items-center gap-2 text-gray-700 py-2">
+                  <input type="checkbox" name="includesGst"> Prices include GST
+              </label>
+              <label class="inline-block text-center bg-gray-800 text-white px-3 py-2 rounded-lg hover:bg-gray-900 cursor-pointer">
+                  <i class="fas fa-file-csv mr-1"></i>Choose CSV
+                  <input type="file" accept=".csv,text/csv" class="hidden" onchange="previewPriceList(this)">
+              </label>
+          </form>
+          <div id="priceBookImport"></div>
+      </div>
+
+      <div class="bg-white rounded-lg shadow">
+          <div class="flex flex-wrap gap-2 p-4 border-b">
+              <input type="search" value="${escapeHtml(searchQuery)}" oninput="searchPriceBookItems(this.value)"
+                  placeholder="Search by description, code or supplier" class="flex-1 min-w-[12rem] px-3 py-2 border rounded-lg text-sm">
+              <select onchange="filterPriceBookKind(this.value)" class="text-sm border rounded-lg px-2 py-1">
+                  <option value="">Everything</option>
+                  ${Object.entries(PRICE_ITEM_KINDS).map(([kind, label]) => `<option value="${kind}" ${kind === kindFilter ? 'selected' : ''}>${label}</option>`).join('')}
+              </select>
+          </div>
+          <div id="priceBookItems"></div>
+      </div>
+    </div>
+  `;
+}
+
+function renderItems() {
+  const list = document.getElementById('priceBookItems');
+  if (!list) return;
+
+  // Don't wipe a price that's being typed in when a snapshot arrives
+  const active = document.activeElement;
+  if (active && list.contains(active) && active.tagName === 'INPUT') return;
+
+  const items = searchPriceBook(viewItems, searchQuery, kindFilter || null);
+  document.getElementById('priceBookCount').textContent = `${viewItems.length} item${viewItems.length === 1 ? '' : 's'}`;
+
+  if (items.length === 0) {
+    list.innerHTML = `<p class="p-6 text-sm text-gray-500">${viewItems.length ? 'Nothing matches that search.' : 'No items yet. Add them above or import a supplier price list.'}</p>`;
+    return;
+  }
+
+  list.innerHTML = `
+    <table class="w-full text-sm">
+        <thead class="text-left text-gray-500 border-b">
+            <tr>
+                <th class="px-4 py-2 font-normal">Item</th>
+                <th class="px-2 py-2 font-normal w-28">Cost</th>
+                <th class="px-2 py-2 font-normal w-24">Markup %</th>
+                <th class="px-2 py-2 font-normal w-28">Sell</th>
+                <th class="px-2 py-2 w-10"></th>
+            </tr>
+        </thead>
+        <tbody>
+            ${items.map(item => `
+                <tr class="border-b last:border-b-0">
+                    <td class="px-4 py-2">
+                        <div class="text-gray-900">${escapeHtml(item.name)}</div>
+                        <div class="text-xs text-gray-500">
+                            ${escapeHtml([PRICE_ITEM_KINDS[item.kind], item.code, item.supplier, `per ${item.unit || 'ea'}`].filter(Boolean).join(' · '))}
+                        </div>
+                    </td>
+                    <td class="px-2 py-2">
+                        <input type="number" min="0" step="0.01" value="${centsToInputValue(item.costCents)}"
+                            onchange="changePriceBookItem('${item.id}', 'cost', this.value)" class="w-full px-2 py-1 border rounded">
+                    </td>
+                    <td class="px-2 py-2">
+                        <input type="number" step="0.1" value="${item.markupPercent}"
+                            onchange="changePriceBookItem('${item.id}', 'markup', this.value)" class="w-full px-2 py-1 border rounded">
+                    </td>
+                    <td class="px-2 py-2">
+                        <input type="number" min="0" step="0.01" value="${centsToInputValue(item.sellCents)}"
+                            onchange="changePriceBookItem('${item.id}', 'sell', this.value)" class="w-full px-2 py-1 border rounded">
+                    </td>
+                    <td class="px-2 py-2 text-right">
+                        <button onclick="removePriceBookItem('${item.id}')" class="text-gray-400 hover:text-red-600" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('')}
+        </tbody>
+    </table>
+  `;
+}
+
+function renderChange(update) {
+  const parts = [];
+  if ('costCents' in update.changes) {
+    parts.push(`cost ${formatMoney(update.previous.costCents)} → ${formatMoney(update.changes.costCents)}`);
+  }
+  if ('sellCents' in update.changes) {
+    parts.push(`sell ${formatMoney(update.previous.sellCents)} → ${formatMoney(update.changes.sellCents)}`);
+  }
+  if ('name' in update.changes) parts.push('description');
+  if ('unit' in update.changes) parts.push(`unit ${update.changes.unit}`);
+  return parts.join(', ');
+}
+
+function renderImportPreview() {
+  const panel = document.getElementById('priceBookImport');
+  if (!panel) return;
+  if (!pendingImport) {
+    panel.innerHTML = '';
+    return;
+  }
+
+  const { fileName, supplier, errors, creates, updates, unchanged } = pendingImport;
+  const more = (count) => count > PREVIEW_ROWS ? `<li class="text-gray-500">and ${count - PREVIEW_ROWS} more</li>` : '';
+  const changes = creates.length + updates.length;
+
+  panel.innerHTML = `
+    <div class="mt-4 border rounded-lg p-4">
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <div class="text-sm text-gray-900">
+                <span class="font-medium">${escapeHtml(fileName)}</span>${supplier ? ` from ${escapeHtml(supplier)}` : ''}:
+                ${creates.length} new, ${updates.length} updated, ${unchanged} unchanged${errors.length ? `, <span class="text-red-600">${errors.length} skipped</span>` : ''}
+            </div>
+            <div class="flex gap-2">
+                <button onclick="cancelPriceListImport()" class="px-3 py-1 rounded-lg border text-sm hover:bg-gray-50">Cancel</button>
+                <button onclick="confirmPriceListImport()" ${changes === 0 || importing ? 'disabled' : ''}
+                    class="bg-blue-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+                    ${importing ? '<i class="fas fa-spinner fa-spin mr-1"></i>Importing' : `Import ${changes} item${changes === 1 ? '' : 's'}`}
+                </button>
+            </div>
+        </div>
+
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 text-xs">
+            <div>
+                <h4 class="font-medium text-gray-700 mb-1">New</h4>
+                <ul class="space-y-1">
+                    ${creates.slice(0, PREVIEW_ROWS).map(item => `
+                        <li>${escapeHtml(item.name)} <span class="text-gray-500">${formatMoney(item.costCents)} → ${formatMoney(item.sellCents)}</span></li>
+                    `).join('') || '<li class="text-gray-500">None</li>'}
+                    ${more(creates.length)}
+                </ul>
+            </div>
+            <div>
+                <h4 class="font-medium text-gray-700 mb-1">Updated</h4>
+                <ul class="space-y-1">
+                    ${updates.slice(0, PREVIEW_ROWS).map(update => `
+                        <li>${escapeHtml(update.name)} <span class="text-gray-500">${escapeHtml(renderChange(update))}</span></li>
+                    `).join('') || '<li class="text-gray-500">None</li>'}
+                    ${more(updates.length)}
+                </ul>
+            </div>
+            <div>
+                <h4 class="font-medium text-gray-700 mb-1">Skipped</h4>
+                <ul class="space-y-1 text-red-600">
+                    ${errors.slice(0, PREVIEW_ROWS).map(error => `<li>Line ${error.line}: ${escapeHtml(error.message)}</li>`).join('') || '<li class="text-gray-500">None</li>'}
+                    ${more(errors.length)}
+                </ul>
+            </div>
+        </div>
+    </div>
+  `;
+}
+
+function searchPriceBookItems(query) {
+  searchQuery = query;
+  renderItems();
+}
+
+function filterPriceBookKind(kind) {
+  kindFilter = PRICE_ITEM_KINDS[kind] ? kind : '';
+  renderItems();
+}
+
+async function addPriceBookItem(form) {
+  if (!viewBusinessId) return;
+  const markup = form.markup.value.trim();
+  const item = priceItem({
+    kind: form.kind.value,
+    name: form.name.value.trim(),
+    code: form.code.value,
+    unit: form.unit.value || (form.kind.value === 'labour' ? 'hr' : 'ea'),
+    supplier: form.supplier.value,
+    costCents: parseMoneyToCents(form.cost.value),
+    markupPercent: markup === '' ? DEFAULT_MARKUP_PERCENT : parseFloat(markup)
+  });
+  if (!item.name) return;
+
+  try {
+    await addPriceItem(viewBusinessId, item);
+    form.reset();
+  } catch (error) {
+    console.error('Error adding price book item:', error);
+    showNotification('Error', 'Failed to add the item. Please try again.');
+  }
+}
+
+// Cost and markup changes keep the markup and recalculate the sell price;
+// typing a sell price recalculates the markup
+async function changePriceBookItem(itemId, field, value) {
+  const item = viewItems.find(i => i.id === itemId);
+  if (!item || value === '') return;
+
+  const fields = { costCents: item.costCents, markupPercent: item.markupPercent, sellCents: item.sellCents };
+  if (field === 'cost') fields.costCents = parseMoneyToCents(value);
+  if (field === 'markup') fields.markupPercent = parseFloat(value) || 0;
+  if (field === 'sell') fields.sellCents = parseMoneyToCents(value);
+  const priced = priceItem(fields, { changed: field === 'sell' ? 'sell' : 'markup' });
+
+  // Let the new prices re-render when the snapshot comes back
+  document.activeElement?.blur();
+
+  try {
+    await updatePriceItem(itemId, { costCents: priced.costCents, markupPercent: priced.markupPercent, sellCents: priced.sellCents });
+  } catch (error) {
+    console.error('Error updating price book item:', error);
+    showNotification('Error', 'Failed to update the price. Please try again.');
+  }
+}
+
+async function removePriceBookItem(itemId) {
+  const item = viewItems.find(i => i.id === itemId);
+  if (!item || !confirm(`Delete ${item.name} from the price book? Jobs and templates that already use it keep their prices.`)) return;
+
+  try {
+    await deletePriceItem(itemId);
+  } catch (error) {
+    console.error('Error deleting price book item:', error);
+    showNotification('Error', 'Failed to delete the item. Please try again.');
+  }
+}
+
+async function previewPriceList(input) {
+  const file = input.files?.[0];
+  const form = input.form;
+  input.value = '';
+  if (!file) return;
+
+  try {
+    const supplier = form.supplier.value.trim();
+    const markup = parseFloat(form.markup.value);
+    const parsed = parseSupplierPriceList(await file.text(), { pricesIncludeGst: form.includesGst.checked });
+    const merged = mergePriceList(viewItems, parsed.items, {
+      supplier,
+      markupPercent: Number.isFinite(markup) ? markup : DEFAULT_MARKUP_PERCENT
+    });
+    pendingImport = { fileName: file.name, supplier, errors: parsed.errors, ...merged };
+    renderImportPreview();
+  } catch (error) {
+    console.error('Error reading price list:', error);
+    showNotification('Error', 'Couldn\'t read that file. Please check it\'s a CSV.');
+  }
+}
+
+function cancelPriceListImport() {
+  pendingImport = null;
+  renderImportPreview();
+}
+
+async function confirmPriceListImport() {
+  if (!viewBusinessId || !pendingImport || importing) return;
+  const { creates, updates } = pendingImport;
+
+  importing = true;
+  renderImportPreview();
+  try {
+    await importPriceList(viewBusinessId, { creates, updates });
+    showNotification('Price List Imported', `${creates.length} added and ${updates.length} updated`);
+    pendingImport = null;
+  } catch (error) {
+    console.error('Error importing price list:', error);
+    showNotification('Error', 'Failed to import the price list. Please try again.');
+  } finally {
+    importing = false;
+    renderImportPreview();
+  }
+}
+
+// Export functions for inline handlers
+window.searchPriceBookItems = searchPriceBookItems;
+window.filterPriceBookKind = filterPriceBookKind;
+window.addPriceBookItem = addPriceBookItem;
+window.changePriceBookItem = changePriceBookItem;
+window.removePriceBookItem = removePriceBookItem;
+window.previewPriceList = previewPriceList;
+window.cancelPriceListImport = cancelPriceListImport;
+window.confirmPriceListImport = confirmPriceListImport;
@@ -0,0 +1,256 @@
+// Price book - cost, markup and sell prices, supplier price lists and job templates
+//
+// Kept free of Firebase imports like the job model. A price book item is
+// { kind: 'material' | 'labour', code, name, unit, supplier, costCents,
+// markupPercent, sellCents }. For labour, cost is what the hour costs us and
+// sell is the hourly rate charged.
+import { GST_RATE, buildLinesFromJob, calculateTotals } from './job-model.js';
+import { normaliseHeader, parseCsv } from './csv.js';
+import { generateId } from './utils.js';
+
+export const PRICE_ITEM_KINDS = {
+  material: 'Material',
+  labour: 'Labour'
+};
+
+export const DEFAULT_MARKUP_PERCENT = 20;
+
+export function calculateSellCents(costCents, markupPercent) {
+  return Math.round((Number(costCents) || 0) * (1 + (Number(markupPercent) || 0) / 100));
+}
+
+// Markup to one decimal place; zero when there's no cost to mark up
+export function calculateMarkupPercent(costCents, sellCents) {
+  if (!costCents) return 0;
+  return Math.round(((sellCents - costCents) / costCents) * 1000) / 10;
+}
+
+// Item fields with the sell price worked out from whichever of markup or sell
+// price was changed last
+export function priceItem(fields, { changed = 'markup' } = {}) {
+  const costCents = Math.max(0, Math.round(Number(fields.costCents) || 0));
+  if (changed === 'sell' && Number.isInteger(fields.sellCents)) {
+    return { ...fields, costCents, markupPercent: calculateMarkupPercent(costCents, fields.sellCents) };
+  }
+  const markupPercent = Number.isFinite(Number(fields.markupPercent)) ? Number(fields.markupPercent) : DEFAULT_MARKUP_PERCENT;
+  return { ...fields, costCents, markupPercent, sellCents: calculateSellCents(costCents, markupPercent) };
+}
+
+// Items whose code, name or supplier contain every word of the query
+export function searchPriceBook(items, query = '', kind = null) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return items
+    .filter(item => !kind || item.kind === kind)
+    .filter(item => {
+      const text = `${item.code || ''} ${item.name} ${item.supplier || ''}`.toLowerCase();
+      return words.every(word => text.includes(word));
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, 'en-AU', { sensitivity: 'base' }));
+}
+
+export function findPriceItemByName(items, name, kind = null) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return items.find(item => (!kind || item.kind === kind) && item.name.toLowerCase() === wanted) || null;
+}
+
+// Supplier price lists
+
+// Header names suppliers use for each field, after normaliseHeader
+const SUPPLIER_COLUMNS = {
+  code: ['code', 'sku', 'itemcode', 'productcode', 'partno', 'partnumber', 'catno', 'cataloguenumber', 'stockcode', 'itemnumber'],
+  name: ['description', 'name', 'itemdescription', 'productdescription', 'productname', 'itemname', 'product', 'item'],
+  unit: ['unit', 'uom', 'unitofmeasure', 'units', 'per'],
+  cost: ['cost', 'costprice', 'tradeprice', 'trade', 'buyprice', 'netprice', 'nettprice', 'unitcost', 'costexgst', 'priceexgst', 'unitprice', 'price', 'yourprice'],
+  sell: ['sell', 'sellprice', 'rrp', 'retailprice', 'listprice']
+};
+
+function findColumn(headers, field) {
+  for (const name of SUPPLIER_COLUMNS[field]) {
+    const index = headers.indexOf(name);
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+function parsePriceCents(text) {
+  const cleaned = String(text || '').replace(/[^0-9.-]/g, '');
+  if (cleaned === '' || isNaN(Number(cleaned))) return null;
+  return Math.round(Number(cleaned) * 100);
+}
+
+// Read a supplier's CSV price list. Returns { items, errors, columns } where
+// errors are [{ line, message }] for rows that were skipped and columns says
+// which header was used for each field. GST-inclusive prices are converted
+// to ex-GST, which is what everything else in the app works in.
+export function parseSupplierPriceList(text, { pricesIncludeGst = false } = {}) {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    return { items: [], errors: [{ line: 1, message: 'The file has no price rows' }], columns: {} };
+  }
+
+  const headers = rows[0].map(normaliseHeader);
+  const columns = Object.fromEntries(Object.keys(SUPPLIER_COLUMNS).map(field => [field, findColumn(headers, field)]));
+  if (columns.name === -1 || columns.cost === -1) {
+    return {
+      items: [],
+      errors: [{ line: 1, message: 'Couldn\'t find a description and a price column in the header row' }],
+      columns
+    };
+  }
+
+  const exGst = (cents) => pricesIncludeGst ? Math.round(cents / (1 + GST_RATE)) : cents;
+  const items = [];
+  const errors = [];
+
+  rows.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    const cell = (field) => columns[field] === -1 ? '' : (cells[columns[field]] || '').trim();
+    const name = cell('name');
+    const costCents = parsePriceCents(cell('cost'));
+
+    if (!name) {
+      errors.push({ line, message: 'No description' });
+      return;
+    }
+    if (costCents === null || costCents < 0) {
+      errors.push({ line, message: `No valid price for ${name}` });
+      return;
+    }
+
+    const sellCents = parsePriceCents(cell('sell'));
+    items.push({
+      kind: 'material',
+      code: cell('code'),
+      name,
+      unit: cell('unit') || 'ea',
+      costCents: exGst(costCents),
+      sellCents: sellCents !== null && sellCents > 0 ? exGst(sellCents) : null
+    });
+  });
+
+  return { items, errors, columns };
+}
+
+function matchKey(item) {
+  return item.code
+    ? `code:${(item.supplier || '').toLowerCase()}|${item.code.toLowerCase()}`
+    : `name:${item.name.toLowerCase()}`;
+}
+
+// Compare an imported list with the price book. Items are matched on supplier
+// and code, or on name when there's no code. Existing items keep their markup
+// unless the list has its own sell price. Returns { creates, updates, unchanged }
+// where updates are [{ id, name, changes, previous }].
+export function mergePriceList(existing, imported, { supplier = '', markupPercent = DEFAULT_MARKUP_PERCENT } = {}) {
+  const byKey = new Map(existing.map(item => [matchKey(item), item]));
+  const creates = [];
+  const updates = [];
+  let unchanged = 0;
+  const seen = new Set();
+
+  for (const row of imported) {
+    const incoming = { ...row, supplier };
+    const key = matchKey(incoming);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const current = byKey.get(key);
+    if (!current) {
+      const priced = row.sellCents !== null
+        ? priceItem({ ...incoming, sellCents: row.sellCents }, { changed: 'sell' })
+        : priceItem({ ...incoming, markupPercent });
+      creates.push(priced);
+      continue;
+    }
+
+    const priced = row.sellCents !== null
+      ? priceItem({ ...current, costCents: row.costCents, sellCents: row.sellCents }, { changed: 'sell' })
+      : priceItem({ ...current, costCents: row.costCents });
+    const changes = {};
+    for (const field of ['name', 'unit', 'costCents', 'markupPercent', 'sellCents']) {
+      const value = field === 'name' || field === 'unit' ? incoming[field] || current[field] : priced[field];
+      if (value !== current[field]) changes[field] = value;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      unchanged += 1;
+    } else {
+      updates.push({ id: current.id, name: current.name, changes, previous: current });
+    }
+  }
+
+  return { creates, updates, unchanged };
+}
+
+// Job templates - { name, trade, summary, tasks: [text], materials: [{ priceBookId,
+// name, qty, unit, costCents, sellCents }], labour: [{ priceBookId, description,
+// hours, rateCents, costCents }] }. Lines linked to the price book use today's
+// prices, so templates don't go stale when supplier prices change.
+
+function currentPrice(line, itemsById) {
+  const item = line.priceBookId ? itemsById.get(line.priceBookId) : null;
+  return item ? { costCents: item.costCents, sellCents: item.sellCents } : { costCents: line.costCents || 0, sellCents: line.sellCents };
+}
+
+// Job fields a template fills in, and the quote they add up to
+export function applyTemplate(template, priceItems = [], { gstRegistered = true } = {}) {
+  const itemsById = new Map(priceItems.map(item => [item.id, item]));
+
+  const materials = (template.materials || []).map(line => {
+    const price = currentPrice(line, itemsById);
+    const material = {
+      id: generateId(),
+      name: line.name,
+      qty: Number(line.qty) || 0,
+      unit: line.unit || 'ea',
+      costCents: price.costCents
+    };
+    if (Number.isInteger(price.sellCents)) material.sellCents = price.sellCents;
+    return material;
+  });
+
+  const labour = (template.labour || []).map(line => {
+    const price = currentPrice(line, itemsById);
+    return {
+      id: generateId(),
+      description: line.description || 'Labour',
+      hours: Number(line.hours) || 0,
+      rateCents: Number.isInteger(price.sellCents) ? price.sellCents : line.rateCents || 0
+    };
+  });
+
+  // The trade is left to the new job dialog, which defaults to the template's
+  const fields = {
+    summary: template.summary || '',
+    tasks: (template.tasks || []).filter(Boolean).map(text => ({ id: generateId(), text, completed: false })),
+    materials,
+    labour
+  };
+
+  const totals = calculateTotals(buildLinesFromJob(fields), { gstRegistered });
+  return { fields, totals };
+}
+
+// A template from an existing job's tasks, materials and labour
+export function templateFromJob(job, name) {
+  return {
+    name,
+    trade: job.trade || '',
+    summary: job.summary || '',
+    tasks: (job.tasks || []).map(task => task.text),
+    materials: (job.materials || []).map(item => ({
+      priceBookId: null,
+      name: item.name,
+      qty: Number(item.qty) || 0,
+      unit: item.unit || 'ea',
+      costCents: item.costCents || 0,
+      sellCents: Number.isInteger(item.sellCents) ? item.sellCents : null
+    })),
+    labour: (job.labour || []).map(item => ({
+      priceBookId: null,
+      description: item.description || 'Labour',
+      hours: Number(item.hours) || 0,
+      rateCents: item.rateCents || 0
+    }))
+  };
+}
@@ -0,0 +1,53 @@
+// Installable app - registers the service worker and holds on to the browser's install prompt
+//
+// The service worker is only registered in a production build; in dev it would
+// cache Vite's modules and hide changes until a hard reload.
+let installPrompt = null;
+const installListeners = new Set();
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Error registering service worker:', error);
+    });
+  });
+}
+
+// Chrome and Android offer install through an event we have to keep for later;
+// iPhones install from the share menu and never send it.
+export function watchInstallPrompt() {
+  window.addEventListener('beforeinstallprompt', (event) => {
+    event.preventDefault();
+    installPrompt = event;
+    installListeners.forEach(listener => listener());
+  });
+
+  window.addEventListener('appinstalled', () => {
+    installPrompt = null;
+    installListeners.forEach(listener => listener());
+  });
+}
+
+export function canInstall() {
+  return !!installPrompt;
+}
+
+// Show the browser's install prompt. Resolves true if they installed.
+export async function promptInstall() {
+  if (!installPrompt) return false;
+
+  const prompt = installPrompt;
+  installPrompt = null;
+  await prompt.prompt();
+  const { outcome } = await prompt.userChoice;
+  installListeners.forEach(listener => listener());
+  return outcome === 'accepted';
+}
+
+// Called whenever canInstall() may have changed; returns an unsubscribe function
+export function onInstallAvailabilityChange(listener) {
+  installListeners.add(listener);
+  return () => installListeners.delete(listener);
+}
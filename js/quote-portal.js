@@ -0,0 +1,234 @@
+// Client quote page (quote.html) - the quote from its share link, read-only,
+// with buttons to accept or decline it with a signature. Nobody signs in.
+import { escapeHtml } from './utils.js';
+import { formatMoney } from './job-model.js';
+import { formatAbn } from './billing.js';
+import { toDate } from './schedule.js';
+import { captureSignature } from './signature-pad.js';
+import { SHARE_STATUSES, canRespond, describeResponse, getTokenFromHash, isShareExpired, validateResponse } from './quote-share.js';
+import { getQuoteShare, respondToQuoteShare } from './quote-share-store.js';
+
+let token = '';
+let share = null;
+let submitting = false;
+let errorMessage = '';
+
+document.addEventListener('DOMContentLoaded', loadQuote);
+window.addEventListener('hashchange', loadQuote);
+
+async function loadQuote() {
+  token = getTokenFromHash(window.location.hash);
+  share = null;
+  if (!token) {
+    renderMessage('This link isn\'t complete', 'Check you\'ve opened the whole link from the email or text, or ask the business to send it again.');
+    return;
+  }
+
+  try {
+    share = await getQuoteShare(token);
+  } catch (error) {
+    console.error('Error loading quote:', error);
+    renderMessage('We couldn\'t load the quote', 'Check your connection and reload the page.');
+    return;
+  }
+  if (!share) {
+    renderMessage('Quote not found', 'This link doesn\'t match a quote. It may have been mistyped or withdrawn.');
+    return;
+  }
+  renderQuote();
+}
+
+function renderMessage(title, text) {
+  document.getElementById('quotePortal').innerHTML = `
+    <div class="bg-white rounded-lg shadow p-8 text-center mt-12">
+        <i class="fas fa-file-circle-question text-4xl text-gray-300 mb-4"></i>
+        <h1 class="text-xl font-semibold text-gray-900 mb-2">${escapeHtml(title)}</h1>
+        <p class="text-gray-600">${escapeHtml(text)}</p>
+    </div>
+  `;
+}
+
+function formatLongDate(value) {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' }) : '';
+}
+
+function renderQuote() {
+  const business = share.business || {};
+  document.title = `Quote ${share.number} from ${business.name || 'your tradie'}`;
+
+  document.getElementById('quotePortal').innerHTML = `
+    <div class="bg-white rounded-lg shadow p-6 mb-6">
+        <div class="flex flex-col md:flex-row md:justify-between gap-4">
+            <div>
+                ${business.logoUrl ? `<img src="${escapeHtml(business.logoUrl)}" alt="" class="h-16 max-w-[12rem] object-contain mb-2">` : ''}
+                <h2 class="text-lg font-semibold text-gray-900">${escapeHtml(business.name)}</h2>
+                ${business.abn ? `<div class="text-sm text-gray-600">ABN ${escapeHtml(formatAbn(business.abn))}</div>` : ''}
+                <div class="text-sm text-gray-600 space-x-3">
+                    ${business.phone ? `<a href="tel:${escapeHtml(business.phone)}" class="hover:underline"><i class="fas fa-phone mr-1"></i>${escapeHtml(business.phone)}</a>` : ''}
+                    ${business.email ? `<a href="mailto:${escapeHtml(business.email)}" class="hover:underline"><i class="fas fa-envelope mr-1"></i>${escapeHtml(business.email)}</a>` : ''}
+                </div>
+            </div>
+            <div class="md:text-right">
+                <h1 class="text-2xl font-bold text-gray-900">Quote ${escapeHtml(share.number)}</h1>
+                <div class="text-sm text-gray-600">Issued ${formatLongDate(share.issuedAt)}</div>
+                <div class="text-sm ${isShareExpired(share) ? 'text-red-600' : 'text-gray-600'}">Valid until ${formatLongDate(share.validUntil)}</div>
+            </div>
+        </div>
+
+        <div class="mt-6">
+            <div class="text-xs text-gray-500 uppercase">Prepared for</div>
+            <div class="font-medium text-gray-900">${escapeHtml(share.client)}</div>
+            <div class="text-sm text-gray-600">${escapeHtml(share.address)}</div>
+            ${share.summary ? `<p class="mt-3 text-sm text-gray-700 whitespace-pre-line">${escapeHtml(share.summary)}</p>` : ''}
+        </div>
+    </div>
+
+    ${renderStatus()}
+
+    <div class="bg-white rounded-lg shadow p-6 mb-6 overflow-x-auto">
+        <table class="w-full text-sm">
+            <thead>
+                <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                    <th class="py-2 pr-2">Description</th>
+                    <th class="py-2 pr-2 text-right">Qty</th>
+                    <th class="py-2 pr-2 text-right">Unit price</th>
+                    <th class="py-2 text-right">Amount</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${(share.lines || []).map(line => `
+                    <tr class="border-b">
+                        <td class="py-2 pr-2">${escapeHtml(line.description)}</td>
+                        <td class="py-2 pr-2 text-right whitespace-nowrap">${escapeHtml(line.qty)} ${escapeHtml(line.unit)}</td>
+                        <td class="py-2 pr-2 text-right">${formatMoney(line.unitPriceCents)}</td>
+                        <td class="py-2 text-right">${formatMoney(line.totalCents)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="ml-auto mt-4 w-full max-w-xs text-sm">
+            <div class="flex justify-between py-1"><span>Subtotal${share.gstRegistered ? ' (ex GST)' : ''}</span><span>${formatMoney(share.subtotalCents)}</span></div>
+            ${share.gstRegistered ? `<div class="flex justify-between py-1"><span>GST (10%)</span><span>${formatMoney(share.gstCents)}</span></div>` : ''}
+            <div class="flex justify-between py-2 border-t-2 border-gray-900 font-semibold text-base"><span>Total${share.gstRegistered ? ' (inc GST)' : ''}</span><span>${formatMoney(share.totalCents)}</span></div>
+            ${share.gstRegistered ? '' : '<p class="text-xs text-gray-500">No GST has been charged.</p>'}
+        </div>
+    </div>
+
+    ${share.photos?.length ? `
+        <div class="bg-white rounded-lg shadow p-6 mb-6">
+            <h3 class="font-medium text-gray-900 mb-3">Photos</h3>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-3">
+                ${share.photos.map(photo => `
+                    <a href="${escapeHtml(photo.url)}" target="_blank" rel="noopener noreferrer" class="block">
+                        <img src="${escapeHtml(photo.thumbnailUrl)}" alt="${escapeHtml(photo.caption)}" loading="lazy" class="w-full h-32 object-cover rounded-lg">
+                        ${photo.caption ? `<div class="text-xs text-gray-600 mt-1">${escapeHtml(photo.caption)}</div>` : ''}
+                    </a>
+                `).join('')}
+            </div>
+        </div>
+    ` : ''}
+
+    <div class="bg-white rounded-lg shadow p-6 mb-6">
+        <h3 class="font-medium text-gray-900 mb-2">Terms</h3>
+        ${share.terms ? `<p class="text-sm text-gray-700 whitespace-pre-line">${escapeHtml(share.terms)}</p>` : ''}
+        <p class="text-sm text-gray-700 ${share.terms ? 'mt-2' : ''}">This quote is valid until ${formatLongDate(share.validUntil)}.</p>
+    </div>
+
+    ${renderActions()}
+  `;
+}
+
+function renderStatus() {
+  if (share.response) {
+    const accepted = share.response.decision === 'accepted';
+    return `
+      <div class="rounded-lg p-6 mb-6 ${accepted ? 'bg-green-50 border border-green-200' : 'bg-gray-50 border'}">
+          <div class="font-medium ${accepted ? 'text-green-800' : 'text-gray-800'}">
+              <i class="fas ${accepted ? 'fa-circle-check' : 'fa-circle-xmark'} mr-1"></i>${escapeHtml(describeResponse(share.response))}
+          </div>
+          <p class="text-sm text-gray-600 mt-1">
+              ${accepted ? `Thanks - ${escapeHtml(share.business?.name || 'we')} will be in touch to book the work in.` : `Thanks for letting ${escapeHtml(share.business?.name || 'us')} know.`}
+          </p>
+          ${share.response.signature ? `<img src="${escapeHtml(share.response.signature)}" alt="Signature" class="mt-3 h-20 bg-white border rounded">` : ''}
+      </div>
+    `;
+  }
+  if (share.status !== 'open') {
+    return `
+      <div class="rounded-lg p-4 mb-6 bg-gray-50 border text-sm text-gray-700">
+          <i class="fas fa-circle-info mr-1"></i>${escapeHtml(SHARE_STATUSES[share.status]?.label || 'This quote is closed')}.
+          Contact ${escapeHtml(share.business?.name || 'the business')} for an up-to-date quote.
+      </div>
+    `;
+  }
+  if (isShareExpired(share)) {
+    return `
+      <div class="rounded-lg p-4 mb-6 bg-orange-50 border border-orange-200 text-sm text-orange-800">
+          <i class="fas fa-clock mr-1"></i>This quote expired on ${formatLongDate(share.validUntil)}.
+          Contact ${escapeHtml(share.business?.name || 'the business')} if you'd still like to go ahead.
+      </div>
+    `;
+  }
+  return '';
+}
+
+function renderActions() {
+  if (!canRespond(share)) return '';
+
+  return `
+    <div class="bg-white rounded-lg shadow p-6 mb-6">
+        <h3 class="font-medium text-gray-900 mb-1">Ready to go ahead?</h3>
+        <p class="text-sm text-gray-600 mb-4">Sign with your finger or mouse, or type your name. We'll record your name, the time and your internet address with your answer.</p>
+        ${errorMessage ? `<p class="text-sm text-red-600 mb-3">${escapeHtml(errorMessage)}</p>` : ''}
+        <div class="flex flex-col sm:flex-row gap-3">
+            <button onclick="respondToQuote('accepted')" ${submitting ? 'disabled' : ''} class="flex-1 bg-green-600 text-white px-4 py-3 rounded-lg hover:bg-green-700 disabled:opacity-50">
+                <i class="fas fa-signature mr-1"></i>Accept quote
+            </button>
+            <button onclick="respondToQuote('declined')" ${submitting ? 'disabled' : ''} class="flex-1 px-4 py-3 rounded-lg border hover:bg-gray-50 disabled:opacity-50">
+                Decline
+            </button>
+        </div>
+    </div>
+  `;
+}
+
+async function respondToQuote(decision) {
+  if (!share || submitting || !canRespond(share)) return;
+  const accepting = decision === 'accepted';
+
+  const signature = await captureSignature({
+    title: `${accepting ? 'Accept' : 'Decline'} quote ${share.number} for ${formatMoney(share.totalCents)}`,
+    name: share.client,
+    askName: true,
+    allowTyped: true,
+    submitLabel: accepting ? 'Accept quote' : 'Decline quote'
+  });
+  if (!signature) return;
+
+  const response = { decision, signerName: signature.name, signature: signature.dataUrl, signatureMethod: signature.method };
+  const errors = validateResponse(response);
+  if (errors.length) {
+    errorMessage = errors[0];
+    renderQuote();
+    return;
+  }
+
+  submitting = true;
+  errorMessage = '';
+  renderQuote();
+  try {
+    await respondToQuoteShare(token, { ...response, userAgent: navigator.userAgent });
+    share = await getQuoteShare(token);
+  } catch (error) {
+    console.error('Error saving response:', error);
+    // The quote may have expired or been answered on another device meanwhile
+    share = await getQuoteShare(token).catch(() => share);
+    errorMessage = canRespond(share) ? 'Your answer couldn\'t be saved. Check your connection and try again.' : '';
+  }
+  submitting = false;
+  renderQuote();
+}
+
+// Export functions for inline handlers
+window.respondToQuote = respondToQuote;
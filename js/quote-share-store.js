@@ -0,0 +1,84 @@
+// Quote share links in Firestore - quoteShares/{token}
+//
+// The client's page reads and answers a share without signing in; the rules
+// only let them set the status and response, once, while it's open and in
+// date. Office staff create, replace and withdraw them, and record when the
+// answer has been applied to the job.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  getDoc,
+  query,
+  where,
+  onSnapshot,
+  serverTimestamp,
+  updateDoc,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import { createShareToken } from './quote-share.js';
+import { quoteResponseActivity } from './activity.js';
+import { addActivity } from './activity-store.js';
+
+export function subscribeToQuoteShares(businessId, callback) {
+  return onSnapshot(query(collection(db, 'quoteShares'), where('businessId', '==', businessId)), (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error('Error loading quote links:', error);
+  });
+}
+
+// Create the share for a quote, replacing any still-open share of an earlier
+// quote for the same job. The quote keeps the token so its link can be sent
+// again. Resolves to the token.
+export async function createQuoteShare(fields, { replaces = [] } = {}) {
+  const token = createShareToken();
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'quoteShares', token), { ...fields, createdAt: Timestamp.now(), updatedAt: Timestamp.now() });
+  batch.update(doc(db, 'quotes', fields.quoteId), { shareToken: token, updatedAt: Timestamp.now() });
+  replaces.forEach(oldToken => batch.update(doc(db, 'quoteShares', oldToken), { status: 'superseded', updatedAt: Timestamp.now() }));
+  await batch.commit();
+  return token;
+}
+
+// The client's page - null when there's no share with that token
+export async function getQuoteShare(token) {
+  const snapshot = await getDoc(doc(db, 'quoteShares', token));
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+// The client's answer. respondedAt is the server's time, which the rules check.
+export async function respondToQuoteShare(token, { decision, signerName, signature, signatureMethod, userAgent }) {
+  await updateDoc(doc(db, 'quoteShares', token), {
+    status: decision,
+    response: {
+      decision,
+      signerName: signerName.trim(),
+      signature,
+      signatureMethod,
+      userAgent: userAgent || '',
+      respondedAt: serverTimestamp()
+    }
+  });
+}
+
+export async function withdrawQuoteShare(token) {
+  await updateDoc(doc(db, 'quoteShares', token), { status: 'withdrawn', updatedAt: Timestamp.now() });
+}
+
+// Mark the answer as dealt with: copy it onto the quote and the job's
+// timeline. The job's status is moved first, by the caller, so an answer
+// that fails part way is tried again.
+export async function applyQuoteResponse(share, job, userId) {
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'quoteShares', share.id), { appliedAt: Timestamp.now(), appliedBy: userId, updatedAt: Timestamp.now() });
+  // The signature image stays on the share; the quote keeps who, when and where from
+  batch.update(doc(db, 'quotes', share.quoteId), {
+    status: share.status,
+    response: { ...share.response, signature: null },
+    updatedAt: Timestamp.now()
+  });
+  if (job) addActivity(batch, job, quoteResponseActivity(share));
+  await batch.commit();
+}
@@ -0,0 +1,135 @@
+// Quote share links - the client-facing copy of a quote they can accept or decline
+//
+// Kept free of Firebase imports like the job model. Each issued quote gets a
+// document in `quoteShares` whose id is a long random token; the link to it
+// is the only way in, so anyone holding the link can read it and nobody can
+// list them. It holds a copy of just what the client needs to see:
+//   businessId, jobId, quoteId, number, business, client, address, summary,
+//   lines, subtotalCents, gstCents, totalCents, gstRegistered, issuedAt,
+//   validUntil, terms, photos, status, response, appliedAt, createdBy, createdAt
+// `status` is 'open' until the client answers ('accepted' or 'declined') or
+// the office replaces or withdraws it ('superseded' or 'withdrawn').
+// `response` is { decision, signerName, signature, signatureMethod, userAgent,
+// respondedAt }. Answers from before may have an `ip` - the address the
+// client's browser reported from a lookup service, not one anyone checked.
+// An answer only takes effect once an office app applies it (see
+// findResponsesToApply).
+import { toDate } from './schedule.js';
+
+export const SHARE_STATUSES = {
+  open: { label: 'Waiting for the client', color: 'bg-yellow-100 text-yellow-700' },
+  accepted: { label: 'Accepted', color: 'bg-green-100 text-green-700' },
+  declined: { label: 'Declined', color: 'bg-red-100 text-red-700' },
+  superseded: { label: 'Replaced by a newer quote', color: 'bg-gray-100 text-gray-600' },
+  withdrawn: { label: 'Withdrawn', color: 'bg-gray-100 text-gray-600' }
+};
+
+export const RESPONSE_DECISIONS = ['accepted', 'declined'];
+
+// 24 random bytes - 192 bits, far too many to guess
+const TOKEN_BYTES = 24;
+
+// Photos shown with the quote - what the site looks like now, and any plans
+const SHARED_PHOTO_CATEGORIES = ['before', 'plan'];
+const MAX_SHARED_PHOTOS = 12;
+
+export const MAX_SIGNER_NAME = 100;
+
+// URL-safe random token for a share's document id
+export function createShareToken(random = globalThis.crypto) {
+  const bytes = random.getRandomValues(new Uint8Array(TOKEN_BYTES));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// The link sent to the client. The token goes after the # so it never
+// reaches a server log or another site's referrer header.
+export function getShareUrl(token, origin = globalThis.location?.origin || '') {
+  return `${origin}/quote.html#${token}`;
+}
+
+// The token from the portal page's location hash, or '' if it doesn't look like one
+export function getTokenFromHash(hash) {
+  const token = String(hash || '').replace(/^#\/?/, '');
+  return /^[A-Za-z0-9_-]{20,64}$/.test(token) ? token : '';
+}
+
+// Photos to show the client: site photos and plans, newest first
+export function pickSharedPhotos(attachments = []) {
+  return attachments
+    .filter(item => item.kind === 'photo' && SHARED_PHOTO_CATEGORIES.includes(item.category) && item.url)
+    .slice(0, MAX_SHARED_PHOTOS)
+    .map(item => ({ url: item.url, thumbnailUrl: item.thumbnailUrl || item.url, caption: item.caption || '' }));
+}
+
+// Fields for a new share of an issued quote. `quote` is the quote document
+// (with its id), `business` the profile it was issued under.
+export function buildQuoteShare(quote, { job, business, attachments = [], userId }) {
+  return {
+    businessId: quote.businessId,
+    jobId: quote.jobId,
+    quoteId: quote.id,
+    number: quote.number,
+    business: {
+      name: business.name || '',
+      abn: business.abn || '',
+      phone: business.phone || '',
+      email: business.email || '',
+      address: business.address || '',
+      logoUrl: business.logoUrl || ''
+    },
+    client: quote.client || job?.client || '',
+    address: quote.address || job?.address || '',
+    summary: job?.summary || '',
+    lines: quote.lines || [],
+    subtotalCents: quote.subtotalCents || 0,
+    gstCents: quote.gstCents || 0,
+    totalCents: quote.totalCents || 0,
+    gstRegistered: !!quote.gstRegistered,
+    issuedAt: quote.issuedAt,
+    validUntil: quote.validUntil,
+    terms: (business.quoteTerms || '').trim(),
+    photos: pickSharedPhotos(attachments),
+    status: 'open',
+    response: null,
+    appliedAt: null,
+    createdBy: userId
+  };
+}
+
+export function isShareExpired(share, now = new Date()) {
+  const validUntil = toDate(share.validUntil);
+  return !!validUntil && validUntil < now;
+}
+
+// Whether the client can still accept or decline
+export function canRespond(share, now = new Date()) {
+  return share.status === 'open' && !isShareExpired(share, now);
+}
+
+// Problems with an answer before it's sent, as messages to show
+export function validateResponse({ decision, signerName, signature }) {
+  const errors = [];
+  if (!RESPONSE_DECISIONS.includes(decision)) errors.push('Choose whether to accept or decline the quote');
+  const name = (signerName || '').trim();
+  if (!name) errors.push('Type your full name');
+  else if (name.length > MAX_SIGNER_NAME) errors.push(`Keep your name under ${MAX_SIGNER_NAME} characters`);
+  if (!/^data:image\/png;base64,/.test(signature || '')) errors.push('Sign the quote first');
+  return errors;
+}
+
+// 'Accepted by Jo Citizen on 3 March 2026 at 2:15 pm'
+export function describeResponse(response) {
+  if (!response) return '';
+  const at = toDate(response.respondedAt);
+  const verb = response.decision === 'accepted' ? 'Accepted' : 'Declined';
+  return `${verb} by ${response.signerName}${at ? ` on ${at.toLocaleString('en-AU', { day: 'numeric', month: 'long', year: 'numeric', hour: 'numeric', minute: '2-digit' })}` : ''}`;
+}
+
+// Answers the office hasn't acted on yet: accepted quotes move their job
+// from quoted to in progress, and both kinds get noted on the job and quote.
+// [{ share, job }] - job is null when it's gone or not loaded.
+export function findResponsesToApply(shares, jobs) {
+  return shares
+    .filter(share => RESPONSE_DECISIONS.includes(share.status) && share.response && !share.appliedAt)
+    .map(share => ({ share, job: jobs.find(job => job.id === share.jobId) || null }));
+}
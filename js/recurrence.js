@@ -0,0 +1,245 @@
+// Recurring jobs - maintenance contracts that repeat on a schedule
+//
+// Kept free of Firebase imports like the job model. A series is a document in
+// `jobSeries` for one client and site:
+//   businessId, clientId, client, address, name, trade, rrule, startDate,
+//   templateId, tasks, valueCents, assignedWorker, assignedUserId, contractRef,
+//   notes, active, lastOccurrence, lastJobId, createdBy, createdAt, updatedAt
+// `rrule` is an iCalendar recurrence rule - FREQ, INTERVAL, COUNT and UNTIL
+// are understood, e.g. 'FREQ=MONTHLY;INTERVAL=6' for every six months.
+// Occurrences are counted from startDate, so a service done late doesn't push
+// the rest back. Each occurrence is an ordinary job with seriesId, occurrence
+// (1 for the first) and dueDate; the next one is created when it's completed.
+import { normaliseStatus } from './job-model.js';
+import { addDaysToDate, startOfDay, toDate } from './schedule.js';
+
+export const FREQUENCIES = {
+  DAILY: { label: 'day', plural: 'days' },
+  WEEKLY: { label: 'week', plural: 'weeks' },
+  MONTHLY: { label: 'month', plural: 'months' },
+  YEARLY: { label: 'year', plural: 'years' }
+};
+
+// Common maintenance schedules for the series form
+export const RULE_PRESETS = [
+  { rrule: 'FREQ=WEEKLY;INTERVAL=1', label: 'Weekly' },
+  { rrule: 'FREQ=WEEKLY;INTERVAL=2', label: 'Fortnightly' },
+  { rrule: 'FREQ=MONTHLY;INTERVAL=1', label: 'Monthly' },
+  { rrule: 'FREQ=MONTHLY;INTERVAL=3', label: 'Quarterly' },
+  { rrule: 'FREQ=MONTHLY;INTERVAL=6', label: 'Every 6 months' },
+  { rrule: 'FREQ=YEARLY;INTERVAL=1', label: 'Yearly' },
+  { rrule: 'FREQ=YEARLY;INTERVAL=2', label: 'Every 2 years' }
+];
+
+// Services due within this many days show as upcoming on the dashboard
+export const UPCOMING_DAYS = 30;
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// { freq, interval, count, until } from an RRULE string, with or without the
+// 'RRULE:' prefix. Throws for rules this app can't follow.
+export function parseRRule(text) {
+  const rule = { freq: null, interval: 1, count: null, until: null };
+
+  String(text || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value = ''] = part.split('=');
+    switch (key.trim().toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.trim().toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'UNTIL': {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value.trim());
+        if (!match) throw new Error(`Can't read the end date "${value}"`);
+        rule.until = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        break;
+      }
+      default:
+        throw new Error(`Repeat rules with ${key} aren't supported`);
+    }
+  });
+
+  if (!FREQUENCIES[rule.freq]) throw new Error('Choose how often the job repeats');
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) throw new Error('The repeat interval must be a whole number of at least 1');
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) throw new Error('The number of services must be a whole number of at least 1');
+  return rule;
+}
+
+export function formatRRule({ freq, interval = 1, count = null, until = null }) {
+  const parts = [`FREQ=${freq}`, `INTERVAL=${interval}`];
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) {
+    const pad = (n) => String(n).padStart(2, '0');
+    parts.push(`UNTIL=${until.getFullYear()}${pad(until.getMonth() + 1)}${pad(until.getDate())}`);
+  }
+  return parts.join(';');
+}
+
+// How often, in words - 'Every 6 months', 'Yearly, 5 times'
+export function describeRule(rrule) {
+  let rule;
+  try {
+    rule = parseRRule(rrule);
+  } catch {
+    return 'Unknown schedule';
+  }
+  const preset = RULE_PRESETS.find(p => p.rrule === formatRRule({ freq: rule.freq, interval: rule.interval }));
+  const frequency = FREQUENCIES[rule.freq];
+  let text = preset ? preset.label : `Every ${rule.interval} ${rule.interval === 1 ? frequency.label : frequency.plural}`;
+  if (rule.count) text += `, ${rule.count} ${rule.count === 1 ? 'time' : 'times'}`;
+  if (rule.until) text += ` until ${rule.until.toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+  return text;
+}
+
+// Months later, keeping to the last day of shorter months (31 Jan -> 28 Feb)
+function addMonths(date, months) {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+}
+
+// Due date of an occurrence (1 for the first), or null once the rule has run out
+export function getOccurrenceDate(rrule, startDate, occurrence) {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const start = startOfDay(toDate(startDate));
+  const steps = (occurrence - 1) * rule.interval;
+  if (occurrence < 1 || (rule.count && occurrence > rule.count)) return null;
+
+  let date;
+  switch (rule.freq) {
+    case 'DAILY':
+      date = addDaysToDate(start, steps);
+      break;
+    case 'WEEKLY':
+      date = addDaysToDate(start, steps * 7);
+      break;
+    case 'MONTHLY':
+      date = addMonths(start, steps);
+      break;
+    default:
+      date = addMonths(start, steps * 12);
+  }
+  return rule.until && date > rule.until ? null : date;
+}
+
+export function isClosed(job) {
+  return CLOSED_STATUSES.includes(normaliseStatus(job.status));
+}
+
+export function getSeriesJobs(series, jobs) {
+  return jobs
+    .filter(job => job.seriesId === series.id)
+    .sort((a, b) => (a.occurrence || 0) - (b.occurrence || 0));
+}
+
+// The open occurrence of a series, if there is one
+export function getOpenOccurrence(series, jobs) {
+  return getSeriesJobs(series, jobs).find(job => !isClosed(job)) || null;
+}
+
+// The first occurrence after `last` that falls after `after`, so a service
+// finished late doesn't leave the next one already overdue: { occurrence, dueDate }
+// or null when the series has run out
+export function getNextOccurrence(series, last, after) {
+  const day = startOfDay(after);
+  for (let occurrence = last + 1; ; occurrence++) {
+    const dueDate = getOccurrenceDate(series.rrule, series.startDate, occurrence);
+    if (!dueDate) return null;
+    if (dueDate > day) return { occurrence, dueDate };
+  }
+}
+
+// Series whose latest job has been completed (or cancelled, or deleted), with
+// what to do next: [{ series, occurrence, dueDate }] to create the next job,
+// or [{ series, finished: true }] when the rule has run out. `jobs` must be
+// every job in the business.
+export function findSeriesToAdvance(seriesList, jobs, now = new Date()) {
+  const results = [];
+
+  seriesList.filter(series => series.active !== false).forEach(series => {
+    const seriesJobs = getSeriesJobs(series, jobs);
+    const last = series.lastOccurrence || 0;
+    const latest = seriesJobs.find(job => job.occurrence === last);
+    if (latest && !isClosed(latest)) return;
+    // A queued offline job hasn't reached the server yet
+    if (latest?.pendingSync) return;
+
+    const closedAt = latest ? getClosedAt(latest) || now : now;
+    const next = getNextOccurrence(series, last, last === 0 ? addDaysToDate(toDate(series.startDate), -1) : closedAt);
+    results.push(next ? { series, ...next } : { series, finished: true });
+  });
+  return results;
+}
+
+// When a job was completed or cancelled, from its status history
+function getClosedAt(job) {
+  const entry = [...(job.statusHistory || [])].reverse().find(item => CLOSED_STATUSES.includes(item.to));
+  return entry ? toDate(entry.at) : null;
+}
+
+// Fields for the job for one occurrence. The caller adds the status, owner,
+// timestamps and any template fields.
+export function buildOccurrenceJob(series, { occurrence, dueDate }) {
+  const job = {
+    clientId: series.clientId,
+    client: series.client,
+    address: series.address,
+    trade: series.trade || '',
+    summary: series.name,
+    transcript: '',
+    recordings: [],
+    tasks: (series.tasks || []).map((text, index) => ({ id: `${series.id}-${occurrence}-${index}`, text, completed: false })),
+    materials: [],
+    labour: [],
+    valueCents: series.valueCents || 0,
+    seriesId: series.id,
+    occurrence,
+    dueDate
+  };
+  if (series.assignedWorker) {
+    job.assignedWorker = series.assignedWorker;
+    job.assignedUserId = series.assignedUserId || null;
+  }
+  return job;
+}
+
+// Open services with a due date, for the dashboard: { overdue, upcoming },
+// each earliest first. Upcoming covers the next UPCOMING_DAYS days.
+export function getServicesDue(jobs, now = new Date()) {
+  const today = startOfDay(now);
+  const horizon = addDaysToDate(today, UPCOMING_DAYS + 1);
+  const due = jobs
+    .filter(job => job.seriesId && !isClosed(job) && toDate(job.dueDate))
+    .map(job => ({ job, dueDate: toDate(job.dueDate) }))
+    .sort((a, b) => a.dueDate - b.dueDate);
+
+  return {
+    overdue: due.filter(({ dueDate }) => dueDate < today),
+    upcoming: due.filter(({ dueDate }) => dueDate >= today && dueDate < horizon)
+  };
+}
+
+// Whole days from one date to another, ignoring the time of day
+export function daysBetween(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / (24 * 60 * 60 * 1000));
+}
+
+// Problems with a series before it's saved, as messages to show
+export function validateSeries({ name, address, rrule, startDate }) {
+  const errors = [];
+  if (!name?.trim()) errors.push('Give the service a name, e.g. Annual smoke alarm check');
+  if (!address?.trim()) errors.push('Choose the site address');
+  if (!toDate(startDate)) errors.push('Choose when the first service is due');
+  try {
+    parseRRule(rrule);
+  } catch (error) {
+    errors.push(error.message);
+  }
+  return errors;
+}
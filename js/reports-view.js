@@ -0,0 +1,415 @@
+// Reports page - revenue, quote conversion, value by trade and aging, with CSV export
+import { downloadFile, escapeHtml } from './utils.js';
+import { formatMoney } from './job-model.js';
+import { subscribeToBusinessDocuments } from './billing.js';
+import { canSeePricing, getSession } from './session.js';
+import { parseDay, toDate, toDayValue } from './schedule.js';
+import {
+  RANGE_PRESETS,
+  averageValueByTrade,
+  getPresetRange,
+  invoiceAging,
+  monthlyRevenue,
+  quoteAging,
+  quoteConversion
+} from './reports.js';
+import { centsToCsvAmount, toCsv } from './csv.js';
+
+const CHART_COLORS = {
+  invoiced: '#93c5fd',
+  paid: '#16a34a',
+  won: '#16a34a',
+  lost: '#ef4444',
+  open: '#d1d5db'
+};
+
+// Longest lists shown under the aging charts; the CSV has everything
+const AGING_ROWS = 8;
+
+// Report state survives leaving the page and coming back
+let rangePreset = 'last12Months';
+let range = getPresetRange(rangePreset);
+let reportJobs = [];
+let billingDocs = { businessId: null, quotes: [], invoices: [], loaded: false };
+let billingUnsubscribe = null;
+
+export function renderReportsView(jobs) {
+  const view = document.getElementById('reportsView');
+  if (!view) return;
+  reportJobs = jobs;
+
+  // Field staff can't read quotes, invoices or job values
+  if (!canSeePricing()) {
+    view.innerHTML = `
+      <div class="max-w-3xl mx-auto p-6">
+        <div class="bg-white rounded-lg shadow p-8 text-center text-sm text-gray-600">
+            Reports are available to owners and office staff.
+        </div>
+      </div>
+    `;
+    return;
+  }
+
+  ensureBillingSubscription();
+
+  const reports = buildReports();
+  view.innerHTML = `
+    <div class="max-w-6xl mx-auto p-6">
+      <div class="flex flex-wrap items-end justify-between gap-3 mb-4">
+          <div>
+              <a href="#/" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-1">
+                  <i class="fas fa-arrow-left mr-1"></i>Dashboard
+              </a>
+              <h2 class="text-xl font-semibold text-gray-900">Reports</h2>
+          </div>
+          <div class="flex flex-wrap items-end gap-3">
+              ${renderRangePicker()}
+              <a href="#/reports/accounting" class="px-3 py-1 rounded-lg border text-sm text-gray-700 hover:bg-gray-50">
+                  <i class="fas fa-file-export mr-1"></i>Accounting export
+              </a>
+          </div>
+      </div>
+
+      ${billingDocs.loaded ? '' : '<p class="text-sm text-gray-500 mb-4"><i class="fas fa-spinner fa-spin mr-1"></i>Loading quotes and invoices...</p>'}
+
+      ${renderSummary(reports)}
+
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          ${renderSection('revenue', 'Monthly revenue', renderRevenue(reports.revenue))}
+          ${renderSection('conversion', 'Quote conversion', renderConversion(reports.conversion))}
+          ${renderSection('trades', 'Average job value by trade', renderTrades(reports.trades))}
+          ${renderSection('invoiceAging', 'Unpaid invoices', renderInvoiceAging(reports.invoiceAging))}
+          ${renderSection('quoteAging', 'Quotes awaiting a reply', renderQuoteAging(reports.quoteAging))}
+      </div>
+    </div>
+  `;
+}
+
+// Stop listening when the page closes or the user signs out
+export function resetReportsView() {
+  if (billingUnsubscribe) billingUnsubscribe();
+  billingUnsubscribe = null;
+  billingDocs = { businessId: null, quotes: [], invoices: [], loaded: false };
+  reportJobs = [];
+}
+
+function ensureBillingSubscription() {
+  const { businessId } = getSession();
+  if (!businessId || billingDocs.businessId === businessId) return;
+
+  if (billingUnsubscribe) billingUnsubscribe();
+  billingDocs = { businessId, quotes: [], invoices: [], loaded: false };
+  billingUnsubscribe = subscribeToBusinessDocuments(businessId, ({ quotes, invoices }) => {
+    billingDocs = { businessId, quotes, invoices, loaded: true };
+    rerender();
+  });
+}
+
+function rerender() {
+  const view = document.getElementById('reportsView');
+  if (view && !view.classList.contains('hidden')) renderReportsView(reportJobs);
+}
+
+function buildReports() {
+  const now = new Date();
+  return {
+    revenue: monthlyRevenue(billingDocs.invoices, range),
+    conversion: quoteConversion(reportJobs, billingDocs.quotes, range),
+    trades: averageValueByTrade(reportJobs, range),
+    invoiceAging: invoiceAging(billingDocs.invoices, now),
+    quoteAging: quoteAging(billingDocs.quotes, reportJobs, now)
+  };
+}
+
+function renderRangePicker() {
+  return `
+    <form onsubmit="event.preventDefault();" onchange="setReportRange(this)" class="flex flex-wrap items-end gap-2 text-sm">
+        <select name="preset" class="border rounded-lg px-2 py-1">
+            ${Object.entries(RANGE_PRESETS).map(([key, label]) => `
+                <option value="${key}" ${key === rangePreset ? 'selected' : ''}>${escapeHtml(label)}</option>
+            `).join('')}
+            <option value="custom" ${rangePreset === 'custom' ? 'selected' : ''}>Custom dates</option>
+        </select>
+        <label class="text-xs text-gray-500">From
+            <input type="date" name="from" value="${range.from}" class="block border rounded px-2 py-1 text-sm">
+        </label>
+        <label class="text-xs text-gray-500">To
+            <input type="date" name="to" value="${range.to}" class="block border rounded px-2 py-1 text-sm">
+        </label>
+    </form>
+  `;
+}
+
+function renderSummary({ revenue, conversion, invoiceAging: unpaid, quoteAging: waiting }) {
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+  const cards = [
+    { label: 'Invoiced', value: formatMoney(sum(revenue, 'invoicedCents'), { showCents: false }), detail: `${sum(revenue, 'invoiceCount')} invoices` },
+    { label: 'Paid', value: formatMoney(sum(revenue, 'paidCents'), { showCents: false }), detail: 'Payments received' },
+    { label: 'Quotes won', value: formatPercent(conversion.totals.rate), detail: `${conversion.totals.won} of ${conversion.totals.quoted} quoted` },
+    { label: 'Unpaid', value: formatMoney(sum(unpaid.buckets, 'totalCents'), { showCents: false }), detail: `${unpaid.items.length} invoices, ${waiting.items.length} quotes waiting` }
+  ];
+
+  return `
+    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        ${cards.map(card => `
+            <div class="bg-white rounded-lg shadow p-4">
+                <div class="text-xs text-gray-500">${escapeHtml(card.label)}</div>
+                <div class="text-2xl font-semibold text-gray-900">${escapeHtml(card.value)}</div>
+                <div class="text-xs text-gray-500">${escapeHtml(card.detail)}</div>
+            </div>
+        `).join('')}
+    </div>
+  `;
+}
+
+function renderSection(report, title, body) {
+  return `
+    <section class="bg-white rounded-lg shadow p-4">
+        <div class="flex items-center justify-between mb-3">
+            <h3 class="font-semibold text-gray-900">${escapeHtml(title)}</h3>
+            <button onclick="exportReport('${report}')" class="text-sm text-blue-600 hover:underline">
+                <i class="fas fa-file-csv mr-1"></i>Export CSV
+            </button>
+        </div>
+        ${body}
+    </section>
+  `;
+}
+
+function renderRevenue(rows) {
+  return `
+    ${renderColumnChart(rows, [
+      { key: 'invoicedCents', label: 'Invoiced', color: CHART_COLORS.invoiced },
+      { key: 'paidCents', label: 'Paid', color: CHART_COLORS.paid }
+    ], { format: cents => formatMoney(cents, { showCents: false }) })}
+  `;
+}
+
+function renderConversion({ months, totals }) {
+  if (totals.quoted === 0) return renderEmpty('No jobs were quoted in this period.');
+
+  return `
+    ${renderColumnChart(months, [
+      { key: 'won', label: 'Won', color: CHART_COLORS.won },
+      { key: 'lost', label: 'Lost', color: CHART_COLORS.lost },
+      { key: 'open', label: 'Waiting', color: CHART_COLORS.open }
+    ], { stacked: true, format: count => String(count) })}
+    <p class="text-sm text-gray-600 mt-2">
+        ${totals.won} won, ${totals.lost} lost and ${totals.open} still open out of ${totals.quoted} quoted
+        - <span class="font-medium text-gray-900">${formatPercent(totals.rate)}</span> conversion,
+        worth ${formatMoney(totals.wonCents, { showCents: false })}.
+    </p>
+  `;
+}
+
+function renderTrades(rows) {
+  if (rows.length === 0) return renderEmpty('No priced jobs were created in this period.');
+
+  return renderBarList(rows.map(row => ({
+    label: row.label,
+    value: row.averageCents,
+    display: formatMoney(row.averageCents, { showCents: false }),
+    detail: `${row.jobCount} ${row.jobCount === 1 ? 'job' : 'jobs'}`
+  })), '#2563eb');
+}
+
+function renderInvoiceAging({ buckets, items }) {
+  if (items.length === 0) return renderEmpty('Every invoice has been paid.');
+
+  return `
+    ${renderAgingBars(buckets, ['#16a34a', '#facc15', '#f97316', '#ef4444', '#991b1b'])}
+    ${renderAgingList(items, invoice => `${invoice.daysOverdue > 0 ? `${invoice.daysOverdue} days overdue` : 'Not yet due'}`)}
+  `;
+}
+
+function renderQuoteAging({ buckets, items }) {
+  if (items.length === 0) return renderEmpty('No quotes are waiting on a reply.');
+
+  return `
+    ${renderAgingBars(buckets, ['#16a34a', '#facc15', '#f97316', '#ef4444'])}
+    ${renderAgingList(items, quote => `${quote.daysWaiting} days${quote.expired ? ' · expired' : ''}`)}
+  `;
+}
+
+function renderAgingBars(buckets, colors) {
+  return renderBarList(buckets.map((bucket, i) => ({
+    label: bucket.label,
+    value: bucket.totalCents,
+    display: formatMoney(bucket.totalCents, { showCents: false }),
+    detail: `${bucket.count}`,
+    color: colors[i]
+  })));
+}
+
+function renderAgingList(items, describe) {
+  return `
+    <div class="mt-4 border-t text-sm">
+        ${items.slice(0, AGING_ROWS).map(item => `
+            <div onclick="selectJob('${item.jobId}')" class="flex justify-between gap-3 py-2 border-b last:border-b-0 hover:bg-gray-50 cursor-pointer">
+                <div class="min-w-0">
+                    <span class="font-medium text-gray-900">${escapeHtml(item.number)}</span>
+                    <span class="text-gray-600 truncate">${escapeHtml(item.client || '')}</span>
+                </div>
+                <div class="text-right whitespace-nowrap">
+                    <span class="text-gray-500 text-xs mr-2">${escapeHtml(describe(item))}</span>
+                    <span class="font-medium">${formatMoney(item.totalCents)}</span>
+                </div>
+            </div>
+        `).join('')}
+        ${items.length > AGING_ROWS ? `<p class="pt-2 text-xs text-gray-500">And ${items.length - AGING_ROWS} more in the CSV export</p>` : ''}
+    </div>
+  `;
+}
+
+function renderEmpty(message) {
+  return `<p class="py-8 text-center text-sm text-gray-500">${escapeHtml(message)}</p>`;
+}
+
+// Charts - plain SVG and divs, scaled to the largest value
+
+function renderColumnChart(rows, series, { stacked = false, format }) {
+  const width = 600;
+  const height = 200;
+  const top = 16;
+  const bottom = 24;
+  const plotHeight = height - top - bottom;
+  const totals = rows.map(row => stacked
+    ? series.reduce((sum, s) => sum + row[s.key], 0)
+    : Math.max(...series.map(s => row[s.key])));
+  const max = Math.max(1, ...totals);
+  const slot = width / Math.max(1, rows.length);
+  const barWidth = stacked ? slot * 0.6 : (slot * 0.7) / series.length;
+  const scale = (value) => (value / max) * plotHeight;
+
+  const bars = rows.map((row, i) => {
+    const x = i * slot + (slot - (stacked ? barWidth : barWidth * series.length)) / 2;
+    let y = top + plotHeight;
+    const rects = series.map((s, j) => {
+      const h = scale(row[s.key]);
+      const rect = stacked
+        ? `<rect x="${x}" y="${y - h}" width="${barWidth}" height="${h}" fill="${s.color}"><title>${escapeHtml(`${row.label} ${s.label}: ${format(row[s.key])}`)}</title></rect>`
+        : `<rect x="${x + j * barWidth}" y="${top + plotHeight - h}" width="${barWidth - 1}" height="${h}" fill="${s.color}"><title>${escapeHtml(`${row.label} ${s.label}: ${format(row[s.key])}`)}</title></rect>`;
+      if (stacked) y -= h;
+      return rect;
+    }).join('');
+
+    // Skip labels when months are too crowded to read
+    const step = Math.ceil(rows.length / 12);
+    const label = i % step === 0
+      ? `<text x="${i * slot + slot / 2}" y="${height - 6}" text-anchor="middle" font-size="10" fill="#6b7280">${escapeHtml(row.label)}</text>`
+      : '';
+    return rects + label;
+  }).join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img">
+        <line x1="0" y1="${top + plotHeight}" x2="${width}" y2="${top + plotHeight}" stroke="#e5e7eb"></line>
+        <text x="0" y="10" font-size="10" fill="#6b7280">${escapeHtml(format(max))}</text>
+        ${bars}
+    </svg>
+    <div class="flex gap-4 text-xs text-gray-600 mt-1">
+        ${series.map(s => `<span><span class="inline-block w-3 h-3 rounded-sm mr-1 align-middle" style="background:${s.color}"></span>${escapeHtml(s.label)}</span>`).join('')}
+    </div>
+  `;
+}
+
+function renderBarList(rows, color) {
+  const max = Math.max(1, ...rows.map(row => row.value));
+  return `
+    <div class="space-y-2">
+        ${rows.map(row => `
+            <div class="text-sm">
+                <div class="flex justify-between">
+                    <span class="text-gray-700">${escapeHtml(row.label)}</span>
+                    <span class="text-gray-900 font-medium">${escapeHtml(row.display)} <span class="text-xs text-gray-500 font-normal">(${escapeHtml(row.detail)})</span></span>
+                </div>
+                <div class="h-2 bg-gray-100 rounded">
+                    <div class="h-2 rounded" style="width:${(row.value / max) * 100}%; background:${row.color || color}"></div>
+                </div>
+            </div>
+        `).join('')}
+    </div>
+  `;
+}
+
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function formatCsvDate(value) {
+  const date = toDate(value);
+  return date ? toDayValue(date) : '';
+}
+
+// CSV export - the same rows the page shows, with amounts in dollars
+
+const CSV_REPORTS = {
+  revenue: () => toCsv(buildReports().revenue, [
+    { label: 'Month', value: row => row.month },
+    { label: 'Invoices', value: row => row.invoiceCount },
+    { label: 'Invoiced', value: row => centsToCsvAmount(row.invoicedCents) },
+    { label: 'Paid', value: row => centsToCsvAmount(row.paidCents) }
+  ]),
+  conversion: () => toCsv(buildReports().conversion.months, [
+    { label: 'Month', value: row => row.month },
+    { label: 'Quoted', value: row => row.quoted },
+    { label: 'Won', value: row => row.won },
+    { label: 'Lost', value: row => row.lost },
+    { label: 'Open', value: row => row.open },
+    { label: 'Conversion %', value: row => (row.rate * 100).toFixed(1) },
+    { label: 'Won value', value: row => centsToCsvAmount(row.wonCents) }
+  ]),
+  trades: () => toCsv(buildReports().trades, [
+    { label: 'Trade', value: row => row.label },
+    { label: 'Jobs', value: row => row.jobCount },
+    { label: 'Total value', value: row => centsToCsvAmount(row.totalCents) },
+    { label: 'Average value', value: row => centsToCsvAmount(row.averageCents) }
+  ]),
+  invoiceAging: () => toCsv(buildReports().invoiceAging.items, [
+    { label: 'Invoice', value: row => row.number },
+    { label: 'Client', value: row => row.client },
+    { label: 'Issued', value: row => formatCsvDate(row.issuedAt) },
+    { label: 'Due', value: row => formatCsvDate(row.dueDate) },
+    { label: 'Days overdue', value: row => Math.max(0, row.daysOverdue) },
+    { label: 'Aging', value: row => row.bucket },
+    { label: 'Total', value: row => centsToCsvAmount(row.totalCents) }
+  ]),
+  quoteAging: () => toCsv(buildReports().quoteAging.items, [
+    { label: 'Quote', value: row => row.number },
+    { label: 'Client', value: row => row.client },
+    { label: 'Issued', value: row => formatCsvDate(row.issuedAt) },
+    { label: 'Valid until', value: row => formatCsvDate(row.validUntil) },
+    { label: 'Days waiting', value: row => row.daysWaiting },
+    { label: 'Expired', value: row => row.expired ? 'Yes' : 'No' },
+    { label: 'Total', value: row => centsToCsvAmount(row.totalCents) }
+  ])
+};
+
+// Handlers
+
+function setReportRange(form) {
+  const preset = form.preset.value;
+  if (preset !== rangePreset && RANGE_PRESETS[preset]) {
+    rangePreset = preset;
+    range = getPresetRange(preset);
+  } else if (form.from.value && form.to.value) {
+    // Typed dates make it a custom range; keep it the right way round
+    const [from, to] = [form.from.value, form.to.value].sort((a, b) => parseDay(a) - parseDay(b));
+    rangePreset = 'custom';
+    range = { from, to };
+  }
+  renderReportsView(reportJobs);
+}
+
+function exportReport(report) {
+  const build = CSV_REPORTS[report];
+  if (!build) return;
+
+  // Aging is as of today; the other reports cover the chosen range
+  const period = report.endsWith('Aging') ? toDayValue(new Date()) : `${range.from}-to-${range.to}`;
+  downloadFile(build(), `tradieiq-${report.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}-${period}.csv`, 'text/csv');
+}
+
+// Export functions for inline handlers
+window.setReportRange = setReportRange;
+window.exportReport = exportReport;
@@ -0,0 +1,254 @@
+// Reports - revenue, quote conversion, value by trade and aging
+//
+// Kept free of Firebase imports like the job model, so the numbers can be
+// checked against fixture jobs, quotes and invoices. Date ranges are
+// { from, to } as "YYYY-MM-DD" strings, both days included.
+import { getJobValueCents, getTradeLabel, normaliseStatus } from './job-model.js';
+import { parseDay, startOfDay, toDate, toDayValue } from './schedule.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const RANGE_PRESETS = {
+  thisMonth: 'This month',
+  last3Months: 'Last 3 months',
+  last12Months: 'Last 12 months',
+  financialYear: 'This financial year',
+  lastFinancialYear: 'Last financial year'
+};
+
+// Days past the due date for unpaid invoices
+export const INVOICE_AGING_BUCKETS = [
+  { key: 'current', label: 'Not yet due', min: -Infinity, max: 0 },
+  { key: '1-30', label: '1-30 days', min: 1, max: 30 },
+  { key: '31-60', label: '31-60 days', min: 31, max: 60 },
+  { key: '61-90', label: '61-90 days', min: 61, max: 90 },
+  { key: '90+', label: 'Over 90 days', min: 91, max: Infinity }
+];
+
+// Days since a quote was issued without the client saying yes or no
+export const QUOTE_AGING_BUCKETS = [
+  { key: '0-7', label: 'Under a week', min: -Infinity, max: 7 },
+  { key: '8-14', label: '1-2 weeks', min: 8, max: 14 },
+  { key: '15-30', label: '2-4 weeks', min: 15, max: 30 },
+  { key: '30+', label: 'Over a month', min: 31, max: Infinity }
+];
+
+// { from, to } for a preset. The Australian financial year starts on 1 July.
+export function getPresetRange(preset, now = new Date()) {
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  const fyStart = month >= 6 ? year : year - 1;
+  const monthsBack = (count) => new Date(year, month - count + 1, 1);
+
+  const ranges = {
+    thisMonth: [new Date(year, month, 1), now],
+    last3Months: [monthsBack(3), now],
+    last12Months: [monthsBack(12), now],
+    financialYear: [new Date(fyStart, 6, 1), now],
+    lastFinancialYear: [new Date(fyStart - 1, 6, 1), new Date(fyStart, 5, 30)]
+  };
+  const [from, to] = ranges[preset] || ranges.last12Months;
+  return { from: toDayValue(from), to: toDayValue(to) };
+}
+
+// Millisecond bounds for a range; a missing end is open
+function rangeBounds({ from = null, to = null } = {}) {
+  return {
+    start: from ? parseDay(from).setHours(0, 0, 0, 0) : -Infinity,
+    end: to ? parseDay(to).setHours(23, 59, 59, 999) : Infinity
+  };
+}
+
+function inRange(value, bounds) {
+  const date = toDate(value);
+  if (!date) return false;
+  const time = date.getTime();
+  return time >= bounds.start && time <= bounds.end;
+}
+
+function monthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+export function formatMonthLabel(key) {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-AU', { month: 'short', year: 'numeric' });
+}
+
+// "YYYY-MM" for every month the range touches, oldest first
+export function listMonths({ from, to }) {
+  const start = parseDay(from);
+  const end = parseDay(to);
+  const months = [];
+  for (let date = new Date(start.getFullYear(), start.getMonth(), 1); date <= end; date.setMonth(date.getMonth() + 1)) {
+    months.push(monthKey(date));
+  }
+  return months;
+}
+
+// Whole days from `from` to `to`, counted in calendar days
+function daysBetween(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY);
+}
+
+function findBucket(buckets, days) {
+  return buckets.find(bucket => days >= bucket.min && days <= bucket.max);
+}
+
+// Invoiced and paid totals per month. Invoices count in the month they were
+// issued; payments in the month they were paid.
+export function monthlyRevenue(invoices, range) {
+  const bounds = rangeBounds(range);
+  const rows = new Map(listMonths(range).map(month => [month, {
+    month,
+    label: formatMonthLabel(month),
+    invoiceCount: 0,
+    invoicedCents: 0,
+    paidCents: 0
+  }]));
+
+  for (const invoice of invoices) {
+    const issued = toDate(invoice.issuedAt);
+    if (issued && inRange(issued, bounds)) {
+      const row = rows.get(monthKey(issued));
+      if (row) {
+        row.invoiceCount += 1;
+        row.invoicedCents += invoice.totalCents || 0;
+      }
+    }
+
+    const paid = invoice.status === 'paid' ? toDate(invoice.paidAt) : null;
+    if (paid && inRange(paid, bounds)) {
+      const row = rows.get(monthKey(paid));
+      if (row) row.paidCents += invoice.totalCents || 0;
+    }
+  }
+
+  return [...rows.values()];
+}
+
+// When a job was first quoted: its earliest quote, or the first time it
+// moved to quoted (for jobs quoted outside the app)
+function getQuotedAt(job, quotesByJob) {
+  const times = [
+    ...(quotesByJob.get(job.id) || []).map(quote => toDate(quote.issuedAt)),
+    ...(job.statusHistory || []).filter(entry => entry.to === 'quoted').map(entry => toDate(entry.at))
+  ].filter(Boolean);
+  return times.length ? new Date(Math.min(...times)) : null;
+}
+
+function groupQuotesByJob(quotes) {
+  const byJob = new Map();
+  for (const quote of quotes) {
+    if (!byJob.has(quote.jobId)) byJob.set(quote.jobId, []);
+    byJob.get(quote.jobId).push(quote);
+  }
+  return byJob;
+}
+
+// What happened to a quoted job: won once work starts, lost if cancelled
+export function getQuoteOutcome(job) {
+  const status = normaliseStatus(job.status);
+  if (status === 'in_progress' || status === 'completed') return 'won';
+  if (status === 'cancelled') return 'lost';
+  return 'open';
+}
+
+// Jobs first quoted in the range and how many were won, per month and in
+// total. The rate is won out of all quoted, so open quotes count against it.
+export function quoteConversion(jobs, quotes, range) {
+  const bounds = rangeBounds(range);
+  const quotesByJob = groupQuotesByJob(quotes);
+  const empty = () => ({ quoted: 0, won: 0, lost: 0, open: 0, wonCents: 0 });
+  const months = new Map(listMonths(range).map(month => [month, { month, label: formatMonthLabel(month), ...empty() }]));
+  const totals = empty();
+
+  for (const job of jobs) {
+    const quotedAt = getQuotedAt(job, quotesByJob);
+    if (!quotedAt || !inRange(quotedAt, bounds)) continue;
+
+    const outcome = getQuoteOutcome(job);
+    for (const row of [months.get(monthKey(quotedAt)), totals]) {
+      if (!row) continue;
+      row.quoted += 1;
+      row[outcome] += 1;
+      if (outcome === 'won') row.wonCents += getJobValueCents(job);
+    }
+  }
+
+  const withRate = (row) => ({ ...row, rate: row.quoted ? row.won / row.quoted : 0 });
+  return { months: [...months.values()].map(withRate), totals: withRate(totals) };
+}
+
+// Average value of jobs created in the range, by trade, highest total first.
+// Cancelled jobs and jobs with no value yet are left out.
+export function averageValueByTrade(jobs, range) {
+  const bounds = rangeBounds(range);
+  const trades = new Map();
+
+  for (const job of jobs) {
+    const value = getJobValueCents(job);
+    if (!inRange(job.createdAt, bounds) || value <= 0 || normaliseStatus(job.status) === 'cancelled') continue;
+
+    const trade = job.trade || '';
+    if (!trades.has(trade)) trades.set(trade, { trade, label: getTradeLabel(trade), jobCount: 0, totalCents: 0 });
+    const row = trades.get(trade);
+    row.jobCount += 1;
+    row.totalCents += value;
+  }
+
+  return [...trades.values()]
+    .map(row => ({ ...row, averageCents: Math.round(row.totalCents / row.jobCount) }))
+    .sort((a, b) => b.totalCents - a.totalCents);
+}
+
+function summariseBuckets(buckets, items) {
+  return buckets.map(bucket => {
+    const matching = items.filter(item => item.bucket === bucket.key);
+    return {
+      key: bucket.key,
+      label: bucket.label,
+      count: matching.length,
+      totalCents: matching.reduce((sum, item) => sum + (item.totalCents || 0), 0)
+    };
+  });
+}
+
+// Unpaid invoices by how far past due they are, most overdue first
+export function invoiceAging(invoices, now = new Date()) {
+  const items = invoices
+    .filter(invoice => invoice.status !== 'paid' && toDate(invoice.dueDate))
+    .map(invoice => {
+      const daysOverdue = daysBetween(toDate(invoice.dueDate), now);
+      return { ...invoice, daysOverdue, bucket: findBucket(INVOICE_AGING_BUCKETS, daysOverdue).key };
+    })
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+
+  return { buckets: summariseBuckets(INVOICE_AGING_BUCKETS, items), items };
+}
+
+// The latest quote for each job still waiting on the client, oldest first
+export function quoteAging(quotes, jobs, now = new Date()) {
+  const waiting = new Set(jobs.filter(job => normaliseStatus(job.status) === 'quoted').map(job => job.id));
+  const latest = new Map();
+  for (const quote of quotes) {
+    if (!waiting.has(quote.jobId) || !toDate(quote.issuedAt)) continue;
+    const current = latest.get(quote.jobId);
+    if (!current || toDate(quote.issuedAt) > toDate(current.issuedAt)) latest.set(quote.jobId, quote);
+  }
+
+  const items = [...latest.values()]
+    .map(quote => {
+      const daysWaiting = daysBetween(toDate(quote.issuedAt), now);
+      const validUntil = toDate(quote.validUntil);
+      return {
+        ...quote,
+        daysWaiting,
+        expired: !!validUntil && validUntil < now,
+        bucket: findBucket(QUOTE_AGING_BUCKETS, daysWaiting).key
+      };
+    })
+    .sort((a, b) => b.daysWaiting - a.daysWaiting);
+
+  return { buckets: summariseBuckets(QUOTE_AGING_BUCKETS, items), items };
+}
@@ -0,0 +1,114 @@
+// Hash router - every page has a URL so deep links, refresh and the back button work
+//
+//   #/                         dashboard
+//   #/jobs                     all jobs, with search and filters
+//   #/jobs/new                 opens the new job form (the home screen shortcut)
+//   #/jobs/{jobId}[/{tab}]     job detail, optionally on a tab
+//   #/clients/{clientId}       client page
+//   #/calendar                 schedule
+//   #/map                      the day's jobs on a map, route planning and the travel log
+//   #/reports                  revenue, conversion and aging reports
+//   #/reports/accounting       Xero and MYOB invoice export
+//   #/settings                 profile and business details
+//   #/settings/team            team and invites
+//   #/settings/price-book      materials and labour prices
+//   #/settings/templates[/{templateId}]  job templates, or one template ('new' for a new one)
+//   #/settings/messages        client email and SMS templates
+//   #/settings/forms[/{formTemplateId}]  safety forms, or the builder for one ('new' for a new one)
+//   #/settings/data            importing clients and jobs, spreadsheet exports and backups
+//   #/signin, #/signup, #/reset-password
+
+const ROUTES = [
+  { name: 'dashboard', pattern: [] },
+  { name: 'jobs', pattern: ['jobs'] },
+  { name: 'newJob', pattern: ['jobs', 'new'] },
+  { name: 'job', pattern: ['jobs', ':jobId'] },
+  { name: 'job', pattern: ['jobs', ':jobId', ':tab'] },
+  { name: 'client', pattern: ['clients', ':clientId'] },
+  { name: 'calendar', pattern: ['calendar'] },
+  { name: 'map', pattern: ['map'] },
+  { name: 'reports', pattern: ['reports'] },
+  { name: 'accounting', pattern: ['reports', 'accounting'] },
+  { name: 'settings', pattern: ['settings'] },
+  { name: 'team', pattern: ['settings', 'team'] },
+  { name: 'priceBook', pattern: ['settings', 'price-book'] },
+  { name: 'templates', pattern: ['settings', 'templates'] },
+  { name: 'templates', pattern: ['settings', 'templates', ':templateId'] },
+  { name: 'messageTemplates', pattern: ['settings', 'messages'] },
+  { name: 'forms', pattern: ['settings', 'forms'] },
+  { name: 'forms', pattern: ['settings', 'forms', ':formTemplateId'] },
+  { name: 'importExport', pattern: ['settings', 'data'] },
+  { name: 'signIn', pattern: ['signin'] },
+  { name: 'signUp', pattern: ['signup'] },
+  { name: 'resetPassword', pattern: ['reset-password'] }
+];
+
+// Pages for signed-out users
+export const AUTH_ROUTES = ['signIn', 'signUp', 'resetPassword'];
+
+// { name, params } for a location hash; unknown paths, and hashes with broken
+// %-escapes (which decodeURIComponent throws on), go to the dashboard
+export function parseRoute(hash) {
+  let segments;
+  try {
+    segments = (hash || '').replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return { name: 'dashboard', params: {} };
+  }
+
+  for (const route of ROUTES) {
+    if (route.pattern.length !== segments.length) continue;
+
+    const params = {};
+    const matches = route.pattern.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = segments[i];
+        return true;
+      }
+      return part === segments[i];
+    });
+    if (matches) return { name: route.name, params };
+  }
+
+  return { name: 'dashboard', params: {} };
+}
+
+// Hash for a route, e.g. buildHash('job', { jobId: 'abc', tab: 'billing' }) -> '#/jobs/abc/billing'
+export function buildHash(name, params = {}) {
+  // The longest pattern whose parameters are all given, so optional ones are used when present
+  const route = ROUTES
+    .filter(r => r.name === name)
+    .sort((a, b) => b.pattern.length - a.pattern.length)
+    .find(r => r.pattern.every(part => !part.startsWith(':') || params[part.slice(1)]));
+  if (!route) throw new Error(`Unknown route: ${name}`);
+
+  const path = route.pattern
+    .map(part => part.startsWith(':') ? encodeURIComponent(params[part.slice(1)]) : part)
+    .join('/');
+  return `#/${path}`;
+}
+
+export function getCurrentRoute() {
+  return parseRoute(window.location.hash);
+}
+
+// Go to a route. `replace` swaps the current history entry, for moves the
+// back button shouldn't step through (tabs, redirects).
+export function navigate(name, params = {}, { replace = false } = {}) {
+  const hash = buildHash(name, params);
+  if (window.location.hash === hash) return;
+
+  if (replace) {
+    window.location.replace(hash);
+  } else {
+    window.location.hash = hash;
+  }
+}
+
+// Call onRoute with the current route now and whenever the hash changes
+export function startRouter(onRoute) {
+  const handle = () => onRoute(getCurrentRoute());
+  window.addEventListener('hashchange', handle);
+  handle();
+  return () => window.removeEventListener('hashchange', handle);
+}
@@ -0,0 +1,169 @@
+// Route planning and travel - distances between job sites, the order to visit
+// them in, and the travel log kept for tax
+//
+// Kept free of Firebase imports like the job model. Distances are straight
+// lines stretched by ROAD_FACTOR to allow for the roads, which is close enough
+// to plan a day and to suggest kilometres for the log; the tradie corrects the
+// log from the odometer if it's off.
+import { getWorkerName, jobsOnDay, toDate } from './schedule.js';
+import { normaliseStatus } from './job-model.js';
+
+const EARTH_RADIUS_KM = 6371;
+export const ROAD_FACTOR = 1.3;
+export const AVERAGE_SPEED_KMH = 45;
+
+// Jobs on the map besides the day's bookings
+const ACTIVE_STATUSES = ['new', 'in_progress'];
+
+const MAX_KM = 2000;
+const MAX_MINUTES = 24 * 60;
+
+export function hasLocation(item) {
+  const location = item?.location;
+  return !!location && Number.isFinite(location.lat) && Number.isFinite(location.lng);
+}
+
+// Straight-line km between two { lat, lng }
+export function distanceKm(a, b) {
+  const rad = (degrees) => degrees * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Likely driving { km, minutes } between two { lat, lng }
+export function estimateTravel(a, b) {
+  const km = distanceKm(a, b) * ROAD_FACTOR;
+  return {
+    km: Math.round(km * 10) / 10,
+    minutes: Math.round(km / AVERAGE_SPEED_KMH * 60)
+  };
+}
+
+// Legs from `start` (a { location } or null to start at the first stop)
+// through each stop in order: [{ from, to, km, minutes }]
+export function getRouteLegs(start, stops) {
+  const points = start ? [start, ...stops] : stops;
+  return points.slice(1).map((to, i) => ({ from: points[i], to, ...estimateTravel(points[i].location, to.location) }));
+}
+
+export function sumLegs(legs) {
+  return legs.reduce((total, leg) => ({
+    km: Math.round((total.km + leg.km) * 10) / 10,
+    minutes: total.minutes + leg.minutes
+  }), { km: 0, minutes: 0 });
+}
+
+function pathKm(start, stops) {
+  const points = start ? [start, ...stops] : stops;
+  let km = 0;
+  for (let i = 1; i < points.length; i++) km += distanceKm(points[i - 1].location, points[i].location);
+  return km;
+}
+
+// The stops in an order that cuts the distance driven: nearest first from
+// `start`, then improved by reversing stretches of the route (2-opt) while
+// that makes it shorter. The route ends at the last stop - it doesn't have
+// to come back. Stops need a location.
+export function orderStops(start, stops) {
+  if (stops.length < 2) return [...stops];
+
+  const remaining = [...stops];
+  const ordered = [];
+  let here = start || remaining.shift();
+  if (!start) ordered.push(here);
+
+  while (remaining.length) {
+    let nearest = 0;
+    remaining.forEach((stop, i) => {
+      if (distanceKm(here.location, stop.location) < distanceKm(here.location, remaining[nearest].location)) nearest = i;
+    });
+    here = remaining.splice(nearest, 1)[0];
+    ordered.push(here);
+  }
+
+  // Without a start the first stop is free to move too
+  let route = ordered;
+  let best = pathKm(start, route);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < route.length - 1; i++) {
+      for (let j = i + 1; j < route.length; j++) {
+        const candidate = [...route.slice(0, i), ...route.slice(i, j + 1).reverse(), ...route.slice(j + 1)];
+        const km = pathKm(start, candidate);
+        if (km < best - 1e-9) {
+          route = candidate;
+          best = km;
+          improved = true;
+        }
+      }
+    }
+  }
+  return route;
+}
+
+// A day's bookings for the map - for one worker's name, or everyone's when
+// `worker` is blank - in booked order: [{ job, schedule }]
+export function getDayStops(jobs, day, worker = '') {
+  return jobsOnDay(jobs, day).filter(({ job }) => !worker || getWorkerName(job) === worker);
+}
+
+// Jobs under way that aren't booked in on the day, shown greyed out on the map
+export function getOtherActiveJobs(jobs, dayStops) {
+  const booked = new Set(dayStops.map(({ job }) => job.id));
+  return jobs.filter(job => !booked.has(job.id) && ACTIVE_STATUSES.includes(normaliseStatus(job.status)));
+}
+
+// Google Maps directions through the stops, for the phone's navigation app
+export function buildDirectionsUrl(startAddress, addresses) {
+  if (!addresses.length) return '';
+  const params = new URLSearchParams({ api: '1', travelmode: 'driving' });
+  const stops = [...addresses];
+  params.set('destination', stops.pop());
+  if (startAddress) params.set('origin', startAddress);
+  if (stops.length) params.set('waypoints', stops.join('|'));
+  return `https://www.google.com/maps/dir/?${params.toString()}`;
+}
+
+// Problems with a travel log entry, as messages to show
+export function validateTravelEntry({ day, km, minutes }, now = new Date()) {
+  const errors = [];
+  if (!(day instanceof Date) || isNaN(day)) errors.push('Pick the day of the trip');
+  else if (day > now) errors.push('Trips can\'t be logged ahead of time');
+  if (!Number.isFinite(km) || km <= 0) errors.push('Enter the kilometres driven');
+  else if (km > MAX_KM) errors.push(`That's more than ${MAX_KM} km - check the distance`);
+  if (!Number.isFinite(minutes) || minutes < 0) errors.push('Enter the travel time in minutes');
+  else if (minutes > MAX_MINUTES) errors.push('Travel time is more than a day - check the minutes');
+  return errors;
+}
+
+export function summariseTravel(entries) {
+  return entries.reduce((total, entry) => ({
+    trips: total.trips + 1,
+    km: Math.round((total.km + (Number(entry.km) || 0)) * 10) / 10,
+    minutes: total.minutes + (Number(entry.minutes) || 0)
+  }), { trips: 0, km: 0, minutes: 0 });
+}
+
+// Australian financial year (1 July - 30 June) that a date falls in: { start, end, label }
+export function getFinancialYear(date = new Date()) {
+  const startYear = date.getMonth() >= 6 ? date.getFullYear() : date.getFullYear() - 1;
+  return {
+    start: new Date(startYear, 6, 1),
+    end: new Date(startYear + 1, 6, 1),
+    label: `${startYear}-${String(startYear + 1).slice(2)}`
+  };
+}
+
+export function entriesInRange(entries, { start, end }) {
+  return entries.filter(entry => {
+    const day = toDate(entry.day);
+    return day && day >= start && day < end;
+  });
+}
+
+export function formatKm(km) {
+  return `${(Number(km) || 0).toLocaleString('en-AU', { maximumFractionDigits: 1 })} km`;
+}
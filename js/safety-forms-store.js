@@ -0,0 +1,177 @@
+// Safety form templates and the forms filled in on jobs
+//
+// formTemplates/{templateId}   businessId, name, kind, requiredFor, fields
+// jobForms/{formId}            businessId, jobId, templateId, name, kind, fields,
+//                              values, status ('draft' | 'completed')
+//
+// Signatures are small PNG data URLs stored on the form; photos are job
+// attachments, referenced from the form by id. Starting, completing, reopening
+// and deleting a form go on the job's activity timeline.
+//
+// Completing a form also adds its template to the job's completedForms, and
+// the business keeps the templates it requires in requiredForms - the rules
+// use the two to stop a job being completed with forms outstanding.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  arrayUnion,
+  arrayRemove,
+  query,
+  where,
+  onSnapshot,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import { getFormsToRecord, normaliseFormTemplate, validateForm } from './safety-forms.js';
+import { formActivity } from './activity.js';
+import { addActivity } from './activity-store.js';
+import { toDate } from './schedule.js';
+
+export function subscribeToFormTemplates(businessId, callback) {
+  const templatesQuery = query(collection(db, 'formTemplates'), where('businessId', '==', businessId));
+  return onSnapshot(templatesQuery, (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'en-AU', { sensitivity: 'base' })));
+  }, (error) => {
+    console.error('Error loading form templates:', error);
+  });
+}
+
+// Creates the template when it has no id yet; returns its id
+export async function saveFormTemplate(businessId, template) {
+  const { id, createdAt, ...fields } = normaliseFormTemplate(template);
+  const ref = id ? doc(db, 'formTemplates', id) : doc(collection(db, 'formTemplates'));
+  await setDoc(ref, {
+    ...fields,
+    businessId,
+    createdAt: createdAt || Timestamp.now(),
+    updatedAt: Timestamp.now()
+  });
+  return ref.id;
+}
+
+// Add several templates at once, e.g. the starter forms
+export async function addFormTemplates(businessId, templates) {
+  const batch = writeBatch(db);
+  templates.forEach(template => {
+    const { key, ...fields } = normaliseFormTemplate(template);
+    batch.set(doc(collection(db, 'formTemplates')), {
+      ...fields,
+      starterKey: key || null,
+      businessId,
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+  });
+  await batch.commit();
+}
+
+export async function deleteFormTemplate(templateId) {
+  await deleteDoc(doc(db, 'formTemplates', templateId));
+}
+
+// `requiredForms` is from buildRequiredForms()
+export async function updateRequiredForms(businessId, requiredForms) {
+  await updateDoc(doc(db, 'businesses', businessId), { requiredForms });
+}
+
+// A job's forms, oldest first
+export function subscribeToJobForms(job, callback) {
+  const formsQuery = query(
+    collection(db, 'jobForms'),
+    where('businessId', '==', job.businessId),
+    where('jobId', '==', job.id)
+  );
+  return onSnapshot(formsQuery, (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (toDate(a.createdAt)?.getTime() || 0) - (toDate(b.createdAt)?.getTime() || 0)));
+  }, (error) => {
+    console.error('Error loading job forms:', error);
+  });
+}
+
+// `form` is from startForm(); returns the new form's id
+export async function createJobForm(job, form, userId) {
+  const ref = doc(collection(db, 'jobForms'));
+  const batch = writeBatch(db);
+  batch.set(ref, {
+    ...form,
+    businessId: job.businessId,
+    userId,
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  });
+  addActivity(batch, job, formActivity({ ...form, id: ref.id }, 'started'));
+  await batch.commit();
+  return ref.id;
+}
+
+function formJob(form) {
+  return { id: form.jobId, businessId: form.businessId };
+}
+
+// One field at a time, so two workers signing on at once don't overwrite each other's answers
+export async function updateJobFormValue(formId, fieldId, value) {
+  await updateDoc(doc(db, 'jobForms', formId), { [`values.${fieldId}`]: value, updatedAt: Timestamp.now() });
+}
+
+// Lock the form once everything required is filled in. Throws with what's missing.
+export async function completeJobForm(form, userId) {
+  const problems = validateForm(form);
+  if (problems.length) throw new Error(problems[0]);
+
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'jobForms', form.id), {
+    values: form.values,
+    status: 'completed',
+    completedBy: userId,
+    completedAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  });
+  batch.update(doc(db, 'jobs', form.jobId), { completedForms: arrayUnion(form.templateId), completedFormId: form.id });
+  addActivity(batch, formJob(form), formActivity(form, 'completed'));
+  await batch.commit();
+}
+
+// Note forms completed before jobs kept a note of them, so the job can be
+// completed. The rules take one template per write.
+export async function recordCompletedForms(job, forms) {
+  await Promise.all(getFormsToRecord(job, forms).map(form =>
+    updateDoc(doc(db, 'jobs', job.id), { completedForms: arrayUnion(form.templateId), completedFormId: form.id })));
+}
+
+// Take a completed form's template off the job unless another completed form covers it.
+// `forms` are the job's forms.
+function uncompleteForm(batch, form, forms) {
+  if (form.status !== 'completed') return;
+  const covered = forms.some(other => other.id !== form.id && other.status === 'completed' && other.templateId === form.templateId);
+  if (!covered) batch.update(doc(db, 'jobs', form.jobId), { completedForms: arrayRemove(form.templateId) });
+}
+
+// Office staff can reopen a completed form to correct it
+export async function reopenJobForm(form, forms) {
+  const batch = writeBatch(db);
+  batch.update(doc(db, 'jobForms', form.id), {
+    status: 'draft',
+    completedBy: null,
+    completedAt: null,
+    updatedAt: Timestamp.now()
+  });
+  uncompleteForm(batch, form, forms);
+  addActivity(batch, formJob(form), formActivity(form, 'reopened'));
+  await batch.commit();
+}
+
+export async function deleteJobForm(form, forms) {
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'jobForms', form.id));
+  uncompleteForm(batch, form, forms);
+  addActivity(batch, formJob(form), formActivity(form, 'deleted'));
+  await batch.commit();
+}
@@ -0,0 +1,301 @@
+// Safety and compliance forms - SWMS, JSAs, compliance certificates and checklists
+//
+// Kept free of Firebase imports like the job model. A form template is a list
+// of fields built in settings; starting a form on a job copies the fields, so
+// editing a template later doesn't change forms already filled in. Templates
+// can be required for every job or for certain trades, and a job can't be
+// completed until each required form has been. The rules check that too (see
+// firestore.rules): the business keeps the required template ids and each job
+// the templates it has completed forms for, so imports and queued offline
+// changes can't complete a job without them either.
+import { getTradeLabel } from './job-model.js';
+import { parseDay, toDate, toDayValue } from './schedule.js';
+
+export const FORM_KINDS = {
+  swms: 'Safe Work Method Statement',
+  jsa: 'Job Safety Analysis',
+  certificate: 'Compliance certificate',
+  checklist: 'Checklist'
+};
+
+// Field types in the form builder. `hasItems` fields take a list of items.
+export const FIELD_TYPES = {
+  heading: { label: 'Section heading' },
+  text: { label: 'Short text' },
+  textarea: { label: 'Long text' },
+  date: { label: 'Date' },
+  checklist: { label: 'Checklist (yes / no / N/A)', hasItems: true },
+  hazards: { label: 'Site hazards and controls' },
+  photo: { label: 'Photos' },
+  signature: { label: 'Signature' },
+  workerSignatures: { label: 'Worker sign-on (everyone on site signs)' }
+};
+
+export const CHECKLIST_ANSWERS = { yes: 'Yes', no: 'No', na: 'N/A' };
+
+// Risk before controls, as on a typical SWMS risk matrix
+export const RISK_LEVELS = { low: 'Low', medium: 'Medium', high: 'High', extreme: 'Extreme' };
+
+// Forms a new business can add from settings, based on the usual paper versions
+export const STARTER_FORMS = [
+  {
+    key: 'swms',
+    name: 'Safe Work Method Statement',
+    kind: 'swms',
+    requiredFor: { all: false, trades: ['building', 'roofing', 'electrical'] },
+    fields: [
+      { id: 'activity', type: 'textarea', label: 'Work activity', required: true },
+      { id: 'highRisk', type: 'checklist', label: 'High risk construction work involved', required: true, items: [
+        'Risk of a fall of more than 2 metres',
+        'Work on or near energised electrical installations',
+        'Trench or shaft deeper than 1.5 metres',
+        'Work in or near a confined space',
+        'Work that may disturb asbestos',
+        'Work on or near a road or rail corridor in use',
+        'Use of powered mobile plant'
+      ] },
+      { id: 'hazards', type: 'hazards', label: 'Hazards, risks and control measures', required: true },
+      { id: 'ppe', type: 'checklist', label: 'PPE on site', required: true, items: [
+        'Safety boots', 'High-visibility clothing', 'Hard hat', 'Eye protection', 'Hearing protection', 'Gloves', 'Fall arrest harness'
+      ] },
+      { id: 'workers', type: 'workerSignatures', label: 'Workers - I have read and understood this SWMS', required: true },
+      { id: 'supervisor', type: 'signature', label: 'Supervisor', required: true }
+    ]
+  },
+  {
+    key: 'jsa',
+    name: 'Job Safety Analysis',
+    kind: 'jsa',
+    requiredFor: { all: false, trades: [] },
+    fields: [
+      { id: 'task', type: 'text', label: 'Task', required: true },
+      { id: 'prestart', type: 'checklist', label: 'Pre-start checks', required: true, items: [
+        'Site inspected before starting',
+        'Isolation points identified and locked out',
+        'Tools and leads tagged and in date',
+        'Emergency plan and first aid kit on site',
+        'Client or occupants told about the work area'
+      ] },
+      { id: 'hazards', type: 'hazards', label: 'Job steps, hazards and controls', required: true },
+      { id: 'workers', type: 'workerSignatures', label: 'Workers on site', required: true }
+    ]
+  },
+  {
+    key: 'electricalCertificate',
+    name: 'Electrical certificate of testing and compliance',
+    kind: 'certificate',
+    requiredFor: { all: false, trades: ['electrical'] },
+    fields: [
+      { id: 'licence', type: 'text', label: 'Electrical contractor licence number', required: true },
+      { id: 'workDescription', type: 'textarea', label: 'Electrical installation work carried out', required: true },
+      { id: 'tests', type: 'checklist', label: 'Tests completed', required: true, items: [
+        'Visual inspection', 'Earthing system continuity', 'Insulation resistance', 'Polarity',
+        'Correct circuit connections', 'Fault loop impedance', 'RCD operation'
+      ] },
+      { id: 'results', type: 'textarea', label: 'Test results', required: false },
+      { id: 'photos', type: 'photo', label: 'Switchboard and work photos', required: false },
+      { id: 'testDate', type: 'date', label: 'Date tested', required: true },
+      { id: 'electrician', type: 'signature', label: 'Licensed electrician', required: true }
+    ]
+  },
+  {
+    key: 'plumbingCertificate',
+    name: 'Plumbing compliance certificate',
+    kind: 'certificate',
+    requiredFor: { all: false, trades: ['plumbing'] },
+    fields: [
+      { id: 'licence', type: 'text', label: 'Plumbing licence number', required: true },
+      { id: 'workDescription', type: 'textarea', label: 'Plumbing and drainage work carried out', required: true },
+      { id: 'checks', type: 'checklist', label: 'Compliance checks', required: true, items: [
+        'Work complies with AS/NZS 3500',
+        'Pressure tested',
+        'Backflow prevention installed where required',
+        'Tempering valve set to 50°C or below at outlets',
+        'Products are WaterMark certified'
+      ] },
+      { id: 'photos', type: 'photo', label: 'Photos of the work', required: false },
+      { id: 'completedDate', type: 'date', label: 'Date completed', required: true },
+      { id: 'plumber', type: 'signature', label: 'Licensed plumber', required: true }
+    ]
+  }
+];
+
+export function emptyFormTemplate() {
+  return { name: '', kind: 'checklist', requiredFor: { all: false, trades: [] }, fields: [] };
+}
+
+export function describeRequirement(template) {
+  const requiredFor = template.requiredFor || {};
+  if (requiredFor.all) return 'Required on every job';
+  if (requiredFor.trades?.length) return `Required on ${requiredFor.trades.map(getTradeLabel).join(', ')} jobs`;
+  return 'Optional';
+}
+
+// Templates a job must have completed forms for
+export function getRequiredTemplates(job, templates) {
+  return templates.filter(template => template.requiredFor?.all
+    || (job.trade && template.requiredFor?.trades?.includes(job.trade)));
+}
+
+// Required templates with no completed form on the job yet
+export function getOutstandingForms(job, templates, forms) {
+  const completed = new Set(forms
+    .filter(form => form.jobId === job.id && form.status === 'completed')
+    .map(form => form.templateId));
+  return getRequiredTemplates(job, templates).filter(template => !completed.has(template.id));
+}
+
+// Why a job can't be completed, or '' if it can
+export function getCompletionBlocker(job, templates, forms) {
+  const outstanding = getOutstandingForms(job, templates, forms);
+  if (outstanding.length === 0) return '';
+  return `Complete the ${outstanding.map(template => template.name).join(', ')} first`;
+}
+
+// What the business document keeps for the rules: { all: [ids], trades: { trade: [ids] } },
+// ids sorted so it can be compared with the saved copy
+export function buildRequiredForms(templates) {
+  const all = [];
+  const trades = {};
+  templates.forEach(template => {
+    if (template.requiredFor?.all) {
+      all.push(template.id);
+      return;
+    }
+    (template.requiredFor?.trades || []).forEach(trade => {
+      trades[trade] = [...(trades[trade] || []), template.id];
+    });
+  });
+  return {
+    all: all.sort(),
+    trades: Object.fromEntries(Object.keys(trades).sort().map(trade => [trade, trades[trade].sort()]))
+  };
+}
+
+export function isSameRequiredForms(a, b) {
+  const key = (value) => JSON.stringify({
+    all: [...(value?.all || [])].sort(),
+    trades: Object.entries(value?.trades || {}).map(([trade, ids]) => [trade, [...ids].sort()]).sort()
+  });
+  return key(a) === key(b);
+}
+
+// Completed forms the job doesn't note yet - from before jobs kept a note of
+// them - one per template
+export function getFormsToRecord(job, forms) {
+  const recorded = new Set(job.completedForms || []);
+  return forms.filter(form => {
+    if (form.jobId !== job.id || form.status !== 'completed' || recorded.has(form.templateId)) return false;
+    recorded.add(form.templateId);
+    return true;
+  });
+}
+
+function initialValue(field, { workers = [], now = new Date() }) {
+  switch (field.type) {
+    case 'checklist': return {};
+    case 'hazards': return [];
+    case 'photo': return [];
+    case 'signature': return null;
+    case 'workerSignatures': return workers.map(worker => ({ name: worker.name, userId: worker.userId || null, dataUrl: '', signedAt: null }));
+    case 'date': return toDayValue(now);
+    default: return '';
+  }
+}
+
+// The fields of a new form on a job. `workers` ({ name, userId }) start on the sign-on list.
+export function startForm(template, job, { workers = [], now = new Date() } = {}) {
+  const fields = (template.fields || []).map(field => field.items ? { ...field, items: [...field.items] } : { ...field });
+  const values = {};
+  fields.forEach(field => {
+    if (field.type !== 'heading') values[field.id] = initialValue(field, { workers, now });
+  });
+
+  return {
+    jobId: job.id,
+    templateId: template.id,
+    name: template.name,
+    kind: template.kind,
+    fields,
+    values,
+    status: 'draft'
+  };
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+// What's still missing before the form can be completed, as readable messages
+export function validateForm(form) {
+  const problems = [];
+  for (const field of form.fields || []) {
+    const value = form.values?.[field.id];
+    switch (field.type) {
+      case 'heading':
+        break;
+      case 'checklist': {
+        const unanswered = (field.items || []).filter((item, index) => !CHECKLIST_ANSWERS[value?.[index]]).length;
+        if (field.required && unanswered) problems.push(`Answer every item in ${field.label} (${unanswered} left)`);
+        break;
+      }
+      case 'hazards': {
+        const rows = (value || []).filter(row => !isBlank(row.hazard));
+        if (field.required && rows.length === 0) problems.push(`Record at least one hazard in ${field.label}`);
+        if (rows.some(row => isBlank(row.controls))) problems.push(`Add control measures for every hazard in ${field.label}`);
+        break;
+      }
+      case 'photo':
+        if (field.required && !(value || []).length) problems.push(`Add a photo to ${field.label}`);
+        break;
+      case 'signature':
+        if (field.required && !value?.dataUrl) problems.push(`${field.label} needs to sign`);
+        break;
+      case 'workerSignatures': {
+        const workers = value || [];
+        if (field.required && workers.length === 0) problems.push(`Add the workers on site to ${field.label}`);
+        const unsigned = workers.filter(worker => !worker.dataUrl);
+        if (unsigned.length) problems.push(`${unsigned.map(worker => worker.name || 'A worker').join(', ')} still ${unsigned.length === 1 ? 'needs' : 'need'} to sign`);
+        break;
+      }
+      default:
+        if (field.required && isBlank(value)) problems.push(`${field.label} is required`);
+    }
+  }
+  return problems;
+}
+
+// A template from the builder, cleaned up for saving. Throws if it can't be used.
+export function normaliseFormTemplate(template) {
+  const name = (template.name || '').trim();
+  if (!name) throw new Error('Give the form a name');
+
+  const fields = (template.fields || [])
+    .map(field => ({
+      id: field.id,
+      type: FIELD_TYPES[field.type] ? field.type : 'text',
+      label: (field.label || '').trim(),
+      required: field.type === 'heading' ? false : !!field.required,
+      ...(FIELD_TYPES[field.type]?.hasItems ? { items: (field.items || []).map(item => item.trim()).filter(Boolean) } : {})
+    }))
+    .filter(field => field.label);
+  if (fields.filter(field => field.type !== 'heading').length === 0) throw new Error('Add at least one field to the form');
+  const empty = fields.find(field => field.items && field.items.length === 0);
+  if (empty) throw new Error(`Add items to ${empty.label}`);
+
+  return {
+    ...template,
+    name,
+    kind: FORM_KINDS[template.kind] ? template.kind : 'checklist',
+    requiredFor: {
+      all: !!template.requiredFor?.all,
+      trades: [...new Set(template.requiredFor?.trades || [])]
+    },
+    fields
+  };
+}
+
+export function formatFormDate(value) {
+  const date = typeof value === 'string' ? parseDay(value) : toDate(value);
+  return date && !isNaN(date.getTime()) ? date.toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' }) : '';
+}
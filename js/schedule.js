@@ -0,0 +1,254 @@
+// Job scheduling - scheduled times, worker clashes and iCalendar export
+//
+// Kept free of Firebase imports like the job model. Scheduled times may be
+// Firestore Timestamps, Dates or anything `new Date()` accepts.
+import { normaliseStatus } from './job-model.js';
+
+export const DEFAULT_DURATION_MINUTES = 120;
+
+// Calendar hours shown in the day and week views
+export const DAY_START_HOUR = 6;
+export const DAY_END_HOUR = 19;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export function toDate(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// A date input's "YYYY-MM-DD" as local midnight (new Date() would read it as UTC)
+export function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+}
+
+export function isScheduled(job) {
+  return !!toDate(job.scheduledStart);
+}
+
+// { start, end } for a scheduled job, or null. A missing or backwards end
+// time falls back to the default duration.
+export function getJobSchedule(job) {
+  const start = toDate(job.scheduledStart);
+  if (!start) return null;
+
+  let end = toDate(job.scheduledEnd);
+  if (!end || end <= start) {
+    end = new Date(start.getTime() + DEFAULT_DURATION_MINUTES * MINUTE);
+  }
+  return { start, end };
+}
+
+export function getWorkerName(job) {
+  return (job.assignedWorker || '').trim();
+}
+
+export function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+// Weeks start on Monday
+export function startOfWeek(date) {
+  const day = startOfDay(date);
+  const offset = (day.getDay() + 6) % 7;
+  day.setDate(day.getDate() - offset);
+  return day;
+}
+
+export function addDaysToDate(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+export function isSameDay(a, b) {
+  return startOfDay(a).getTime() === startOfDay(b).getTime();
+}
+
+// Scheduled jobs overlapping the given day, earliest first. Cancelled jobs are left off.
+export function jobsOnDay(jobs, day) {
+  const dayStart = startOfDay(day).getTime();
+  const dayEnd = dayStart + DAY;
+
+  return jobs
+    .filter(job => normaliseStatus(job.status) !== 'cancelled')
+    .map(job => ({ job, schedule: getJobSchedule(job) }))
+    .filter(({ schedule }) => schedule && schedule.start.getTime() < dayEnd && schedule.end.getTime() > dayStart)
+    .sort((a, b) => a.schedule.start - b.schedule.start);
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// Pairs of jobs that book the same worker at the same time. Jobs with no
+// assigned worker, and cancelled or completed jobs, can't clash.
+// Completed and cancelled jobs no longer hold their booking. Statuses are
+// normalised first, so older jobs' statuses count the same.
+function holdsBooking(job) {
+  return !['cancelled', 'completed'].includes(normaliseStatus(job.status));
+}
+
+export function findClashes(jobs) {
+  const byWorker = new Map();
+  jobs.forEach(job => {
+    const worker = getWorkerName(job).toLowerCase();
+    const schedule = getJobSchedule(job);
+    if (!worker || !schedule || !holdsBooking(job)) return;
+    if (!byWorker.has(worker)) byWorker.set(worker, []);
+    byWorker.get(worker).push({ job, ...schedule });
+  });
+
+  const clashes = [];
+  byWorker.forEach(entries => {
+    entries.sort((a, b) => a.start - b.start);
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length && entries[j].start < entries[i].end; j++) {
+        clashes.push({ worker: getWorkerName(entries[i].job), jobs: [entries[i].job, entries[j].job] });
+      }
+    }
+  });
+  return clashes;
+}
+
+// Jobs that would clash with `job` if it were booked for `worker` from start to end
+export function findClashesFor(jobs, job, { start, end, worker = getWorkerName(job) }) {
+  const name = (worker || '').trim().toLowerCase();
+  if (!name) return [];
+
+  return jobs.filter(other => {
+    if (other.id === job.id || getWorkerName(other).toLowerCase() !== name) return false;
+    if (!holdsBooking(other)) return false;
+    const schedule = getJobSchedule(other);
+    return schedule && overlaps(schedule, { start, end });
+  });
+}
+
+export function getClashingJobIds(jobs) {
+  const ids = new Set();
+  findClashes(jobs).forEach(clash => clash.jobs.forEach(job => ids.add(job.id)));
+  return ids;
+}
+
+// New start and end for a job dragged to `start`, keeping its length
+export function moveSchedule(job, start) {
+  const schedule = getJobSchedule(job);
+  const duration = schedule ? schedule.end - schedule.start : DEFAULT_DURATION_MINUTES * MINUTE;
+  return { start, end: new Date(start.getTime() + duration) };
+}
+
+// Distinct worker names across the jobs, for pickers and filters
+export function listWorkers(jobs) {
+  const names = new Map();
+  jobs.forEach(job => {
+    const name = getWorkerName(job);
+    if (name && !names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+  });
+  return [...names.values()].sort((a, b) => a.localeCompare(b));
+}
+
+// Value for an <input type="datetime-local">, in local time
+export function toDateTimeInputValue(value) {
+  const date = toDate(value);
+  if (!date) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// A Date as "YYYY-MM-DD" in local time, for <input type="date"> fields
+export function toDayValue(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function formatTime(date) {
+  return date.toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit' });
+}
+
+export function formatScheduleRange(job) {
+  const schedule = getJobSchedule(job);
+  if (!schedule) return 'Not scheduled';
+
+  const day = schedule.start.toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short' });
+  return `${day}, ${formatTime(schedule.start)} - ${formatTime(schedule.end)}`;
+}
+
+// iCalendar (RFC 5545)
+
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldIcsLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = new TextEncoder().encode(char).length;
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function buildIcsEvent(job, { stamp }) {
+  const { start, end } = getJobSchedule(job);
+  const worker = getWorkerName(job);
+  const description = [
+    job.summary,
+    worker ? `Assigned to: ${worker}` : '',
+    (job.tasks || []).length ? `Tasks:\n${job.tasks.map(task => `- ${task.text}`).join('\n')}` : ''
+  ].filter(Boolean).join('\n\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${job.id}@tradieiq`,
+    `DTSTAMP:${formatIcsDate(stamp)}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(job.client || 'Job')}`,
+    job.address ? `LOCATION:${escapeIcsText(job.address)}` : null,
+    description ? `DESCRIPTION:${escapeIcsText(description)}` : null,
+    normaliseStatus(job.status) === 'cancelled' ? 'STATUS:CANCELLED' : 'STATUS:CONFIRMED',
+    'END:VEVENT'
+  ].filter(Boolean);
+}
+
+// Build an .ics calendar of the scheduled jobs. Event UIDs are the job ids, so
+// importing a newer export updates events instead of duplicating them.
+export function buildIcsCalendar(jobs, { name = 'TradieIQ jobs', stamp = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TradieIQ//Job Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...jobs.filter(isScheduled).flatMap(job => buildIcsEvent(job, { stamp })),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
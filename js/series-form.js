@@ -0,0 +1,216 @@
+// Recurring job dialog - set up or change a maintenance contract for a client's site
+import { escapeHtml } from './utils.js';
+import { TRADE_LABELS, TRADE_TYPES, centsToInputValue, parseMoneyToCents } from './job-model.js';
+import { RULE_PRESETS, FREQUENCIES, formatRRule, parseRRule, validateSeries } from './recurrence.js';
+import { parseDay, toDate, toDayValue } from './schedule.js';
+
+const CUSTOM = 'custom';
+
+function getDialog() {
+  let dialog = document.getElementById('seriesDialog');
+  if (!dialog) {
+    dialog = document.createElement('dialog');
+    dialog.id = 'seriesDialog';
+    dialog.className = 'app-sheet rounded-lg shadow-xl p-0 w-full max-w-lg';
+    document.body.appendChild(dialog);
+  }
+  return dialog;
+}
+
+// Open the dialog for `client`. Pass `series` to change one, or `job` to make
+// that job the first service of a new one. Resolves to the series fields, or
+// null if cancelled. Leave out askValue for users who can't see pricing.
+export function promptSeriesDetails({ client, series = null, job = null, templates = [], workers = [], askValue = true }) {
+  const dialog = getDialog();
+  const current = series || {
+    name: job?.summary?.split('\n')[0].slice(0, 80) || '',
+    address: job?.address || client.sites?.[0]?.address || '',
+    trade: job?.trade || '',
+    rrule: 'FREQ=YEARLY;INTERVAL=1',
+    startDate: toDate(job?.scheduledStart) || new Date(),
+    tasks: (job?.tasks || []).map(task => task.text),
+    valueCents: job?.valueCents || 0,
+    assignedWorker: job?.assignedWorker || '',
+    templateId: '',
+    contractRef: '',
+    notes: ''
+  };
+  const rule = parseRRule(current.rrule);
+  const basicRule = formatRRule({ freq: rule.freq, interval: rule.interval });
+  const preset = RULE_PRESETS.some(p => p.rrule === basicRule) ? basicRule : CUSTOM;
+  const addresses = [...new Set([current.address, ...(client.sites || []).map(site => site.address)].filter(Boolean))];
+
+  dialog.innerHTML = `
+    <form method="dialog" class="p-6 space-y-3 max-h-[90vh] overflow-y-auto">
+        <h2 class="text-lg font-semibold text-gray-900">${series ? 'Change recurring job' : 'New recurring job'}</h2>
+        <p class="text-sm text-gray-600">${escapeHtml(client.name)}${job ? ' - this job becomes the first service' : ''}</p>
+
+        <label class="block text-sm font-medium text-gray-700">Service
+            <input type="text" name="serviceName" required value="${escapeHtml(current.name)}" placeholder="e.g. Annual smoke alarm check" class="mt-1 w-full px-3 py-2 border rounded-lg">
+        </label>
+
+        <label class="block text-sm font-medium text-gray-700">Site
+            <select name="address" class="mt-1 w-full px-3 py-2 border rounded-lg" ${job ? 'disabled' : ''}>
+                ${addresses.map(address => `<option value="${escapeHtml(address)}" ${address === current.address ? 'selected' : ''}>${escapeHtml(address)}</option>`).join('')}
+            </select>
+        </label>
+
+        <div class="grid grid-cols-2 gap-3">
+            <label class="block text-sm font-medium text-gray-700">Repeats
+                <select name="preset" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                    ${RULE_PRESETS.map(p => `<option value="${p.rrule}" ${p.rrule === preset ? 'selected' : ''}>${escapeHtml(p.label)}</option>`).join('')}
+                    <option value="${CUSTOM}" ${preset === CUSTOM ? 'selected' : ''}>Custom...</option>
+                </select>
+            </label>
+            <label class="block text-sm font-medium text-gray-700">${job ? 'This service was due' : 'First service due'}
+                <input type="date" name="startDate" required value="${toDayValue(toDate(current.startDate))}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+        </div>
+
+        <div data-section="custom" class="flex items-center gap-2 text-sm text-gray-700">
+            Every
+            <input type="number" name="interval" min="1" step="1" value="${rule.interval}" class="w-20 px-3 py-2 border rounded-lg">
+            <select name="freq" class="px-3 py-2 border rounded-lg">
+                ${Object.entries(FREQUENCIES).map(([freq, { plural }]) => `<option value="${freq}" ${freq === rule.freq ? 'selected' : ''}>${plural}</option>`).join('')}
+            </select>
+        </div>
+
+        <div class="grid grid-cols-2 gap-3">
+            <label class="block text-sm font-medium text-gray-700">Ends
+                <select name="ends" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                    <option value="never" ${!rule.count && !rule.until ? 'selected' : ''}>Until stopped</option>
+                    <option value="count" ${rule.count ? 'selected' : ''}>After a number of services</option>
+                    <option value="until" ${rule.until ? 'selected' : ''}>On a date</option>
+                </select>
+            </label>
+            <label data-section="count" class="block text-sm font-medium text-gray-700">Services
+                <input type="number" name="count" min="1" step="1" value="${rule.count || 4}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+            <label data-section="until" class="block text-sm font-medium text-gray-700">Last date
+                <input type="date" name="until" value="${rule.until ? toDayValue(rule.until) : ''}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+        </div>
+
+        <label class="block text-sm font-medium text-gray-700">Assigned to
+            <input type="text" name="assignedWorker" value="${escapeHtml(current.assignedWorker || '')}" list="seriesWorkerOptions" placeholder="Anyone" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            <datalist id="seriesWorkerOptions">
+                ${workers.map(name => `<option value="${escapeHtml(name)}">`).join('')}
+            </datalist>
+        </label>
+
+        <details ${series || job ? '' : 'open'}>
+            <summary class="cursor-pointer text-sm text-blue-600 py-1">Work and contract details</summary>
+            <div class="space-y-3 pt-2">
+                ${templates.length && !job ? `
+                    <label class="block text-sm font-medium text-gray-700">Template
+                        <select name="templateId" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                            <option value="">None</option>
+                            ${templates.map(template => `<option value="${template.id}" ${template.id === current.templateId ? 'selected' : ''}>${escapeHtml(template.name)}</option>`).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+                <label class="block text-sm font-medium text-gray-700">Tasks <span class="font-normal text-gray-500">(one per line)</span>
+                    <textarea name="tasks" rows="3" class="mt-1 w-full px-3 py-2 border rounded-lg">${escapeHtml((current.tasks || []).join('\n'))}</textarea>
+                </label>
+                <div class="grid grid-cols-2 gap-3">
+                    <label class="block text-sm font-medium text-gray-700">Trade
+                        <select name="trade" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                            <option value="">Not specified</option>
+                            ${TRADE_TYPES.map(trade => `<option value="${trade}" ${trade === current.trade ? 'selected' : ''}>${escapeHtml(TRADE_LABELS[trade])}</option>`).join('')}
+                        </select>
+                    </label>
+                    ${askValue ? `
+                        <label class="block text-sm font-medium text-gray-700">Price per service
+                            <input type="text" name="value" inputmode="decimal" value="${current.valueCents ? centsToInputValue(current.valueCents) : ''}" placeholder="From the template" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                        </label>
+                    ` : ''}
+                </div>
+                <label class="block text-sm font-medium text-gray-700">Contract reference
+                    <input type="text" name="contractRef" value="${escapeHtml(current.contractRef || '')}" placeholder="Optional" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                </label>
+                <label class="block text-sm font-medium text-gray-700">Notes
+                    <textarea name="notes" rows="2" class="mt-1 w-full px-3 py-2 border rounded-lg">${escapeHtml(current.notes || '')}</textarea>
+                </label>
+            </div>
+        </details>
+
+        <p data-section="error" class="hidden text-sm text-red-600"></p>
+
+        <div class="flex justify-end gap-2 pt-2">
+            <button type="button" data-action="cancel" class="px-4 py-2 rounded-lg border hover:bg-gray-50">Cancel</button>
+            <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">${series ? 'Save' : 'Start recurring job'}</button>
+        </div>
+    </form>
+  `;
+
+  const form = dialog.querySelector('form');
+  const section = (name) => dialog.querySelector(`[data-section="${name}"]`);
+
+  const sync = () => {
+    section('custom').classList.toggle('hidden', form.preset.value !== CUSTOM);
+    section('count').classList.toggle('hidden', form.ends.value !== 'count');
+    section('until').classList.toggle('hidden', form.ends.value !== 'until');
+  };
+  form.preset.addEventListener('change', sync);
+  form.ends.addEventListener('change', sync);
+  sync();
+
+  const readRule = () => {
+    const base = form.preset.value === CUSTOM
+      ? { freq: form.freq.value, interval: parseInt(form.interval.value, 10) }
+      : parseRRule(form.preset.value);
+    return formatRRule({
+      freq: base.freq,
+      interval: base.interval,
+      count: form.ends.value === 'count' ? parseInt(form.count.value, 10) : null,
+      until: form.ends.value === 'until' && form.until.value ? parseDay(form.until.value) : null
+    });
+  };
+
+  return new Promise((resolve) => {
+    const showError = (message) => {
+      section('error').textContent = message;
+      section('error').classList.remove('hidden');
+    };
+
+    dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => dialog.close('cancel'));
+
+    form.addEventListener('submit', (event) => {
+      const fields = {
+        name: form.serviceName.value.trim(),
+        address: form.address.value,
+        rrule: readRule(),
+        startDate: form.startDate.value ? parseDay(form.startDate.value) : null,
+        assignedWorker: form.assignedWorker.value.trim(),
+        templateId: form.templateId ? form.templateId.value : current.templateId || '',
+        tasks: form.tasks.value.split('\n').map(line => line.trim()).filter(Boolean),
+        trade: form.trade.value,
+        contractRef: form.contractRef.value.trim(),
+        notes: form.notes.value.trim()
+      };
+      if (form.value) fields.valueCents = parseMoneyToCents(form.value.value);
+      if (form.ends.value === 'until' && !form.until.value) {
+        event.preventDefault();
+        showError('Choose the date of the last service');
+        return;
+      }
+
+      const errors = validateSeries(fields);
+      if (errors.length) {
+        event.preventDefault();
+        showError(errors[0]);
+        return;
+      }
+
+      dialog.returnValue = 'save';
+      resolve(fields);
+    });
+
+    dialog.addEventListener('close', () => {
+      if (dialog.returnValue !== 'save') resolve(null);
+    }, { once: true });
+
+    dialog.returnValue = '';
+    dialog.showModal();
+  });
+}
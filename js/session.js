@@ -0,0 +1,57 @@
+// Signed-in user's business and role, and what that role is allowed to do
+//
+// Kept free of Firebase imports like the job model. The Firestore rules enforce
+// the same permissions; these helpers only decide what the UI shows.
+
+export const ROLES = ['owner', 'office', 'field'];
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  office: 'Office',
+  field: 'Field staff'
+};
+
+export const ROLE_DESCRIPTIONS = {
+  owner: 'Everything, including the team and business details',
+  office: 'All jobs, clients, pricing, quotes and invoices',
+  field: 'Only jobs assigned to them, with no pricing'
+};
+
+let session = { userId: null, businessId: null, businessName: '', role: null };
+
+export function setSession({ userId, businessId, businessName = '', role }) {
+  session = { userId, businessId, businessName, role };
+}
+
+export function clearSession() {
+  session = { userId: null, businessId: null, businessName: '', role: null };
+}
+
+export function getSession() {
+  return { ...session };
+}
+
+export function getRoleLabel(role) {
+  return ROLE_LABELS[role] || 'Member';
+}
+
+// Owners and office staff see every job in the business and what it's worth
+export function isStaffRole(role = session.role) {
+  return role === 'owner' || role === 'office';
+}
+
+export function canSeePricing(role = session.role) {
+  return isStaffRole(role);
+}
+
+export function canSeeAllJobs(role = session.role) {
+  return isStaffRole(role);
+}
+
+export function canManageTeam(role = session.role) {
+  return role === 'owner';
+}
+
+export function canEditBusiness(role = session.role) {
+  return isStaffRole(role);
+}
@@ -0,0 +1,323 @@
+// Settings page - the signed-in user's profile and the business details on quotes and invoices.
+// On phones it's also the More tab, so it links to the pages the bottom bar has no room for.
+import { escapeHtml, showNotification } from './utils.js';
+import { canEditBusiness, canManageTeam, canSeePricing, getRoleLabel, getSession } from './session.js';
+import { DEFAULT_BUSINESS, deleteBusinessLogo, formatAbn, isValidAbn, saveBusinessProfile, uploadBusinessLogo } from './billing.js';
+import { updateMemberProfile } from './business.js';
+import { getAuthErrorMessage, needsEmailVerification, sendPasswordReset, updateDisplayName } from './auth.js';
+import { canInstall, promptInstall } from './pwa.js';
+
+// What the page is showing, for the form handlers
+let viewUser = null;
+let viewBusiness = null;
+let viewMember = null;
+let uploadingLogo = false;
+
+export function renderSettingsView({ user, business, member }) {
+  const view = document.getElementById('settingsView');
+  if (!view || !user || !business) return;
+  viewUser = user;
+  viewBusiness = business;
+  viewMember = member;
+
+  // Don't wipe a form that's being filled in when a snapshot arrives
+  const active = document.activeElement;
+  if (active && view.contains(active) && ['INPUT', 'TEXTAREA'].includes(active.tagName)) return;
+
+  const { role } = getSession();
+  const displayName = member?.displayName || user.displayName || '';
+  const hasPassword = user.providerData.some(provider => provider.providerId === 'password');
+
+  view.innerHTML = `
+    <div class="max-w-3xl mx-auto p-4 lg:p-6">
+      <a href="#/" class="hidden lg:inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to dashboard
+      </a>
+
+      ${renderPhoneLinks()}
+
+      <div class="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 class="text-lg font-semibold text-gray-900 mb-4">Your profile</h2>
+          <form onsubmit="event.preventDefault(); saveProfileSettings(this);" class="space-y-4">
+              <label class="block text-sm text-gray-700">Display name
+                  <input type="text" name="displayName" required value="${escapeHtml(displayName)}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+              </label>
+              <div class="text-sm text-gray-700">
+                  Email
+                  <div class="mt-1 flex items-center gap-2">
+                      <span class="text-gray-900">${escapeHtml(user.email)}</span>
+                      ${needsEmailVerification(user)
+                        ? '<span class="px-2 py-0.5 text-xs rounded bg-orange-100 text-orange-700">Not verified</span> <button type="button" onclick="sendVerificationEmail()" class="text-xs text-blue-600 hover:underline">Send verification email</button>'
+                        : '<span class="px-2 py-0.5 text-xs rounded bg-green-100 text-green-700">Verified</span>'}
+                  </div>
+              </div>
+              <div class="text-sm text-gray-700">
+                  Role
+                  <div class="mt-1 text-gray-900">${escapeHtml(getRoleLabel(role))} at ${escapeHtml(business.name)}</div>
+              </div>
+              <div class="flex flex-wrap gap-2">
+                  <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Save profile</button>
+                  ${hasPassword ? '<button type="button" onclick="sendPasswordResetLink()" class="px-4 py-2 rounded-lg border hover:bg-gray-50">Change password</button>' : ''}
+              </div>
+          </form>
+      </div>
+
+      ${canEditBusiness() ? renderBusinessSettings(business) : ''}
+
+      <a href="#/settings/team" class="flex items-center justify-between bg-white rounded-lg shadow p-6 hover:bg-gray-50">
+          <div>
+              <h2 class="text-lg font-semibold text-gray-900">Team</h2>
+              <p class="text-sm text-gray-600">${canManageTeam() ? 'Invite people and manage their roles' : 'See who else is on the team'}</p>
+          </div>
+          <i class="fas fa-chevron-right text-gray-400"></i>
+      </a>
+
+      ${canSeePricing() ? `
+          <a href="#/settings/price-book" class="flex items-center justify-between bg-white rounded-lg shadow p-6 mt-6 hover:bg-gray-50">
+              <div>
+                  <h2 class="text-lg font-semibold text-gray-900">Price book</h2>
+                  <p class="text-sm text-gray-600">Materials and labour with cost, markup and sell prices, and supplier price lists</p>
+              </div>
+              <i class="fas fa-chevron-right text-gray-400"></i>
+          </a>
+          <a href="#/settings/templates" class="flex items-center justify-between bg-white rounded-lg shadow p-6 mt-6 hover:bg-gray-50">
+              <div>
+                  <h2 class="text-lg font-semibold text-gray-900">Job templates</h2>
+                  <p class="text-sm text-gray-600">Common jobs with their tasks, materials and labour ready to quote</p>
+              </div>
+              <i class="fas fa-chevron-right text-gray-400"></i>
+          </a>
+          <a href="#/settings/messages" class="flex items-center justify-between bg-white rounded-lg shadow p-6 mt-6 hover:bg-gray-50">
+              <div>
+                  <h2 class="text-lg font-semibold text-gray-900">Client messages</h2>
+                  <p class="text-sm text-gray-600">Emails and texts for quotes, bookings, reminders, on my way and completed jobs</p>
+              </div>
+              <i class="fas fa-chevron-right text-gray-400"></i>
+          </a>
+          <a href="#/settings/forms" class="flex items-center justify-between bg-white rounded-lg shadow p-6 mt-6 hover:bg-gray-50">
+              <div>
+                  <h2 class="text-lg font-semibold text-gray-900">Safety forms &amp; certificates</h2>
+                  <p class="text-sm text-gray-600">SWMS, JSAs, compliance certificates and checklists, and which jobs need them</p>
+              </div>
+              <i class="fas fa-chevron-right text-gray-400"></i>
+          </a>
+          <a href="#/settings/data" class="flex items-center justify-between bg-white rounded-lg shadow p-6 mt-6 hover:bg-gray-50">
+              <div>
+                  <h2 class="text-lg font-semibold text-gray-900">Import &amp; export</h2>
+                  <p class="text-sm text-gray-600">Bring in clients and jobs from spreadsheets, export them, and back up or restore the whole account</p>
+              </div>
+              <i class="fas fa-chevron-right text-gray-400"></i>
+          </a>
+      ` : ''}
+
+      <button onclick="handleSignOut()" class="lg:hidden w-full mt-6 p-4 rounded-lg bg-white shadow text-red-600 font-medium">
+          <i class="fas fa-right-from-bracket mr-2"></i>Sign out
+      </button>
+    </div>
+  `;
+}
+
+// The map, reports and installing the app, for phones (the side rail has these on big screens)
+function renderPhoneLinks() {
+  return `
+    <div class="lg:hidden space-y-3 mb-6">
+        ${canInstall() ? `
+            <button onclick="installApp()" class="w-full flex items-center gap-4 p-4 rounded-lg bg-blue-600 text-white text-left">
+                <i class="fas fa-mobile-screen-button text-2xl"></i>
+                <span>
+                    <span class="block font-semibold">Install TradieIQ on this phone</span>
+                    <span class="block text-sm text-blue-100">Opens from the home screen and works with no signal</span>
+                </span>
+            </button>
+        ` : ''}
+        <a href="#/map" class="flex items-center justify-between bg-white rounded-lg shadow p-4 min-h-[4rem]">
+            <span class="font-semibold text-gray-900"><i class="fas fa-map-location-dot w-6 text-gray-500"></i>Map &amp; travel log</span>
+            <i class="fas fa-chevron-right text-gray-400"></i>
+        </a>
+        ${canSeePricing() ? `
+            <a href="#/reports" class="flex items-center justify-between bg-white rounded-lg shadow p-4 min-h-[4rem]">
+                <span class="font-semibold text-gray-900"><i class="fas fa-chart-column w-6 text-gray-500"></i>Reports</span>
+                <i class="fas fa-chevron-right text-gray-400"></i>
+            </a>
+        ` : ''}
+    </div>
+  `;
+}
+
+function renderBusinessSettings(business) {
+  const profile = { ...DEFAULT_BUSINESS, ...business.profile };
+  const owner = canManageTeam();
+
+  return `
+    <div class="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 class="text-lg font-semibold text-gray-900">Business details</h2>
+        <p class="text-sm text-gray-600 mb-4">Printed on every quote and invoice.${isValidAbn(profile.abn) ? '' : ' <span class="text-red-600">An ABN is required before issuing quotes or invoices.</span>'}</p>
+
+        <div class="flex items-center gap-4 mb-6">
+            <div class="w-24 h-24 border rounded-lg flex items-center justify-center overflow-hidden bg-gray-50">
+                ${profile.logoUrl
+                  ? `<img src="${escapeHtml(profile.logoUrl)}" alt="Logo" class="max-w-full max-h-full">`
+                  : '<i class="fas fa-image text-2xl text-gray-300"></i>'}
+            </div>
+            <div class="text-sm">
+                <label class="inline-block bg-gray-800 text-white px-3 py-2 rounded-lg hover:bg-gray-900 cursor-pointer ${uploadingLogo ? 'opacity-50 pointer-events-none' : ''}">
+                    <i class="fas ${uploadingLogo ? 'fa-spinner fa-spin' : 'fa-upload'} mr-1"></i>${profile.logoUrl ? 'Replace logo' : 'Upload logo'}
+                    <input type="file" accept="image/*" class="hidden" onchange="uploadLogoFile(this)">
+                </label>
+                ${profile.logoUrl ? '<button type="button" onclick="removeBusinessLogo()" class="ml-2 text-gray-500 hover:text-red-600">Remove</button>' : ''}
+                <p class="text-xs text-gray-500 mt-1">PNG or JPEG, shown up to 200px wide</p>
+            </div>
+        </div>
+
+        <form onsubmit="event.preventDefault(); saveBusinessSettings(this);" class="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label class="text-sm text-gray-700">Business name
+                <input type="text" name="businessName" required value="${escapeHtml(profile.name || business.name)}"
+                    ${owner ? '' : 'readonly title="Only the owner can rename the business"'}
+                    class="mt-1 w-full px-3 py-2 border rounded-lg ${owner ? '' : 'bg-gray-50'}">
+            </label>
+            <label class="text-sm text-gray-700">ABN
+                <input type="text" name="abn" required placeholder="11 digits" value="${escapeHtml(formatAbn(profile.abn))}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+            <label class="text-sm text-gray-700">Phone
+                <input type="tel" name="phone" value="${escapeHtml(profile.phone)}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+            <label class="text-sm text-gray-700">Email
+                <input type="email" name="email" value="${escapeHtml(profile.email)}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+            <label class="text-sm text-gray-700 md:col-span-2">Business address
+                <input type="text" name="address" value="${escapeHtml(profile.address)}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+            <label class="text-sm text-gray-700">Payment terms (days)
+                <input type="number" name="paymentTermsDays" min="0" value="${profile.paymentTermsDays}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+            <label class="text-sm text-gray-700">Quotes valid for (days)
+                <input type="number" name="quoteValidityDays" min="1" value="${profile.quoteValidityDays}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+            <label class="text-sm text-gray-700 md:col-span-2">Quote terms <span class="text-gray-500">(shown to clients on the online quote)</span>
+                <textarea name="quoteTerms" rows="3" placeholder="e.g. 50% deposit on acceptance, balance on completion" class="mt-1 w-full px-3 py-2 border rounded-lg">${escapeHtml(profile.quoteTerms)}</textarea>
+            </label>
+            <label class="flex items-center gap-2 text-sm text-gray-700 md:col-span-2">
+                <input type="checkbox" name="gstRegistered" ${profile.gstRegistered ? 'checked' : ''}> Registered for GST
+            </label>
+            <button type="submit" class="md:col-span-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Save business details</button>
+        </form>
+    </div>
+  `;
+}
+
+function rerender() {
+  document.activeElement?.blur();
+  renderSettingsView({ user: viewUser, business: viewBusiness, member: viewMember });
+}
+
+async function saveProfileSettings(form) {
+  if (!viewUser || !viewBusiness) return;
+  const displayName = form.displayName.value.trim();
+  if (!displayName) return;
+
+  try {
+    const result = await updateDisplayName(displayName);
+    if (!result.success) throw new Error(result.error);
+    await updateMemberProfile(viewBusiness.id, viewUser.uid, { displayName });
+    showNotification('Saved', 'Your profile has been updated');
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    showNotification('Error', 'Failed to save your profile. Please try again.');
+  }
+}
+
+async function saveBusinessSettings(form) {
+  if (!viewBusiness) return;
+  const abn = form.abn.value.replace(/\s/g, '');
+  if (!isValidAbn(abn)) {
+    showNotification('Invalid ABN', 'Please check the ABN - it should be 11 digits');
+    return;
+  }
+
+  const current = { ...DEFAULT_BUSINESS, ...viewBusiness.profile };
+  const name = form.businessName.value.trim();
+  const profile = {
+    ...current,
+    name,
+    abn,
+    phone: form.phone.value.trim(),
+    email: form.email.value.trim(),
+    address: form.address.value.trim(),
+    gstRegistered: form.gstRegistered.checked,
+    paymentTermsDays: parseInt(form.paymentTermsDays.value, 10) || 0,
+    quoteValidityDays: parseInt(form.quoteValidityDays.value, 10) || 30,
+    quoteTerms: form.quoteTerms.value.trim()
+  };
+
+  try {
+    // The business itself is renamed along with its quote header
+    const rename = canManageTeam() && name !== viewBusiness.name ? { name } : {};
+    await saveBusinessProfile(viewBusiness.id, profile, rename);
+    showNotification('Saved', 'Business details updated');
+  } catch (error) {
+    console.error('Error saving business details:', error);
+    showNotification('Error', 'Failed to save business details. Please try again.');
+  }
+}
+
+async function uploadLogoFile(input) {
+  const file = input.files?.[0];
+  if (!file || !viewBusiness || uploadingLogo) return;
+
+  const previous = { ...DEFAULT_BUSINESS, ...viewBusiness.profile };
+  uploadingLogo = true;
+  rerender();
+
+  try {
+    const logo = await uploadBusinessLogo(viewBusiness.id, file);
+    await saveBusinessProfile(viewBusiness.id, { ...previous, ...logo });
+    await deleteBusinessLogo(previous.logoPath).catch(error => console.warn('Could not remove old logo:', error));
+    showNotification('Logo Updated', 'Your logo will appear on new quotes and invoices');
+  } catch (error) {
+    console.error('Error uploading logo:', error);
+    showNotification('Error', error.message || 'Failed to upload logo. Please try again.');
+  } finally {
+    uploadingLogo = false;
+    rerender();
+  }
+}
+
+async function removeBusinessLogo() {
+  if (!viewBusiness || !confirm('Remove your logo from new quotes and invoices?')) return;
+  const previous = { ...DEFAULT_BUSINESS, ...viewBusiness.profile };
+
+  try {
+    await saveBusinessProfile(viewBusiness.id, { ...previous, logoUrl: '', logoPath: '' });
+    await deleteBusinessLogo(previous.logoPath);
+  } catch (error) {
+    console.error('Error removing logo:', error);
+    showNotification('Error', 'Failed to remove logo. Please try again.');
+  }
+}
+
+async function sendPasswordResetLink() {
+  if (!viewUser) return;
+  const result = await sendPasswordReset(viewUser.email);
+  if (result.success) {
+    showNotification('Check Your Email', `We've sent a link to ${viewUser.email} to choose a new password`);
+  } else {
+    showNotification('Error', getAuthErrorMessage(result.code, 'Failed to send the reset email. Please try again.'));
+  }
+}
+
+async function installApp() {
+  try {
+    if (await promptInstall()) showNotification('Installed', 'TradieIQ is on your home screen');
+  } catch (error) {
+    console.error('Error installing app:', error);
+    showNotification('Error', 'Failed to install. Try "Add to Home Screen" from the browser menu.');
+  }
+}
+
+// Export functions for inline handlers
+window.saveProfileSettings = saveProfileSettings;
+window.saveBusinessSettings = saveBusinessSettings;
+window.uploadLogoFile = uploadLogoFile;
+window.removeBusinessLogo = removeBusinessLogo;
+window.sendPasswordResetLink = sendPasswordResetLink;
+window.installApp = installApp;
@@ -0,0 +1,161 @@
+// Signature capture - a dialog with a canvas to sign with a finger, stylus or mouse
+const PAD_WIDTH = 480;
+const PAD_HEIGHT = 180;
+
+// Typed signatures are written out in a handwriting font
+const TYPED_FONT = 'italic 44px "Brush Script MT", "Segoe Script", "Apple Chancery", cursive';
+
+function getDialog() {
+  let dialog = document.getElementById('signatureDialog');
+  if (!dialog) {
+    dialog = document.createElement('dialog');
+    dialog.id = 'signatureDialog';
+    dialog.className = 'rounded-lg shadow-xl p-0 w-full max-w-lg';
+    document.body.appendChild(dialog);
+  }
+  return dialog;
+}
+
+// Open the pad. Resolves to { name, dataUrl, method } (a PNG data URL, and
+// 'drawn' or 'typed'), or null if cancelled. With askName the signer types
+// their name above the pad; allowTyped also lets them sign by typing it.
+export function captureSignature({ title = 'Sign', name = '', askName = false, allowTyped = false, submitLabel = 'Save signature' } = {}) {
+  const canType = askName && allowTyped;
+  const dialog = getDialog();
+  dialog.innerHTML = `
+    <form method="dialog" class="p-6 space-y-3">
+        <h2 class="text-lg font-semibold text-gray-900"></h2>
+        ${askName ? `
+            <label class="block text-sm font-medium text-gray-700">Name
+                <input type="text" name="signerName" required class="mt-1 w-full px-3 py-2 border rounded-lg">
+            </label>
+        ` : '<p data-section="name" class="text-sm text-gray-600"></p>'}
+        ${canType ? `
+            <div class="flex gap-2 text-sm">
+                <button type="button" data-method="drawn" class="px-3 py-1 rounded-full border">Draw</button>
+                <button type="button" data-method="typed" class="px-3 py-1 rounded-full border">Type my name</button>
+            </div>
+        ` : ''}
+        <canvas width="${PAD_WIDTH}" height="${PAD_HEIGHT}" class="w-full border-2 border-dashed rounded-lg bg-white touch-none"></canvas>
+        <p data-section="error" class="hidden text-sm text-red-600">${canType ? 'Sign in the box, or type your name' : 'Sign in the box first'}</p>
+        <div class="flex justify-between gap-2 pt-2">
+            <button type="button" data-action="clear" class="px-4 py-2 rounded-lg border hover:bg-gray-50">Clear</button>
+            <div class="flex gap-2">
+                <button type="button" data-action="cancel" class="px-4 py-2 rounded-lg border hover:bg-gray-50">Cancel</button>
+                <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"></button>
+            </div>
+        </div>
+    </form>
+  `;
+  dialog.querySelector('h2').textContent = title;
+  dialog.querySelector('[type="submit"]').textContent = submitLabel;
+  if (askName) dialog.querySelector('[name="signerName"]').value = name;
+  else dialog.querySelector('[data-section="name"]').textContent = name;
+
+  const form = dialog.querySelector('form');
+  const canvas = dialog.querySelector('canvas');
+  const context = canvas.getContext('2d');
+  context.lineWidth = 2.5;
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+  context.strokeStyle = '#111827';
+
+  let drawing = false;
+  let signed = false;
+  let method = 'drawn';
+
+  // The typed name, redrawn as they type
+  const drawTypedName = () => {
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    const typed = form.signerName.value.trim();
+    context.font = TYPED_FONT;
+    context.fillStyle = '#111827';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(typed, canvas.width / 2, canvas.height / 2, canvas.width - 40);
+    signed = !!typed;
+  };
+
+  const setMethod = (next) => {
+    method = next;
+    dialog.querySelectorAll('[data-method]').forEach(button => {
+      const active = button.dataset.method === method;
+      button.classList.toggle('bg-gray-900', active);
+      button.classList.toggle('text-white', active);
+    });
+    if (method === 'typed') {
+      drawTypedName();
+    } else {
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      signed = false;
+    }
+  };
+  if (canType) {
+    dialog.querySelectorAll('[data-method]').forEach(button => button.addEventListener('click', () => setMethod(button.dataset.method)));
+    form.signerName.addEventListener('input', () => {
+      if (method === 'typed') drawTypedName();
+    });
+    setMethod('drawn');
+  }
+
+  // The canvas is scaled to fit the dialog, so map pointer positions back to its pixels
+  const point = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  canvas.addEventListener('pointerdown', (event) => {
+    if (method === 'typed') return;
+    drawing = true;
+    canvas.setPointerCapture(event.pointerId);
+    const { x, y } = point(event);
+    context.beginPath();
+    context.moveTo(x, y);
+  });
+  canvas.addEventListener('pointermove', (event) => {
+    if (!drawing) return;
+    const { x, y } = point(event);
+    context.lineTo(x, y);
+    context.stroke();
+    signed = true;
+  });
+  const stop = () => {
+    drawing = false;
+  };
+  canvas.addEventListener('pointerup', stop);
+  canvas.addEventListener('pointercancel', stop);
+
+  dialog.querySelector('[data-action="clear"]').addEventListener('click', () => {
+    if (method === 'typed') form.signerName.value = '';
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    signed = false;
+  });
+
+  return new Promise((resolve) => {
+    dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => dialog.close('cancel'));
+
+    form.addEventListener('submit', (event) => {
+      if (!signed) {
+        event.preventDefault();
+        dialog.querySelector('[data-section="error"]').classList.remove('hidden');
+        return;
+      }
+      dialog.returnValue = 'save';
+      resolve({
+        name: askName ? form.signerName.value.trim() : name,
+        dataUrl: canvas.toDataURL('image/png'),
+        method
+      });
+    });
+
+    dialog.addEventListener('close', () => {
+      if (dialog.returnValue !== 'save') resolve(null);
+    }, { once: true });
+
+    dialog.returnValue = '';
+    dialog.showModal();
+  });
+}
@@ -0,0 +1,275 @@
+// Team page - members, roles and invites for the current business
+import { escapeHtml, formatDate, showNotification } from './utils.js';
+import { ROLES, ROLE_DESCRIPTIONS, canManageTeam, getRoleLabel, getSession, isStaffRole } from './session.js';
+import { inviteMember, removeMember, revokeInvite, updateMemberRole } from './business.js';
+import { centsToInputValue, parseMoneyToCents } from './job-model.js';
+import { saveLabourSettings } from './time-tracking.js';
+
+// Business and team currently shown on the page
+let viewBusiness = null;
+let viewMembers = [];
+let viewLabour = null;
+
+const INVITE_ROLES = ROLES.filter(role => role !== 'owner');
+
+function renderRoleOptions(selected) {
+  return INVITE_ROLES
+    .map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${escapeHtml(getRoleLabel(role))}</option>`)
+    .join('');
+}
+
+// Invitations waiting for the signed-in user, shared with the join screen
+export function renderPendingInvites(invites, { emailVerified }) {
+  if (invites.length === 0) return '';
+
+  return `
+    <div class="bg-white rounded-lg shadow p-6 mb-6">
+        <h3 class="font-medium text-gray-900 mb-3">Invitations</h3>
+        ${emailVerified ? '' : `
+            <p class="text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-3 mb-3">
+                Verify your email address before joining a team.
+                <button onclick="sendVerificationEmail()" class="underline ml-1">Send verification email</button>
+            </p>
+        `}
+        <ul>
+            ${invites.map(invite => `
+                <li class="flex items-center justify-between py-2 border-b last:border-b-0">
+                    <div>
+                        <div class="text-sm font-medium text-gray-900">${escapeHtml(invite.businessName || 'A business')}</div>
+                        <div class="text-xs text-gray-500">as ${escapeHtml(getRoleLabel(invite.role))}</div>
+                    </div>
+                    <button onclick="acceptTeamInvite('${invite.id}')" ${emailVerified ? '' : 'disabled'}
+                        class="bg-blue-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">Join</button>
+                </li>
+            `).join('')}
+        </ul>
+    </div>
+  `;
+}
+
+// Shown to a new user who has been invited somewhere but isn't in a business yet
+export function renderJoinBusiness(invites, { emailVerified }) {
+  const view = document.getElementById('teamView');
+  if (!view) return;
+  viewBusiness = null;
+
+  view.innerHTML = `
+    <div class="max-w-xl mx-auto p-6">
+      <h2 class="text-xl font-semibold text-gray-900 mb-4">Welcome to TradieIQ</h2>
+      ${renderPendingInvites(invites, { emailVerified })}
+      <div class="bg-white rounded-lg shadow p-6">
+          <h3 class="font-medium text-gray-900 mb-3">Or start your own business</h3>
+          <form onsubmit="event.preventDefault(); startOwnBusiness(this.businessName.value);" class="flex gap-2">
+              <input type="text" name="businessName" required placeholder="Business name" class="flex-1 px-3 py-2 border rounded-lg">
+              <button type="submit" class="bg-gray-800 text-white px-4 py-2 rounded-lg hover:bg-gray-900">Create</button>
+          </form>
+      </div>
+    </div>
+  `;
+}
+
+// Pay rates feed the labour cost on each job's Time tab. Office staff only.
+function renderPayRates(members, labour) {
+  return `
+    <div class="bg-white rounded-lg shadow p-6 mb-6">
+        <h3 class="font-medium text-gray-900">Pay rates</h3>
+        <p class="text-sm text-gray-600 mb-4">Used to cost the time each worker records against a job. Only owners and office staff can see these.</p>
+        <form onsubmit="event.preventDefault(); savePayRates(this);" class="space-y-4">
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                ${members.map(member => `
+                    <label class="text-sm text-gray-700">${escapeHtml(member.displayName || member.email)} ($/hour)
+                        <input type="number" name="rate_${member.userId}" min="0" step="0.01"
+                            value="${Number.isInteger(labour.rates[member.userId]) ? centsToInputValue(labour.rates[member.userId]) : ''}"
+                            placeholder="Not set" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                    </label>
+                `).join('')}
+            </div>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <label class="text-sm text-gray-700">Overtime after (hours/day)
+                    <input type="number" name="overtimeAfterHours" min="0" max="24" step="0.5" value="${labour.overtimeAfterHours}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                </label>
+                <label class="text-sm text-gray-700">Overtime rate (x)
+                    <input type="number" name="overtimeMultiplier" min="1" step="0.05" value="${labour.overtimeMultiplier}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                </label>
+                <label class="text-sm text-gray-700">Saturday rate (x)
+                    <input type="number" name="saturdayMultiplier" min="1" step="0.05" value="${labour.saturdayMultiplier}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                </label>
+                <label class="text-sm text-gray-700">Sunday rate (x)
+                    <input type="number" name="sundayMultiplier" min="1" step="0.05" value="${labour.sundayMultiplier}" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                </label>
+            </div>
+            <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Save pay rates</button>
+        </form>
+    </div>
+  `;
+}
+
+export function renderTeamView({ business, members, invites, myInvites = [], emailVerified = true, labour = null }) {
+  const view = document.getElementById('teamView');
+  if (!view || !business) return;
+  viewBusiness = business;
+  viewMembers = members;
+  viewLabour = labour;
+
+  // Don't wipe rates being typed in when a snapshot arrives
+  const active = document.activeElement;
+  if (active && view.contains(active) && active.tagName === 'INPUT' && active.type === 'number') return;
+
+  const { userId, role } = getSession();
+  const manage = canManageTeam(role);
+
+  view.innerHTML = `
+    <div class="max-w-4xl mx-auto p-6">
+      <a href="#/" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to dashboard
+      </a>
+
+      <div class="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 class="text-xl font-semibold text-gray-900">${escapeHtml(business.name)}</h2>
+          <p class="text-sm text-gray-600">You're signed in as ${escapeHtml(getRoleLabel(role).toLowerCase())}.</p>
+      </div>
+
+      ${renderPendingInvites(myInvites, { emailVerified })}
+
+      <div class="bg-white rounded-lg shadow mb-6">
+          <h3 class="font-medium text-gray-900 p-6 pb-3">Team</h3>
+          ${members.map(member => `
+              <div class="flex items-center justify-between px-6 py-3 border-t">
+                  <div>
+                      <div class="text-sm font-medium text-gray-900">${escapeHtml(member.displayName || member.email)}${member.userId === userId ? ' <span class="text-xs text-gray-400">(you)</span>' : ''}</div>
+                      <div class="text-xs text-gray-500">${escapeHtml(member.email)}</div>
+                  </div>
+                  <div class="flex items-center gap-2">
+                      ${manage && member.role !== 'owner' ? `
+                          <select onchange="changeMemberRole('${member.userId}', this.value)" class="text-sm border rounded px-2 py-1">
+                              ${renderRoleOptions(member.role)}
+                          </select>
+                          <button onclick="removeTeamMember('${member.userId}')" class="text-gray-400 hover:text-red-600" title="Remove from team">
+                              <i class="fas fa-user-minus"></i>
+                          </button>
+                      ` : `<span class="text-sm text-gray-600">${escapeHtml(getRoleLabel(member.role))}</span>`}
+                  </div>
+              </div>
+          `).join('')}
+      </div>
+
+      ${labour && isStaffRole(role) ? renderPayRates(members, labour) : ''}
+
+      ${manage ? `
+          <div class="bg-white rounded-lg shadow p-6">
+              <h3 class="font-medium text-gray-900 mb-3">Invite someone</h3>
+              <form onsubmit="event.preventDefault(); inviteTeamMember(this);" class="flex flex-wrap gap-2">
+                  <input type="email" name="email" required placeholder="Email address" class="flex-1 min-w-[12rem] px-3 py-2 border rounded-lg">
+                  <select name="role" class="px-3 py-2 border rounded-lg">${renderRoleOptions('field')}</select>
+                  <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">Send invite</button>
+              </form>
+              <ul class="mt-3 text-xs text-gray-500">
+                  ${INVITE_ROLES.map(r => `<li><span class="font-medium">${escapeHtml(getRoleLabel(r))}:</span> ${escapeHtml(ROLE_DESCRIPTIONS[r])}</li>`).join('')}
+              </ul>
+
+              ${invites.length ? `
+                  <h4 class="text-sm font-medium text-gray-900 mt-6 mb-2">Waiting to join</h4>
+                  <ul>
+                      ${invites.map(invite => `
+                          <li class="flex items-center justify-between py-2 border-b last:border-b-0 text-sm">
+                              <span>${escapeHtml(invite.email)} · ${escapeHtml(getRoleLabel(invite.role))} <span class="text-xs text-gray-400">invited ${formatDate(invite.createdAt)}</span></span>
+                              <button onclick="revokeTeamInvite('${invite.id}')" class="text-gray-400 hover:text-red-600" title="Cancel invite">
+                                  <i class="fas fa-xmark"></i>
+                              </button>
+                          </li>
+                      `).join('')}
+                  </ul>
+              ` : ''}
+          </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+async function inviteTeamMember(form) {
+  if (!viewBusiness) return;
+  const email = form.email.value.trim();
+  if (viewMembers.some(member => member.email === email.toLowerCase())) {
+    showNotification('Already on the Team', `${email} is already a member`);
+    return;
+  }
+
+  try {
+    await inviteMember(viewBusiness, { email, role: form.role.value }, getSession().userId);
+    form.reset();
+    showNotification('Invite Sent', `${email} can join once they sign in with that address`);
+  } catch (error) {
+    console.error('Error inviting member:', error);
+    showNotification('Error', error.message || 'Failed to send invite. Please try again.');
+  }
+}
+
+async function changeMemberRole(userId, role) {
+  if (!viewBusiness) return;
+  try {
+    await updateMemberRole(viewBusiness.id, userId, role);
+  } catch (error) {
+    console.error('Error changing role:', error);
+    showNotification('Error', 'Failed to change role. Please try again.');
+  }
+}
+
+async function removeTeamMember(userId) {
+  const member = viewMembers.find(m => m.userId === userId);
+  if (!viewBusiness || !member || !confirm(`Remove ${member.displayName || member.email} from ${viewBusiness.name}?`)) return;
+
+  try {
+    await removeMember(viewBusiness.id, userId);
+  } catch (error) {
+    console.error('Error removing member:', error);
+    showNotification('Error', 'Failed to remove member. Please try again.');
+  }
+}
+
+async function revokeTeamInvite(inviteId) {
+  try {
+    await revokeInvite(inviteId);
+  } catch (error) {
+    console.error('Error cancelling invite:', error);
+    showNotification('Error', 'Failed to cancel invite. Please try again.');
+  }
+}
+
+async function savePayRates(form) {
+  if (!viewBusiness || !viewLabour) return;
+  const number = (name, fallback) => {
+    const value = parseFloat(form[name].value);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+
+  // Blank rates are left unset rather than saved as $0
+  const rates = {};
+  viewMembers.forEach(member => {
+    const input = form[`rate_${member.userId}`];
+    if (input && input.value.trim() !== '') rates[member.userId] = parseMoneyToCents(input.value);
+  });
+
+  // Let the saved rates re-render when the snapshot comes back
+  document.activeElement?.blur();
+
+  try {
+    await saveLabourSettings(viewBusiness.id, {
+      rates,
+      overtimeAfterHours: number('overtimeAfterHours', viewLabour.overtimeAfterHours),
+      overtimeMultiplier: Math.max(1, number('overtimeMultiplier', viewLabour.overtimeMultiplier)),
+      saturdayMultiplier: Math.max(1, number('saturdayMultiplier', viewLabour.saturdayMultiplier)),
+      sundayMultiplier: Math.max(1, number('sundayMultiplier', viewLabour.sundayMultiplier))
+    });
+    showNotification('Saved', 'Pay rates updated');
+  } catch (error) {
+    console.error('Error saving pay rates:', error);
+    showNotification('Error', 'Failed to save pay rates. Please try again.');
+  }
+}
+
+// Export functions for inline handlers
+window.inviteTeamMember = inviteTeamMember;
+window.changeMemberRole = changeMemberRole;
+window.removeTeamMember = removeTeamMember;
+window.revokeTeamInvite = revokeTeamInvite;
+window.savePayRates = savePayRates;
@@ -0,0 +1,329 @@
+// Job templates pages - the list of templates and the editor for one, e.g. a
+// "hot water system replacement" with its usual tasks, materials and labour
+import { escapeHtml, showNotification } from './utils.js';
+import { TRADE_LABELS, TRADE_TYPES, formatMoney, getTradeLabel, parseMoneyToCents } from './job-model.js';
+import { applyTemplate, findPriceItemByName } from './price-book.js';
+import { deleteJobTemplate, saveJobTemplate } from './price-book-store.js';
+
+const NEW = 'new';
+
+let viewBusinessId = null;
+let viewTemplates = [];
+let viewPriceItems = [];
+let viewGstRegistered = true;
+// The template being edited, kept between renders so snapshots don't lose changes
+let draft = null;
+let draftId = null;
+let saving = false;
+
+function emptyTemplate() {
+  return { name: '', trade: '', summary: '', tasks: [], materials: [], labour: [] };
+}
+
+export function resetTemplatesView() {
+  viewBusinessId = null;
+  viewTemplates = [];
+  viewPriceItems = [];
+  draft = null;
+  draftId = null;
+  const view = document.getElementById('templatesView');
+  if (view) view.innerHTML = '';
+}
+
+// templateId is null for the list, 'new' or a template's id for the editor
+export function renderTemplatesView({ businessId, templates, priceItems, templateId = null, gstRegistered = true }) {
+  const view = document.getElementById('templatesView');
+  if (!view) return;
+  viewBusinessId = businessId;
+  viewTemplates = templates;
+  viewPriceItems = priceItems;
+  viewGstRegistered = gstRegistered;
+
+  if (!templateId) {
+    draft = null;
+    draftId = null;
+    view.innerHTML = renderTemplateList();
+    return;
+  }
+
+  if (draftId !== templateId) {
+    const template = templateId === NEW ? emptyTemplate() : templates.find(t => t.id === templateId);
+    if (!template) {
+      view.innerHTML = `
+        <div class="max-w-3xl mx-auto p-6 text-center text-gray-500">
+            That template doesn't exist any more. <a href="#/settings/templates" class="text-blue-600 hover:underline">Back to templates</a>
+        </div>
+      `;
+      return;
+    }
+    draftId = templateId;
+    draft = {
+      ...emptyTemplate(),
+      ...template,
+      tasks: [...(template.tasks || [])],
+      materials: (template.materials || []).map(line => ({ ...line })),
+      labour: (template.labour || []).map(line => ({ ...line }))
+    };
+  }
+
+  // Don't wipe a field that's being typed in when a snapshot arrives
+  const active = document.activeElement;
+  if (active && view.contains(active) && ['INPUT', 'TEXTAREA'].includes(active.tagName)) return;
+
+  view.innerHTML = renderEditor();
+}
+
+function renderTemplateList() {
+  return `
+    <div class="max-w-4xl mx-auto p-6">
+      <a href="#/settings" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to settings
+      </a>
+
+      <div class="flex items-center justify-between mb-4">
+          <div>
+              <h2 class="text-xl font-semibold text-gray-900">Job templates</h2>
+              <p class="text-sm text-gray-600">Pick one when creating a job to fill in its tasks, materials and quote.</p>
+          </div>
+          <a href="#/settings/templates/new" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 text-sm">
+              <i class="fas fa-plus mr-1"></i>New template
+          </a>
+      </div>
+
+      <div class="bg-white rounded-lg shadow">
+          ${viewTemplates.length === 0 ? `
+              <p class="p-6 text-sm text-gray-500">No templates yet. Create one here, or use "Save as template" on a job's Materials tab.</p>
+          ` : viewTemplates.map(template => {
+            const { totals } = applyTemplate(template, viewPriceItems, { gstRegistered: viewGstRegistered });
+            return `
+              <div class="flex items-center justify-between px-6 py-4 border-b last:border-b-0">
+                  <a href="#/settings/templates/${template.id}" class="flex-1">
+                      <div class="font-medium text-gray-900">${escapeHtml(template.name)}</div>
+                      <div class="text-xs text-gray-500">
+                          ${escapeHtml(template.trade ? getTradeLabel(template.trade) : 'Any trade')} ·
+                          ${template.tasks?.length || 0} tasks · ${template.materials?.length || 0} materials
+                      </div>
+                  </a>
+                  <span class="text-sm text-gray-900 mr-4">${formatMoney(totals.totalCents)}</span>
+                  <button onclick="removeJobTemplate('${template.id}')" class="text-gray-400 hover:text-red-600" title="Delete template">
+                      <i class="fas fa-trash"></i>
+                  </button>
+              </div>
+            `;
+          }).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function renderDatalist(id, kind) {
+  return `
+    <datalist id="${id}">
+        ${viewPriceItems.filter(item => item.kind === kind).map(item => `<option value="${escapeHtml(item.name)}">`).join('')}
+    </datalist>
+  `;
+}
+
+// Lines linked to the price book show today's price rather than the one saved
+function linePrice(line) {
+  const item = line.priceBookId ? viewPriceItems.find(i => i.id === line.priceBookId) : null;
+  return item ? { sellCents: item.sellCents, linked: true } : { sellCents: line.sellCents ?? line.rateCents ?? line.costCents, linked: false };
+}
+
+function renderLines(kind) {
+  const lines = draft[kind];
+  if (lines.length === 0) return '<p class="text-sm text-gray-500 mb-2">None yet</p>';
+
+  return `
+    <ul class="mb-2">
+        ${lines.map((line, index) => {
+          const price = linePrice(line);
+          const qty = kind === 'materials' ? `${line.qty} ${escapeHtml(line.unit || 'ea')}` : `${line.hours} hr`;
+          return `
+            <li class="flex items-center justify-between py-1 border-b last:border-b-0 text-sm">
+                <span>${escapeHtml(line.name || line.description)} <span class="text-gray-500">× ${qty}</span></span>
+                <span class="flex items-center gap-3">
+                    <span class="text-gray-700" title="${price.linked ? 'From the price book' : 'Fixed price'}">
+                        ${formatMoney(price.sellCents)}${price.linked ? ' <i class="fas fa-link text-xs text-gray-400"></i>' : ''}
+                    </span>
+                    <button type="button" onclick="removeTemplateLine('${kind}', ${index})" class="text-gray-400 hover:text-red-600" title="Remove">
+                        <i class="fas fa-xmark"></i>
+                    </button>
+                </span>
+            </li>
+          `;
+        }).join('')}
+    </ul>
+  `;
+}
+
+function renderEditor() {
+  const { totals } = applyTemplate(draft, viewPriceItems, { gstRegistered: viewGstRegistered });
+
+  return `
+    <div class="max-w-3xl mx-auto p-6">
+      <a href="#/settings/templates" class="inline-block text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <i class="fas fa-arrow-left mr-1"></i>Back to templates
+      </a>
+
+      <form id="templateForm" onsubmit="event.preventDefault(); saveTemplateForm(this);" class="bg-white rounded-lg shadow p-6 space-y-4">
+          <h2 class="text-xl font-semibold text-gray-900">${draftId === NEW ? 'New template' : 'Edit template'}</h2>
+
+          <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <label class="text-sm text-gray-700">Name
+                  <input type="text" name="name" required value="${escapeHtml(draft.name)}" placeholder="Hot water system replacement" class="mt-1 w-full px-3 py-2 border rounded-lg">
+              </label>
+              <label class="text-sm text-gray-700">Trade
+                  <select name="trade" class="mt-1 w-full px-3 py-2 border rounded-lg">
+                      <option value="">Any trade</option>
+                      ${TRADE_TYPES.map(trade => `<option value="${trade}" ${trade === draft.trade ? 'selected' : ''}>${escapeHtml(TRADE_LABELS[trade])}</option>`).join('')}
+                  </select>
+              </label>
+          </div>
+
+          <label class="block text-sm text-gray-700">Job summary
+              <textarea name="summary" rows="2" class="mt-1 w-full px-3 py-2 border rounded-lg">${escapeHtml(draft.summary)}</textarea>
+          </label>
+
+          <label class="block text-sm text-gray-700">Tasks (one per line)
+              <textarea name="tasks" rows="5" class="mt-1 w-full px-3 py-2 border rounded-lg">${escapeHtml(draft.tasks.join('\n'))}</textarea>
+          </label>
+
+          <div>
+              <h3 class="text-sm font-medium text-gray-900 mb-1">Materials</h3>
+              ${renderLines('materials')}
+              ${renderDatalist('templateMaterialItems', 'material')}
+              <div class="flex flex-wrap gap-2 text-sm">
+                  <input type="text" name="materialName" list="templateMaterialItems" placeholder="Material (from the price book or typed)" class="flex-1 min-w-[12rem] px-3 py-2 border rounded-lg">
+                  <input type="number" name="materialQty" min="0" step="0.01" value="1" class="w-20 px-3 py-2 border rounded-lg" title="Quantity">
+                  <input type="number" name="materialPrice" min="0" step="0.01" placeholder="Price $" class="w-28 px-3 py-2 border rounded-lg" title="Only needed for items not in the price book">
+                  <button type="button" onclick="addTemplateLine('materials')" class="px-3 py-2 rounded-lg border hover:bg-gray-50">Add</button>
+              </div>
+          </div>
+
+          <div>
+              <h3 class="text-sm font-medium text-gray-900 mb-1">Labour</h3>
+              ${renderLines('labour')}
+              ${renderDatalist('templateLabourItems', 'labour')}
+              <div class="flex flex-wrap gap-2 text-sm">
+                  <input type="text" name="labourDescription" list="templateLabourItems" placeholder="Labour" class="flex-1 min-w-[12rem] px-3 py-2 border rounded-lg">
+                  <input type="number" name="labourHours" min="0" step="0.25" value="1" class="w-20 px-3 py-2 border rounded-lg" title="Hours">
+                  <input type="number" name="labourRate" min="0" step="0.01" placeholder="Rate $/hr" class="w-28 px-3 py-2 border rounded-lg" title="Only needed for labour not in the price book">
+                  <button type="button" onclick="addTemplateLine('labour')" class="px-3 py-2 rounded-lg border hover:bg-gray-50">Add</button>
+              </div>
+          </div>
+
+          <div class="flex items-center justify-between pt-4 border-t">
+              <div class="text-sm text-gray-700">
+                  Quote at today's prices: <span class="font-semibold text-gray-900">${formatMoney(totals.totalCents)}</span>
+                  <span class="text-xs text-gray-500">${viewGstRegistered ? 'inc GST' : ''}</span>
+              </div>
+              <button type="submit" ${saving ? 'disabled' : ''} class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">Save template</button>
+          </div>
+      </form>
+    </div>
+  `;
+}
+
+// Keep what's been typed into the main fields before the form is redrawn
+function readDraftFields(form) {
+  draft.name = form.name.value;
+  draft.trade = form.trade.value;
+  draft.summary = form.summary.value;
+  draft.tasks = form.tasks.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function rerender() {
+  document.activeElement?.blur();
+  document.getElementById('templatesView').innerHTML = renderEditor();
+}
+
+function addTemplateLine(kind) {
+  const form = document.getElementById('templateForm');
+  if (!form || !draft) return;
+  readDraftFields(form);
+
+  if (kind === 'materials') {
+    const name = form.materialName.value.trim();
+    const qty = parseFloat(form.materialQty.value) || 0;
+    if (!name || qty <= 0) return;
+
+    const item = findPriceItemByName(viewPriceItems, name, 'material');
+    if (!item && form.materialPrice.value === '') {
+      showNotification('Price Needed', `${name} isn't in the price book - enter its price`);
+      return;
+    }
+    const costCents = item ? item.costCents : parseMoneyToCents(form.materialPrice.value);
+    draft.materials.push({
+      priceBookId: item?.id || null,
+      name: item?.name || name,
+      qty,
+      unit: item?.unit || 'ea',
+      costCents,
+      sellCents: item ? item.sellCents : costCents
+    });
+  } else {
+    const description = form.labourDescription.value.trim() || 'Labour';
+    const hours = parseFloat(form.labourHours.value) || 0;
+    if (hours <= 0) return;
+
+    const item = findPriceItemByName(viewPriceItems, description, 'labour');
+    if (!item && form.labourRate.value === '') {
+      showNotification('Rate Needed', `${description} isn't in the price book - enter an hourly rate`);
+      return;
+    }
+    draft.labour.push({
+      priceBookId: item?.id || null,
+      description: item?.name || description,
+      hours,
+      rateCents: item ? item.sellCents : parseMoneyToCents(form.labourRate.value)
+    });
+  }
+
+  rerender();
+}
+
+function removeTemplateLine(kind, index) {
+  const form = document.getElementById('templateForm');
+  if (!form || !draft) return;
+  readDraftFields(form);
+  draft[kind].splice(index, 1);
+  rerender();
+}
+
+async function saveTemplateForm(form) {
+  if (!viewBusinessId || !draft || saving) return;
+  readDraftFields(form);
+  if (!draft.name.trim()) return;
+
+  saving = true;
+  try {
+    await saveJobTemplate(viewBusinessId, draft);
+    showNotification('Saved', `${draft.name.trim()} saved`);
+    draftId = null;
+    window.location.hash = '#/settings/templates';
+  } catch (error) {
+    console.error('Error saving template:', error);
+    showNotification('Error', 'Failed to save the template. Please try again.');
+  } finally {
+    saving = false;
+  }
+}
+
+async function removeJobTemplate(templateId) {
+  const template = viewTemplates.find(t => t.id === templateId);
+  if (!template || !confirm(`Delete the ${template.name} template? Jobs already created from it aren't changed.`)) return;
+
+  try {
+    await deleteJobTemplate(templateId);
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    showNotification('Error', 'Failed to delete the template. Please try again.');
+  }
+}
+
+// Export functions for inline handlers
+window.addTemplateLine = addTemplateLine;
+window.removeTemplateLine = removeTemplateLine;
+window.saveTemplateForm = saveTemplateForm;
+window.removeJobTemplate = removeJobTemplate;
@@ -0,0 +1,115 @@
+// Time tracking - clock-on timers, manual timesheet entries and pay rates
+//
+// Each entry is a document in `timeEntries` for one worker on one job (see
+// timesheets.js for the fields and the costing). Pay rates and penalty
+// multipliers are in labourRates/{businessId}, which only office staff can read.
+// Writes aren't awaited by the UI - Firestore's local cache shows them straight
+// away and syncs them when there's reception.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  onSnapshot,
+  Timestamp
+} from 'firebase/firestore';
+import { getLabourSettings } from './timesheets.js';
+import { toDate } from './schedule.js';
+
+// Owners and office staff get everyone's time; field staff only their own
+export function subscribeToTimeEntries(businessId, { userId = null } = {}, callback) {
+  const constraints = [where('businessId', '==', businessId)];
+  if (userId) constraints.push(where('userId', '==', userId));
+
+  return onSnapshot(query(collection(db, 'timeEntries'), ...constraints), (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (toDate(b.start)?.getTime() || 0) - (toDate(a.start)?.getTime() || 0)));
+  }, (error) => {
+    console.error('Error loading time entries:', error);
+  });
+}
+
+function newEntry(job, { userId, workerName }, createdBy, fields) {
+  const entryRef = doc(collection(db, 'timeEntries'));
+  const entry = {
+    businessId: job.businessId,
+    jobId: job.id,
+    userId,
+    workerName: workerName || '',
+    breaks: [],
+    breakMinutes: 0,
+    note: '',
+    createdBy,
+    createdAt: Timestamp.now(),
+    updatedAt: Timestamp.now(),
+    ...fields
+  };
+  return { entryRef, entry };
+}
+
+export function clockOn(job, worker, createdBy = worker.userId) {
+  const { entryRef, entry } = newEntry(job, worker, createdBy, {
+    source: 'timer',
+    start: Timestamp.now(),
+    end: null
+  });
+  return setDoc(entryRef, entry);
+}
+
+// Closes any break that's still open
+export function clockOff(entry) {
+  const now = Timestamp.now();
+  const breaks = (entry.breaks || []).map(item => item.end ? item : { ...item, end: now });
+  return updateDoc(doc(db, 'timeEntries', entry.id), { end: now, breaks, updatedAt: now });
+}
+
+export function startBreak(entry) {
+  const now = Timestamp.now();
+  return updateDoc(doc(db, 'timeEntries', entry.id), {
+    breaks: [...(entry.breaks || []), { start: now, end: null }],
+    updatedAt: now
+  });
+}
+
+export function endBreak(entry) {
+  const now = Timestamp.now();
+  const breaks = (entry.breaks || []).map(item => item.end ? item : { ...item, end: now });
+  return updateDoc(doc(db, 'timeEntries', entry.id), { breaks, updatedAt: now });
+}
+
+// A timesheet entry typed in after the fact
+export function addTimeEntry(job, worker, { start, end, breakMinutes = 0, note = '' }, createdBy) {
+  const { entryRef, entry } = newEntry(job, worker, createdBy, {
+    source: 'manual',
+    start: Timestamp.fromDate(start),
+    end: Timestamp.fromDate(end),
+    breakMinutes,
+    note
+  });
+  return setDoc(entryRef, entry);
+}
+
+export function deleteTimeEntry(entryId) {
+  return deleteDoc(doc(db, 'timeEntries', entryId));
+}
+
+export function subscribeToLabourSettings(businessId, callback) {
+  return onSnapshot(doc(db, 'labourRates', businessId), (snapshot) => {
+    callback(getLabourSettings(snapshot.exists() ? snapshot.data() : {}));
+  }, (error) => {
+    console.error('Error loading pay rates:', error);
+  });
+}
+
+export async function saveLabourSettings(businessId, settings) {
+  await setDoc(doc(db, 'labourRates', businessId), {
+    ...getLabourSettings(settings),
+    businessId,
+    updatedAt: Timestamp.now()
+  });
+}
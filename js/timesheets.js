@@ -0,0 +1,219 @@
+// Timesheets - hours worked, penalty rates and job profitability
+//
+// Kept free of Firebase imports like the job model. A time entry is one
+// worker's time on one job: { userId, jobId, start, end, breaks, breakMinutes }.
+// `end` is null while the worker is clocked on; `breaks` are [{ start, end }]
+// taken on the timer, `breakMinutes` is break time typed into a manual entry.
+import { GST_RATE, buildLinesFromJob, calculateTotals, getJobValueCents, getMaterialsCostCents } from './job-model.js';
+import { startOfDay, toDate } from './schedule.js';
+
+const MINUTE = 60 * 1000;
+
+// Overtime is paid on hours past the daily threshold; weekend multipliers apply
+// to every hour worked that day. Where both apply, the higher one is used.
+export const DEFAULT_LABOUR_SETTINGS = {
+  rates: {},
+  overtimeAfterHours: 8,
+  overtimeMultiplier: 1.5,
+  saturdayMultiplier: 1.5,
+  sundayMultiplier: 2
+};
+
+export function getLabourSettings(settings) {
+  return { ...DEFAULT_LABOUR_SETTINGS, ...settings, rates: { ...settings?.rates } };
+}
+
+export function isRunning(entry) {
+  return !toDate(entry.end);
+}
+
+export function isOnBreak(entry) {
+  const last = (entry.breaks || [])[entry.breaks?.length - 1];
+  return isRunning(entry) && !!last && !toDate(last.end);
+}
+
+// The worker's running entry, if they're clocked on anywhere
+export function findRunningEntry(entries, userId) {
+  return entries.find(entry => entry.userId === userId && isRunning(entry)) || null;
+}
+
+function minutesBetween(start, end) {
+  return Math.max(0, Math.round((end - start) / MINUTE));
+}
+
+export function getBreakMinutes(entry, now = new Date()) {
+  const timed = (entry.breaks || []).reduce((sum, item) => {
+    const start = toDate(item.start);
+    return start ? sum + minutesBetween(start, toDate(item.end) || now) : sum;
+  }, 0);
+  return timed + (Number(entry.breakMinutes) || 0);
+}
+
+// Time on the job less breaks. Running entries count up to `now`.
+export function getWorkedMinutes(entry, now = new Date()) {
+  const start = toDate(entry.start);
+  if (!start) return 0;
+  const end = toDate(entry.end) || now;
+  return Math.max(0, minutesBetween(start, end) - getBreakMinutes(entry, now));
+}
+
+export function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+// An entry's worked minutes split by calendar day, so shifts past midnight
+// land on the right day for overtime and weekend rates. Breaks come off the
+// first day.
+function splitByDay(entry, now) {
+  const start = toDate(entry.start);
+  const end = toDate(entry.end) || now;
+  if (!start || end <= start) return [];
+
+  const days = [];
+  let cursor = start;
+  while (cursor < end) {
+    const nextDay = startOfDay(cursor);
+    nextDay.setDate(nextDay.getDate() + 1);
+    const segmentEnd = end < nextDay ? end : nextDay;
+    days.push({ day: startOfDay(cursor), start: cursor, minutes: minutesBetween(cursor, segmentEnd) });
+    cursor = segmentEnd;
+  }
+
+  let breakLeft = getBreakMinutes(entry, now);
+  for (const segment of days) {
+    const taken = Math.min(breakLeft, segment.minutes);
+    segment.minutes -= taken;
+    breakLeft -= taken;
+  }
+  return days;
+}
+
+function getDayMultiplier(day, settings) {
+  if (day.getDay() === 6) return settings.saturdayMultiplier;
+  if (day.getDay() === 0) return settings.sundayMultiplier;
+  return 1;
+}
+
+function emptyCost() {
+  return { minutes: 0, ordinaryMinutes: 0, overtimeMinutes: 0, weekendMinutes: 0, costCents: 0, missingRate: false };
+}
+
+// Labour cost of every entry: Map of entry id -> { minutes, ordinaryMinutes,
+// overtimeMinutes, weekendMinutes, costCents, missingRate }. Overtime is
+// worked out per worker per day across all their jobs, in the order the time
+// was worked, so pass every entry for the days concerned.
+export function costTimeEntries(entries, settings, now = new Date()) {
+  const labour = getLabourSettings(settings);
+  const costs = new Map(entries.map(entry => [entry.id, emptyCost()]));
+  const threshold = labour.overtimeAfterHours * 60;
+
+  // Each worker-day's segments in the order they were worked
+  const workerDays = new Map();
+  for (const entry of entries) {
+    for (const segment of splitByDay(entry, now)) {
+      const key = `${entry.userId}|${segment.day.getTime()}`;
+      if (!workerDays.has(key)) workerDays.set(key, []);
+      workerDays.get(key).push({ ...segment, entry });
+    }
+  }
+
+  for (const segments of workerDays.values()) {
+    segments.sort((a, b) => a.start - b.start);
+    let workedToday = 0;
+
+    for (const { entry, day, minutes } of segments) {
+      const cost = costs.get(entry.id);
+      const rateCents = labour.rates[entry.userId];
+      const dayMultiplier = getDayMultiplier(day, labour);
+
+      const ordinary = Math.max(0, Math.min(minutes, threshold - workedToday));
+      const overtime = minutes - ordinary;
+      workedToday += minutes;
+
+      cost.minutes += minutes;
+      cost.ordinaryMinutes += ordinary;
+      cost.overtimeMinutes += overtime;
+      if (dayMultiplier > 1) cost.weekendMinutes += minutes;
+
+      if (!Number.isInteger(rateCents)) {
+        if (minutes > 0) cost.missingRate = true;
+        continue;
+      }
+      const overtimeMultiplier = Math.max(dayMultiplier, labour.overtimeMultiplier);
+      cost.costCents += Math.round((rateCents / 60) * (ordinary * dayMultiplier + overtime * overtimeMultiplier));
+    }
+  }
+
+  return costs;
+}
+
+// Totals for one job's entries from costTimeEntries
+export function summariseJobLabour(entries, costs, jobId) {
+  return entries
+    .filter(entry => entry.jobId === jobId)
+    .reduce((total, entry) => {
+      const cost = costs.get(entry.id) || emptyCost();
+      return {
+        minutes: total.minutes + cost.minutes,
+        overtimeMinutes: total.overtimeMinutes + cost.overtimeMinutes,
+        weekendMinutes: total.weekendMinutes + cost.weekendMinutes,
+        costCents: total.costCents + cost.costCents,
+        missingRate: total.missingRate || cost.missingRate,
+        running: total.running || isRunning(entry)
+      };
+    }, { minutes: 0, overtimeMinutes: 0, weekendMinutes: 0, costCents: 0, missingRate: false, running: false });
+}
+
+// What the job earns before GST: its quoted value (issuing a quote stores the
+// total inc GST) less the GST, or the priced lines for a job with no value yet
+export function getJobRevenueCents(job, { gstRegistered = true } = {}) {
+  const valueCents = getJobValueCents(job);
+  if (valueCents <= 0) return calculateTotals(buildLinesFromJob(job), { gstRegistered }).subtotalCents;
+  return gstRegistered ? Math.round(valueCents / (1 + GST_RATE)) : valueCents;
+}
+
+// Revenue ex GST less labour and materials. Margin is null for jobs with no value.
+export function calculateJobProfit(job, labourCostCents, { gstRegistered = true } = {}) {
+  const valueCents = getJobRevenueCents(job, { gstRegistered });
+  const materialsCents = getMaterialsCostCents(job);
+  const profitCents = valueCents - labourCostCents - materialsCents;
+  return {
+    valueCents,
+    labourCents: labourCostCents,
+    materialsCents,
+    profitCents,
+    margin: valueCents > 0 ? profitCents / valueCents : null
+  };
+}
+
+// Start and end Dates for a manual entry from a date and two "HH:MM" times.
+// An end time before the start means the shift ran past midnight.
+export function parseManualTimes(day, startTime, endTime) {
+  const [year, month, date] = day.split('-').map(Number);
+  const at = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, date, hours, minutes);
+  };
+
+  const start = at(startTime);
+  const end = at(endTime);
+  if (end <= start) end.setDate(end.getDate() + 1);
+  return { start, end };
+}
+
+// Problems with a manual entry, or an empty list
+export function validateTimeEntry({ start, end, breakMinutes = 0 }, now = new Date()) {
+  const errors = [];
+  if (!(start instanceof Date) || isNaN(start) || !(end instanceof Date) || isNaN(end)) {
+    errors.push('Enter a date, start time and finish time');
+    return errors;
+  }
+  if (start > now) errors.push("Time can't be entered for the future");
+  if (end - start > 24 * 60 * MINUTE) errors.push('A single entry can be at most 24 hours');
+  if (breakMinutes < 0) errors.push("Breaks can't be negative");
+  if (breakMinutes >= minutesBetween(start, end)) errors.push('The break is longer than the time worked');
+  return errors;
+}
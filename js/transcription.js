@@ -0,0 +1,143 @@
+// Pluggable transcription providers
+//
+// A provider is an object with:
+//   name          - short id shown in logs
+//   isSupported() - whether it can run in this browser
+//   start(opts)   - called when recording starts; returns a session with
+//                   stop(audioBlob) -> Promise<string> resolving to the transcript
+//
+// Live providers (Web Speech) listen alongside the recorder and ignore the blob;
+// upload-based providers can ignore start and send the blob in stop().
+
+const DEFAULT_LANGUAGE = 'en-AU';
+
+// How long to wait for Web Speech to hand over its last results after stopping
+const STOP_TIMEOUT_MS = 5000;
+
+// How long to wait for any provider's transcript before saving the audio without it
+const TRANSCRIPTION_TIMEOUT_MS = 60000;
+
+// Web Speech errors that end the session for good
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture'];
+
+// Browser Web Speech API - listens to the microphone while recording
+export const webSpeechProvider = {
+  name: 'web-speech',
+
+  isSupported() {
+    return typeof window !== 'undefined' &&
+      !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+  },
+
+  start({ lang = DEFAULT_LANGUAGE, stopTimeoutMs = STOP_TIMEOUT_MS } = {}) {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const recognition = new Recognition();
+    recognition.lang = lang;
+    recognition.continuous = true;
+    recognition.interimResults = false;
+
+    const finalResults = [];
+    let stopped = false;
+    let ended = false;
+    let finish = null;
+    const transcript = () => finalResults.join(' ');
+
+    recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        if (event.results[i].isFinal) {
+          finalResults.push(event.results[i][0].transcript.trim());
+        }
+      }
+    };
+
+    recognition.onerror = (event) => {
+      // 'no-speech' just means a quiet patch on site - keep listening
+      if (event.error !== 'no-speech') {
+        console.error('Speech recognition error:', event.error);
+      }
+      // No microphone or no permission won't fix itself - don't keep restarting
+      if (FATAL_ERRORS.includes(event.error)) stopped = true;
+    };
+
+    recognition.onend = () => {
+      // Browsers end continuous sessions after a pause; restart until told to stop
+      if (!stopped) {
+        try {
+          recognition.start();
+          return;
+        } catch (error) {
+          console.error('Speech recognition restart failed:', error);
+          stopped = true;
+        }
+      }
+      ended = true;
+      if (finish) finish(transcript());
+    };
+
+    recognition.start();
+
+    return {
+      stop() {
+        stopped = true;
+        // Already over (a fatal error or a failed restart) - nothing more is coming
+        if (ended) return Promise.resolve(transcript());
+        return new Promise((resolve) => {
+          // Some browsers never send the final end event; keep what was heard
+          const timer = setTimeout(() => {
+            console.warn('Speech recognition did not end in time');
+            resolve(transcript());
+          }, stopTimeoutMs);
+          finish = (text) => {
+            clearTimeout(timer);
+            resolve(text);
+          };
+          try {
+            recognition.stop();
+          } catch (error) {
+            console.error('Speech recognition stop failed:', error);
+            finish(transcript());
+          }
+        });
+      }
+    };
+  }
+};
+
+// Stop a session, giving up after `timeoutMs` so one stuck provider can't hold
+// up saving the audio (or every recording after it)
+export function stopTranscription(session, audioBlob, { timeoutMs = TRANSCRIPTION_TIMEOUT_MS } = {}) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Transcription timed out')), timeoutMs);
+  });
+  return Promise.race([session.stop(audioBlob), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Offline provider that returns canned text - for tests and demos without a mic
+export function createFakeTranscriptionProvider(text = 'Test transcript from site visit.', { delay = 0 } = {}) {
+  return {
+    name: 'fake',
+
+    isSupported() {
+      return true;
+    },
+
+    start() {
+      return {
+        stop() {
+          return new Promise((resolve) => setTimeout(() => resolve(text), delay));
+        }
+      };
+    }
+  };
+}
+
+let activeProvider = webSpeechProvider;
+
+export function setTranscriptionProvider(provider) {
+  activeProvider = provider;
+}
+
+export function getTranscriptionProvider() {
+  return activeProvider;
+}
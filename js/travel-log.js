@@ -0,0 +1,70 @@
+// Travel log - kilometres and travel time driven to each job, kept for tax
+//
+// Each trip is a document in `travelEntries` for one worker on one job:
+//   businessId, jobId, userId, workerName, day, km, minutes, from, to, note,
+//   source ('manual' or 'route' when logged from the route planner),
+//   createdBy, createdAt
+// Like time entries, writes aren't awaited by the UI - Firestore's local cache
+// shows them straight away and syncs them when there's reception.
+import { db } from './firebase-config.js';
+import {
+  collection,
+  doc,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  onSnapshot,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import { toDate } from './schedule.js';
+
+// Owners and office staff get everyone's trips; field staff only their own
+export function subscribeToTravelEntries(businessId, { userId = null } = {}, callback) {
+  const constraints = [where('businessId', '==', businessId)];
+  if (userId) constraints.push(where('userId', '==', userId));
+
+  return onSnapshot(query(collection(db, 'travelEntries'), ...constraints), (snapshot) => {
+    callback(snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (toDate(b.day)?.getTime() || 0) - (toDate(a.day)?.getTime() || 0)));
+  }, (error) => {
+    console.error('Error loading travel log:', error);
+  });
+}
+
+function newTrip(job, { userId, workerName }, createdBy, { day, km, minutes, from = '', note = '', source = 'manual' }) {
+  return {
+    businessId: job.businessId,
+    jobId: job.id,
+    userId,
+    workerName: workerName || '',
+    day: Timestamp.fromDate(day),
+    km: Math.round(km * 10) / 10,
+    minutes: Math.round(minutes),
+    from,
+    to: job.address || '',
+    note,
+    source,
+    createdBy,
+    createdAt: Timestamp.now()
+  };
+}
+
+export function addTravelEntry(job, worker, trip, createdBy) {
+  return setDoc(doc(collection(db, 'travelEntries')), newTrip(job, worker, createdBy, trip));
+}
+
+// Several trips at once, e.g. every leg of a day's route: [{ job, trip }]
+export function addTravelEntries(trips, worker, createdBy) {
+  const batch = writeBatch(db);
+  trips.forEach(({ job, trip }) => {
+    batch.set(doc(collection(db, 'travelEntries')), newTrip(job, worker, createdBy, trip));
+  });
+  return batch.commit();
+}
+
+export function deleteTravelEntry(entryId) {
+  return deleteDoc(doc(db, 'travelEntries', entryId));
+}
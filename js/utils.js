@@ -0,0 +1,87 @@
+// Shared UI helpers
+
+export function formatDate(date) {
+  if (!date) return 'Unknown';
+
+  const d = date.toDate ? date.toDate() : new Date(date);
+  const now = new Date();
+  const diff = now - d;
+
+  if (diff < 60000) return 'Just now';
+  if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+  if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
+  return `${Math.floor(diff / 86400000)}d ago`;
+}
+
+export function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  if (text === null || text === undefined) return '';
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+// Short random id for array items (tasks, materials) stored inside a job doc
+export function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+export function getStatusColor(status) {
+  const colors = {
+    new: 'bg-blue-100 text-blue-700',
+    quoted: 'bg-yellow-100 text-yellow-700',
+    in_progress: 'bg-green-100 text-green-700',
+    completed: 'bg-gray-100 text-gray-700',
+    cancelled: 'bg-red-100 text-red-700'
+  };
+  return colors[status] || colors.new;
+}
+
+// True when the focused field holds typing that hasn't been saved yet
+export function hasUnsavedInput(container) {
+  const active = document.activeElement;
+  if (!active || !container.contains(active)) return false;
+  if (active.tagName === 'TEXTAREA') return active.value !== active.defaultValue;
+  if (active.tagName === 'INPUT' && active.type !== 'checkbox') return active.value !== active.defaultValue;
+  return false;
+}
+
+// Save generated text (CSV, .ics) as a file download
+export function downloadFile(content, filename, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function updateElement(id, content) {
+  const element = document.getElementById(id);
+  if (element) element.textContent = content;
+}
+
+// Notification system
+export function showNotification(title, message) {
+  console.log('Notification:', title, message);
+
+  const notification = document.getElementById('notification');
+  const titleEl = document.getElementById('notificationTitle');
+  const messageEl = document.getElementById('notificationMessage');
+
+  if (notification && titleEl && messageEl) {
+    titleEl.textContent = title;
+    messageEl.textContent = message;
+    notification.style.display = 'block';
+
+    setTimeout(() => {
+      notification.style.display = 'none';
+    }, 4000);
+  }
+}
@@ -0,0 +1,80 @@
+// On-site voice recording - MediaRecorder capture and Firebase Storage upload
+import { storage } from './firebase-config.js';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+
+const PREFERRED_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+const FILE_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/ogg': 'ogg'
+};
+
+export function isRecordingSupported() {
+  return typeof window !== 'undefined' &&
+    !!window.MediaRecorder &&
+    !!navigator.mediaDevices?.getUserMedia;
+}
+
+function pickMimeType() {
+  return PREFERRED_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+// Start capturing from the microphone. Resolves to a handle whose stop()
+// resolves to { blob, mimeType, durationMs }.
+export async function startRecording() {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const mimeType = pickMimeType();
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  const startedAt = Date.now();
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+
+  const releaseMicrophone = () => stream.getTracks().forEach(track => track.stop());
+
+  recorder.start();
+
+  return {
+    startedAt,
+
+    stop() {
+      return new Promise((resolve, reject) => {
+        recorder.onstop = () => {
+          releaseMicrophone();
+          const type = recorder.mimeType || mimeType || 'audio/webm';
+          resolve({
+            blob: new Blob(chunks, { type }),
+            mimeType: type,
+            durationMs: Date.now() - startedAt
+          });
+        };
+        recorder.onerror = (event) => {
+          releaseMicrophone();
+          reject(event.error);
+        };
+        recorder.stop();
+      });
+    },
+
+    cancel() {
+      recorder.onstop = null;
+      if (recorder.state !== 'inactive') recorder.stop();
+      releaseMicrophone();
+    }
+  };
+}
+
+// Upload a recording to Storage under the owner's job folder
+export async function uploadRecording(blob, { userId, jobId, mimeType }) {
+  const extension = FILE_EXTENSIONS[mimeType.split(';')[0]] || 'webm';
+  const path = `recordings/${userId}/${jobId}/${Date.now()}.${extension}`;
+  const fileRef = ref(storage, path);
+
+  await uploadBytes(fileRef, blob, { contentType: mimeType });
+  const url = await getDownloadURL(fileRef);
+
+  return { path, url };
+}
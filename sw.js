@@ -0,0 +1,82 @@
+// Service worker - keeps the app shell on the phone so TradieIQ opens with no signal
+//
+// Job data doesn't go through here: Firestore keeps its own offline copy and
+// the outbox queues writes. This only caches the page, scripts, styles and icons.
+//
+// The build fills in BUILD_FILES with every file Vite wrote to dist/assets and
+// CACHE_VERSION with a hash of their names (see vite.config.js), so the whole
+// app is cached on install and a new release drops the old copies.
+const BUILD_FILES = self.__BUILD_FILES;
+const CACHE_VERSION = self.__BUILD_VERSION;
+const SHELL_CACHE = `tradieiq-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `tradieiq-runtime-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-maskable.svg'
+];
+
+// Icon fonts from the CDN are cached too, or the app opens with blank buttons offline
+const CACHED_HOSTS = ['cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll([...SHELL_FILES, ...BUILD_FILES]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // The client quote page isn't part of the app, and needs a connection anyway
+  if (url.pathname === '/quote.html') return;
+
+  // Pages: the network when there is one so a new release shows up, the cached shell when not
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then(cache => cache.put('/index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Scripts, styles and icons. Vite puts a hash in built file names, so a
+  // cached copy never goes stale. Firebase and other APIs are left alone.
+  if (url.origin === self.location.origin || CACHED_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
@@ -0,0 +1,12 @@
+// Tailwind is compiled at build time (through PostCSS in Vite) rather than
+// loaded from the CDN, so the installed app has its styles with no connection.
+// Class names are read from the markup in index.html and the view modules -
+// keep them as whole strings so they're found.
+/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./index.html', './quote.html', './js/**/*.js'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};
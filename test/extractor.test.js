@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { buildSummary, extractMaterials, extractTasks, ruleBasedExtractor } from '../js/extractor.js';
+
+describe('extractMaterials', () => {
+  it('reads quantities and units', () => {
+    expect(extractMaterials('Need 3 lengths of gutter, two tubes of silicone and 20 metres of tps cable.')).toEqual([
+      { name: 'Gutter', qty: 3, unit: 'length' },
+      { name: 'Silicone', qty: 2, unit: 'tube' },
+      { name: 'Tps cable', qty: 20, unit: 'm' }
+    ]);
+  });
+
+  it('adds up stated quantities of the same item', () => {
+    expect(extractMaterials('Grab 2 boxes of screws, then another 3 boxes of screws.')).toEqual([
+      { name: 'Screw', qty: 5, unit: 'box' }
+    ]);
+  });
+
+  it('folds a bare mention into the stated quantity, before or after it', () => {
+    expect(extractMaterials('Water is coming in near the gutter. Need 3 lengths of gutter.')).toEqual([
+      { name: 'Gutter', qty: 3, unit: 'length' }
+    ]);
+    expect(extractMaterials('Need 3 lengths of gutter. The gutter is rusted through.')).toEqual([
+      { name: 'Gutter', qty: 3, unit: 'length' }
+    ]);
+  });
+
+  it('counts a bare mention once when no quantity is given', () => {
+    expect(extractMaterials('The downpipe is blocked and the downpipe bracket is loose.')).toEqual([
+      { name: 'Downpipe', qty: 1, unit: 'ea' },
+      { name: 'Bracket', qty: 1, unit: 'ea' }
+    ]);
+  });
+
+  it('skips materials used as verbs', () => {
+    expect(extractMaterials('Paint the lounge room, we need 4 litres of paint.')).toEqual([
+      { name: 'Paint', qty: 4, unit: 'L' }
+    ]);
+    expect(extractMaterials('We\'ll sand the deck then tile the splashback with 2 boxes of tile.')).toEqual([
+      { name: 'Tile', qty: 2, unit: 'box' }
+    ]);
+    expect(extractMaterials('Need to grout it tomorrow.')).toEqual([]);
+  });
+
+  it('keeps those words as materials where they\'re things', () => {
+    expect(extractMaterials('The paint is peeling. Order tiles and grout.')).toEqual([
+      { name: 'Paint', qty: 1, unit: 'ea' },
+      { name: 'Tile', qty: 1, unit: 'ea' },
+      { name: 'Grout', qty: 1, unit: 'ea' }
+    ]);
+  });
+});
+
+describe('extractTasks', () => {
+  it('splits chained jobs and drops spoken lead-ins', () => {
+    expect(extractTasks('We need to replace the tap, then reseal the shower and fit a mixer.')).toEqual([
+      'Replace the tap',
+      'Reseal the shower',
+      'Fit a mixer'
+    ]);
+  });
+});
+
+describe('buildSummary', () => {
+  it('ends each opening sentence with a full stop', () => {
+    const transcript = 'Replace the hot water system\nRun cable to the shed\nCheck the meter box';
+    const tasks = extractTasks(transcript);
+    expect(buildSummary(transcript, tasks, extractMaterials(transcript)))
+      .toBe('Replace the hot water system. Run cable to the shed. Identified 3 tasks and 3 materials.');
+  });
+
+  it('leaves punctuation already there', () => {
+    expect(buildSummary('Tap is dripping! Client is home after 3.', [], [])).toBe('Tap is dripping! Client is home after 3.');
+  });
+});
+
+describe('ruleBasedExtractor', () => {
+  it('returns the summary, tasks and materials together', async () => {
+    const result = await ruleBasedExtractor.extract('Replace the isolation valve.');
+    expect(result).toEqual({
+      summary: 'Replace the isolation valve. Identified 1 task and 1 material.',
+      tasks: ['Replace the isolation valve'],
+      materials: [{ name: 'Isolation valve', qty: 1, unit: 'ea' }]
+    });
+  });
+});
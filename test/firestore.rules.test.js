@@ -0,0 +1,342 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  collection,
+  deleteDoc,
+  doc,
+  documentId,
+  getDoc,
+  getDocs,
+  query,
+  serverTimestamp,
+  setDoc,
+  Timestamp,
+  updateDoc,
+  where,
+  writeBatch
+} from 'firebase/firestore';
+import { BUSINESS_ID, createTestEnvironment, emulated, seedBusiness } from './rules-setup.js';
+
+describe.skipIf(!emulated)('firestore.rules', () => {
+  let env;
+  const as = (userId) => env.authenticatedContext(userId, { email: `${userId}@example.com`, email_verified: true }).firestore();
+
+  beforeAll(async () => {
+    env = await createTestEnvironment();
+  });
+
+  afterAll(async () => {
+    await env?.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seedBusiness(env);
+  });
+
+  const newJob = (userId, fields = {}) => ({
+    businessId: BUSINESS_ID,
+    userId,
+    client: 'New Client',
+    address: '1 New Rd',
+    status: 'new',
+    statusHistory: [],
+    updatedAt: Timestamp.now(),
+    ...fields
+  });
+
+  describe('jobs', () => {
+    it('lets owners and office staff read every job in the business', async () => {
+      await assertSucceeds(getDoc(doc(as('owner'), 'jobs', 'unassigned')));
+      await assertSucceeds(getDoc(doc(as('office'), 'jobs', 'unassigned')));
+      await assertSucceeds(getDocs(query(collection(as('office'), 'jobs'), where('businessId', '==', BUSINESS_ID))));
+    });
+
+    it('only lets field staff read the jobs assigned to them', async () => {
+      await assertSucceeds(getDoc(doc(as('field'), 'jobs', 'assigned')));
+      await assertFails(getDoc(doc(as('field'), 'jobs', 'unassigned')));
+      await assertFails(getDocs(query(collection(as('field'), 'jobs'), where('businessId', '==', BUSINESS_ID))));
+      await assertSucceeds(getDocs(query(collection(as('field'), 'jobs'),
+        where('businessId', '==', BUSINESS_ID), where('assignedUserId', '==', 'field'))));
+    });
+
+    it('keeps other businesses and signed-out users out', async () => {
+      await assertFails(getDoc(doc(as('outsider'), 'jobs', 'assigned')));
+      await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), 'jobs', 'assigned')));
+    });
+
+    it('doesn\'t tell anyone outside the business whether a job id exists', async () => {
+      await assertFails(getDoc(doc(as('outsider'), 'jobs', 'series-2')));
+      await assertFails(getDoc(doc(as('outsider'), 'jobs', 'assigned')));
+      // Office staff ask with a query, which only looks in their own business
+      const byId = (db, businessId) => getDocs(query(collection(db, 'jobs'),
+        where('businessId', '==', businessId), where(documentId(), '==', 'series-2')));
+      await assertSucceeds(byId(as('office'), BUSINESS_ID));
+      await assertFails(byId(as('outsider'), BUSINESS_ID));
+    });
+
+    it('lets office staff create jobs, but never with prices on the job', async () => {
+      await assertSucceeds(setDoc(doc(as('office'), 'jobs', 'created'), newJob('office')));
+      await assertFails(setDoc(doc(as('office'), 'jobs', 'priced'), newJob('office', { valueCents: 5000 })));
+      await assertFails(setDoc(doc(as('office'), 'jobs', 'impostor'), newJob('owner')));
+    });
+
+    it('lets field staff create jobs only when assigned to themselves', async () => {
+      await assertSucceeds(setDoc(doc(as('field'), 'jobs', 'mine'), newJob('field', { assignedUserId: 'field' })));
+      await assertFails(setDoc(doc(as('field'), 'jobs', 'theirs'), newJob('field', { assignedUserId: 'field2' })));
+      await assertFails(setDoc(doc(as('field'), 'jobs', 'nobodys'), newJob('field')));
+    });
+
+    it('lets field staff fill in the work on their jobs but not reassign or re-price them', async () => {
+      const db = as('field');
+      await assertSucceeds(updateDoc(doc(db, 'jobs', 'assigned'), { summary: 'Replaced the switchboard', updatedAt: Timestamp.now() }));
+      await assertFails(updateDoc(doc(db, 'jobs', 'assigned'), { address: '99 Elsewhere St' }));
+      await assertFails(updateDoc(doc(db, 'jobs', 'assigned'), { assignedUserId: 'field2' }));
+      await assertFails(updateDoc(doc(db, 'jobs', 'assigned'), { valueCents: 1 }));
+      await assertFails(updateDoc(doc(db, 'jobs', 'unassigned'), { summary: 'Not my job' }));
+    });
+
+    it('lets office staff edit jobs but not move them to another business', async () => {
+      const db = as('office');
+      await assertSucceeds(updateDoc(doc(db, 'jobs', 'unassigned'), { address: '2 Corrected St' }));
+      await assertFails(updateDoc(doc(db, 'jobs', 'unassigned'), { businessId: 'other' }));
+    });
+
+    it('only lets office staff delete jobs', async () => {
+      await assertFails(deleteDoc(doc(as('field'), 'jobs', 'assigned')));
+      await assertSucceeds(deleteDoc(doc(as('office'), 'jobs', 'assigned')));
+    });
+
+    it('lets office staff restore a job someone else created when it says who restored it', async () => {
+      const restored = newJob('field', { assignedUserId: 'field' });
+      await assertSucceeds(setDoc(doc(as('office'), 'jobs', 'restored'), { ...restored, restoredBy: 'office', restoredAt: serverTimestamp() }));
+      await assertFails(setDoc(doc(as('office'), 'jobs', 'unstamped'), restored));
+      await assertFails(setDoc(doc(as('field'), 'jobs', 'fieldRestore'), { ...restored, restoredBy: 'field', restoredAt: serverTimestamp() }));
+    });
+  });
+
+  describe('required safety forms', () => {
+    beforeEach(async () => {
+      await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await updateDoc(doc(db, 'businesses', BUSINESS_ID), { requiredForms: { all: ['jsa'], trades: { electrical: ['swms'] } } });
+        // A draft on the job, and a completed form on another job
+        for (const [formId, jobId, status] of [['jsaForm', 'assigned', 'draft'], ['otherJobForm', 'unassigned', 'completed']]) {
+          await setDoc(doc(db, 'jobForms', formId), {
+            businessId: BUSINESS_ID, jobId, templateId: 'jsa', userId: 'field', name: 'Job Safety Analysis',
+            values: {}, status, completedBy: null, completedAt: null
+          });
+        }
+      });
+    });
+
+    const complete = { status: 'completed', updatedAt: Timestamp.now() };
+
+    const completeForm = (db, formId, jobId, templateId) => {
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'jobForms', formId), { status: 'completed', completedBy: 'field', completedAt: Timestamp.now() });
+      batch.update(doc(db, 'jobs', jobId), { completedForms: [templateId], completedFormId: formId });
+      return batch.commit();
+    };
+
+    it('won\'t complete a job until its required forms are completed, for field or office staff', async () => {
+      await assertFails(updateDoc(doc(as('field'), 'jobs', 'assigned'), complete));
+      await assertFails(updateDoc(doc(as('office'), 'jobs', 'assigned'), complete));
+      await assertSucceeds(completeForm(as('field'), 'jsaForm', 'assigned', 'jsa'));
+      await assertSucceeds(updateDoc(doc(as('field'), 'jobs', 'assigned'), complete));
+    });
+
+    it('only notes a form on a job once a completed form of that template is on that job', async () => {
+      await assertFails(updateDoc(doc(as('field'), 'jobs', 'assigned'), { completedForms: ['jsa'], completedFormId: 'jsaForm' }));
+      await assertFails(updateDoc(doc(as('office'), 'jobs', 'assigned'), { completedForms: ['jsa'], completedFormId: 'otherJobForm' }));
+      await assertFails(updateDoc(doc(as('office'), 'jobs', 'assigned'), { ...complete, completedForms: ['jsa'] }));
+    });
+
+    it('adds the trade\'s own forms to the ones every job needs', async () => {
+      await completeForm(as('field'), 'jsaForm', 'assigned', 'jsa');
+      await assertSucceeds(updateDoc(doc(as('office'), 'jobs', 'assigned'), { trade: 'plumbing' }));
+      await assertFails(updateDoc(doc(as('office'), 'jobs', 'assigned'), { ...complete, trade: 'electrical' }));
+      await assertSucceeds(updateDoc(doc(as('office'), 'jobs', 'assigned'), complete));
+    });
+
+    it('won\'t create a job already completed, or with forms it doesn\'t have, unless it\'s a restore', async () => {
+      await assertFails(setDoc(doc(as('office'), 'jobs', 'imported'), newJob('office', { status: 'completed' })));
+      await assertFails(setDoc(doc(as('office'), 'jobs', 'claimed'), newJob('office', { completedForms: ['jsa'] })));
+      await assertSucceeds(setDoc(doc(as('office'), 'jobs', 'open'), newJob('office', { status: 'in_progress' })));
+      await assertSucceeds(setDoc(doc(as('office'), 'jobs', 'restored'),
+        { ...newJob('office', { status: 'completed' }), restoredBy: 'office', restoredAt: serverTimestamp() }));
+    });
+  });
+
+  describe('jobPricing', () => {
+    it('lets owners and office staff read and write prices', async () => {
+      await assertSucceeds(getDoc(doc(as('owner'), 'jobPricing', 'assigned')));
+      await assertSucceeds(getDoc(doc(as('office'), 'jobPricing', 'assigned')));
+      await assertSucceeds(updateDoc(doc(as('office'), 'jobPricing', 'assigned'), { valueCents: 120000 }));
+    });
+
+    it('never lets field staff read prices, even on their own jobs', async () => {
+      const db = as('field');
+      await assertFails(getDoc(doc(db, 'jobPricing', 'assigned')));
+      await assertFails(getDocs(query(collection(db, 'jobPricing'), where('businessId', '==', BUSINESS_ID))));
+      await assertFails(getDocs(query(collection(db, 'jobPricing'), where('jobId', '==', 'assigned'))));
+    });
+
+    it('never lets field staff write prices', async () => {
+      const db = as('field');
+      await assertFails(updateDoc(doc(db, 'jobPricing', 'assigned'), { valueCents: 1 }));
+      await assertFails(setDoc(doc(db, 'jobPricing', 'fresh'), { businessId: BUSINESS_ID, jobId: 'fresh', valueCents: 1 }));
+      await assertFails(deleteDoc(doc(db, 'jobPricing', 'assigned')));
+    });
+
+    it('keeps other businesses out', async () => {
+      await assertFails(getDoc(doc(as('outsider'), 'jobPricing', 'assigned')));
+    });
+
+    it('only prices a job in the same business, on its own or created alongside it', async () => {
+      await env.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'jobs', 'unpriced'), newJob('owner'));
+      });
+      await assertFails(setDoc(doc(as('outsider'), 'jobPricing', 'unpriced'), { businessId: 'other', jobId: 'unpriced', valueCents: 1 }));
+      await assertFails(setDoc(doc(as('office'), 'jobPricing', 'nojob'), { businessId: BUSINESS_ID, jobId: 'nojob', valueCents: 1 }));
+      await assertSucceeds(setDoc(doc(as('office'), 'jobPricing', 'unpriced'), { businessId: BUSINESS_ID, jobId: 'unpriced', valueCents: 1 }));
+
+      const db = as('office');
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'jobs', 'pricedNew'), newJob('office'));
+      batch.set(doc(db, 'jobPricing', 'pricedNew'), { businessId: BUSINESS_ID, jobId: 'pricedNew', valueCents: 5000 });
+      await assertSucceeds(batch.commit());
+    });
+  });
+
+  describe('job activity', () => {
+    const entry = (userId, fields = {}) => ({
+      type: 'note',
+      summary: 'Power isolated',
+      businessId: BUSINESS_ID,
+      jobId: 'assigned',
+      userId,
+      pricing: false,
+      at: Timestamp.now(),
+      createdAt: serverTimestamp(),
+      ...fields
+    });
+
+    it('lets anyone who can see the job add entries in their own name at the server time', async () => {
+      await assertSucceeds(setDoc(doc(as('field'), 'jobs', 'assigned', 'activity', 'a1'), entry('field')));
+      await assertSucceeds(setDoc(doc(as('office'), 'jobs', 'assigned', 'activity', 'a2'), entry('office')));
+    });
+
+    it('rejects entries with a made-up time, author or job', async () => {
+      const db = as('field');
+      await assertFails(setDoc(doc(db, 'jobs', 'assigned', 'activity', 'a1'), entry('field', { createdAt: Timestamp.fromDate(new Date(2020, 0, 1)) })));
+      await assertFails(setDoc(doc(db, 'jobs', 'assigned', 'activity', 'a2'), entry('field2')));
+      await assertFails(setDoc(doc(db, 'jobs', 'assigned', 'activity', 'a3'), entry('field', { jobId: 'unassigned' })));
+      await assertFails(setDoc(doc(db, 'jobs', 'unassigned', 'activity', 'a4'), entry('field', { jobId: 'unassigned' })));
+    });
+
+    it('keeps entries about prices away from field staff', async () => {
+      await assertFails(setDoc(doc(as('field'), 'jobs', 'assigned', 'activity', 'p1'), entry('field', { pricing: true })));
+      await assertSucceeds(setDoc(doc(as('office'), 'jobs', 'assigned', 'activity', 'p2'), entry('office', { pricing: true })));
+      await assertFails(getDoc(doc(as('field'), 'jobs', 'assigned', 'activity', 'p2')));
+      await assertSucceeds(getDoc(doc(as('owner'), 'jobs', 'assigned', 'activity', 'p2')));
+    });
+
+    it('never lets anyone edit or delete history, owners included', async () => {
+      await assertSucceeds(setDoc(doc(as('office'), 'jobs', 'assigned', 'activity', 'a1'), entry('office')));
+      await assertFails(updateDoc(doc(as('office'), 'jobs', 'assigned', 'activity', 'a1'), { summary: 'Rewritten' }));
+      await assertFails(updateDoc(doc(as('owner'), 'jobs', 'assigned', 'activity', 'a1'), { summary: 'Rewritten' }));
+      await assertFails(deleteDoc(doc(as('owner'), 'jobs', 'assigned', 'activity', 'a1')));
+    });
+
+    it('lets a new job and its first entry go in together', async () => {
+      const db = as('office');
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'jobs', 'together'), newJob('office'));
+      batch.set(doc(db, 'jobs', 'together', 'activity', 'first'), { ...entry('office'), jobId: 'together', type: 'created' });
+      await assertSucceeds(batch.commit());
+    });
+  });
+
+  describe('quoteShares', () => {
+    const TOKEN = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+    const client = () => env.unauthenticatedContext().firestore();
+    const answer = (fields = {}) => ({
+      status: 'accepted',
+      response: {
+        decision: 'accepted',
+        signerName: 'Jo Citizen',
+        signature: 'data:image/png;base64,iVBORw0KGgo=',
+        signatureMethod: 'drawn',
+        userAgent: 'Mozilla/5.0',
+        respondedAt: serverTimestamp(),
+        ...fields
+      }
+    });
+
+    beforeEach(async () => {
+      await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        const share = {
+          businessId: BUSINESS_ID,
+          jobId: 'assigned',
+          quoteId: 'q1',
+          number: 'Q-0001',
+          status: 'open',
+          response: null,
+          appliedAt: null,
+          createdBy: 'office',
+          validUntil: Timestamp.fromDate(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000))
+        };
+        await setDoc(doc(db, 'quoteShares', TOKEN), share);
+        await setDoc(doc(db, 'quoteShares', 'expired'), { ...share, validUntil: Timestamp.fromDate(new Date(Date.now() - 60 * 1000)) });
+      });
+    });
+
+    it('lets anyone with the link open it, but nobody outside the office list them', async () => {
+      await assertSucceeds(getDoc(doc(client(), 'quoteShares', TOKEN)));
+      await assertFails(getDocs(query(collection(client(), 'quoteShares'), where('businessId', '==', BUSINESS_ID))));
+      await assertFails(getDocs(query(collection(as('field'), 'quoteShares'), where('businessId', '==', BUSINESS_ID))));
+      await assertSucceeds(getDocs(query(collection(as('office'), 'quoteShares'), where('businessId', '==', BUSINESS_ID))));
+    });
+
+    it('accepts a signed answer at the server time', async () => {
+      await assertSucceeds(updateDoc(doc(client(), 'quoteShares', TOKEN), answer()));
+    });
+
+    it('accepts a decline and a typed signature', async () => {
+      await assertSucceeds(updateDoc(doc(client(), 'quoteShares', TOKEN), {
+        ...answer({ decision: 'declined', signatureMethod: 'typed' }),
+        status: 'declined'
+      }));
+    });
+
+    it('rejects answers that are incomplete or don\'t add up', async () => {
+      const ref = doc(client(), 'quoteShares', TOKEN);
+      await assertFails(updateDoc(ref, answer({ signature: 'not an image' })));
+      await assertFails(updateDoc(ref, answer({ signerName: '' })));
+      await assertFails(updateDoc(ref, answer({ signerName: 'x'.repeat(101) })));
+      await assertFails(updateDoc(ref, answer({ decision: 'declined' })));
+      await assertFails(updateDoc(ref, answer({ signatureMethod: 'stamped' })));
+      await assertFails(updateDoc(ref, answer({ respondedAt: Timestamp.fromDate(new Date(2020, 0, 1)) })));
+      await assertFails(updateDoc(ref, answer({ extra: 'field' })));
+      await assertFails(updateDoc(ref, answer({ ip: '203.0.113.9' })));
+      await assertFails(updateDoc(ref, { ...answer(), status: 'withdrawn' }));
+      await assertFails(updateDoc(ref, { ...answer(), totalCents: 1 }));
+    });
+
+    it('only takes one answer, and none after the quote expires', async () => {
+      await assertSucceeds(updateDoc(doc(client(), 'quoteShares', TOKEN), answer()));
+      await assertFails(updateDoc(doc(client(), 'quoteShares', TOKEN), { ...answer({ decision: 'declined' }), status: 'declined' }));
+      await assertFails(updateDoc(doc(client(), 'quoteShares', 'expired'), answer()));
+    });
+
+    it('lets office staff withdraw an open link and record an applied answer, and nothing more', async () => {
+      await assertSucceeds(updateDoc(doc(as('office'), 'quoteShares', TOKEN), { status: 'withdrawn', updatedAt: Timestamp.now() }));
+      await assertFails(updateDoc(doc(as('office'), 'quoteShares', 'expired'), { status: 'accepted' }));
+      await assertFails(updateDoc(doc(as('field'), 'quoteShares', 'expired'), { status: 'withdrawn' }));
+      await assertFails(updateDoc(doc(as('office'), 'quoteShares', 'expired'), { totalCents: 1 }));
+      await assertFails(deleteDoc(doc(as('owner'), 'quoteShares', 'expired')));
+    });
+  });
+});
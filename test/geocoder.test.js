@@ -0,0 +1,84 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createFixtureGeocoder, createNominatimGeocoder, setGeocoder } from '../js/geocoder.js';
+import { geocodeAddress, hasCurrentLocation, needsLocation } from '../js/job-locations.js';
+
+vi.mock('../js/firebase-config.js', () => ({ db: {} }));
+
+const fixtures = { '12 Smith St, Fitzroy VIC 3065': { lat: -37.7986, lng: 144.9785 } };
+
+describe('createFixtureGeocoder', () => {
+  const geocoder = createFixtureGeocoder({ fixtures });
+
+  it('finds listed addresses ignoring case and punctuation', async () => {
+    await expect(geocoder.geocode('12 smith st fitzroy vic 3065')).resolves.toEqual({
+      lat: -37.7986, lng: 144.9785, label: '12 Smith St, Fitzroy VIC 3065'
+    });
+  });
+
+  it('places other addresses at their capital city postcode, marked approximate', async () => {
+    await expect(geocoder.geocode('1 George St, Sydney NSW 2000')).resolves.toMatchObject({ label: 'Sydney NSW 2000', approximate: true });
+  });
+
+  it('returns null for addresses it knows nothing about', async () => {
+    await expect(geocoder.geocode('5 Main Rd, Ballarat VIC 3350')).resolves.toBeNull();
+  });
+});
+
+describe('createNominatimGeocoder', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('asks the search endpoint and reads the first place', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, json: async () => [{ lat: '-37.8', lon: '144.9', display_name: 'Fitzroy' }] }));
+    vi.stubGlobal('fetch', fetch);
+    const geocoder = createNominatimGeocoder({ endpoint: 'https://geo.example/', email: 'office@example.com', minIntervalMs: 0 });
+
+    await expect(geocoder.geocode('12 Smith St')).resolves.toEqual({ lat: -37.8, lng: 144.9, label: 'Fitzroy' });
+    const url = new URL(fetch.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe('https://geo.example/search');
+    expect(url.searchParams.get('q')).toBe('12 Smith St');
+    expect(url.searchParams.get('email')).toBe('office@example.com');
+  });
+
+  it('rejects when the lookup fails', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 503 })));
+    await expect(createNominatimGeocoder({ minIntervalMs: 0 }).geocode('12 Smith St')).rejects.toThrow('503');
+  });
+});
+
+describe('job locations', () => {
+  const located = (fields) => ({
+    address: '12 Smith St, Fitzroy VIC 3065',
+    location: { lat: -37.7986, lng: 144.9785, address: '12 Smith St, Fitzroy VIC 3065', geocoder: 'fixture', approximate: false, ...fields }
+  });
+
+  afterEach(() => {
+    setGeocoder(null);
+  });
+
+  it('looks nothing up without a geocoder', async () => {
+    expect(needsLocation({ address: '12 Smith St' })).toBe(false);
+    expect(hasCurrentLocation(located())).toBe(false);
+    await expect(geocodeAddress('12 Smith St')).resolves.toBeNull();
+  });
+
+  it('keeps locations the active geocoder found for the current address', () => {
+    setGeocoder(createFixtureGeocoder({ fixtures }));
+    expect(hasCurrentLocation(located())).toBe(true);
+    expect(needsLocation(located())).toBe(false);
+    expect(needsLocation({ ...located(), address: '14 Smith St, Fitzroy VIC 3065' })).toBe(true);
+  });
+
+  it('looks up approximate locations and ones from another geocoder again', () => {
+    setGeocoder(createFixtureGeocoder({ fixtures }));
+    expect(needsLocation(located({ approximate: true }))).toBe(true);
+    expect(needsLocation(located({ geocoder: 'nominatim' }))).toBe(true);
+  });
+
+  it('doesn\'t hand back approximate places', async () => {
+    setGeocoder(createFixtureGeocoder({ fixtures }));
+    await expect(geocodeAddress('1 George St, Sydney NSW 2000')).resolves.toBeNull();
+    await expect(geocodeAddress('12 Smith St, Fitzroy VIC 3065')).resolves.toMatchObject({ lat: -37.7986 });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { buildMessages, findDueReminders, renderTemplate } from '../js/notifications.js';
+import { createMockMessageTransport } from '../js/message-transport.js';
+
+describe('renderTemplate', () => {
+  it('fills in merge fields, spaces and all', () => {
+    expect(renderTemplate('Hi {{firstName}}, see you {{ appointmentDate }}', { firstName: 'Sam', appointmentDate: 'Tuesday 4 March' }))
+      .toEqual({ text: 'Hi Sam, see you Tuesday 4 March', missing: [] });
+  });
+
+  it('lists empty and unknown fields once each', () => {
+    expect(renderTemplate('{{firstName}} {{firstName}} {{quoteNumber}} {{madeUp}}', { firstName: '', quoteNumber: null }))
+      .toEqual({ text: '   ', missing: ['firstName', 'quoteNumber', 'madeUp'] });
+  });
+
+  it('keeps zero as a value', () => {
+    expect(renderTemplate('{{eta}} minutes', { eta: 0 }).text).toBe('0 minutes');
+  });
+});
+
+describe('buildMessages', () => {
+  const business = { name: 'Smith Electrical', profile: { phone: '07 3000 0000' } };
+  const client = { name: 'Jo Citizen', email: 'jo@example.com', phone: '0412 345 678' };
+  const job = {
+    id: 'job1',
+    client: 'Jo Citizen',
+    address: '12 Smith St',
+    scheduledStart: new Date(2026, 2, 4, 8, 0),
+    scheduledEnd: new Date(2026, 2, 4, 10, 0)
+  };
+
+  it('builds an email and a text for a booking, sent through the transport', async () => {
+    const { messages, skipped } = buildMessages('bookingConfirmed', { job, client, business }, {});
+    expect(skipped).toEqual([]);
+    expect(messages.map(message => [message.channel, message.to])).toEqual([['email', 'jo@example.com'], ['sms', '+61412345678']]);
+    expect(messages[1].body).toContain('Hi Jo, Smith Electrical is booked for');
+
+    const transport = createMockMessageTransport();
+    const results = await Promise.all(messages.map(message => transport.send(message)));
+    expect(results).toEqual([{ id: 'mock-1' }, { id: 'mock-2' }]);
+    expect(transport.outbox.map(message => message.channel)).toEqual(['sms', 'email']);
+  });
+
+  it('skips a channel the client has no details for', () => {
+    const { messages, skipped } = buildMessages('bookingConfirmed', { job, client: { name: 'Jo Citizen', phone: '0412 345 678' }, business }, {});
+    expect(messages.map(message => message.channel)).toEqual(['sms']);
+    expect(skipped).toEqual([{ channel: 'email', reason: 'Jo Citizen has no email address' }]);
+  });
+
+  it('won\'t send a message with a merge field missing', () => {
+    const { messages, skipped } = buildMessages('jobComplete', { job, client, business }, {});
+    expect(messages).toEqual([]);
+    expect(skipped[0].reason).toBe('No invoice number, invoice total, invoice due date');
+  });
+
+  it('only sends turned-off messages when asked to by hand', () => {
+    const templates = { onMyWay: { enabled: false } };
+    const context = { job, client, business, worker: 'Alex', etaMinutes: 20 };
+    expect(buildMessages('onMyWay', context, templates).skipped).toEqual([{ channel: null, reason: 'Turned off', disabled: true }]);
+    expect(buildMessages('onMyWay', context, templates, { manual: true }).messages[0].body)
+      .toBe('Hi Jo, Alex from Smith Electrical is on the way - about 20 minutes.');
+  });
+
+  it('passes on why the transport couldn\'t send', async () => {
+    const { messages } = buildMessages('dayBeforeReminder', { job, client, business }, {});
+    await expect(createMockMessageTransport({ fail: 'No SMS credit' }).send(messages[0])).rejects.toThrow('No SMS credit');
+  });
+});
+
+describe('findDueReminders', () => {
+  const now = new Date(2026, 2, 3, 15, 0);
+  const at = (day, hours) => new Date(2026, 2, day, hours, 0);
+
+  it('finds open jobs booked for tomorrow, keyed by the booking', () => {
+    const jobs = [
+      { id: 'tomorrow', status: 'in_progress', scheduledStart: at(4, 8) },
+      { id: 'lateTomorrow', status: 'new', scheduledStart: at(4, 23) },
+      { id: 'today', status: 'in_progress', scheduledStart: at(3, 17) },
+      { id: 'dayAfter', status: 'in_progress', scheduledStart: at(5, 8) },
+      { id: 'done', status: 'completed', scheduledStart: at(4, 9) },
+      { id: 'cancelled', status: 'cancelled', scheduledStart: at(4, 9) },
+      { id: 'unscheduled', status: 'new' }
+    ];
+    const due = findDueReminders(jobs, now);
+    expect(due.map(reminder => reminder.job.id)).toEqual(['tomorrow', 'lateTomorrow']);
+    expect(due[0].key).toBe(`tomorrow_dayBeforeReminder_${at(4, 8).getTime()}`);
+  });
+
+  it('gives a rescheduled booking a new key', () => {
+    const [before] = findDueReminders([{ id: 'job1', status: 'new', scheduledStart: at(4, 8) }], now);
+    const [after] = findDueReminders([{ id: 'job1', status: 'new', scheduledStart: at(4, 13) }], now);
+    expect(before.key).not.toBe(after.key);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, expect, it } from 'vitest';
+import { averageValueByTrade, invoiceAging, monthlyRevenue, quoteConversion } from '../js/reports.js';
+
+// Local dates, so month boundaries don't move with the machine's time zone
+const day = (year, month, date) => new Date(year, month - 1, date, 10);
+// What Firestore hands back
+const timestamp = (date) => ({ toDate: () => date });
+
+const FIRST_QUARTER = { from: '2026-01-01', to: '2026-03-31' };
+
+describe('monthlyRevenue', () => {
+  const invoices = [
+    { id: 'inv-1', totalCents: 110000, issuedAt: timestamp(day(2026, 1, 15)), status: 'paid', paidAt: timestamp(day(2026, 2, 3)) },
+    { id: 'inv-2', totalCents: 55000, issuedAt: day(2026, 1, 31), status: 'issued' },
+    { id: 'inv-3', totalCents: 22000, issuedAt: day(2026, 3, 1), status: 'paid', paidAt: day(2026, 4, 2) },
+    { id: 'inv-4', totalCents: 33000, issuedAt: day(2025, 12, 20), status: 'paid', paidAt: day(2026, 1, 5) },
+    { id: 'no-date', totalCents: 99900, status: 'issued' },
+    { id: 'no-total', issuedAt: day(2026, 2, 10), status: 'paid', paidAt: day(2026, 2, 11) }
+  ];
+
+  it('counts invoices in the month issued and payments in the month paid', () => {
+    const rows = monthlyRevenue(invoices, FIRST_QUARTER);
+    expect(rows.map(row => row.month)).toEqual(['2026-01', '2026-02', '2026-03']);
+    expect(rows.map(({ invoiceCount, invoicedCents, paidCents }) => ({ invoiceCount, invoicedCents, paidCents }))).toEqual([
+      { invoiceCount: 2, invoicedCents: 165000, paidCents: 33000 },
+      { invoiceCount: 1, invoicedCents: 0, paidCents: 110000 },
+      { invoiceCount: 1, invoicedCents: 22000, paidCents: 0 }
+    ]);
+  });
+
+  it('returns a zero row for every month when there is nothing to count', () => {
+    const rows = monthlyRevenue([], { from: '2026-01-15', to: '2026-02-02' });
+    expect(rows).toHaveLength(2);
+    expect(rows.every(row => row.invoiceCount === 0 && row.invoicedCents === 0 && row.paidCents === 0)).toBe(true);
+  });
+});
+
+describe('quoteConversion', () => {
+  const jobs = [
+    { id: 'won', status: 'completed', valueCents: 50000 },
+    { id: 'lost', status: 'cancelled', valueCents: 80000, statusHistory: [{ from: 'new', to: 'quoted', at: day(2026, 2, 5) }] },
+    { id: 'won-no-value', status: 'in_progress' },
+    { id: 'open', status: 'quoted', statusHistory: [{ from: 'new', to: 'quoted', at: timestamp(day(2026, 3, 5)) }] },
+    { id: 'never-quoted', status: 'in_progress', valueCents: 70000 },
+    { id: 'quoted-last-year', status: 'completed', valueCents: 40000 }
+  ];
+  const quotes = [
+    { jobId: 'won', issuedAt: timestamp(day(2026, 1, 10)) },
+    { jobId: 'won', issuedAt: timestamp(day(2026, 2, 1)) },
+    { jobId: 'won-no-value', issuedAt: day(2026, 2, 20) },
+    { jobId: 'open', issuedAt: day(2026, 3, 1) },
+    { jobId: 'open', issuedAt: null },
+    { jobId: 'quoted-last-year', issuedAt: day(2025, 11, 30) }
+  ];
+
+  it('counts each job once, in the month it was first quoted', () => {
+    const { months } = quoteConversion(jobs, quotes, FIRST_QUARTER);
+    expect(months.map(({ month, quoted, won, lost, open, wonCents }) => ({ month, quoted, won, lost, open, wonCents }))).toEqual([
+      { month: '2026-01', quoted: 1, won: 1, lost: 0, open: 0, wonCents: 50000 },
+      { month: '2026-02', quoted: 2, won: 1, lost: 1, open: 0, wonCents: 0 },
+      { month: '2026-03', quoted: 1, won: 0, lost: 0, open: 1, wonCents: 0 }
+    ]);
+  });
+
+  it('counts open quotes against the rate', () => {
+    const { totals } = quoteConversion(jobs, quotes, FIRST_QUARTER);
+    expect(totals).toMatchObject({ quoted: 4, won: 2, lost: 1, open: 1, wonCents: 50000, rate: 0.5 });
+  });
+
+  it('has a zero rate when nothing was quoted', () => {
+    const { totals } = quoteConversion([{ id: 'bare' }], [], FIRST_QUARTER);
+    expect(totals).toMatchObject({ quoted: 0, rate: 0 });
+  });
+});
+
+describe('invoiceAging', () => {
+  const now = day(2026, 3, 31);
+  const invoices = [
+    { id: 'due-today', totalCents: 10000, status: 'issued', dueDate: day(2026, 3, 31) },
+    { id: 'not-due', totalCents: 20000, status: 'issued', dueDate: timestamp(day(2026, 4, 14)) },
+    { id: 'month', totalCents: 30000, status: 'issued', dueDate: day(2026, 3, 1) },
+    { id: 'seventy-five', totalCents: 40000, status: 'issued', dueDate: day(2026, 1, 15) },
+    { id: 'long-overdue', status: 'issued', dueDate: day(2025, 12, 1) },
+    { id: 'paid', totalCents: 50000, status: 'paid', dueDate: day(2025, 12, 1) },
+    { id: 'no-due-date', totalCents: 60000, status: 'issued' }
+  ];
+
+  it('buckets unpaid invoices by days past due', () => {
+    const { buckets } = invoiceAging(invoices, now);
+    expect(buckets.map(({ key, count, totalCents }) => ({ key, count, totalCents }))).toEqual([
+      { key: 'current', count: 2, totalCents: 30000 },
+      { key: '1-30', count: 1, totalCents: 30000 },
+      { key: '31-60', count: 0, totalCents: 0 },
+      { key: '61-90', count: 1, totalCents: 40000 },
+      { key: '90+', count: 1, totalCents: 0 }
+    ]);
+  });
+
+  it('lists the most overdue first and leaves out paid and undated invoices', () => {
+    const { items } = invoiceAging(invoices, now);
+    expect(items.map(item => [item.id, item.daysOverdue])).toEqual([
+      ['long-overdue', 120],
+      ['seventy-five', 75],
+      ['month', 30],
+      ['due-today', 0],
+      ['not-due', -14]
+    ]);
+  });
+});
+
+describe('averageValueByTrade', () => {
+  it('leaves out cancelled jobs and jobs with no value or no date', () => {
+    const jobs = [
+      { trade: 'electrical', valueCents: 30000, createdAt: day(2026, 1, 2) },
+      { trade: 'electrical', value: '$500.00', createdAt: day(2026, 2, 2) },
+      { trade: 'plumbing', valueCents: 90000, createdAt: day(2026, 3, 2) },
+      { trade: 'plumbing', valueCents: 90000, createdAt: day(2026, 3, 2), status: 'cancelled' },
+      { trade: 'plumbing', createdAt: day(2026, 3, 2) },
+      { trade: 'plumbing', valueCents: 90000 }
+    ];
+    expect(averageValueByTrade(jobs, FIRST_QUARTER).map(({ trade, jobCount, averageCents }) => ({ trade, jobCount, averageCents }))).toEqual([
+      { trade: 'plumbing', jobCount: 1, averageCents: 90000 },
+      { trade: 'electrical', jobCount: 2, averageCents: 40000 }
+    ]);
+  });
+});
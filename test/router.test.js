@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { buildHash, parseRoute } from '../js/router.js';
+
+describe('parseRoute', () => {
+  it('reads pages and their parameters', () => {
+    expect(parseRoute('#/jobs/new')).toEqual({ name: 'newJob', params: {} });
+    expect(parseRoute('#/jobs/abc/billing')).toEqual({ name: 'job', params: { jobId: 'abc', tab: 'billing' } });
+    expect(parseRoute('#/settings/forms/f1')).toEqual({ name: 'forms', params: { formTemplateId: 'f1' } });
+  });
+
+  it('decodes escaped parameters', () => {
+    expect(parseRoute('#/clients/a%2Fb%20c').params).toEqual({ clientId: 'a/b c' });
+  });
+
+  it('sends unknown paths and broken escapes to the dashboard', () => {
+    expect(parseRoute('#/nowhere')).toEqual({ name: 'dashboard', params: {} });
+    expect(parseRoute('#/jobs/%E0%A4%A')).toEqual({ name: 'dashboard', params: {} });
+    expect(parseRoute('#/clients/%')).toEqual({ name: 'dashboard', params: {} });
+    expect(parseRoute('')).toEqual({ name: 'dashboard', params: {} });
+  });
+});
+
+describe('buildHash', () => {
+  it('uses the optional parameters it is given, and round trips through parseRoute', () => {
+    expect(buildHash('job', { jobId: 'abc' })).toBe('#/jobs/abc');
+    expect(buildHash('job', { jobId: 'abc', tab: 'forms' })).toBe('#/jobs/abc/forms');
+    expect(parseRoute(buildHash('client', { clientId: 'a/b c' }))).toEqual({ name: 'client', params: { clientId: 'a/b c' } });
+  });
+
+  it('throws for a page that doesn\'t exist', () => {
+    expect(() => buildHash('nowhere')).toThrow('Unknown route: nowhere');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { AVERAGE_SPEED_KMH, ROAD_FACTOR, distanceKm, estimateTravel, getRouteLegs, orderStops, sumLegs } from '../js/routing.js';
+
+// Stops along the equator, where a degree of longitude is about 111 km
+const at = (id, lng) => ({ id, location: { lat: 0, lng } });
+const ids = (stops) => stops.map(stop => stop.id);
+
+describe('distanceKm and estimateTravel', () => {
+  const sydney = { lat: -33.8688, lng: 151.2093 };
+  const melbourne = { lat: -37.8136, lng: 144.9631 };
+
+  it('measures the straight line between two points', () => {
+    expect(Math.round(distanceKm(sydney, melbourne))).toBe(713);
+    expect(distanceKm(sydney, sydney)).toBe(0);
+  });
+
+  it('allows for the roads and the average speed', () => {
+    const straight = distanceKm(sydney, melbourne);
+    const { km, minutes } = estimateTravel(sydney, melbourne);
+    expect(km).toBeCloseTo(straight * ROAD_FACTOR, 1);
+    expect(minutes).toBe(Math.round(straight * ROAD_FACTOR / AVERAGE_SPEED_KMH * 60));
+  });
+
+  it('adds up the legs of a route', () => {
+    const legs = getRouteLegs(at('base', 0), [at('a', 0.1), at('b', 0.3)]);
+    expect(legs.map(leg => [leg.from.id, leg.to.id])).toEqual([['base', 'a'], ['a', 'b']]);
+    expect(sumLegs(legs)).toEqual({
+      km: Math.round((legs[0].km + legs[1].km) * 10) / 10,
+      minutes: legs[0].minutes + legs[1].minutes
+    });
+  });
+});
+
+describe('orderStops', () => {
+  it('leaves one stop or none alone', () => {
+    expect(orderStops(at('base', 0), [])).toEqual([]);
+    expect(ids(orderStops(at('base', 0), [at('a', 1)]))).toEqual(['a']);
+  });
+
+  it('visits the nearest stop next', () => {
+    expect(ids(orderStops(at('base', 0), [at('far', 0.3), at('near', 0.1), at('middle', 0.2)]))).toEqual(['near', 'middle', 'far']);
+  });
+
+  it('untangles a nearest-first route that crosses itself', () => {
+    const point = (id, lat, lng) => ({ id, location: { lat, lng } });
+    const stops = [point('a', 0.2, 0.3), point('b', 0.3, 0.2), point('c', 0.3, 0), point('d', 0.2, 0.1)];
+    const base = point('base', 0, 0);
+    const km = (route) => sumLegs(getRouteLegs(base, route)).km;
+
+    // Nearest first would go d, b, a, c and cross its own path
+    const route = orderStops(base, stops);
+    expect(ids(route)).toEqual(['d', 'c', 'b', 'a']);
+    expect(km(route)).toBeLessThan(km([stops[3], stops[1], stops[0], stops[2]]));
+  });
+
+  it('can move the first stop when there is no start', () => {
+    // Starting from the first stop given would mean doubling back
+    expect(ids(orderStops(null, [at('middle', 0.1), at('west', 0), at('east', 0.3)]))).toEqual(['west', 'middle', 'east']);
+  });
+});
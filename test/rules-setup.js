@@ -0,0 +1,51 @@
+// Shared setup for the security rules tests. They run against the Firestore and
+// Storage emulators (`npm test` starts them); without an emulator they're skipped.
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc, Timestamp } from 'firebase/firestore';
+
+export const PROJECT_ID = 'demo-tradieiq';
+export const BUSINESS_ID = 'biz';
+
+export const emulated = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+export function createTestEnvironment({ storage = false } = {}) {
+  return initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+    ...(storage ? { storage: { rules: readFileSync(new URL('../storage.rules', import.meta.url), 'utf8') } } : {})
+  });
+}
+
+// A business with an owner, an office worker and two field workers, a second
+// business with its own owner, and two jobs - one assigned to `field`, one to `field2`
+export async function seedBusiness(env) {
+  await env.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const member = (businessId, userId, role) =>
+      setDoc(doc(db, 'businesses', businessId, 'members', userId), { userId, role, email: `${userId}@example.com`, displayName: userId });
+
+    await setDoc(doc(db, 'businesses', BUSINESS_ID), { ownerId: 'owner', name: 'Smith Electrical' });
+    await member(BUSINESS_ID, 'owner', 'owner');
+    await member(BUSINESS_ID, 'office', 'office');
+    await member(BUSINESS_ID, 'field', 'field');
+    await member(BUSINESS_ID, 'field2', 'field');
+    await setDoc(doc(db, 'businesses', 'other'), { ownerId: 'outsider', name: 'Other Plumbing' });
+    await member('other', 'outsider', 'owner');
+
+    for (const [jobId, assignedUserId] of [['assigned', 'field'], ['unassigned', 'field2']]) {
+      await setDoc(doc(db, 'jobs', jobId), {
+        businessId: BUSINESS_ID,
+        userId: 'owner',
+        client: 'Jo Citizen',
+        address: '12 Smith St',
+        summary: '',
+        status: 'new',
+        statusHistory: [],
+        assignedUserId,
+        updatedAt: Timestamp.now()
+      });
+      await setDoc(doc(db, 'jobPricing', jobId), { businessId: BUSINESS_ID, jobId, valueCents: 110000, labour: [] });
+    }
+  });
+}
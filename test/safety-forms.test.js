@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { buildRequiredForms, getFormsToRecord, isSameRequiredForms } from '../js/safety-forms.js';
+import { guessMapping, planImport, readImportFile } from '../js/data-import.js';
+
+const templates = [
+  { id: 'swms', name: 'Safe Work Method Statement', requiredFor: { all: false, trades: ['roofing', 'electrical'] } },
+  { id: 'jsa', name: 'Job Safety Analysis', requiredFor: { all: true, trades: [] } },
+  { id: 'test', name: 'Test and tag', requiredFor: { all: false, trades: ['electrical'] } },
+  { id: 'checklist', name: 'Handover checklist', requiredFor: { all: false, trades: [] } }
+];
+
+describe('buildRequiredForms', () => {
+  it('lists the templates every job needs and those each trade adds', () => {
+    expect(buildRequiredForms(templates)).toEqual({
+      all: ['jsa'],
+      trades: { electrical: ['swms', 'test'], roofing: ['swms'] }
+    });
+  });
+
+  it('compares with the saved copy whatever order it comes back in', () => {
+    const saved = { trades: { roofing: ['swms'], electrical: ['test', 'swms'] }, all: ['jsa'] };
+    expect(isSameRequiredForms(buildRequiredForms(templates), saved)).toBe(true);
+    expect(isSameRequiredForms(buildRequiredForms(templates.slice(1)), saved)).toBe(false);
+    expect(isSameRequiredForms(buildRequiredForms([]), undefined)).toBe(true);
+  });
+});
+
+describe('getFormsToRecord', () => {
+  it('picks completed forms the job doesn\'t note yet, one per template', () => {
+    const job = { id: 'job1', completedForms: ['jsa'] };
+    const forms = [
+      { id: 'a', jobId: 'job1', templateId: 'jsa', status: 'completed' },
+      { id: 'b', jobId: 'job1', templateId: 'swms', status: 'completed' },
+      { id: 'c', jobId: 'job1', templateId: 'swms', status: 'completed' },
+      { id: 'd', jobId: 'job1', templateId: 'test', status: 'draft' },
+      { id: 'e', jobId: 'job2', templateId: 'test', status: 'completed' }
+    ];
+    expect(getFormsToRecord(job, forms).map(form => form.id)).toEqual(['b']);
+  });
+});
+
+describe('planImport', () => {
+  const plan = (csv, formTemplates) => {
+    const { headers, records } = readImportFile(csv, { kind: 'jobs', fileName: 'jobs.csv' });
+    return planImport('jobs', records, guessMapping('jobs', headers), { clients: [], jobs: [], formTemplates });
+  };
+  const csv = 'Client,Address,Trade,Status\nJo Citizen,1 Main St,Roofing,Done\nSam Lee,2 High St,Roofing,Booked\n';
+
+  it('brings completed jobs in as in progress when they need forms', () => {
+    const [done, booked] = plan(csv, templates.slice(0, 1)).creates;
+    expect(done.fields.status).toBe('in_progress');
+    expect(done.note).toContain('Safe Work Method Statement');
+    expect(booked.fields.status).toBe('in_progress');
+    expect(booked.note).toBe('');
+  });
+
+  it('keeps them completed when no forms are required', () => {
+    expect(plan(csv, []).creates[0].fields.status).toBe('completed');
+    expect(plan(csv, templates.slice(2)).creates[0].fields.status).toBe('completed');
+  });
+});
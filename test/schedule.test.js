@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { buildIcsCalendar, findClashes, findClashesFor, getClashingJobIds } from '../js/schedule.js';
+
+const at = (hours, minutes = 0) => new Date(2026, 2, 4, hours, minutes);
+const booking = (id, worker, start, end, fields = {}) => ({
+  id, assignedWorker: worker, status: 'in_progress', scheduledStart: start, scheduledEnd: end, ...fields
+});
+
+describe('findClashes', () => {
+  it('finds a worker booked on two jobs at once, whatever the case of their name', () => {
+    const jobs = [
+      booking('a', 'Alex', at(8), at(10)),
+      booking('b', 'alex ', at(9), at(11)),
+      booking('c', 'Sam', at(9), at(11))
+    ];
+    expect(findClashes(jobs).map(clash => clash.jobs.map(job => job.id))).toEqual([['a', 'b']]);
+    expect([...getClashingJobIds(jobs)]).toEqual(['a', 'b']);
+  });
+
+  it('lets one job start as another finishes', () => {
+    expect(findClashes([booking('a', 'Alex', at(8), at(10)), booking('b', 'Alex', at(10), at(12))])).toEqual([]);
+  });
+
+  it('gives a job with no end the default two hours', () => {
+    expect(findClashes([booking('a', 'Alex', at(8), null), booking('b', 'Alex', at(9, 30), at(11))])).toHaveLength(1);
+  });
+
+  it('ignores completed, cancelled, unassigned and unscheduled jobs', () => {
+    const jobs = [
+      booking('a', 'Alex', at(8), at(10)),
+      booking('done', 'Alex', at(8), at(10), { status: 'completed' }),
+      booking('off', 'Alex', at(8), at(10), { status: 'cancelled' }),
+      booking('nobody', '', at(8), at(10)),
+      { id: 'later', assignedWorker: 'Alex', status: 'new' }
+    ];
+    expect(findClashes(jobs)).toEqual([]);
+  });
+
+  it('counts jobs with older statuses as still booked', () => {
+    const jobs = [booking('a', 'Alex', at(8), at(10)), booking('old', 'Alex', at(9), at(10), { status: 'pending' })];
+    expect(findClashes(jobs)).toHaveLength(1);
+  });
+});
+
+describe('findClashesFor', () => {
+  const jobs = [
+    booking('a', 'Alex', at(8), at(10)),
+    booking('b', 'Alex', at(13), at(15)),
+    booking('c', 'Alex', at(9), at(10), { status: 'cancelled' })
+  ];
+
+  it('lists the jobs a new time would clash with, leaving out the job itself', () => {
+    expect(findClashesFor(jobs, jobs[0], { start: at(9), end: at(14) }).map(job => job.id)).toEqual(['b']);
+    expect(findClashesFor(jobs, { id: 'new' }, { start: at(9), end: at(14), worker: 'ALEX' }).map(job => job.id)).toEqual(['a', 'b']);
+  });
+
+  it('finds nothing without a worker', () => {
+    expect(findClashesFor(jobs, { id: 'new' }, { start: at(9), end: at(14) })).toEqual([]);
+  });
+});
+
+describe('buildIcsCalendar', () => {
+  const stamp = new Date(Date.UTC(2026, 2, 1, 0, 0));
+  const job = {
+    id: 'job1',
+    client: 'Jo Citizen',
+    address: '12 Smith St, Brisbane',
+    summary: 'Replace switchboard; test RCDs',
+    assignedWorker: 'Alex',
+    tasks: [{ text: 'Isolate power' }],
+    status: 'in_progress',
+    scheduledStart: new Date(Date.UTC(2026, 2, 4, 22, 0)),
+    scheduledEnd: new Date(Date.UTC(2026, 2, 5, 0, 30))
+  };
+
+  it('writes each scheduled job as an event in UTC, with CRLF line endings', () => {
+    const ics = buildIcsCalendar([job, { id: 'unscheduled', client: 'Nobody' }], { name: 'Alex, week 10', stamp });
+    const lines = ics.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('X-WR-CALNAME:Alex\\, week 10');
+    expect(lines).toContain('UID:job1@tradieiq');
+    expect(lines).toContain('DTSTAMP:20260301T000000Z');
+    expect(lines).toContain('DTSTART:20260304T220000Z');
+    expect(lines).toContain('DTEND:20260305T003000Z');
+    expect(lines).toContain('LOCATION:12 Smith St\\, Brisbane');
+    expect(lines).toContain('STATUS:CONFIRMED');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('escapes and folds the description', () => {
+    const ics = buildIcsCalendar([job], { stamp });
+    expect(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75)).toBe(true);
+    expect(ics.replace(/\r\n /g, '')).toContain(
+      'DESCRIPTION:Replace switchboard\\; test RCDs\\n\\nAssigned to: Alex\\n\\nTasks:\\n- Isolate power'
+    );
+  });
+
+  it('marks cancelled jobs as cancelled', () => {
+    expect(buildIcsCalendar([{ ...job, status: 'cancelled' }], { stamp })).toContain('STATUS:CANCELLED');
+  });
+});
@@ -0,0 +1,54 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteObject, getMetadata, ref, uploadBytes } from 'firebase/storage';
+import { BUSINESS_ID, createTestEnvironment, emulated, seedBusiness } from './rules-setup.js';
+
+const PHOTO = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+
+describe.skipIf(!emulated || !process.env.FIREBASE_STORAGE_EMULATOR_HOST)('storage.rules', () => {
+  let env;
+  const as = (userId) => env.authenticatedContext(userId).storage();
+  const path = (jobId, name = 'photo.jpg') => `attachments/${BUSINESS_ID}/${jobId}/${name}`;
+  const upload = (userId, jobId, name, uploadedBy = userId) =>
+    uploadBytes(ref(as(userId), path(jobId, name)), PHOTO, { contentType: 'image/jpeg', customMetadata: { uploadedBy } });
+
+  beforeAll(async () => {
+    env = await createTestEnvironment({ storage: true });
+  });
+
+  afterAll(async () => {
+    await env?.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.clearStorage();
+    await seedBusiness(env);
+    await env.withSecurityRulesDisabled(async (context) => {
+      for (const jobId of ['assigned', 'unassigned']) {
+        await uploadBytes(ref(context.storage(), path(jobId)), PHOTO, { contentType: 'image/jpeg', customMetadata: { uploadedBy: 'office' } });
+      }
+    });
+  });
+
+  it('lets office staff see every job\'s files and field staff only their own jobs\'', async () => {
+    await assertSucceeds(getMetadata(ref(as('office'), path('unassigned'))));
+    await assertSucceeds(getMetadata(ref(as('field'), path('assigned'))));
+    await assertFails(getMetadata(ref(as('field'), path('unassigned'))));
+    await assertFails(getMetadata(ref(as('outsider'), path('assigned'))));
+  });
+
+  it('only lets field staff upload to their own jobs, in their own name', async () => {
+    await assertSucceeds(upload('field', 'assigned', 'mine.jpg'));
+    await assertFails(upload('field', 'unassigned', 'not-mine.jpg'));
+    await assertFails(upload('field', 'assigned', 'forged.jpg', 'office'));
+  });
+
+  it('lets the uploader or the office delete a file, and nobody else', async () => {
+    await assertSucceeds(upload('field', 'assigned', 'mine.jpg'));
+    await assertFails(deleteObject(ref(as('field2'), path('assigned', 'mine.jpg'))));
+    await assertFails(deleteObject(ref(as('field'), path('assigned'))));
+    await assertSucceeds(deleteObject(ref(as('field'), path('assigned', 'mine.jpg'))));
+    await assertSucceeds(deleteObject(ref(as('office'), path('assigned'))));
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { calculateJobProfit } from '../js/timesheets.js';
+
+describe('calculateJobProfit', () => {
+  const job = {
+    valueCents: 132000,
+    labour: [{ description: 'Install', hours: 4, rateCents: 20000 }],
+    materials: [{ name: 'Cable', qty: 2, unit: 'm', costCents: 10000, sellCents: 20000 }]
+  };
+
+  it('works from the quoted value before GST', () => {
+    expect(calculateJobProfit(job, 30000)).toEqual({
+      valueCents: 120000,
+      labourCents: 30000,
+      materialsCents: 20000,
+      profitCents: 70000,
+      margin: 70000 / 120000
+    });
+  });
+
+  it('leaves the GST alone for a business not registered for it', () => {
+    expect(calculateJobProfit({ valueCents: 110000 }, 0).valueCents).toBe(100000);
+    expect(calculateJobProfit({ valueCents: 110000 }, 0, { gstRegistered: false }).valueCents).toBe(110000);
+  });
+
+  it('keeps the quoted value when a material has no price yet', () => {
+    const unpriced = { valueCents: 165000, materials: [{ name: 'Downpipe', qty: 3, unit: 'length', costCents: 0 }] };
+    expect(calculateJobProfit(unpriced, 0)).toMatchObject({ valueCents: 150000, materialsCents: 0, profitCents: 150000 });
+  });
+
+  it('keeps the quoted value when only some lines are priced', () => {
+    const partlyPriced = {
+      valueCents: 165000,
+      materials: [
+        { name: 'Gutter', qty: 1, unit: 'ea', costCents: 2000 },
+        { name: 'Brackets', qty: 10, unit: 'ea', costCents: 0 }
+      ]
+    };
+    expect(calculateJobProfit(partlyPriced, 0)).toMatchObject({ valueCents: 150000, materialsCents: 2000, profitCents: 148000 });
+  });
+
+  it('falls back to the priced lines for a job with no value yet', () => {
+    expect(calculateJobProfit({ ...job, valueCents: 0 }, 30000)).toMatchObject({ valueCents: 120000, profitCents: 70000 });
+  });
+
+  it('has no margin for a job with no value', () => {
+    expect(calculateJobProfit({}, 5000)).toMatchObject({ valueCents: 0, profitCents: -5000, margin: null });
+  });
+});
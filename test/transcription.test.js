@@ -0,0 +1,95 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFakeTranscriptionProvider, stopTranscription, webSpeechProvider } from '../js/transcription.js';
+
+// Stands in for the browser's SpeechRecognition; tests drive its events by hand
+class FakeRecognition {
+  static last = null;
+
+  constructor() {
+    this.starts = 0;
+    this.stops = 0;
+    this.failRestart = false;
+    FakeRecognition.last = this;
+  }
+
+  start() {
+    if (this.starts > 0 && this.failRestart) throw new Error('already started');
+    this.starts++;
+  }
+
+  stop() {
+    this.stops++;
+  }
+
+  hear(transcript) {
+    this.onresult({ resultIndex: 0, results: [Object.assign([{ transcript }], { isFinal: true })] });
+  }
+}
+
+describe('stopTranscription', () => {
+  it('resolves with the provider\'s transcript', async () => {
+    const session = createFakeTranscriptionProvider('Replace the switchboard.').start();
+    await expect(stopTranscription(session, null)).resolves.toBe('Replace the switchboard.');
+  });
+
+  it('gives up on a provider that never answers', async () => {
+    const session = createFakeTranscriptionProvider('Too late.', { delay: 50 }).start();
+    await expect(stopTranscription(session, null, { timeoutMs: 10 })).rejects.toThrow('timed out');
+  });
+});
+
+describe('webSpeechProvider', () => {
+  beforeEach(() => {
+    globalThis.window = { SpeechRecognition: FakeRecognition };
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('keeps listening through pauses and returns what was heard once it ends', async () => {
+    const session = webSpeechProvider.start();
+    const recognition = FakeRecognition.last;
+    recognition.hear('Two new power points');
+    recognition.onend();
+    expect(recognition.starts).toBe(2);
+
+    const stopping = session.stop();
+    recognition.onend();
+    await expect(stopping).resolves.toBe('Two new power points');
+  });
+
+  it('stops restarting after a fatal error and resolves straight away', async () => {
+    const session = webSpeechProvider.start();
+    const recognition = FakeRecognition.last;
+    recognition.onerror({ error: 'not-allowed' });
+    recognition.onend();
+    expect(recognition.starts).toBe(1);
+
+    await expect(session.stop()).resolves.toBe('');
+  });
+
+  it('resolves straight away when a restart failed earlier', async () => {
+    const session = webSpeechProvider.start();
+    const recognition = FakeRecognition.last;
+    recognition.failRestart = true;
+    recognition.hear('Check the smoke alarms');
+    recognition.onend();
+
+    await expect(session.stop()).resolves.toBe('Check the smoke alarms');
+  });
+
+  it('falls back to what it has when the browser never ends the session', async () => {
+    vi.useFakeTimers();
+    const session = webSpeechProvider.start({ stopTimeoutMs: 1000 });
+    FakeRecognition.last.hear('Quote for a new hot water system');
+
+    const stopping = session.stop();
+    vi.advanceTimersByTime(1000);
+    await expect(stopping).resolves.toBe('Quote for a new hot water system');
+  });
+});
@@ -0,0 +1,38 @@
+// Two pages: the app, and the client quote page opened from quote links
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vite';
+
+// Writes sw.js with the list of built files to precache, so the app opens with
+// no signal even on a phone that has only ever loaded the first page
+function serviceWorker() {
+  return {
+    name: 'tradieiq-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const files = Object.keys(bundle)
+        .filter(fileName => fileName.startsWith('assets/'))
+        .sort()
+        .map(fileName => `/${fileName}`);
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12);
+      const source = readFileSync(new URL('./sw.js', import.meta.url), 'utf8')
+        .replace('self.__BUILD_FILES', JSON.stringify(files))
+        .replace('self.__BUILD_VERSION', JSON.stringify(version));
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
+
+export default defineConfig({
+  plugins: [serviceWorker()],
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        quote: fileURLToPath(new URL('./quote.html', import.meta.url))
+      }
+    }
+  }
+});